@@ -5,6 +5,7 @@ const compression = require("compression");
 const morgan = require("morgan");
 const rateLimit = require("express-rate-limit");
 require("express-async-errors"); // Handles async errors automatically
+const config = require("./config/config");
 const { specs, swaggerUi } = require("./config/swagger");
 const errorHandler = require("./middleware/errorHandler");
 
@@ -55,7 +56,7 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Cart-Token"],
 };
 app.use(cors(corsOptions));
 
@@ -70,10 +71,18 @@ if (process.env.NODE_ENV !== "production") {
 }
 
 // Body parser
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({
+    limit: "10mb",
+    // Keep the raw body so payment webhooks can verify their signatures
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
-app.use("/uploads", express.static("public/uploads"));
+app.use(config.UPLOAD_URL, express.static(config.UPLOAD_DIR));
 
 // Rate limiting - Different limits for different routes
 const generalLimiter = rateLimit({
@@ -135,6 +144,12 @@ const wishlistRoutes = require("./routes/wishlist");
 const analyticsRoutes = require("./routes/analytics");
 const adminRoutes = require("./routes/admin");
 const aiRoutes = require("./routes/ai");
+const paymentRoutes = require("./routes/payments");
+const returnRoutes = require("./routes/returns");
+const categoryRoutes = require("./routes/categories");
+const reviewRoutes = require("./routes/reviews");
+const designRoutes = require("./routes/designs");
+const stockSubscriptionRoutes = require("./routes/stockSubscriptions");
 
 // Mount routes
 app.use("/api/users", authLimiter, userRoutes); // Stricter rate limit for auth
@@ -145,6 +160,12 @@ app.use("/api/wishlist", wishlistRoutes);
 app.use("/api/analytics", analyticsRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/ai", aiRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/returns", returnRoutes);
+app.use("/api/categories", categoryRoutes);
+app.use("/api/reviews", reviewRoutes);
+app.use("/api/designs", designRoutes);
+app.use("/api/stock-subscriptions", stockSubscriptionRoutes);
 
 // Handle undefined routes
 app.all("*", (req, res) => {
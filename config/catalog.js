@@ -0,0 +1,21 @@
+// Catalog vocabulary shared by the product, cart, order and return models
+// and by request validation, so a new size only has to be added here
+
+// Sizes in display order, with the code used in generated SKUs
+const SIZE_CODES = {
+  Small: "S",
+  Medium: "M",
+  Large: "L",
+  "Extra Large": "XL",
+};
+
+// Lower bounds of the price ranges counted in the product listing's price
+// facet; the last range is open-ended
+const PRICE_BUCKETS = [0, 1000, 2000, 3000, 5000];
+
+module.exports = {
+  SIZE_CODES,
+  SIZES: Object.keys(SIZE_CODES),
+  FITS: ["regular", "slim", "oversized"],
+  PRICE_BUCKETS,
+};
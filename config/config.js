@@ -27,6 +27,49 @@ module.exports = {
   DEFAULT_PAGE_SIZE: 20,
   MAX_PAGE_SIZE: 100,
 
-  // File Upload (for future use)
-  MAX_FILE_SIZE: process.env.MAX_FILE_SIZE || 5 * 1024 * 1024, // 5MB
+  // Search
+  // Days a query that found nothing is kept after it was last searched
+  ZERO_RESULT_SEARCH_DAYS: Number(process.env.ZERO_RESULT_SEARCH_DAYS) || 90,
+
+  // Payments
+  // The fake card provider is for development and tests only: it is off
+  // unless enabled, and only registered when it has a webhook secret
+  ENABLE_FAKE_CARD_PAYMENTS: process.env.ENABLE_FAKE_CARD_PAYMENTS === "true",
+  FAKE_CARD_WEBHOOK_SECRET: process.env.FAKE_CARD_WEBHOOK_SECRET,
+
+  // Stock alerts
+  // Default stock level at or below which a variant counts as low
+  LOW_STOCK_THRESHOLD: Number(process.env.LOW_STOCK_THRESHOLD ?? 5),
+  // How often low stock and back-in-stock emails are checked for; 0 turns
+  // the checker off (e.g. when running scripts/checkStockAlerts.js from cron)
+  STOCK_ALERT_INTERVAL_MINUTES: Number(
+    process.env.STOCK_ALERT_INTERVAL_MINUTES ?? 15
+  ),
+
+  // Carts
+  // How long stock stays held for a cart after its last activity; 0 turns
+  // reservations off
+  CART_RESERVATION_MINUTES: Number(process.env.CART_RESERVATION_MINUTES ?? 15),
+  // Days a guest cart is kept after its last change
+  GUEST_CART_DAYS: Number(process.env.GUEST_CART_DAYS) || 30,
+
+  // Returns
+  RETURN_WINDOW_DAYS: Number(process.env.RETURN_WINDOW_DAYS) || 14,
+
+  // Reviews
+  // When true, new and edited reviews stay hidden until an admin approves them
+  REVIEWS_REQUIRE_APPROVAL: process.env.REVIEWS_REQUIRE_APPROVAL === "true",
+
+  // File Upload
+  MAX_FILE_SIZE: Number(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB
+  ALLOWED_IMAGE_TYPES: ["image/jpeg", "image/png", "image/webp"],
+  MAX_PRODUCT_IMAGES: 10,
+  // Where uploaded files are kept; only "local" (disk) is built in
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER || "local",
+  UPLOAD_DIR: process.env.UPLOAD_DIR || "public/uploads",
+  // Public URL prefix of files in UPLOAD_DIR
+  UPLOAD_URL: process.env.UPLOAD_URL || "/uploads",
+  // Files only served through authenticated routes, e.g. customer artwork.
+  // Must not be inside UPLOAD_DIR.
+  PRIVATE_UPLOAD_DIR: process.env.PRIVATE_UPLOAD_DIR || "private/uploads",
 };
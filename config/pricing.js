@@ -0,0 +1,50 @@
+// Shipping and tax settings used by services/pricingService.js
+//
+// Shipping zones are checked in order and the first match wins. A zone
+// matches on the destination city or province (case-insensitive); a zone
+// without `cities`/`provinces` matches everything, so keep it last.
+//
+// Rate methods:
+//   flat   - `rate` per order
+//   weight - `baseRate` plus `perKg` for every started kilogram
+// Any zone may set `freeOver`: orders whose discounted subtotal reaches it
+// ship for free.
+module.exports = {
+  SHIPPING_ZONES: [
+    {
+      name: "Lahore",
+      cities: ["lahore"],
+      method: "flat",
+      rate: 150,
+      freeOver: 3000,
+    },
+    {
+      name: "Major cities",
+      cities: ["karachi", "islamabad", "rawalpindi"],
+      method: "flat",
+      rate: 200,
+      freeOver: 4000,
+    },
+    {
+      name: "Punjab",
+      provinces: ["punjab"],
+      method: "weight",
+      baseRate: 200,
+      perKg: 50,
+      freeOver: 5000,
+    },
+    {
+      name: "Rest of Pakistan",
+      method: "weight",
+      baseRate: 250,
+      perKg: 80,
+      freeOver: 6000,
+    },
+  ],
+
+  // Used for products that have no weight set
+  DEFAULT_ITEM_WEIGHT_KG: Number(process.env.DEFAULT_ITEM_WEIGHT_KG) || 0.25,
+
+  // Sales tax on the discounted subtotal, e.g. 0.17 for 17%
+  TAX_RATE: Number(process.env.TAX_RATE) || 0,
+};
@@ -0,0 +1,18 @@
+// Custom print settings used by services/designService.js
+//
+// Customers place their artwork on a base shirt (a product marked
+// `customizable`). Each placement is priced as a setup fee plus a rate per
+// square centimetre of the print area, on top of the shirt's own price.
+module.exports = {
+  // Largest print area per position, in centimetres
+  PLACEMENTS: {
+    front: { maxWidthCm: 30, maxHeightCm: 40 },
+    back: { maxWidthCm: 30, maxHeightCm: 40 },
+  },
+  SETUP_FEE: 250,
+  RATE_PER_CM2: 0.6,
+  // Artwork must have at least this resolution at its printed size
+  MIN_DPI: 100,
+  // Largest artwork file, in bytes
+  MAX_ARTWORK_SIZE: Number(process.env.MAX_ARTWORK_SIZE) || 20 * 1024 * 1024,
+};
@@ -26,6 +26,13 @@ const options = {
           scheme: "bearer",
           bearerFormat: "JWT",
         },
+        cartToken: {
+          type: "apiKey",
+          in: "header",
+          name: "X-Cart-Token",
+          description:
+            "Guest cart token, returned as cartToken when a guest's cart is created",
+        },
       },
       schemas: {
         User: {
@@ -50,7 +57,12 @@ const options = {
             },
             address: {
               type: "string",
-              description: "User address (optional, provided during order)",
+              description: "Legacy free-text address",
+            },
+            addresses: {
+              type: "array",
+              description: "Address book",
+              items: { $ref: "#/components/schemas/SavedAddress" },
             },
             isAdmin: {
               type: "boolean",
@@ -64,9 +76,118 @@ const options = {
             },
           },
         },
+        Review: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            productId: { type: "string" },
+            userId: {
+              type: "object",
+              properties: { _id: { type: "string" }, name: { type: "string" } },
+            },
+            rating: { type: "number", minimum: 1, maximum: 5 },
+            title: { type: "string" },
+            body: { type: "string" },
+            verifiedPurchase: {
+              type: "boolean",
+              description: "The reviewer received the product in an order",
+            },
+            helpfulCount: { type: "number" },
+            status: {
+              type: "string",
+              enum: ["pending", "approved", "rejected"],
+            },
+            createdAt: { type: "string", format: "date-time" },
+          },
+        },
+        Category: {
+          type: "object",
+          required: ["name", "slug"],
+          properties: {
+            _id: { type: "string" },
+            name: { type: "string", example: "Urban" },
+            slug: { type: "string", example: "urban" },
+            description: { type: "string" },
+            imageUrl: { type: "string" },
+            parent: {
+              type: "string",
+              nullable: true,
+              description: "Parent category ID; null for top-level categories",
+            },
+            sortOrder: {
+              type: "number",
+              description: "Lower numbers are listed first among siblings",
+            },
+            children: {
+              type: "array",
+              description: "Subcategories, in tree responses",
+              items: { type: "object" },
+            },
+          },
+        },
+        Variant: {
+          type: "object",
+          required: ["size", "stock"],
+          properties: {
+            _id: { type: "string" },
+            sku: {
+              type: "string",
+              description:
+                "Generated from the product and options if not given",
+              example: "A1B2C3-L-BLACK-SLIM",
+            },
+            size: {
+              type: "string",
+              enum: ["Small", "Medium", "Large", "Extra Large"],
+            },
+            color: { type: "string", example: "black" },
+            fit: { type: "string", enum: ["regular", "slim", "oversized"] },
+            stock: { type: "number" },
+            reserved: {
+              type: "number",
+              description: "Units of the stock held for shoppers' carts",
+            },
+            available: {
+              type: "number",
+              description: "Stock that isn't held for a cart",
+            },
+            price: {
+              type: "number",
+              description: "Overrides the product price when set",
+            },
+            images: { type: "array", items: { type: "string" } },
+          },
+        },
+        Address: {
+          type: "object",
+          required: ["recipientName", "phone", "line1", "city", "province"],
+          properties: {
+            recipientName: { type: "string", example: "Ali Khan" },
+            phone: { type: "string", example: "+92 300 1234567" },
+            line1: { type: "string", example: "12 Mall Road" },
+            line2: { type: "string", example: "Flat 3" },
+            city: { type: "string", example: "Lahore" },
+            province: { type: "string", example: "Punjab" },
+            postalCode: { type: "string", example: "54000" },
+            country: { type: "string", default: "Pakistan" },
+          },
+        },
+        SavedAddress: {
+          allOf: [
+            { $ref: "#/components/schemas/Address" },
+            {
+              type: "object",
+              properties: {
+                _id: { type: "string" },
+                label: { type: "string", example: "Home" },
+                isDefault: { type: "boolean" },
+              },
+            },
+          ],
+        },
         Product: {
           type: "object",
-          required: ["name", "price", "category", "sizes"],
+          required: ["name", "price", "category", "variants"],
           properties: {
             _id: {
               type: "string",
@@ -76,6 +197,16 @@ const options = {
               type: "string",
               description: "T-shirt name",
             },
+            slug: {
+              type: "string",
+              description: "Unique URL slug, generated from the name",
+              example: "urban-street-vibes",
+            },
+            slugHistory: {
+              type: "array",
+              items: { type: "string" },
+              description: "Previous slugs, which redirect to the current one",
+            },
             description: {
               type: "string",
               description: "Product description",
@@ -86,35 +217,66 @@ const options = {
             },
             category: {
               type: "string",
-              enum: ["urban", "typography", "abstract", "anime"],
-              description: "T-shirt category",
+              description: "Slug of the T-shirt's category",
+              example: "urban",
             },
-            sizes: {
+            variants: {
               type: "array",
-              description: "Available sizes with stock",
-              items: {
-                type: "object",
-                properties: {
-                  size: {
-                    type: "string",
-                    enum: ["Small", "Large", "Extra Large"],
-                    description: "Size option",
-                  },
-                  stock: {
-                    type: "number",
-                    description: "Stock available for this size",
-                  },
-                },
-              },
+              description: "Purchasable size/colour/fit combinations",
+              items: { $ref: "#/components/schemas/Variant" },
+            },
+            averageRating: {
+              type: "number",
+              description: "Average of approved review ratings (0 if none)",
+            },
+            totalRatings: {
+              type: "number",
+              description: "Number of approved reviews",
             },
             salesCount: {
               type: "number",
-              description: "Total number of items sold across all sizes",
+              description: "Total number of items sold across all variants",
               default: 0,
             },
+            images: {
+              type: "array",
+              description: "Uploaded images in display order",
+              items: { $ref: "#/components/schemas/ProductImage" },
+            },
             imageUrl: {
               type: "string",
-              description: "Product image URL",
+              description:
+                "Product image URL; the first uploaded image's medium copy",
+            },
+            customizable: {
+              type: "boolean",
+              description:
+                "Base shirt customers can print their own designs on",
+              default: false,
+            },
+            status: {
+              type: "string",
+              enum: ["draft", "scheduled", "published", "hidden"],
+              default: "draft",
+              description:
+                "Only published products are shown on the storefront",
+            },
+            publishAt: {
+              type: "string",
+              format: "date-time",
+              description:
+                "When the product goes (or went) live; new arrivals are ordered by it",
+            },
+            isLive: {
+              type: "boolean",
+              description: "Whether customers can see the product right now",
+            },
+            archivedAt: {
+              type: "string",
+              format: "date-time",
+              nullable: true,
+              description:
+                "When the product was deleted; archived products are hidden from the storefront",
             },
             inStock: {
               type: "boolean",
@@ -122,7 +284,7 @@ const options = {
             },
             totalStock: {
               type: "number",
-              description: "Total stock across all sizes",
+              description: "Total stock across all variants",
             },
             createdAt: {
               type: "string",
@@ -131,6 +293,204 @@ const options = {
             },
           },
         },
+        ProductImage: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            url: { type: "string", description: "Original upload" },
+            mediumUrl: { type: "string", description: "WebP, at most 800px" },
+            thumbnailUrl: {
+              type: "string",
+              description: "WebP, at most 200px",
+            },
+            format: { type: "string", enum: ["jpeg", "png", "webp"] },
+            width: { type: "number" },
+            height: { type: "number" },
+          },
+        },
+        PrintPlacement: {
+          type: "object",
+          required: ["position", "widthCm", "heightCm"],
+          properties: {
+            position: { type: "string", enum: ["front", "back"] },
+            widthCm: {
+              type: "number",
+              description: "Width of the print area (at most 30)",
+            },
+            heightCm: {
+              type: "number",
+              description: "Height of the print area (at most 40)",
+            },
+            offsetTopCm: {
+              type: "number",
+              description: "Distance from the collar to the top of the print",
+              default: 5,
+            },
+          },
+        },
+        CustomDesign: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            userId: { type: "string" },
+            name: { type: "string" },
+            artwork: {
+              type: "object",
+              properties: {
+                url: {
+                  type: "string",
+                  description:
+                    "Uploaded artwork, served to the owner and admins",
+                },
+                previewUrl: {
+                  type: "string",
+                  description:
+                    "WebP, at most 400px, served to the owner and admins",
+                },
+                format: { type: "string", enum: ["jpeg", "png", "webp"] },
+                width: { type: "number" },
+                height: { type: "number" },
+              },
+            },
+            productId: {
+              type: "string",
+              description: "Base shirt the design is printed on",
+            },
+            variantId: { type: "string" },
+            size: { type: "string" },
+            color: { type: "string" },
+            fit: { type: "string" },
+            placements: {
+              type: "array",
+              items: { $ref: "#/components/schemas/PrintPlacement" },
+            },
+            printPrice: {
+              type: "number",
+              description: "Price of printing, quoted when the design was made",
+            },
+            unitPrice: {
+              type: "number",
+              description:
+                "Shirt plus printing, quoted when the design was made",
+            },
+            orderedAt: {
+              type: "string",
+              format: "date-time",
+              description:
+                "First order of the design; ordered designs can't be deleted",
+            },
+            createdAt: { type: "string", format: "date-time" },
+          },
+        },
+        InventoryMovement: {
+          type: "object",
+          properties: {
+            _id: { type: "string" },
+            productId: { type: "string" },
+            variantId: { type: "string" },
+            sku: { type: "string" },
+            size: { type: "string" },
+            color: { type: "string" },
+            fit: { type: "string" },
+            reason: {
+              type: "string",
+              enum: [
+                "restock",
+                "sale",
+                "cancellation",
+                "return",
+                "correction",
+                "damaged",
+              ],
+            },
+            quantity: {
+              type: "integer",
+              description: "Added to the stock; negative when stock went out",
+            },
+            stockAfter: {
+              type: "integer",
+              description: "Stock of the variant right after the change",
+            },
+            orderId: { type: "string" },
+            returnId: { type: "string" },
+            note: { type: "string" },
+            createdBy: {
+              type: "object",
+              description: "Admin or customer whose action changed the stock",
+              properties: {
+                _id: { type: "string" },
+                name: { type: "string" },
+                email: { type: "string" },
+              },
+            },
+            createdAt: { type: "string", format: "date-time" },
+          },
+        },
+        ProductListing: {
+          type: "object",
+          properties: {
+            products: {
+              type: "array",
+              items: { $ref: "#/components/schemas/Product" },
+            },
+            pagination: {
+              type: "object",
+              properties: {
+                page: {
+                  type: "number",
+                  nullable: true,
+                  description: "Null when paging by cursor",
+                },
+                limit: { type: "number" },
+                total: { type: "number" },
+                pages: { type: "number" },
+                hasMore: { type: "boolean" },
+                nextCursor: { type: "string", nullable: true },
+              },
+            },
+            facets: {
+              type: "object",
+              properties: {
+                categories: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      slug: { type: "string" },
+                      name: { type: "string" },
+                      count: { type: "number" },
+                    },
+                  },
+                },
+                sizes: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      size: { type: "string" },
+                      count: { type: "number" },
+                    },
+                  },
+                },
+                prices: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      min: { type: "number" },
+                      max: {
+                        type: "number",
+                        nullable: true,
+                        description: "Exclusive; null for the top range",
+                      },
+                      count: { type: "number" },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
         Order: {
           type: "object",
           required: ["userId", "products", "totalAmount", "address"],
@@ -152,31 +512,135 @@ const options = {
                     type: "string",
                     description: "Reference to Product ID",
                   },
+                  variantId: {
+                    type: "string",
+                    description: "Variant ordered",
+                  },
+                  sku: { type: "string" },
+                  size: {
+                    type: "string",
+                    description: "Size ordered",
+                  },
+                  color: { type: "string" },
+                  fit: { type: "string" },
                   quantity: {
                     type: "number",
                     description: "Quantity ordered",
                   },
+                  productName: {
+                    type: "string",
+                    description: "Product name at purchase time",
+                  },
+                  category: {
+                    type: "string",
+                    description: "Product category at purchase time",
+                  },
+                  imageUrl: {
+                    type: "string",
+                    description: "Product image at purchase time",
+                  },
+                  price: {
+                    type: "number",
+                    description: "Unit price paid",
+                  },
+                  lineTotal: {
+                    type: "number",
+                    description: "Unit price multiplied by quantity",
+                  },
+                  design: {
+                    type: "object",
+                    description:
+                      "Custom print: copy of the design as ordered, for production",
+                    properties: {
+                      designId: { type: "string" },
+                      artworkUrl: { type: "string" },
+                      previewUrl: { type: "string" },
+                      artworkWidth: { type: "number" },
+                      artworkHeight: { type: "number" },
+                      placements: {
+                        type: "array",
+                        items: { $ref: "#/components/schemas/PrintPlacement" },
+                      },
+                      printPrice: {
+                        type: "number",
+                        description: "Printing part of the unit price",
+                      },
+                    },
+                  },
                 },
               },
             },
             totalAmount: {
               type: "number",
-              description: "Total order amount",
+              description: "Total order amount, after discounts",
+            },
+            discountAmount: {
+              type: "number",
+              description: "Discount applied by a coupon",
+            },
+            pricing: {
+              $ref: "#/components/schemas/PriceBreakdown",
+            },
+            coupon: {
+              type: "object",
+              properties: {
+                couponId: { type: "string" },
+                code: { type: "string" },
+                discount: { type: "number" },
+                freeShipping: { type: "boolean" },
+              },
             },
             address: {
               type: "string",
-              description: "Delivery address",
+              description: "Delivery address as a single line",
+            },
+            shippingAddress: {
+              $ref: "#/components/schemas/Address",
             },
             status: {
               type: "string",
-              enum: ["Pending", "Shipped", "Delivered"],
+              enum: ["Pending", "Shipped", "Delivered", "Cancelled"],
               default: "Pending",
               description: "Order status",
             },
+            statusHistory: {
+              type: "array",
+              description: "Audit trail of status changes",
+              items: {
+                type: "object",
+                properties: {
+                  from: { type: "string" },
+                  to: { type: "string" },
+                  changedBy: {
+                    type: "string",
+                    description: "Reference to User ID",
+                  },
+                  note: { type: "string" },
+                  changedAt: { type: "string", format: "date-time" },
+                },
+              },
+            },
             paymentMethod: {
               type: "string",
               default: "COD",
-              description: "Payment method",
+              description: "Payment provider (COD, card)",
+            },
+            paymentStatus: {
+              type: "string",
+              enum: ["unpaid", "authorized", "paid", "refunded", "failed"],
+              default: "unpaid",
+              description: "Payment lifecycle status",
+            },
+            payment: {
+              type: "object",
+              properties: {
+                transactionId: { type: "string" },
+                authorizedAt: { type: "string", format: "date-time" },
+                paidAt: { type: "string", format: "date-time" },
+                refundedAt: { type: "string", format: "date-time" },
+                failedAt: { type: "string", format: "date-time" },
+                failureReason: { type: "string" },
+              },
             },
             createdAt: {
               type: "string",
@@ -185,6 +649,20 @@ const options = {
             },
           },
         },
+        PriceBreakdown: {
+          type: "object",
+          properties: {
+            subtotal: { type: "number", description: "Sum of line totals" },
+            discount: { type: "number", description: "Coupon discount" },
+            shipping: { type: "number" },
+            shippingZone: {
+              type: "string",
+              description: "Shipping zone the rate came from",
+            },
+            tax: { type: "number" },
+            total: { type: "number", description: "Amount due" },
+          },
+        },
         Error: {
           type: "object",
           properties: {
@@ -1,3 +1,5 @@
+const config = require("../config/config");
+
 // Global error handling middleware
 const errorHandler = (err, req, res, next) => {
   console.error(err.stack);
@@ -36,6 +38,18 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Rejected file uploads (too large, too many files, unexpected field)
+  if (err.name === "MulterError") {
+    const message =
+      err.code === "LIMIT_FILE_SIZE"
+        ? `File is larger than ${config.MAX_FILE_SIZE / (1024 * 1024)}MB`
+        : err.message;
+    return res.status(400).json({
+      success: false,
+      error: message,
+    });
+  }
+
   // Mongoose CastError (invalid ObjectId)
   if (err.name === "CastError") {
     return res.status(400).json({
@@ -0,0 +1,76 @@
+const multer = require("multer");
+const config = require("../config/config");
+const AppError = require("../utils/AppError");
+const { MAX_ARTWORK_SIZE } = require("../config/printing");
+
+// Product images are kept in memory so they can be checked and resized
+// before anything is stored. The file contents are checked again in
+// services/imageService.js, as the client decides the MIME type.
+const imageFilter = (req, file, cb) => {
+  if (!config.ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+    return cb(
+      new AppError(
+        `${file.originalname}: only ${config.ALLOWED_IMAGE_TYPES.join(
+          ", "
+        )} images are allowed`,
+        400
+      )
+    );
+  }
+  cb(null, true);
+};
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.MAX_FILE_SIZE, files: config.MAX_PRODUCT_IMAGES },
+  fileFilter: imageFilter,
+});
+
+// Print artwork is usually larger than product photos, so it has its own
+// size limit
+const artworkUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ARTWORK_SIZE, files: 1 },
+  fileFilter: imageFilter,
+});
+
+// Up to MAX_PRODUCT_IMAGES files in the multipart "images" field
+const uploadProductImages = imageUpload.array(
+  "images",
+  config.MAX_PRODUCT_IMAGES
+);
+
+// Product catalogue files for bulk import, parsed in
+// services/productImportService.js
+const catalogUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.MAX_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!/\.(csv|json)$/i.test(file.originalname)) {
+      return cb(
+        new AppError(`${file.originalname}: upload a .csv or .json file`, 400)
+      );
+    }
+    cb(null, true);
+  },
+});
+
+// A single .csv or .json file in the multipart "file" field
+const uploadProductFile = catalogUpload.single("file");
+
+// A single file in the multipart "artwork" field. The size error names the
+// artwork limit rather than the general one reported by errorHandler.
+const uploadArtwork = (req, res, next) =>
+  artworkUpload.single("artwork")(req, res, (err) => {
+    if (err && err.code === "LIMIT_FILE_SIZE") {
+      return next(
+        new AppError(
+          `Artwork is larger than ${MAX_ARTWORK_SIZE / (1024 * 1024)}MB`,
+          400
+        )
+      );
+    }
+    next(err);
+  });
+
+module.exports = { uploadProductImages, uploadArtwork, uploadProductFile };
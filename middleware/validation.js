@@ -1,4 +1,7 @@
 const Joi = require("joi");
+const { SIZES, FITS } = require("../config/catalog");
+const { PLACEMENTS } = require("../config/printing");
+const { ADJUSTMENT_REASONS } = require("../models/InventoryMovement");
 
 // Validation middleware factory
 const validate = (schema) => {
@@ -40,45 +43,175 @@ const userSchemas = {
   }),
 };
 
+// Address validation schemas
+const addressFields = {
+  recipientName: Joi.string().trim().min(2).max(100),
+  phone: Joi.string()
+    .trim()
+    .pattern(/^\+?[0-9\s-]{7,20}$/)
+    .messages({ "string.pattern.base": "Please provide a valid phone number" }),
+  line1: Joi.string().trim().min(3).max(200),
+  line2: Joi.string().trim().max(200).allow(""),
+  city: Joi.string().trim().min(2).max(100),
+  province: Joi.string().trim().min(2).max(100),
+  postalCode: Joi.string().trim().max(20).allow(""),
+  country: Joi.string().trim().max(100),
+};
+
+// A full address, as copied onto an order
+const addressSchema = Joi.object({
+  ...addressFields,
+  recipientName: addressFields.recipientName.required(),
+  phone: addressFields.phone.required(),
+  line1: addressFields.line1.required(),
+  city: addressFields.city.required(),
+  province: addressFields.province.required(),
+});
+
+const addressSchemas = {
+  create: addressSchema.keys({
+    label: Joi.string().trim().max(50),
+    isDefault: Joi.boolean(),
+  }),
+
+  update: Joi.object({
+    ...addressFields,
+    label: Joi.string().trim().max(50),
+    isDefault: Joi.boolean(),
+  }).min(1),
+};
+
+// Image URLs may be absolute or, like uploaded images, relative to the API
+const imageUrlField = Joi.string().uri({ allowRelative: true });
+
+// Product variant validation schema; `_id` keeps existing variants (and the
+// carts pointing at them) intact when a product is updated
+const variantSchema = Joi.object({
+  _id: Joi.string().hex().length(24),
+  sku: Joi.string().trim().max(64),
+  size: Joi.string()
+    .valid(...SIZES)
+    .required(),
+  color: Joi.string().trim().max(30),
+  fit: Joi.string().valid(...FITS),
+  stock: Joi.number().integer().min(0).required(),
+  price: Joi.number().positive(),
+  images: Joi.array().items(imageUrlField),
+  lowStockThreshold: Joi.number().integer().min(0),
+});
+
+// Which variant of a product a cart or order line is for: a variantId, or a
+// size plus colour/fit when those pick out a single variant
+const variantRef = {
+  variantId: Joi.string().hex().length(24),
+  size: Joi.string().valid(...SIZES),
+  color: Joi.string().trim().max(30),
+  fit: Joi.string().valid(...FITS),
+};
+
+// URL slug as used by products and categories
+const slugField = Joi.string()
+  .trim()
+  .lowercase()
+  .pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+  .max(100)
+  .messages({
+    "string.pattern.base":
+      "Slug may only contain lowercase letters, numbers and hyphens",
+  });
+
+// Lifecycle fields shared by product create and update
+const publishFields = {
+  status: Joi.string().valid("draft", "scheduled", "published", "hidden"),
+  publishAt: Joi.date().when("status", {
+    is: "scheduled",
+    then: Joi.required(),
+  }),
+};
+
 // Product validation schemas
 const productSchemas = {
   create: Joi.object({
     name: Joi.string().min(3).max(100).required(),
+    slug: slugField,
     description: Joi.string().max(500),
     price: Joi.number().positive().required(),
-    category: Joi.string()
-      .valid("urban", "typography", "abstract", "anime")
-      .required(),
-    sizes: Joi.array()
-      .items(
-        Joi.object({
-          size: Joi.string()
-            .valid("Small", "Large", "Extra Large")
-            .required(),
-          stock: Joi.number().integer().min(0).required(),
-        })
-      )
-      .min(1)
-      .required()
-      .messages({
-        "array.min": "At least one size must be provided",
-      }),
-    imageUrl: Joi.string().uri(),
+    category: Joi.string().trim().max(100).required(),
+    variants: Joi.array().items(variantSchema).min(1).required().messages({
+      "array.min": "At least one variant must be provided",
+    }),
+    imageUrl: imageUrlField,
+    weightKg: Joi.number().min(0),
+    customizable: Joi.boolean(),
+    lowStockThreshold: Joi.number().integer().min(0),
+    ...publishFields,
   }),
 
   update: Joi.object({
     name: Joi.string().min(3).max(100),
+    slug: slugField,
     description: Joi.string().max(500),
     price: Joi.number().positive(),
-    category: Joi.string().valid("urban", "typography", "abstract", "anime"),
-    sizes: Joi.array().items(
-      Joi.object({
-        size: Joi.string().valid("Small", "Large", "Extra Large").required(),
-        stock: Joi.number().integer().min(0).required(),
-      })
-    ),
-    imageUrl: Joi.string().uri(),
+    category: Joi.string().trim().max(100),
+    variants: Joi.array().items(variantSchema).min(1),
+    imageUrl: imageUrlField,
+    weightKg: Joi.number().min(0),
+    customizable: Joi.boolean(),
+    lowStockThreshold: Joi.number().integer().min(0).allow(null),
+    ...publishFields,
   }).min(1),
+
+  updateStock: Joi.object({
+    variantId: Joi.string().hex().length(24),
+    sku: Joi.string().trim().max(64),
+    stock: Joi.number().integer().min(0).required(),
+    note: Joi.string().trim().max(500),
+  }).xor("variantId", "sku"),
+
+  reorderImages: Joi.object({
+    imageIds: Joi.array()
+      .items(Joi.string().hex().length(24))
+      .unique()
+      .required(),
+  }),
+};
+
+// Category validation schemas
+const categoryFields = {
+  name: Joi.string().trim().min(2).max(100),
+  slug: slugField,
+  description: Joi.string().max(500).allow(""),
+  imageUrl: Joi.string().uri().allow(""),
+  parent: Joi.string().hex().length(24).allow(null),
+  sortOrder: Joi.number().integer(),
+};
+
+const categorySchemas = {
+  create: Joi.object({
+    ...categoryFields,
+    name: categoryFields.name.required(),
+  }),
+
+  update: Joi.object(categoryFields).min(1),
+};
+
+// Review validation schemas
+const reviewSchemas = {
+  create: Joi.object({
+    rating: Joi.number().integer().min(1).max(5).required(),
+    title: Joi.string().trim().max(100).allow(""),
+    body: Joi.string().trim().max(2000).allow(""),
+  }),
+
+  rate: Joi.object({
+    rating: Joi.number().integer().min(1).max(5).required().messages({
+      "any.required": "Rating must be between 1 and 5",
+    }),
+  }),
+
+  moderate: Joi.object({
+    note: Joi.string().trim().max(500),
+  }),
 };
 
 // Order validation schemas
@@ -87,16 +220,60 @@ const orderSchemas = {
     products: Joi.array()
       .items(
         Joi.object({
-          productId: Joi.string().hex().length(24).required(),
-          size: Joi.string()
-            .valid("Small", "Large", "Extra Large")
-            .required(),
+          productId: Joi.string()
+            .hex()
+            .length(24)
+            .when("designId", { not: Joi.exist(), then: Joi.required() }),
+          ...variantRef,
+          // A custom print; its design picks the product and variant
+          designId: Joi.string().hex().length(24),
+          quantity: Joi.number().integer().min(1).required(),
+        }).or("variantId", "size", "designId")
+      )
+      .min(1)
+      .required(),
+    // Saved address to deliver to, or a one-off address; defaults to the
+    // user's default saved address
+    addressId: Joi.string().hex().length(24),
+    shippingAddress: addressSchema,
+    paymentMethod: Joi.string(),
+    paymentDetails: Joi.object(),
+    couponCode: Joi.string().trim().max(50),
+  }).oxor("addressId", "shippingAddress"),
+
+  checkout: Joi.object({
+    addressId: Joi.string().hex().length(24),
+    shippingAddress: addressSchema,
+    paymentMethod: Joi.string(),
+    paymentDetails: Joi.object(),
+    couponCode: Joi.string().trim().max(50),
+  }).oxor("addressId", "shippingAddress"),
+
+  cancel: Joi.object({
+    reason: Joi.string().trim().min(3).max(500).required().messages({
+      "any.required": "A cancellation reason is required",
+    }),
+  }),
+};
+
+// Return validation schemas
+const returnSchemas = {
+  request: Joi.object({
+    orderId: Joi.string().hex().length(24).required(),
+    items: Joi.array()
+      .items(
+        Joi.object({
+          orderItemId: Joi.string().hex().length(24).required(),
           quantity: Joi.number().integer().min(1).required(),
+          reason: Joi.string().trim().max(500),
         })
       )
       .min(1)
       .required(),
-    address: Joi.string().min(10).max(200).required(),
+  }),
+
+  review: Joi.object({
+    note: Joi.string().trim().max(500),
   }),
 };
 
@@ -104,19 +281,152 @@ const orderSchemas = {
 const cartSchemas = {
   addItem: Joi.object({
     productId: Joi.string().hex().length(24).required(),
-    size: Joi.string().valid("Small", "Large", "Extra Large").required(),
+    ...variantRef,
     quantity: Joi.number().integer().min(1).max(100).required(),
-  }),
+  }).or("variantId", "size"),
 
   updateQuantity: Joi.object({
+    // Needed when the cart holds several variants of the product
+    variantId: Joi.string().hex().length(24),
     quantity: Joi.number().integer().min(1).max(100).required(),
   }),
+
+  applyCoupon: Joi.object({
+    code: Joi.string().trim().max(50).required(),
+  }),
+
+  addDesign: Joi.object({
+    designId: Joi.string().hex().length(24).required(),
+    quantity: Joi.number().integer().min(1).max(100).required(),
+  }),
+
+  updateDesignQuantity: Joi.object({
+    quantity: Joi.number().integer().min(1).max(100).required(),
+  }),
+};
+
+// Custom print design validation schemas
+const placementSchema = Joi.object({
+  position: Joi.string()
+    .valid(...Object.keys(PLACEMENTS))
+    .required(),
+  widthCm: Joi.number().min(1).required(),
+  heightCm: Joi.number().min(1).required(),
+  offsetTopCm: Joi.number().min(0),
+});
+
+const designFields = {
+  productId: Joi.string().hex().length(24).required(),
+  ...variantRef,
+  placements: Joi.array()
+    .items(placementSchema)
+    .min(1)
+    .unique("position")
+    .required()
+    .messages({ "array.unique": "Each print position can be used once" }),
+};
+
+const designSchemas = {
+  quote: Joi.object(designFields).or("variantId", "size"),
+
+  create: Joi.object({
+    ...designFields,
+    name: Joi.string().trim().max(100),
+  }).or("variantId", "size"),
+};
+
+// Inventory validation schemas
+const inventorySchemas = {
+  adjust: Joi.object({
+    adjustments: Joi.array()
+      .items(
+        Joi.object({
+          productId: Joi.string().hex().length(24).required(),
+          ...variantRef,
+          sku: Joi.string().trim().max(64),
+          reason: Joi.string()
+            .valid(...ADJUSTMENT_REASONS)
+            .required(),
+          // Added to the stock; restocks add and damaged stock is taken away
+          quantity: Joi.number()
+            .integer()
+            .invalid(0)
+            .required()
+            .when("reason", {
+              switch: [
+                { is: "restock", then: Joi.number().min(1) },
+                { is: "damaged", then: Joi.number().max(-1) },
+              ],
+            }),
+          note: Joi.string().trim().max(500),
+        }).or("variantId", "sku", "size")
+      )
+      .min(1)
+      .max(500)
+      .required(),
+    // Applies to adjustments without a note of their own
+    note: Joi.string().trim().max(500),
+  }),
+
+  // null goes back to the product's threshold, or the default
+  thresholds: Joi.object({
+    lowStockThreshold: Joi.number().integer().min(0).allow(null),
+    variants: Joi.array().items(
+      Joi.object({
+        ...variantRef,
+        sku: Joi.string().trim().max(64),
+        lowStockThreshold: Joi.number().integer().min(0).allow(null).required(),
+      }).or("variantId", "sku", "size")
+    ),
+  }).or("lowStockThreshold", "variants"),
+
+  subscribe: Joi.object({
+    productId: Joi.string().hex().length(24).required(),
+    ...variantRef,
+    sku: Joi.string().trim().max(64),
+  }).or("variantId", "sku", "size"),
+};
+
+// Coupon validation schemas
+const couponFields = {
+  code: Joi.string().trim().alphanum().min(3).max(50),
+  description: Joi.string().max(200),
+  type: Joi.string().valid("percentage", "fixed", "free_shipping"),
+  value: Joi.number().min(0).when("type", {
+    is: "percentage",
+    then: Joi.number().max(100),
+  }),
+  categories: Joi.array().items(Joi.string().trim().max(100)),
+  products: Joi.array().items(Joi.string().hex().length(24)),
+  minOrderValue: Joi.number().min(0),
+  usageLimit: Joi.number().integer().min(1).allow(null),
+  perUserLimit: Joi.number().integer().min(1).allow(null),
+  validFrom: Joi.date().allow(null),
+  validUntil: Joi.date().allow(null),
+  isActive: Joi.boolean(),
+};
+
+const couponSchemas = {
+  create: Joi.object({
+    ...couponFields,
+    code: couponFields.code.required(),
+    type: couponFields.type.required(),
+  }),
+
+  update: Joi.object(couponFields).min(1),
 };
 
 module.exports = {
   validate,
   userSchemas,
+  addressSchemas,
   productSchemas,
+  categorySchemas,
+  reviewSchemas,
   orderSchemas,
+  returnSchemas,
   cartSchemas,
+  designSchemas,
+  inventorySchemas,
+  couponSchemas,
 };
@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const { SIZES, FITS } = require("../config/catalog");
+const config = require("../config/config");
 
 const cartItemSchema = new mongoose.Schema({
   productId: {
@@ -6,23 +8,49 @@ const cartItemSchema = new mongoose.Schema({
     ref: "Product",
     required: true,
   },
-  size: {
-    type: String,
-    required: true,
-    enum: ["Small", "Large", "Extra Large"],
-  },
+  variantId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  // Copied from the variant for display
+  sku: { type: String },
+  size: { type: String, required: true, enum: SIZES },
+  color: { type: String },
+  fit: { type: String, enum: FITS },
+  // Set for a custom print of the customer's design on this shirt
+  designId: { type: mongoose.Schema.Types.ObjectId, ref: "CustomDesign" },
   quantity: { type: Number, required: true, min: 1 },
   addedAt: { type: Date, default: Date.now },
 });
 
+// Stock of a variant held for the cart, counted in the variant's `reserved`.
+// Kept in step with the items by services/reservationService.js
+const reservationSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variantId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+  },
+  { _id: false }
+);
+
+// A signed-in user's cart, or a guest's, found by its cart token until the
+// guest signs in; see services/guestCartService.js
 const cartSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
-    required: true,
     unique: true,
+    sparse: true,
   },
+  // Hash of a guest cart's token
+  guestToken: { type: String, unique: true, sparse: true, select: false },
   items: [cartItemSchema],
+  couponCode: { type: String, uppercase: true, trim: true },
+  reservations: [reservationSchema],
+  // When the holds are released unless the cart is used again
+  reservedUntil: { type: Date },
   updatedAt: { type: Date, default: Date.now },
 });
 
@@ -31,4 +59,14 @@ cartSchema.pre("save", function (next) {
   next();
 });
 
+cartSchema.index({ reservedUntil: 1 }, { sparse: true }); // For the sweeper
+// Guest carts left alone for GUEST_CART_DAYS are deleted
+cartSchema.index(
+  { updatedAt: 1 },
+  {
+    expireAfterSeconds: config.GUEST_CART_DAYS * 24 * 60 * 60,
+    partialFilterExpression: { guestToken: { $exists: true } },
+  }
+);
+
 module.exports = mongoose.model("Cart", cartSchema);
@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+const slugify = require("../utils/slugify");
+
+const categorySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    // Products refer to their category by slug
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    description: { type: String, trim: true },
+    imageUrl: { type: String, trim: true },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    // Lower numbers are listed first among siblings
+    sortOrder: { type: Number, default: 0 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Derive the slug from the name unless one was given
+categorySchema.pre("validate", function (next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+// For listing the children of a category in order
+categorySchema.index({ parent: 1, sortOrder: 1, name: 1 });
+
+module.exports = mongoose.model("Category", categorySchema);
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: { type: String, trim: true },
+    type: {
+      type: String,
+      required: true,
+      enum: ["percentage", "fixed", "free_shipping"],
+    },
+    // Percent off (0-100) or a fixed amount off; unused for free shipping
+    value: { type: Number, min: 0, default: 0 },
+    // Limit the discount to these categories/products; empty means everything
+    categories: [{ type: String, lowercase: true }],
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+    minOrderValue: { type: Number, min: 0, default: 0 },
+    usageLimit: { type: Number, min: 1 }, // Total redemptions, unlimited if unset
+    perUserLimit: { type: Number, min: 1 }, // Redemptions per user, unlimited if unset
+    usedCount: { type: Number, min: 0, default: 0 },
+    validFrom: { type: Date },
+    validUntil: { type: Date },
+    isActive: { type: Boolean, default: true },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Whether the coupon can be used right now, ignoring per-order rules
+couponSchema.methods.isRedeemable = function (now = new Date()) {
+  if (!this.isActive) return false;
+  if (this.validFrom && now < this.validFrom) return false;
+  if (this.validUntil && now > this.validUntil) return false;
+  if (this.usageLimit && this.usedCount >= this.usageLimit) return false;
+  return true;
+};
+
+module.exports = mongoose.model("Coupon", couponSchema);
@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+const { SIZES, FITS } = require("../config/catalog");
+const { PLACEMENTS } = require("../config/printing");
+
+const PLACEMENT_POSITIONS = Object.keys(PLACEMENTS);
+
+// Where and how large the artwork is printed. The artwork is scaled to fit
+// inside the given area without changing its proportions.
+const placementSchema = new mongoose.Schema(
+  {
+    position: { type: String, required: true, enum: PLACEMENT_POSITIONS },
+    widthCm: { type: Number, required: true, min: 1 },
+    heightCm: { type: Number, required: true, min: 1 },
+    // Distance from the collar to the top of the print
+    offsetTopCm: { type: Number, min: 0, default: 5 },
+  },
+  { _id: false }
+);
+
+// A customer's own artwork printed on a base shirt. Designs can be ordered
+// any number of times; once ordered they are kept for production.
+const customDesignSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: { type: String, trim: true, maxlength: 100 },
+    artwork: {
+      url: { type: String, required: true },
+      previewUrl: { type: String, required: true },
+      format: { type: String, required: true },
+      width: { type: Number, required: true },
+      height: { type: Number, required: true },
+    },
+    // The base shirt and variant the design is printed on
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variantId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    size: { type: String, required: true, enum: SIZES },
+    color: { type: String },
+    fit: { type: String, enum: FITS },
+    placements: {
+      type: [placementSchema],
+      validate: {
+        validator: (placements) =>
+          placements.length > 0 &&
+          new Set(placements.map((p) => p.position)).size === placements.length,
+        message: "A design needs at least one placement, each position once",
+      },
+    },
+    // Price quoted when the design was made; orders use current prices
+    printPrice: { type: Number, required: true, min: 0 },
+    unitPrice: { type: Number, required: true, min: 0 },
+    orderedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+customDesignSchema.statics.PLACEMENT_POSITIONS = PLACEMENT_POSITIONS;
+
+module.exports = mongoose.model("CustomDesign", customDesignSchema);
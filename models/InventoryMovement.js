@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+const { SIZES, FITS } = require("../config/catalog");
+
+// Why a variant's stock changed. Sales, cancellations and returns are
+// recorded by the order and return flows; admins record the others.
+const REASONS = [
+  "restock",
+  "sale",
+  "cancellation",
+  "return",
+  "correction",
+  "damaged",
+];
+const ADJUSTMENT_REASONS = ["restock", "correction", "damaged"];
+
+// One change to the stock of a product variant. Movements are only ever
+// added, so a variant's stock can be explained from its history.
+const inventoryMovementSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // Snapshot of the variant, kept readable if it is later removed
+    variantId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    sku: { type: String },
+    size: { type: String, enum: SIZES },
+    color: { type: String },
+    fit: { type: String, enum: FITS },
+    reason: { type: String, enum: REASONS, required: true },
+    // Added to the stock; negative when stock went out
+    quantity: { type: Number, required: true },
+    // Stock of the variant right after the change
+    stockAfter: { type: Number, min: 0 },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    returnId: { type: mongoose.Schema.Types.ObjectId, ref: "Return" },
+    note: { type: String, trim: true, maxlength: 500 },
+    // Admin or customer whose action changed the stock
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+inventoryMovementSchema.statics.REASONS = REASONS;
+inventoryMovementSchema.statics.ADJUSTMENT_REASONS = ADJUSTMENT_REASONS;
+
+inventoryMovementSchema.index({ productId: 1, createdAt: -1 }); // For product history
+inventoryMovementSchema.index({ productId: 1, variantId: 1, createdAt: -1 });
+inventoryMovementSchema.index({ orderId: 1 }, { sparse: true });
+inventoryMovementSchema.index({ reason: 1, createdAt: -1 }); // For reports
+
+module.exports = mongoose.model("InventoryMovement", inventoryMovementSchema);
@@ -1,4 +1,94 @@
 const mongoose = require("mongoose");
+const { addressSchema } = require("./addressSchema");
+const { SIZES, FITS } = require("../config/catalog");
+
+// Artwork and print specs of a custom print line, copied from the customer's
+// design for production
+const orderDesignSchema = new mongoose.Schema(
+  {
+    designId: { type: mongoose.Schema.Types.ObjectId, ref: "CustomDesign" },
+    artworkUrl: { type: String, required: true },
+    previewUrl: { type: String },
+    artworkWidth: { type: Number },
+    artworkHeight: { type: Number },
+    placements: [
+      {
+        _id: false,
+        position: { type: String, required: true },
+        widthCm: { type: Number, required: true },
+        heightCm: { type: Number, required: true },
+        offsetTopCm: { type: Number },
+      },
+    ],
+    printPrice: { type: Number, min: 0 }, // Included in the line's price
+  },
+  { _id: false }
+);
+
+// Each line keeps a snapshot of the product as it was when the order was
+// placed, so later price or catalog changes don't rewrite order history
+const orderItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  variantId: { type: mongoose.Schema.Types.ObjectId },
+  sku: { type: String },
+  size: { type: String, required: true, enum: SIZES },
+  color: { type: String },
+  fit: { type: String, enum: FITS },
+  quantity: { type: Number, required: true, min: 1 },
+  productName: { type: String, trim: true },
+  category: { type: String, lowercase: true },
+  imageUrl: { type: String, trim: true },
+  price: { type: Number, min: 0 }, // Unit price paid
+  lineTotal: { type: Number, min: 0 },
+  design: { type: orderDesignSchema },
+  // Units claimed by returns that are open or were accepted; see
+  // services/returnService.js. Unset on lines from before it was counted.
+  returnedQuantity: { type: Number, min: 0 },
+});
+
+// Money handed back to the customer, e.g. for returned items
+const refundSchema = new mongoose.Schema({
+  amount: { type: Number, required: true, min: 0 },
+  returnId: { type: mongoose.Schema.Types.ObjectId, ref: "Return" },
+  reason: { type: String, trim: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+const ORDER_STATUSES = ["Pending", "Shipped", "Delivered", "Cancelled"];
+
+// Allowed status changes; Delivered and Cancelled are final
+const STATUS_TRANSITIONS = {
+  Pending: ["Shipped", "Cancelled"],
+  Shipped: ["Delivered"],
+  Delivered: [],
+  Cancelled: [],
+};
+
+const PAYMENT_STATUSES = ["unpaid", "authorized", "paid", "refunded", "failed"];
+
+// Allowed payment status changes; a failed payment may be retried
+const PAYMENT_TRANSITIONS = {
+  unpaid: ["authorized", "paid", "failed"],
+  authorized: ["paid", "refunded", "failed"],
+  paid: ["refunded"],
+  refunded: [],
+  failed: ["authorized", "paid"],
+};
+
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: { type: String, enum: ORDER_STATUSES },
+    to: { type: String, enum: ORDER_STATUSES, required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    note: { type: String, trim: true, maxlength: 500 },
+    changedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
 
 const orderSchema = new mongoose.Schema(
   {
@@ -8,40 +98,84 @@ const orderSchema = new mongoose.Schema(
       required: true,
       index: true, // Index for faster user order queries
     },
-    products: [
-      {
-        productId: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: "Product",
-          required: true,
-        },
-        size: {
-          type: String,
-          required: true,
-          enum: ["Small", "Large", "Extra Large"],
-        },
-        quantity: { type: Number, required: true, min: 1 },
-      },
-    ],
+    products: [orderItemSchema],
+    // Amount due, after discounts
     totalAmount: { type: Number, required: true, min: 0 },
+    discountAmount: { type: Number, default: 0, min: 0 },
+    pricing: {
+      subtotal: { type: Number, min: 0 },
+      discount: { type: Number, min: 0 },
+      shipping: { type: Number, min: 0 },
+      shippingZone: { type: String },
+      tax: { type: Number, min: 0 },
+      total: { type: Number, min: 0 },
+    },
+    coupon: {
+      couponId: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+      code: { type: String },
+      discount: { type: Number, min: 0 },
+      freeShipping: { type: Boolean },
+    },
+    // Delivery address as a single line, for display
     address: { type: String, required: true, trim: true },
+    // Copy of the delivery address at order time, never edited afterwards
+    shippingAddress: { type: addressSchema, immutable: true },
     status: {
       type: String,
-      enum: ["Pending", "Shipped", "Delivered", "Cancelled"],
+      enum: ORDER_STATUSES,
       default: "Pending",
       index: true, // Index for filtering by status
     },
+    statusHistory: [statusChangeSchema],
     paymentMethod: { type: String, default: "COD" },
+    paymentStatus: {
+      type: String,
+      enum: PAYMENT_STATUSES,
+      default: "unpaid",
+      index: true,
+    },
+    payment: {
+      transactionId: { type: String },
+      authorizedAt: { type: Date },
+      paidAt: { type: Date },
+      refundedAt: { type: Date },
+      failedAt: { type: Date },
+      failureReason: { type: String },
+    },
+    refunds: [refundSchema],
+    refundedAmount: { type: Number, default: 0, min: 0 },
+    // Webhook event IDs already applied, so redelivered events are no-ops
+    processedPaymentEvents: { type: [String], select: false },
   },
   {
     timestamps: true,
   }
 );
 
+// Check whether an order may move from one status to another
+orderSchema.statics.canTransition = function (from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+orderSchema.statics.STATUSES = ORDER_STATUSES;
+orderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+// Payment statuses from which an order may move to the given one
+orderSchema.statics.paymentStatusesLeadingTo = function (to) {
+  return PAYMENT_STATUSES.filter((from) =>
+    PAYMENT_TRANSITIONS[from].includes(to)
+  );
+};
+
+orderSchema.statics.PAYMENT_STATUSES = PAYMENT_STATUSES;
+
 // Compound index for user orders sorted by date
 orderSchema.index({ userId: 1, createdAt: -1 });
 
 // Index for analytics queries
 orderSchema.index({ status: 1, createdAt: -1 });
 
+// Index for the custom print production queue
+orderSchema.index({ "products.design.designId": 1 }, { sparse: true });
+
 module.exports = mongoose.model("Order", orderSchema);
@@ -1,73 +1,391 @@
 const mongoose = require("mongoose");
+const { SIZES, SIZE_CODES, FITS } = require("../config/catalog");
+const Category = require("./Category");
+const InventoryMovement = require("./InventoryMovement");
+const slugify = require("../utils/slugify");
+const { searchWords, searchGrams } = require("../utils/search");
+
+// A purchasable version of a product, e.g. a Large black slim-fit shirt.
+// Stock is tracked per variant.
+const variantSchema = new mongoose.Schema({
+  sku: { type: String, required: true, trim: true, uppercase: true },
+  size: { type: String, required: true, enum: SIZES },
+  color: { type: String, trim: true, lowercase: true },
+  fit: { type: String, enum: FITS },
+  stock: { type: Number, required: true, min: 0, default: 0 },
+  // Units held for shoppers' carts; see services/reservationService.js
+  reserved: { type: Number, min: 0, default: 0 },
+  // Overrides the product price when set
+  price: { type: Number, min: 0 },
+  images: [{ type: String, trim: true }],
+  // Overrides the product's low-stock threshold when set
+  lowStockThreshold: { type: Number, min: 0 },
+  // When admins were told this variant runs low; cleared once it is back
+  // above its threshold. See services/stockAlertService.js
+  lowStockAlertedAt: { type: Date },
+});
+
+// Stock that can still be put in a cart or ordered: what isn't held for
+// another cart
+variantSchema.virtual("available").get(function () {
+  return Math.max(this.stock - (this.reserved || 0), 0);
+});
+
+variantSchema.set("toJSON", { virtuals: true });
+variantSchema.set("toObject", { virtuals: true });
+
+// An uploaded product photo with its resized copies; see services/imageService.js
+const imageSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  mediumUrl: { type: String, required: true },
+  thumbnailUrl: { type: String, required: true },
+  // Format of the original file, e.g. "jpeg"
+  format: { type: String, required: true },
+  width: { type: Number },
+  height: { type: Number },
+});
+
+// Where a product is in its lifecycle: being prepared, waiting for its
+// publishAt time, on the storefront, or taken off it for now
+const STATUSES = ["draft", "scheduled", "published", "hidden"];
+// Statuses shown on the storefront once publishAt has passed
+const LIVE_STATUSES = ["published", "scheduled"];
+
+const variantKey = (v) => [v.size, v.color || "", v.fit || ""].join("|");
+
+function hasDistinctVariants(variants) {
+  const skus = new Set(variants.map((v) => v.sku));
+  const keys = new Set(variants.map(variantKey));
+  return skus.size === variants.length && keys.size === variants.length;
+}
 
 const productSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, trim: true },
+    // Generated from the name unless an admin sets a custom one
+    slug: { type: String, lowercase: true, trim: true },
+    // Former slugs, so old product URLs keep resolving
+    slugHistory: [{ type: String, lowercase: true, trim: true }],
     description: { type: String, trim: true },
     seoDescription: { type: String, trim: true },
     price: { type: Number, required: true, min: 0 },
+    // Slug of a Category
     category: {
       type: String,
       required: true,
-      enum: ["urban", "typography", "abstract", "anime"],
       lowercase: true,
+      trim: true,
+      validate: {
+        validator: async (slug) => Boolean(await Category.exists({ slug })),
+        message: (props) => `Unknown category "${props.value}"`,
+      },
     },
-    sizes: [
-      {
-        size: {
-          type: String,
-          required: true,
-          enum: ["Small", "Large", "Extra Large"],
-        },
-        stock: {
-          type: Number,
-          required: true,
-          min: 0,
-          default: 0,
-        },
-        _id: false, // Disable _id for subdocuments
+    variants: {
+      type: [variantSchema],
+      validate: {
+        validator: hasDistinctVariants,
+        message: "Variants must have distinct SKUs and size/colour/fit",
       },
-    ],
+    },
+    // Uploaded images in display order; the first one is also the imageUrl
+    images: [imageSchema],
     imageUrl: { type: String, trim: true },
+    weightKg: { type: Number, min: 0 }, // Shipping weight per item
+    // A blank shirt customers can print their own designs on
+    customizable: { type: Boolean, default: false },
     salesCount: { type: Number, default: 0, min: 0 },
+    // Admins are alerted when a variant's stock falls to this; defaults to
+    // LOW_STOCK_THRESHOLD
+    lowStockThreshold: { type: Number, min: 0 },
+    status: { type: String, enum: STATUSES, default: "draft" },
+    // When the product goes (or went) live; new arrivals are ordered by it
+    publishAt: { type: Date },
+    // Set when an admin deletes the product. Archived products are hidden
+    // from the storefront but kept, as orders still refer to them.
+    archivedAt: { type: Date, default: null },
+    // Kept in sync with approved reviews by services/reviewService.js
+    averageRating: { type: Number, default: 0, min: 0, max: 5 },
+    totalRatings: { type: Number, default: 0, min: 0 },
+    // Derived from the name and category for search; see searchFields()
+    searchWords: { type: [String], select: false },
+    searchGrams: { type: [String], select: false },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt automatically
   }
 );
 
-// Virtual to check if product is in stock (any size available)
+// Virtual to check if product is in stock (any variant available)
 productSchema.virtual("inStock").get(function () {
-  return this.sizes.some((s) => s.stock > 0);
+  return (this.variants || []).some((v) => v.available > 0);
 });
 
-// Virtual to get total stock across all sizes
+// Virtual to get total stock across all variants
 productSchema.virtual("totalStock").get(function () {
-  return this.sizes.reduce((total, s) => total + s.stock, 0);
+  return (this.variants || []).reduce((total, v) => total + v.stock, 0);
 });
 
-// Method to get stock for a specific size
-productSchema.methods.getStockForSize = function (size) {
-  const sizeData = this.sizes.find((s) => s.size === size);
-  return sizeData ? sizeData.stock : 0;
+// Whether the product is on the storefront right now
+productSchema.virtual("isLive").get(function () {
+  return (
+    !this.archivedAt &&
+    LIVE_STATUSES.includes(this.status) &&
+    Boolean(this.publishAt) &&
+    this.publishAt <= new Date()
+  );
+});
+
+// Find the variant a cart or order line refers to, by variantId, SKU, or
+// size plus optional colour/fit. Returns null when nothing or more than one
+// variant matches.
+productSchema.methods.findVariant = function ({
+  variantId,
+  sku,
+  size,
+  color,
+  fit,
+} = {}) {
+  if (variantId) return this.variants.id(variantId);
+  if (sku) {
+    const wanted = String(sku).trim().toUpperCase();
+    return this.variants.find((v) => v.sku === wanted) || null;
+  }
+
+  const matches = this.variants.filter(
+    (v) =>
+      v.size === size &&
+      (!color || v.color === String(color).trim().toLowerCase()) &&
+      (!fit || v.fit === fit)
+  );
+  return matches.length === 1 ? matches[0] : null;
 };
 
-// Method to update stock for a specific size
-productSchema.methods.updateStockForSize = function (size, quantity) {
-  const sizeData = this.sizes.find((s) => s.size === size);
-  if (sizeData) {
-    sizeData.stock += quantity;
-    return true;
+// Unit price of a variant, falling back to the product price
+productSchema.methods.priceFor = function (variant) {
+  return variant && variant.price != null ? variant.price : this.price;
+};
+
+// First free slug for `name`: name, name-1, name-2, ... Former slugs of
+// other products count as taken so their old URLs don't change meaning.
+productSchema.statics.uniqueSlug = async function (name, excludeId) {
+  const base = slugify(name) || "product";
+  const pattern = new RegExp(`^${base}(-\\d+)?$`);
+
+  const taken = await this.find({
+    _id: { $ne: excludeId },
+    $or: [{ slug: pattern }, { slugHistory: pattern }],
+  })
+    .select("slug slugHistory")
+    .lean();
+  const used = new Set(
+    taken.flatMap((p) => [p.slug, ...(p.slugHistory || [])])
+  );
+
+  if (!used.has(base)) return base;
+  let counter = 1;
+  while (used.has(`${base}-${counter}`)) counter++;
+  return `${base}-${counter}`;
+};
+
+// Find a product by slug, former slug or id. When a former slug matched,
+// `redirectTo` holds the current slug.
+productSchema.statics.findBySlugOrId = async function (identifier) {
+  const slug = String(identifier).toLowerCase();
+
+  let product = await this.findOne({ slug });
+  if (product) return { product };
+
+  product = await this.findOne({ slugHistory: slug });
+  if (product) return { product, redirectTo: product.slug };
+
+  if (/^[0-9a-fA-F]{24}$/.test(identifier)) {
+    product = await this.findById(identifier);
   }
-  return false;
+  return { product };
+};
+
+productSchema.statics.STATUSES = STATUSES;
+
+// Conditions for products shown on the storefront. Scheduled products show
+// up as soon as their publishAt time has passed.
+productSchema.statics.storefrontFilter = function (now = new Date()) {
+  return {
+    archivedAt: null,
+    status: { $in: LIVE_STATUSES },
+    publishAt: { $lte: now },
+  };
 };
 
+// Search keys for a product: the words of its name, for autocomplete, and
+// trigrams of its name and category, for finding misspelt words
+productSchema.statics.searchFields = function ({ name, category }) {
+  const nameWords = searchWords(name);
+  return {
+    searchWords: nameWords,
+    searchGrams: searchGrams([...nameWords, ...searchWords(category)]),
+  };
+};
+
+productSchema.pre("validate", function (next) {
+  if (this.isNew || this.isModified("name") || this.isModified("category")) {
+    this.set(this.constructor.searchFields(this));
+  }
+  next();
+});
+
+// Remember the stored slug, to move it into the history if it changes
+productSchema.post("init", function () {
+  this.$locals.storedSlug = this.slug;
+});
+
+// Generate the slug on create and rename, or clean up a custom one. Like
+// generated slugs, custom ones can't take another product's former slug.
+productSchema.pre("validate", async function () {
+  if (this.isModified("slug") && this.slug) {
+    this.slug = slugify(this.slug);
+    if (!this.slug) {
+      this.invalidate("slug", "Slug must contain letters or numbers");
+    } else if (
+      await this.constructor.exists({
+        _id: { $ne: this._id },
+        $or: [{ slug: this.slug }, { slugHistory: this.slug }],
+      })
+    ) {
+      this.invalidate("slug", "This slug is already used by another product");
+    }
+  } else if (!this.slug || this.isModified("name")) {
+    this.slug = await this.constructor.uniqueSlug(this.name, this._id);
+  }
+
+  const previous = this.$locals.storedSlug;
+  if (previous && previous !== this.slug) {
+    if (!this.slugHistory.includes(previous)) this.slugHistory.push(previous);
+  }
+  if (this.slugHistory.includes(this.slug)) this.slugHistory.pull(this.slug);
+});
+
+productSchema.post("save", function () {
+  this.$locals.storedSlug = this.slug;
+});
+
+// Remember the stored stock of each variant, to record what a save changes
+const variantSnapshot = (v) => ({
+  variantId: v._id,
+  sku: v.sku,
+  size: v.size,
+  color: v.color,
+  fit: v.fit,
+  stock: v.stock,
+  reserved: v.reserved,
+});
+
+productSchema.post("init", function () {
+  this.$locals.storedVariants = (this.variants || []).map(variantSnapshot);
+});
+
+// Stock changed by saving the document (admins editing variants, imports) is
+// recorded in the inventory ledger. A new product's stock counts as a
+// restock, edits as corrections; set $locals.stockChange to
+// { reason, note, createdBy } to describe the change. Order, return and bulk
+// stock updates record their own movements.
+productSchema.pre("save", function (next) {
+  this.$locals.stockMovements = [];
+  if (!this.isNew && !this.isModified("variants")) return next();
+
+  const stored = new Map(
+    (this.$locals.storedVariants || []).map((v) => [v.variantId.toString(), v])
+  );
+  // Replaced variants keep the stock held for carts
+  for (const variant of this.variants) {
+    const before = stored.get(variant._id.toString());
+    if (before) variant.reserved = before.reserved;
+  }
+  const change = {
+    reason: this.isNew ? "restock" : "correction",
+    ...(this.isNew && { note: "Initial stock" }),
+    ...this.$locals.stockChange,
+  };
+  const movement = ({ stock, reserved, ...variant }, quantity) => ({
+    ...change,
+    ...variant,
+    productId: this._id,
+    quantity,
+    stockAfter: stock,
+  });
+
+  for (const variant of this.variants.map(variantSnapshot)) {
+    const before = stored.get(variant.variantId.toString());
+    stored.delete(variant.variantId.toString());
+    const quantity = variant.stock - (before ? before.stock : 0);
+    if (quantity !== 0) {
+      this.$locals.stockMovements.push(movement(variant, quantity));
+    }
+  }
+  // Stock of removed variants leaves with them
+  for (const variant of stored.values()) {
+    if (variant.stock === 0) continue;
+    this.$locals.stockMovements.push({
+      ...movement({ ...variant, stock: 0 }, -variant.stock),
+      note: "Variant removed",
+    });
+  }
+  next();
+});
+
+productSchema.post("save", async function () {
+  this.$locals.storedVariants = this.variants.map(variantSnapshot);
+  const movements = this.$locals.stockMovements || [];
+  this.$locals.stockMovements = [];
+  if (movements.length > 0) {
+    await InventoryMovement.insertMany(movements, { session: this.$session() });
+  }
+});
+
+// Keep status and publishAt consistent: publishing stamps the time the
+// product went live, and a publish time still to come means scheduled
+productSchema.pre("validate", function (next) {
+  const now = new Date();
+  if (this.status === "scheduled") {
+    if (!this.publishAt) {
+      this.invalidate("publishAt", "Scheduled products need a publishAt time");
+    } else if (this.publishAt <= now) {
+      this.status = "published";
+    }
+  } else if (this.status === "published") {
+    if (!this.publishAt) this.publishAt = now;
+    else if (this.publishAt > now) this.status = "scheduled";
+  }
+  next();
+});
+
+// Give variants without a SKU one derived from the product id and options
+productSchema.pre("validate", function (next) {
+  const base = this._id.toString().slice(-6).toUpperCase();
+  (this.variants || []).forEach((v) => {
+    if (v.sku) return;
+    v.sku = [base, SIZE_CODES[v.size] || v.size, v.color, v.fit]
+      .filter(Boolean)
+      .join("-")
+      .replace(/\s+/g, "")
+      .toUpperCase();
+  });
+  next();
+});
+
 // Indexes for better query performance
+productSchema.index({ slug: 1 }, { unique: true, sparse: true }); // For product URLs
+productSchema.index({ slugHistory: 1 }); // For redirects from old URLs
 productSchema.index({ category: 1, salesCount: -1 }); // For category + top selling
-productSchema.index({ createdAt: -1 }); // For new arrivals
+productSchema.index({ createdAt: -1 });
+productSchema.index({ status: 1, publishAt: -1 }); // For the storefront and new arrivals
 productSchema.index({ name: "text", description: "text" }); // For text search
+productSchema.index({ searchWords: 1 }); // For autocomplete
+productSchema.index({ searchGrams: 1 }); // For fuzzy search
 productSchema.index({ salesCount: -1 }); // For top selling products
 productSchema.index({ price: 1 }); // For price filtering
+productSchema.index({ "variants.sku": 1 }, { unique: true, sparse: true });
+productSchema.index({ "variants.size": 1, "variants.color": 1 }); // For variant filters
+productSchema.index({ archivedAt: -1 }); // For the admin list of archived products
 
 // Ensure virtuals are included in JSON
 productSchema.set("toJSON", { virtuals: true });
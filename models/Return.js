@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+const { SIZES } = require("../config/catalog");
+
+const returnItemSchema = new mongoose.Schema(
+  {
+    // _id of the line in order.products being returned
+    orderItemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variantId: { type: mongoose.Schema.Types.ObjectId },
+    size: { type: String, required: true, enum: SIZES },
+    quantity: { type: Number, required: true, min: 1 },
+    unitPrice: { type: Number, required: true, min: 0 },
+    reason: { type: String, trim: true, maxlength: 500 },
+  },
+  { _id: false }
+);
+
+const returnSchema = new mongoose.Schema(
+  {
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+      index: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    items: {
+      type: [returnItemSchema],
+      validate: (items) => items.length > 0,
+    },
+    status: {
+      type: String,
+      enum: ["Requested", "Approved", "Rejected", "Received"],
+      default: "Requested",
+      index: true,
+    },
+    refundAmount: { type: Number, required: true, min: 0 },
+    adminNote: { type: String, trim: true, maxlength: 500 },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reviewedAt: { type: Date },
+    receivedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for admin listing by status
+returnSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Return", returnSchema);
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+
+// One review per user and product; only approved reviews are shown and
+// counted in the product's rating
+const reviewSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    rating: { type: Number, required: true, min: 1, max: 5 },
+    title: { type: String, trim: true, maxlength: 100 },
+    body: { type: String, trim: true, maxlength: 2000 },
+    // The reviewer has a delivered order containing the product
+    verifiedPurchase: { type: Boolean, default: false },
+    // Users who found the review helpful; one vote each
+    helpfulVoters: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      select: false,
+    },
+    helpfulCount: { type: Number, default: 0, min: 0 },
+    status: { type: String, enum: REVIEW_STATUSES, default: "approved" },
+    moderationNote: { type: String, trim: true },
+    moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    moderatedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reviewSchema.index({ productId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ productId: 1, status: 1, createdAt: -1 }); // For listing
+reviewSchema.index({ status: 1, createdAt: -1 }); // For the moderation queue
+
+reviewSchema.statics.STATUSES = REVIEW_STATUSES;
+
+module.exports = mongoose.model("Review", reviewSchema);
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+const { SIZES, FITS } = require("../config/catalog");
+
+// A customer's request to be emailed when an out-of-stock variant is back.
+// Subscriptions are removed once the email has gone out.
+const stockSubscriptionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variantId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    // Snapshot of the variant for listing subscriptions
+    size: { type: String, enum: SIZES },
+    color: { type: String },
+    fit: { type: String, enum: FITS },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+stockSubscriptionSchema.index({ userId: 1, variantId: 1 }, { unique: true });
+stockSubscriptionSchema.index({ productId: 1, variantId: 1 }); // For the checker
+
+module.exports = mongoose.model("StockSubscription", stockSubscriptionSchema);
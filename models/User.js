@@ -1,5 +1,13 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { addressFields } = require("./addressSchema");
+
+// Address book entry; exactly one entry is the default when any exist
+const savedAddressSchema = new mongoose.Schema({
+  ...addressFields,
+  label: { type: String, trim: true }, // e.g. "Home", "Office"
+  isDefault: { type: Boolean, default: false },
+});
 
 const userSchema = new mongoose.Schema(
   {
@@ -12,7 +20,9 @@ const userSchema = new mongoose.Schema(
       trim: true,
     },
     password: { type: String, required: true, select: false }, // Don't return password by default
+    // Legacy free-text address, superseded by the address book
     address: { type: String, trim: true },
+    addresses: [savedAddressSchema],
     isAdmin: { type: Boolean, default: false },
   },
   {
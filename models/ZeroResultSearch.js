@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+const config = require("../config/config");
+
+// A search query that found no products, kept so admins can spot missing
+// products or wording customers use. Repeats of a query are counted, and
+// queries nobody searched for ZERO_RESULT_SEARCH_DAYS are deleted.
+const zeroResultSearchSchema = new mongoose.Schema(
+  {
+    // Normalised query text
+    query: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true,
+      maxlength: 100,
+    },
+    count: { type: Number, min: 1 },
+    lastSearchedAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+zeroResultSearchSchema.index({ count: -1, lastSearchedAt: -1 }); // For admin review
+// Queries not searched for ZERO_RESULT_SEARCH_DAYS are deleted; also serves
+// sort=recent
+zeroResultSearchSchema.index(
+  { lastSearchedAt: 1 },
+  { expireAfterSeconds: config.ZERO_RESULT_SEARCH_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("ZeroResultSearch", zeroResultSearchSchema);
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// Structured postal address, shared by the user's address book and the
+// snapshot copied onto each order
+const addressFields = {
+  recipientName: { type: String, required: true, trim: true },
+  phone: { type: String, required: true, trim: true },
+  line1: { type: String, required: true, trim: true },
+  line2: { type: String, trim: true },
+  city: { type: String, required: true, trim: true },
+  province: { type: String, required: true, trim: true },
+  postalCode: { type: String, trim: true },
+  country: { type: String, trim: true, default: "Pakistan" },
+};
+
+const addressSchema = new mongoose.Schema(addressFields, { _id: false });
+
+// Single-line form of an address, for emails and order listings
+const formatAddress = (address) =>
+  [
+    address.line1,
+    address.line2,
+    address.city,
+    [address.province, address.postalCode].filter(Boolean).join(" "),
+    address.country,
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+module.exports = {
+  addressFields,
+  addressSchema,
+  formatAddress,
+};
@@ -5,6 +5,56 @@ const admin = require("../middleware/admin");
 const Order = require("../models/Order");
 const Product = require("../models/Product");
 const User = require("../models/User");
+const Return = require("../models/Return");
+const Coupon = require("../models/Coupon");
+const Category = require("../models/Category");
+const Review = require("../models/Review");
+const ZeroResultSearch = require("../models/ZeroResultSearch");
+const InventoryMovement = require("../models/InventoryMovement");
+const config = require("../config/config");
+const {
+  validate,
+  couponSchemas,
+  productSchemas,
+  categorySchemas,
+  reviewSchemas,
+  inventorySchemas,
+} = require("../middleware/validation");
+const { changeOrderStatus } = require("../services/orderService");
+const { reviewReturn, receiveReturn } = require("../services/returnService");
+const {
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} = require("../services/categoryService");
+const { moderateReview } = require("../services/reviewService");
+const {
+  addProductImages,
+  reorderProductImages,
+  removeProductImage,
+} = require("../services/imageService");
+const {
+  archiveProduct,
+  restoreProduct,
+} = require("../services/productService");
+const {
+  parseProductFile,
+  entriesFromJson,
+  importProducts,
+  exportProducts,
+} = require("../services/productImportService");
+const {
+  setVariantStock,
+  adjustStock,
+} = require("../services/inventoryService");
+const {
+  findLowStock,
+  setStockThresholds,
+} = require("../services/stockAlertService");
+const {
+  uploadProductImages,
+  uploadProductFile,
+} = require("../middleware/upload");
 
 // Apply auth and admin middleware to all routes
 router.use(auth);
@@ -52,35 +102,18 @@ router.get("/analytics", async (req, res) => {
     // Low stock products (total stock < 20)
     const products = await Product.find({});
     const lowStockProducts = products
-      .map((product) => {
-        const totalStock = product.sizes.reduce(
-          (sum, size) => sum + size.stock,
-          0
-        );
-        return { ...product.toObject(), totalStock };
-      })
+      .map((product) => product.toObject())
       .filter((product) => product.totalStock < 20)
       .sort((a, b) => a.totalStock - b.totalStock)
       .slice(0, 10);
 
-    // Revenue by category
+    // Revenue by category (from the prices recorded on each order line)
     const revenueByCategory = await Order.aggregate([
       { $unwind: "$products" },
-      {
-        $lookup: {
-          from: "products",
-          localField: "products.productId",
-          foreignField: "_id",
-          as: "productInfo",
-        },
-      },
-      { $unwind: "$productInfo" },
       {
         $group: {
-          _id: "$productInfo.category",
-          revenue: {
-            $sum: { $multiply: ["$products.quantity", "$products.price"] },
-          },
+          _id: "$products.category",
+          revenue: { $sum: "$products.lineTotal" },
         },
       },
       { $project: { category: "$_id", revenue: 1, _id: 0 } },
@@ -153,26 +186,37 @@ router.get("/orders", async (req, res) => {
  *             properties:
  *               status:
  *                 type: string
+ *                 enum: [Pending, Shipped, Delivered, Cancelled]
+ *               note:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Order status updated
+ *         description: Order status updated (stock restored when cancelled)
+ *       400:
+ *         description: Invalid status
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Transition not allowed from the current status
  */
 // PUT /admin/orders/:id - Update order status
 router.put("/orders/:id", async (req, res) => {
   try {
-    const { status } = req.body;
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true }
-    ).populate("userId", "name email");
+    const { status, note } = req.body;
+    const order = await changeOrderStatus({
+      orderId: req.params.id,
+      status,
+      changedBy: req.user._id,
+      note,
+    });
 
-    if (!order) {
-      return res.status(404).json({ error: "Order not found" });
-    }
+    await order.populate("userId", "name email");
 
     res.json(order);
   } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
     console.error("Update order error:", err);
     res.status(500).json({ error: "Failed to update order" });
   }
@@ -180,33 +224,119 @@ router.put("/orders/:id", async (req, res) => {
 
 /**
  * @swagger
- * /api/admin/products:
- *   post:
- *     summary: Create a new product
+ * /api/admin/print-jobs:
+ *   get:
+ *     summary: Get custom prints to produce
+ *     description: One entry per order line with a custom design, oldest order first, with the artwork and placements to print. Artwork URLs are private and need an admin's bearer token.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Pending, Shipped, Delivered, Cancelled]
+ *           default: Pending
+ *         description: Status of the orders to list prints of
  *     responses:
- *       201:
- *         description: Product created
+ *       200:
+ *         description: List of print jobs
+ *       400:
+ *         description: Invalid status
  */
-// POST /admin/products - Create new product
-router.post("/products", async (req, res) => {
+// GET /admin/print-jobs - Get custom prints to produce
+router.get("/print-jobs", async (req, res) => {
   try {
-    const product = new Product(req.body);
-    await product.save();
-    res.status(201).json(product);
+    const status = req.query.status || "Pending";
+    if (!Order.STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `Status must be one of: ${Order.STATUSES.join(", ")}`,
+      });
+    }
+
+    const jobs = await Order.aggregate([
+      { $match: { status, "products.design.designId": { $exists: true } } },
+      { $unwind: "$products" },
+      { $match: { "products.design.designId": { $exists: true } } },
+      { $sort: { createdAt: 1 } },
+      {
+        $lookup: {
+          from: "users",
+          localField: "userId",
+          foreignField: "_id",
+          as: "customer",
+          pipeline: [{ $project: { name: 1, email: 1 } }],
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          orderId: "$_id",
+          orderItemId: "$products._id",
+          status: 1,
+          createdAt: 1,
+          customer: { $first: "$customer" },
+          productName: "$products.productName",
+          sku: "$products.sku",
+          size: "$products.size",
+          color: "$products.color",
+          fit: "$products.fit",
+          quantity: "$products.quantity",
+          design: "$products.design",
+        },
+      },
+    ]);
+
+    res.json(jobs);
   } catch (err) {
-    console.error("Create product error:", err);
-    res.status(500).json({ error: "Failed to create product" });
+    console.error("Fetch print jobs error:", err);
+    res.status(500).json({ error: "Failed to fetch print jobs" });
   }
 });
 
 /**
  * @swagger
- * /api/admin/products/{id}:
+ * /api/admin/returns:
+ *   get:
+ *     summary: Get all returns
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Requested, Approved, Rejected, Received]
+ *     responses:
+ *       200:
+ *         description: List of returns
+ */
+// GET /admin/returns - Get all returns
+router.get("/returns", async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+
+    const returns = await Return.find(filter)
+      .populate("userId", "name email")
+      .populate("orderId", "totalAmount status createdAt")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json(returns);
+  } catch (err) {
+    console.error("Fetch returns error:", err);
+    res.status(500).json({ error: "Failed to fetch returns" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/returns/{id}/approve:
  *   put:
- *     summary: Update product
+ *     summary: Approve a requested return
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -216,48 +346,78 @@ router.post("/products", async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Product updated
+ *         description: Return approved
+ *       404:
+ *         description: Return not found
+ *       409:
+ *         description: Return is not in Requested status
  */
-// PUT /admin/products/:id - Update product
-router.put("/products/:id", async (req, res) => {
+/**
+ * @swagger
+ * /api/admin/returns/{id}/reject:
+ *   put:
+ *     summary: Reject a requested return
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return rejected
+ *       404:
+ *         description: Return not found
+ *       409:
+ *         description: Return is not in Requested status
+ */
+// PUT /admin/returns/:id/approve|reject - Review a return
+router.put("/returns/:id/:decision(approve|reject)", async (req, res) => {
   try {
-    // Clean sizes data - remove _id fields if present
-    if (req.body.sizes) {
-      req.body.sizes = req.body.sizes.map(({ size, stock }) => ({
-        size,
-        stock: Number(stock) || 0,
-      }));
-    }
-
-    const product = await Product.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
+    const ret = await reviewReturn({
+      returnId: req.params.id,
+      decision: req.params.decision,
+      reviewedBy: req.user._id,
+      note: req.body.note,
     });
 
-    if (!product) {
-      return res.status(404).json({ error: "Product not found" });
-    }
-
-    res.json(product);
+    res.json(ret);
   } catch (err) {
-    console.error("Update product error:", err);
-    console.error("Error details:", err.message);
-    if (err.name === "ValidationError") {
-      return res
-        .status(400)
-        .json({ error: "Validation error: " + err.message });
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
     }
-    res.status(500).json({ error: "Failed to update product" });
+    console.error("Review return error:", err);
+    res.status(500).json({ error: "Failed to review return" });
   }
 });
 
 /**
  * @swagger
- * /api/admin/products/{id}:
- *   delete:
- *     summary: Delete product
+ * /api/admin/returns/{id}/receive:
+ *   put:
+ *     summary: Mark an approved return as received
+ *     description: Restocks the returned sizes and refunds the returned amount on the order.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -267,31 +427,146 @@ router.put("/products/:id", async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Product deleted
+ *         description: Return received and refunded
+ *       404:
+ *         description: Return not found
+ *       409:
+ *         description: Return is not approved
  */
-// DELETE /admin/products/:id - Delete product
-router.delete("/products/:id", async (req, res) => {
+// PUT /admin/returns/:id/receive - Receive returned items
+router.put("/returns/:id/receive", async (req, res) => {
   try {
-    const product = await Product.findByIdAndDelete(req.params.id);
+    const ret = await receiveReturn({
+      returnId: req.params.id,
+      note: req.body.note,
+      receivedBy: req.user._id,
+    });
 
-    if (!product) {
-      return res.status(404).json({ error: "Product not found" });
+    res.json(ret);
+  } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
     }
+    console.error("Receive return error:", err);
+    res.status(500).json({ error: "Failed to receive return" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/coupons:
+ *   get:
+ *     summary: Get all coupons with redemption counts
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of coupons
+ */
+// GET /admin/coupons - Get all coupons
+router.get("/coupons", async (req, res) => {
+  try {
+    const coupons = await Coupon.find({}).sort({ createdAt: -1 }).lean();
 
-    res.json({ message: "Product deleted successfully" });
+    res.json(
+      coupons.map((coupon) => ({
+        ...coupon,
+        redemptions: coupon.usedCount,
+        remaining: coupon.usageLimit
+          ? Math.max(coupon.usageLimit - coupon.usedCount, 0)
+          : null,
+      }))
+    );
   } catch (err) {
-    console.error("Delete product error:", err);
-    res.status(500).json({ error: "Failed to delete product" });
+    console.error("Fetch coupons error:", err);
+    res.status(500).json({ error: "Failed to fetch coupons" });
   }
 });
 
 /**
  * @swagger
- * /api/admin/products/{id}/stock:
+ * /api/admin/coupons:
+ *   post:
+ *     summary: Create a coupon
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "SUMMER20"
+ *               description:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [percentage, fixed, free_shipping]
+ *               value:
+ *                 type: number
+ *                 description: Percent off or fixed amount off
+ *               categories:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               products:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               minOrderValue:
+ *                 type: number
+ *               usageLimit:
+ *                 type: number
+ *               perUserLimit:
+ *                 type: number
+ *               validFrom:
+ *                 type: string
+ *                 format: date-time
+ *               validUntil:
+ *                 type: string
+ *                 format: date-time
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Coupon created
+ *       400:
+ *         description: Validation error or duplicate code
+ */
+// POST /admin/coupons - Create coupon
+router.post("/coupons", validate(couponSchemas.create), async (req, res) => {
+  try {
+    const coupon = await Coupon.create(req.body);
+    res.status(201).json(coupon);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(400).json({ error: "Coupon code already exists" });
+    }
+    console.error("Create coupon error:", err);
+    res.status(500).json({ error: "Failed to create coupon" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/coupons/{id}:
  *   put:
- *     summary: Update product stock
+ *     summary: Update a coupon
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -308,39 +583,1452 @@ router.delete("/products/:id", async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               size:
+ *               code:
  *                 type: string
- *               stock:
+ *                 example: "SUMMER20"
+ *               description:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [percentage, fixed, free_shipping]
+ *               value:
+ *                 type: number
+ *                 description: Percent off or fixed amount off
+ *               categories:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               products:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               minOrderValue:
+ *                 type: number
+ *               usageLimit:
+ *                 type: number
+ *               perUserLimit:
  *                 type: number
+ *               validFrom:
+ *                 type: string
+ *                 format: date-time
+ *               validUntil:
+ *                 type: string
+ *                 format: date-time
+ *               isActive:
+ *                 type: boolean
  *     responses:
  *       200:
- *         description: Stock updated
+ *         description: Coupon updated
+ *       404:
+ *         description: Coupon not found
  */
-// PUT /admin/products/:id/stock - Update product stock
-router.put("/products/:id/stock", async (req, res) => {
+// PUT /admin/coupons/:id - Update coupon
+router.put("/coupons/:id", validate(couponSchemas.update), async (req, res) => {
   try {
-    const { size, stock } = req.body;
-    const product = await Product.findById(req.params.id);
+    const coupon = await Coupon.findByIdAndUpdate(req.params.id, req.body, {
+      new: true,
+      runValidators: true,
+    });
 
-    if (!product) {
-      return res.status(404).json({ error: "Product not found" });
+    if (!coupon) {
+      return res.status(404).json({ error: "Coupon not found" });
     }
 
-    const sizeIndex = product.sizes.findIndex((s) => s.size === size);
-    if (sizeIndex === -1) {
-      return res.status(404).json({ error: "Size not found" });
+    res.json(coupon);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(400).json({ error: "Coupon code already exists" });
     }
+    console.error("Update coupon error:", err);
+    res.status(500).json({ error: "Failed to update coupon" });
+  }
+});
 
-    product.sizes[sizeIndex].stock = stock;
-    await product.save();
+/**
+ * @swagger
+ * /api/admin/coupons/{id}:
+ *   delete:
+ *     summary: Delete a coupon
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon deleted
+ *       404:
+ *         description: Coupon not found
+ */
+// DELETE /admin/coupons/:id - Delete coupon
+router.delete("/coupons/:id", async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
 
-    res.json(product);
+    if (!coupon) {
+      return res.status(404).json({ error: "Coupon not found" });
+    }
+
+    res.json({ message: "Coupon deleted successfully" });
+  } catch (err) {
+    console.error("Delete coupon error:", err);
+    res.status(500).json({ error: "Failed to delete coupon" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/reviews:
+ *   get:
+ *     summary: Get reviews for moderation
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of reviews, newest first
+ */
+// GET /admin/reviews - Get reviews for moderation
+router.get("/reviews", async (req, res) => {
+  try {
+    const filter = {};
+    if (Review.STATUSES.includes(req.query.status)) {
+      filter.status = req.query.status;
+    }
+    if (req.query.productId) filter.productId = req.query.productId;
+
+    const reviews = await Review.find(filter)
+      .populate("userId", "name email")
+      .populate("productId", "name")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json(reviews);
   } catch (err) {
-    console.error("Update stock error:", err);
-    res.status(500).json({ error: "Failed to update stock" });
+    console.error("Fetch reviews error:", err);
+    res.status(500).json({ error: "Failed to fetch reviews" });
   }
 });
 
+/**
+ * @swagger
+ * /api/admin/reviews/{id}/approve:
+ *   put:
+ *     summary: Approve a review, showing it and counting it in the product rating
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review approved
+ *       404:
+ *         description: Review not found
+ */
+/**
+ * @swagger
+ * /api/admin/reviews/{id}/reject:
+ *   put:
+ *     summary: Reject a review, hiding it and removing it from the product rating
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review rejected
+ *       404:
+ *         description: Review not found
+ */
+// PUT /admin/reviews/:id/approve|reject - Moderate a review
+router.put(
+  "/reviews/:id/:decision(approve|reject)",
+  validate(reviewSchemas.moderate),
+  async (req, res) => {
+    try {
+      const review = await moderateReview({
+        reviewId: req.params.id,
+        decision: req.params.decision,
+        moderatedBy: req.user._id,
+        note: req.body.note,
+      });
+
+      res.json(review);
+    } catch (err) {
+      if (err.isOperational) {
+        return res.status(err.statusCode).json({ error: err.message });
+      }
+      console.error("Moderate review error:", err);
+      res.status(500).json({ error: "Failed to moderate review" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/search/zero-results:
+ *   get:
+ *     summary: Get search queries that found no products
+ *     description: Queries run without filters that returned nothing, with how often they were searched. Useful for spotting missing products or wording customers use.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [count, recent]
+ *           default: count
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Zero-result queries
+ */
+// GET /admin/search/zero-results - Get searches that found nothing
+router.get("/search/zero-results", async (req, res) => {
+  try {
+    const sort =
+      req.query.sort === "recent"
+        ? { lastSearchedAt: -1 }
+        : { count: -1, lastSearchedAt: -1 };
+    const limit = Math.min(
+      parseInt(req.query.limit) || config.DEFAULT_PAGE_SIZE,
+      config.MAX_PAGE_SIZE
+    );
+
+    const searches = await ZeroResultSearch.find()
+      .sort(sort)
+      .limit(limit)
+      .lean();
+
+    res.json(searches);
+  } catch (err) {
+    console.error("Fetch zero-result searches error:", err);
+    res.status(500).json({ error: "Failed to fetch zero-result searches" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/search/zero-results/{id}:
+ *   delete:
+ *     summary: Dismiss a zero-result search query
+ *     description: Removes the query from the list, e.g. once a matching product was added. It is recorded again if it still finds nothing.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Query dismissed
+ *       404:
+ *         description: Query not found
+ */
+// DELETE /admin/search/zero-results/:id - Dismiss a zero-result search
+router.delete("/search/zero-results/:id", async (req, res) => {
+  try {
+    const search = await ZeroResultSearch.findByIdAndDelete(req.params.id);
+
+    if (!search) {
+      return res.status(404).json({ error: "Search query not found" });
+    }
+
+    res.json({ message: "Search query dismissed" });
+  } catch (err) {
+    console.error("Dismiss zero-result search error:", err);
+    res.status(500).json({ error: "Failed to dismiss search query" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/categories:
+ *   get:
+ *     summary: Get all categories with product counts
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Flat list of categories in sort order
+ */
+// GET /admin/categories - Get all categories
+router.get("/categories", async (req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find({}).sort({ sortOrder: 1, name: 1 }).lean(),
+      Product.aggregate([{ $group: { _id: "$category", count: { $sum: 1 } } }]),
+    ]);
+    const countBySlug = new Map(counts.map((c) => [c._id, c.count]));
+
+    res.json(
+      categories.map((category) => ({
+        ...category,
+        productCount: countBySlug.get(category.slug) || 0,
+      }))
+    );
+  } catch (err) {
+    console.error("Fetch categories error:", err);
+    res.status(500).json({ error: "Failed to fetch categories" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/categories:
+ *   post:
+ *     summary: Create a category
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Retro Anime"
+ *               slug:
+ *                 type: string
+ *                 description: Derived from the name if not given
+ *                 example: "retro-anime"
+ *               description:
+ *                 type: string
+ *               imageUrl:
+ *                 type: string
+ *               parent:
+ *                 type: string
+ *                 description: Parent category ID, or null for a top-level category
+ *               sortOrder:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: Category created
+ *       400:
+ *         description: Validation error, unknown parent or slug already exists
+ */
+// POST /admin/categories - Create category
+router.post(
+  "/categories",
+  validate(categorySchemas.create),
+  async (req, res) => {
+    try {
+      const category = await createCategory(req.body);
+      res.status(201).json(category);
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(400).json({ error: "Category slug already exists" });
+      }
+      if (err.isOperational) {
+        return res.status(err.statusCode).json({ error: err.message });
+      }
+      console.error("Create category error:", err);
+      res.status(500).json({ error: "Failed to create category" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/categories/{id}:
+ *   put:
+ *     summary: Update a category
+ *     description: Changing the slug moves its products and coupon scopes to the new slug. A category can't be moved under itself or its subcategories.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               imageUrl:
+ *                 type: string
+ *               parent:
+ *                 type: string
+ *               sortOrder:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Category updated
+ *       400:
+ *         description: Validation error, invalid parent or slug already exists
+ *       404:
+ *         description: Category not found
+ */
+// PUT /admin/categories/:id - Update category
+router.put(
+  "/categories/:id",
+  validate(categorySchemas.update),
+  async (req, res) => {
+    try {
+      const category = await updateCategory(req.params.id, req.body);
+      res.json(category);
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(400).json({ error: "Category slug already exists" });
+      }
+      if (err.isOperational) {
+        return res.status(err.statusCode).json({ error: err.message });
+      }
+      console.error("Update category error:", err);
+      res.status(500).json({ error: "Failed to update category" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/categories/{id}:
+ *   delete:
+ *     summary: Delete a category
+ *     description: Only categories without subcategories or products can be deleted.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category deleted
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: Category still has subcategories or products
+ */
+// DELETE /admin/categories/:id - Delete category
+router.delete("/categories/:id", async (req, res) => {
+  try {
+    await deleteCategory(req.params.id);
+    res.json({ message: "Category deleted successfully" });
+  } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error("Delete category error:", err);
+    res.status(500).json({ error: "Failed to delete category" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/products:
+ *   get:
+ *     summary: Get products in any status
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, scheduled, published, hidden]
+ *     responses:
+ *       200:
+ *         description: Products that aren't archived, most recently updated first
+ *       400:
+ *         description: Invalid status
+ */
+// GET /admin/products - Get products, including unpublished ones
+router.get("/products", async (req, res) => {
+  try {
+    const filter = { archivedAt: null };
+    if (req.query.status) {
+      if (!Product.STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+          error: `Status must be one of: ${Product.STATUSES.join(", ")}`,
+        });
+      }
+      filter.status = req.query.status;
+    }
+
+    const products = await Product.find(filter).sort({ updatedAt: -1 });
+
+    res.json(products);
+  } catch (err) {
+    console.error("Fetch products error:", err);
+    res.status(500).json({ error: "Failed to fetch products" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/products/{id}/preview:
+ *   get:
+ *     summary: Preview a product as the storefront would show it
+ *     description: Works in any status, including drafts, scheduled and archived products. `isLive` tells whether customers can see it now.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID or slug
+ *     responses:
+ *       200:
+ *         description: Product details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       404:
+ *         description: Product not found
+ */
+// GET /admin/products/:id/preview - Preview a product in any status
+router.get("/products/:id/preview", async (req, res) => {
+  try {
+    const { product } = await Product.findBySlugOrId(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+
+    res.json(product);
+  } catch (err) {
+    console.error("Preview product error:", err);
+    res.status(500).json({ error: "Failed to fetch product" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/products/import:
+ *   post:
+ *     summary: Create or update products in bulk from CSV or JSON
+ *     description: |
+ *       Products are matched by slug (or the slug of their name): existing ones are updated,
+ *       with their variants and stock replaced by the imported ones, and new ones created
+ *       (as drafts unless a `status` is given). Each product is checked like
+ *       POST /api/admin/products; products with errors are skipped and reported by row.
+ *
+ *       CSV files have one row per variant with the columns slug, name, description,
+ *       category, price, status, publishAt, customizable, weightKg, imageUrl,
+ *       lowStockThreshold, sku, size, color, fit, stock, variantPrice, variantImages
+ *       (space-separated URLs) and variantLowStockThreshold. Rows with the same slug
+ *       belong to one product. JSON files (or a JSON request body)
+ *       hold an array of products shaped like POST /api/admin/products. Exports use the
+ *       same formats.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Check everything and report what would change without saving
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *         description: File format (defaults to the file extension)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *     responses:
+ *       200:
+ *         description: Import report with a result per product and errors by row
+ *       400:
+ *         description: Unreadable file or unknown CSV columns
+ */
+// POST /admin/products/import - Import products from CSV or JSON
+router.post("/products/import", uploadProductFile, async (req, res) => {
+  try {
+    const entries =
+      !req.file && Array.isArray(req.body)
+        ? entriesFromJson(req.body)
+        : parseProductFile(req.file, req.query.format);
+
+    const report = await importProducts(entries, {
+      dryRun: req.query.dryRun === "true",
+      createdBy: req.user._id,
+    });
+
+    res.json(report);
+  } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error("Import products error:", err);
+    res.status(500).json({ error: "Failed to import products" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/products/export:
+ *   get:
+ *     summary: Export the catalogue as CSV or JSON
+ *     description: Products in any status, in the format accepted by the import. Archived products are left out unless `includeArchived=true`.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Catalogue file download
+ *       400:
+ *         description: Invalid format
+ */
+// GET /admin/products/export - Export products as CSV or JSON
+router.get("/products/export", async (req, res) => {
+  try {
+    const format = req.query.format || "csv";
+    const body = await exportProducts(format, {
+      includeArchived: req.query.includeArchived === "true",
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.attachment(`products-${date}.${format}`).type(format).send(body);
+  } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error("Export products error:", err);
+    res.status(500).json({ error: "Failed to export products" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/products/archived:
+ *   get:
+ *     summary: Get archived products
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Archived products, most recently archived first
+ */
+// GET /admin/products/archived - Get archived products
+router.get("/products/archived", async (req, res) => {
+  try {
+    const products = await Product.find({ archivedAt: { $ne: null } })
+      .sort({ archivedAt: -1 })
+      .lean();
+
+    res.json(products);
+  } catch (err) {
+    console.error("Fetch archived products error:", err);
+    res.status(500).json({ error: "Failed to fetch archived products" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/products:
+ *   post:
+ *     summary: Create a new product
+ *     description: New products are drafts, hidden from the storefront, unless a `status` is given. Use `published` to go live now, or `scheduled` with a `publishAt` time.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Product created
+ */
+// POST /admin/products - Create new product
+router.post("/products", async (req, res) => {
+  try {
+    const product = new Product(req.body);
+    product.$locals.stockChange = { createdBy: req.user._id };
+    await product.save();
+    res.status(201).json(product);
+  } catch (err) {
+    console.error("Create product error:", err);
+    if (err.code === 11000) {
+      return res.status(400).json({ error: "Product slug already exists" });
+    }
+    if (err.name === "ValidationError") {
+      return res
+        .status(400)
+        .json({ error: "Validation error: " + err.message });
+    }
+    res.status(500).json({ error: "Failed to create product" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/products/{id}:
+ *   put:
+ *     summary: Update product
+ *     description: Renaming a product regenerates its slug unless a new `slug` is given; old slugs keep redirecting.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product updated
+ */
+// PUT /admin/products/:id - Update product
+router.put("/products/:id", async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+
+    // Saved as a document so new variants get their SKUs generated; variants
+    // sent with their _id keep it, so carts pointing at them stay valid
+    product.set(req.body);
+    product.$locals.stockChange = { createdBy: req.user._id };
+    await product.save();
+
+    res.json(product);
+  } catch (err) {
+    console.error("Update product error:", err);
+    console.error("Error details:", err.message);
+    if (err.code === 11000) {
+      return res.status(400).json({ error: "Product slug already exists" });
+    }
+    if (err.name === "ValidationError") {
+      return res
+        .status(400)
+        .json({ error: "Validation error: " + err.message });
+    }
+    res.status(500).json({ error: "Failed to update product" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/products/{id}:
+ *   delete:
+ *     summary: Delete product
+ *     description: The product is archived rather than deleted, so orders keep resolving it. It disappears from the storefront, carts and wishlists; its images are kept.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product archived
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: Product is already archived
+ */
+// DELETE /admin/products/:id - Archive product
+router.delete("/products/:id", async (req, res) => {
+  try {
+    await archiveProduct(req.params.id);
+
+    res.json({ message: "Product archived successfully" });
+  } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error("Delete product error:", err);
+    res.status(500).json({ error: "Failed to delete product" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/products/{id}/restore:
+ *   post:
+ *     summary: Restore an archived product
+ *     description: Puts the product back on the storefront. It is not added back to the carts and wishlists it was removed from.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product restored
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: Product is not archived
+ */
+// POST /admin/products/:id/restore - Restore an archived product
+router.post("/products/:id/restore", async (req, res) => {
+  try {
+    const product = await restoreProduct(req.params.id);
+
+    res.json(product);
+  } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error("Restore product error:", err);
+    res.status(500).json({ error: "Failed to restore product" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/products/{id}/images:
+ *   post:
+ *     summary: Upload product images
+ *     description: |
+ *       Adds JPEG, PNG or WebP images after the product's existing ones, in upload order.
+ *       Each image is stored with a medium (800px) and thumbnail (200px) WebP copy.
+ *       The first image also becomes the product's `imageUrl`.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Images added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: No images, a file that isn't an allowed image, a file over MAX_FILE_SIZE, or too many images
+ *       404:
+ *         description: Product not found
+ */
+// POST /admin/products/:id/images - Upload product images
+router.post("/products/:id/images", uploadProductImages, async (req, res) => {
+  try {
+    const product = await addProductImages(req.params.id, req.files);
+    res.status(201).json(product);
+  } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error("Upload product images error:", err);
+    res.status(500).json({ error: "Failed to upload images" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/products/{id}/images/order:
+ *   put:
+ *     summary: Reorder product images
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - imageIds
+ *             properties:
+ *               imageIds:
+ *                 type: array
+ *                 description: Every image ID of the product, in the new order
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Images reordered
+ *       400:
+ *         description: The IDs don't match the product's images
+ *       404:
+ *         description: Product not found
+ */
+// PUT /admin/products/:id/images/order - Reorder product images
+router.put(
+  "/products/:id/images/order",
+  validate(productSchemas.reorderImages),
+  async (req, res) => {
+    try {
+      const product = await reorderProductImages(
+        req.params.id,
+        req.body.imageIds
+      );
+      res.json(product);
+    } catch (err) {
+      if (err.isOperational) {
+        return res.status(err.statusCode).json({ error: err.message });
+      }
+      console.error("Reorder product images error:", err);
+      res.status(500).json({ error: "Failed to reorder images" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/products/{id}/images/{imageId}:
+ *   delete:
+ *     summary: Delete a product image
+ *     description: Removes the image and its files.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Image deleted
+ *       404:
+ *         description: Product or image not found
+ */
+// DELETE /admin/products/:id/images/:imageId - Delete a product image
+router.delete("/products/:id/images/:imageId", async (req, res) => {
+  try {
+    const product = await removeProductImage(req.params.id, req.params.imageId);
+    res.json(product);
+  } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error("Delete product image error:", err);
+    res.status(500).json({ error: "Failed to delete image" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/products/{id}/stock:
+ *   put:
+ *     summary: Update product stock
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - stock
+ *             properties:
+ *               variantId:
+ *                 type: string
+ *               sku:
+ *                 type: string
+ *                 description: Alternative to variantId
+ *               stock:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Stock updated
+ *       404:
+ *         description: Product or variant not found
+ */
+// PUT /admin/products/:id/stock - Update stock of one variant
+router.put(
+  "/products/:id/stock",
+  validate(productSchemas.updateStock),
+  async (req, res) => {
+    try {
+      const { variantId, sku, stock, note } = req.body;
+      const product = await setVariantStock({
+        productId: req.params.id,
+        variantId,
+        sku,
+        stock,
+        note,
+        createdBy: req.user._id,
+      });
+
+      res.json(product);
+    } catch (err) {
+      if (err.isOperational) {
+        return res.status(err.statusCode).json({ error: err.message });
+      }
+      console.error("Update stock error:", err);
+      res.status(500).json({ error: "Failed to update stock" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/products/{id}/inventory:
+ *   get:
+ *     summary: Get the stock movement history of a product
+ *     description: Every change to the product's stock, newest first, with the current stock of each variant.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: variantId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [restock, sale, cancellation, return, correction, damaged]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Current stock (and how much of it is held for carts) and a page of movements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 variants:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 page:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 movements:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InventoryMovement'
+ *       400:
+ *         description: Invalid reason
+ *       404:
+ *         description: Product not found
+ */
+// GET /admin/products/:id/inventory - Stock movement history of a product
+router.get("/products/:id/inventory", async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+    const product = await Product.findById(req.params.id).select(
+      "name slug variants"
+    );
+    if (!product) return res.status(404).json({ error: "Product not found" });
+
+    const filter = { productId: product._id };
+    if (req.query.reason) {
+      if (!InventoryMovement.REASONS.includes(req.query.reason)) {
+        return res.status(400).json({
+          error: `Reason must be one of: ${InventoryMovement.REASONS.join(
+            ", "
+          )}`,
+        });
+      }
+      filter.reason = req.query.reason;
+    }
+    if (req.query.variantId) {
+      if (!req.query.variantId.match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({ error: "Invalid variantId" });
+      }
+      filter.variantId = req.query.variantId;
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(
+      parseInt(req.query.limit) || config.DEFAULT_PAGE_SIZE,
+      config.MAX_PAGE_SIZE
+    );
+
+    const [movements, total] = await Promise.all([
+      InventoryMovement.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("createdBy", "name email")
+        .lean(),
+      InventoryMovement.countDocuments(filter),
+    ]);
+
+    res.json({
+      productId: product._id,
+      name: product.name,
+      slug: product.slug,
+      variants: product.variants.map((v) => ({
+        variantId: v._id,
+        sku: v.sku,
+        size: v.size,
+        color: v.color,
+        fit: v.fit,
+        stock: v.stock,
+        reserved: v.reserved,
+      })),
+      page,
+      total,
+      movements,
+    });
+  } catch (err) {
+    console.error("Fetch inventory history error:", err);
+    res.status(500).json({ error: "Failed to fetch inventory history" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/products/{id}/stock-thresholds:
+ *   put:
+ *     summary: Set low-stock thresholds of a product and its sizes
+ *     description: Admins are emailed when a variant's stock falls to its threshold. A variant's own threshold wins over the product's, which wins over LOW_STOCK_THRESHOLD; set a threshold to null to fall back again.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               lowStockThreshold:
+ *                 type: integer
+ *                 nullable: true
+ *               variants:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - lowStockThreshold
+ *                   properties:
+ *                     variantId:
+ *                       type: string
+ *                     sku:
+ *                       type: string
+ *                     size:
+ *                       type: string
+ *                       enum: [Small, Medium, Large, Extra Large]
+ *                     color:
+ *                       type: string
+ *                     fit:
+ *                       type: string
+ *                       enum: [regular, slim, oversized]
+ *                     lowStockThreshold:
+ *                       type: integer
+ *                       nullable: true
+ *     responses:
+ *       200:
+ *         description: Thresholds updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Product or variant not found
+ */
+// PUT /admin/products/:id/stock-thresholds - Set low-stock thresholds
+router.put(
+  "/products/:id/stock-thresholds",
+  validate(inventorySchemas.thresholds),
+  async (req, res) => {
+    try {
+      const product = await setStockThresholds({
+        productId: req.params.id,
+        lowStockThreshold: req.body.lowStockThreshold,
+        variants: req.body.variants,
+      });
+
+      res.json(product);
+    } catch (err) {
+      if (err.isOperational) {
+        return res.status(err.statusCode).json({ error: err.message });
+      }
+      console.error("Update stock thresholds error:", err);
+      res.status(500).json({ error: "Failed to update stock thresholds" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/inventory/low-stock:
+ *   get:
+ *     summary: Get products with sizes at or below their low-stock threshold
+ *     description: Drafts and archived products are left out. Products with the lowest stock come first.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Products with their low variants, each with its stock, threshold and when admins were alerted
+ */
+// GET /admin/inventory/low-stock - Products running low
+router.get("/inventory/low-stock", async (req, res) => {
+  try {
+    const products = await findLowStock();
+    res.json(products);
+  } catch (err) {
+    console.error("Fetch low stock error:", err);
+    res.status(500).json({ error: "Failed to fetch low stock" });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/inventory/adjustments:
+ *   post:
+ *     summary: Adjust the stock of many variants at once
+ *     description: |
+ *       Adds each quantity to the stock of a product variant, e.g. after a delivery or a
+ *       stock count, and records it in the inventory ledger. Restocks must add stock and
+ *       damaged stock must take it away; corrections can do either. Adjustments are
+ *       applied all together or not at all.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - adjustments
+ *             properties:
+ *               adjustments:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - productId
+ *                     - quantity
+ *                     - reason
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     variantId:
+ *                       type: string
+ *                     sku:
+ *                       type: string
+ *                     size:
+ *                       type: string
+ *                       enum: [Small, Medium, Large, Extra Large]
+ *                     color:
+ *                       type: string
+ *                     fit:
+ *                       type: string
+ *                       enum: [regular, slim, oversized]
+ *                     quantity:
+ *                       type: integer
+ *                       description: Added to the stock; negative to take stock away
+ *                       example: 24
+ *                     reason:
+ *                       type: string
+ *                       enum: [restock, correction, damaged]
+ *                     note:
+ *                       type: string
+ *               note:
+ *                 type: string
+ *                 description: Used for adjustments without a note of their own
+ *     responses:
+ *       201:
+ *         description: Stock adjusted; the recorded movements
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Some adjustments could not be applied (nothing was changed)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 lines:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       line:
+ *                         type: integer
+ *                       productId:
+ *                         type: string
+ *                       message:
+ *                         type: string
+ *                         example: Not enough stock to remove
+ */
+// POST /admin/inventory/adjustments - Adjust stock of many variants
+router.post(
+  "/inventory/adjustments",
+  validate(inventorySchemas.adjust),
+  async (req, res) => {
+    try {
+      const movements = await adjustStock({
+        adjustments: req.body.adjustments,
+        note: req.body.note,
+        createdBy: req.user._id,
+      });
+
+      res.status(201).json({ count: movements.length, movements });
+    } catch (err) {
+      if (err.lines) {
+        return res.status(409).json({ error: err.message, lines: err.lines });
+      }
+      if (err.isOperational) {
+        return res.status(err.statusCode).json({ error: err.message });
+      }
+      console.error("Adjust stock error:", err);
+      res.status(500).json({ error: "Failed to adjust stock" });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/admin/users:
@@ -5,6 +5,7 @@ const Product = require("../models/Product");
 const User = require("../models/User");
 const auth = require("../middleware/auth");
 const admin = require("../middleware/admin");
+const { findLowStock } = require("../services/stockAlertService");
 
 /**
  * @swagger
@@ -48,6 +49,11 @@ const admin = require("../middleware/admin");
  *                   type: number
  *                 averageOrderValue:
  *                   type: number
+ *                 totalRefunds:
+ *                   type: number
+ *                 netRevenue:
+ *                   type: number
+ *                   description: Total sales minus refunds
  *                 salesByStatus:
  *                   type: object
  *                 dailySales:
@@ -108,6 +114,13 @@ router.get("/sales", auth, admin, async (req, res) => {
     );
     const averageOrderValue = totalOrders > 0 ? totalSales / totalOrders : 0;
 
+    // Refunds (e.g. returned items) on those orders
+    const totalRefunds = orders.reduce(
+      (sum, order) => sum + (order.refundedAmount || 0),
+      0
+    );
+    const netRevenue = totalSales - totalRefunds;
+
     // Sales by status
     const salesByStatus = orders.reduce((acc, order) => {
       acc[order.status] = (acc[order.status] || 0) + order.totalAmount;
@@ -125,6 +138,8 @@ router.get("/sales", auth, admin, async (req, res) => {
       totalSales: Math.round(totalSales * 100) / 100,
       totalOrders,
       averageOrderValue: Math.round(averageOrderValue * 100) / 100,
+      totalRefunds: Math.round(totalRefunds * 100) / 100,
+      netRevenue: Math.round(netRevenue * 100) / 100,
       salesByStatus,
       dailySales: Object.entries(dailySales).map(([date, amount]) => ({
         date,
@@ -183,9 +198,7 @@ router.get("/products/top-selling", auth, admin, async (req, res) => {
           _id: "$products.productId",
           totalQuantitySold: { $sum: "$products.quantity" },
           orderCount: { $sum: 1 },
-          totalRevenue: {
-            $sum: { $multiply: ["$products.quantity", "$totalAmount"] },
-          },
+          totalRevenue: { $sum: "$products.lineTotal" },
         },
       },
       { $sort: { totalQuantitySold: -1 } },
@@ -332,6 +345,7 @@ router.get("/customers", auth, admin, async (req, res) => {
  *                   type: number
  *                 lowStockProducts:
  *                   type: array
+ *                   description: Up to 10 products with sizes at or below their low-stock threshold, lowest stock first
  *                 recentOrders:
  *                   type: array
  */
@@ -351,10 +365,8 @@ router.get("/overview", auth, admin, async (req, res) => {
     ]);
     const totalRevenue = revenueResult[0]?.totalRevenue || 0;
 
-    // Low stock products (stock <= 5)
-    const lowStockProducts = await Product.find({ stock: { $lte: 5 } })
-      .select("name stock")
-      .limit(10);
+    // Products with sizes at or below their low-stock threshold
+    const lowStockProducts = await findLowStock({ limit: 10 });
 
     // Recent orders (last 10)
     const recentOrders = await Order.find()
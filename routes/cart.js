@@ -3,15 +3,137 @@ const router = express.Router();
 const Cart = require("../models/Cart");
 const Product = require("../models/Product");
 const auth = require("../middleware/auth");
+const { validate, cartSchemas } = require("../middleware/validation");
+const { priceLines } = require("../services/pricingService");
+const { defaultDestination } = require("../services/addressService");
+const { findUserDesign, printPrice } = require("../services/designService");
+const { isAvailable, isGone } = require("../services/productService");
+const {
+  CART_TOKEN_HEADER,
+  guestCartFilter,
+  newGuestCart,
+} = require("../services/guestCartService");
+const {
+  availableForLine,
+  holdCartStock,
+} = require("../services/reservationService");
+
+// Guests can use their cart without signing in: a cart token is returned as
+// `cartToken` when their cart is created and sent back in the X-Cart-Token
+// header. Signed-in users are identified by their login token as usual.
+const cartOwner = (req, res, next) =>
+  req.header("Authorization") ? auth(req, res, next) : next();
+
+// Query for the cart of the signed-in user or guest making the request
+const ownCart = (req) =>
+  req.user
+    ? { userId: req.user._id }
+    : guestCartFilter(req.header(CART_TOKEN_HEADER));
+
+// Cart with its price breakdown for delivery to `destination`, or to the
+// user's default saved address when no city/province is given. An attached
+// coupon is re-checked against the current items; if it no longer applies
+// the cart is priced without it and the reason returned as `couponError`.
+// Custom print lines add the price of printing their design. Lines whose
+// product was deleted or archived are dropped and returned as `removedItems`;
+// lines whose product is only off the storefront for now are kept, marked
+// `available: false` and left out of the totals.
+// The stock of the lines is held for the cart for another
+// CART_RESERVATION_MINUTES, as far as there is stock to hold.
+const cartSummary = async (cart, userId, query = {}) => {
+  const removedItems = cart.items.filter((item) => isGone(item.productId));
+  if (removedItems.length > 0) {
+    removedItems.forEach((item) => cart.items.pull(item._id));
+    await cart.save();
+  }
+
+  const { reservations, reservedUntil } = await holdCartStock(cart._id);
+
+  let destination = {};
+  if (query.city || query.province) {
+    destination = { city: query.city, province: query.province };
+  } else if (userId) {
+    destination = await defaultDestination(userId);
+  }
+
+  await cart.populate("items.designId");
+  const lines = cart.items
+    .filter((item) => isAvailable(item.productId))
+    .map((item) => {
+      const product = item.productId;
+      const design = item.designId;
+      return {
+        productId: product._id,
+        category: product.category,
+        price:
+          product.priceFor(product.variants.id(item.variantId)) +
+          (design ? printPrice(design.placements) : 0),
+        weightKg: product.weightKg,
+        quantity: item.quantity,
+      };
+    });
+
+  let pricing;
+  let couponError;
+  try {
+    ({ breakdown: pricing } = await priceLines({
+      lines,
+      destination,
+      couponCode: cart.couponCode,
+      userId,
+    }));
+  } catch (err) {
+    if (!err.isOperational) throw err;
+    couponError = err.message;
+    ({ breakdown: pricing } = await priceLines({ lines, destination, userId }));
+  }
+
+  // The token hash of a guest cart stays private
+  const { guestToken, ...fields } = cart.toObject();
+  return {
+    ...fields,
+    items: fields.items.map((item, i) => ({
+      ...item,
+      available: isAvailable(cart.items[i].productId),
+    })),
+    reservations,
+    reservedUntil,
+    totalAmount: pricing.subtotal,
+    discount: pricing.discount,
+    pricing,
+    ...(couponError && { couponError }),
+    ...(removedItems.length > 0 && {
+      removedItems: removedItems.map(({ sku, size, color, fit }) => ({
+        sku,
+        size,
+        color,
+        fit,
+      })),
+    }),
+  };
+};
 
 /**
  * @swagger
  * /api/cart:
  *   get:
  *     summary: Get user's cart
+ *     description: Viewing or changing the cart holds the stock of its lines for CART_RESERVATION_MINUTES, so other shoppers can't buy it in the meantime. Held stock is released when the cart is left idle that long or the order is placed.
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *       - cartToken: []
+ *     parameters:
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *         description: Delivery city, used to estimate shipping (defaults to the user's default saved address)
+ *       - in: query
+ *         name: province
+ *         schema:
+ *           type: string
+ *         description: Delivery province, used to estimate shipping
  *     responses:
  *       200:
  *         description: User's cart with populated product details
@@ -31,13 +153,56 @@ const auth = require("../middleware/auth");
  *                     properties:
  *                       productId:
  *                         $ref: '#/components/schemas/Product'
+ *                       designId:
+ *                         $ref: '#/components/schemas/CustomDesign'
  *                       quantity:
  *                         type: number
  *                       addedAt:
  *                         type: string
  *                         format: date-time
+ *                       available:
+ *                         type: boolean
+ *                         description: False while the product is off the storefront (draft, hidden or scheduled); such lines are left out of the totals
+ *                 reservations:
+ *                   type: array
+ *                   description: Stock held for the cart per variant; may be less than the cart quantity when stock ran short
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       productId:
+ *                         type: string
+ *                       variantId:
+ *                         type: string
+ *                       quantity:
+ *                         type: number
+ *                 reservedUntil:
+ *                   type: string
+ *                   format: date-time
+ *                   description: When the held stock is released unless the cart is used again
  *                 totalAmount:
  *                   type: number
+ *                   description: Subtotal before discounts, shipping and tax
+ *                 discount:
+ *                   type: number
+ *                 pricing:
+ *                   $ref: '#/components/schemas/PriceBreakdown'
+ *                 couponError:
+ *                   type: string
+ *                   description: Why the applied coupon no longer applies
+ *                 removedItems:
+ *                   type: array
+ *                   description: Lines just removed because their product was deleted or archived
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       sku:
+ *                         type: string
+ *                       size:
+ *                         type: string
+ *                       color:
+ *                         type: string
+ *                       fit:
+ *                         type: string
  *                 updatedAt:
  *                   type: string
  *                   format: date-time
@@ -47,25 +212,15 @@ const auth = require("../middleware/auth");
  *         description: Server error
  */
 // GET /cart - get user's cart
-router.get("/", auth, async (req, res) => {
+router.get("/", cartOwner, async (req, res) => {
   try {
-    const cart = await Cart.findOne({ userId: req.user._id }).populate(
-      "items.productId"
-    );
+    const cart = await Cart.findOne(ownCart(req)).populate("items.productId");
 
     if (!cart) {
       return res.status(404).json({ error: "Cart not found" });
     }
 
-    // Calculate total amount
-    const totalAmount = cart.items.reduce((total, item) => {
-      return total + item.productId.price * item.quantity;
-    }, 0);
-
-    res.json({
-      ...cart.toObject(),
-      totalAmount: Math.round(totalAmount * 100) / 100,
-    });
+    res.json(await cartSummary(cart, req.user?._id, req.query));
   } catch (err) {
     res.status(500).json({ error: "Failed to fetch cart." });
   }
@@ -76,9 +231,12 @@ router.get("/", auth, async (req, res) => {
  * /api/cart:
  *   post:
  *     summary: Add item to cart
+ *     description: Works for guests too; they are identified by their cart token, and a new guest cart is created when there is none.
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *       - cartToken: []
+ *       - {}
  *     requestBody:
  *       required: true
  *       content:
@@ -92,13 +250,24 @@ router.get("/", auth, async (req, res) => {
  *               productId:
  *                 type: string
  *                 description: Product ID to add
+ *               variantId:
+ *                 type: string
+ *                 description: Variant to add (or give size, plus color/fit if needed to pick one)
+ *               size:
+ *                 type: string
+ *                 enum: [Small, Medium, Large, Extra Large]
+ *               color:
+ *                 type: string
+ *               fit:
+ *                 type: string
+ *                 enum: [regular, slim, oversized]
  *               quantity:
  *                 type: number
  *                 minimum: 1
  *                 description: Quantity to add
  *     responses:
  *       200:
- *         description: Item added to cart successfully
+ *         description: Item added to cart successfully. When a guest's cart is created, the response includes its `cartToken`; send it in the X-Cart-Token header from then on.
  *       400:
  *         description: Invalid request or insufficient stock
  *       404:
@@ -107,66 +276,78 @@ router.get("/", auth, async (req, res) => {
  *         description: Server error
  */
 // POST /cart - add item to cart
-router.post("/", auth, async (req, res) => {
+router.post("/", cartOwner, validate(cartSchemas.addItem), async (req, res) => {
   try {
-    const { productId, size, quantity } = req.body;
+    const { productId, quantity } = req.body;
 
-    // Validate product exists and has sufficient stock for the size
+    // Validate product exists and has sufficient stock for the variant
     const product = await Product.findById(productId);
-    if (!product) {
+    if (!isAvailable(product)) {
       return res.status(404).json({ error: "Product not found" });
     }
 
-    // Check if size exists and has sufficient stock
-    const sizeData = product.sizes.find(s => s.size === size);
-    if (!sizeData) {
-      return res.status(400).json({ 
-        error: `Size ${size} not available for this product` 
-      });
-    }
-
-    if (sizeData.stock < quantity) {
-      return res.status(400).json({ 
-        error: `Insufficient stock for size ${size}. Available: ${sizeData.stock}` 
+    const variant = product.findVariant(req.body);
+    if (!variant) {
+      return res.status(400).json({
+        error: "Variant not available for this product",
       });
     }
 
     // Find or create cart
-    let cart = await Cart.findOne({ userId: req.user._id });
+    let cart = await Cart.findOne(ownCart(req));
+    let cartToken;
     if (!cart) {
-      cart = new Cart({ userId: req.user._id, items: [] });
+      if (req.user) cart = new Cart({ userId: req.user._id, items: [] });
+      else ({ cart, cartToken } = newGuestCart());
     }
 
-    // Check if item with same product and size already exists in cart
+    // Check if the same variant is already in the cart (custom prints of it
+    // are separate lines)
     const existingItemIndex = cart.items.findIndex(
-      (item) => item.productId.toString() === productId && item.size === size
+      (item) => variant._id.equals(item.variantId) && !item.designId
     );
 
+    // Stock held for this cart is available to it
+    const available = availableForLine(
+      cart,
+      variant,
+      cart.items[existingItemIndex]
+    );
+    if (available < quantity) {
+      return res.status(400).json({
+        error: `Insufficient stock for ${variant.sku}. Available: ${available}`,
+      });
+    }
+
     if (existingItemIndex > -1) {
       // Update quantity
       const newQuantity = cart.items[existingItemIndex].quantity + quantity;
-      if (sizeData.stock < newQuantity) {
-        return res.status(400).json({ 
-          error: `Cannot add more. Total would exceed available stock (${sizeData.stock})` 
+      if (available < newQuantity) {
+        return res.status(400).json({
+          error: `Cannot add more. Total would exceed available stock (${available})`,
         });
       }
       cart.items[existingItemIndex].quantity = newQuantity;
     } else {
       // Add new item
-      cart.items.push({ productId, size, quantity });
+      cart.items.push({
+        productId,
+        variantId: variant._id,
+        sku: variant.sku,
+        size: variant.size,
+        color: variant.color,
+        fit: variant.fit,
+        quantity,
+      });
     }
 
     await cart.save();
 
     // Populate and return updated cart
     await cart.populate("items.productId");
-    const totalAmount = cart.items.reduce((total, item) => {
-      return total + item.productId.price * item.quantity;
-    }, 0);
-
     res.json({
-      ...cart.toObject(),
-      totalAmount: Math.round(totalAmount * 100) / 100,
+      ...(await cartSummary(cart, req.user?._id, req.query)),
+      ...(cartToken && { cartToken }),
     });
   } catch (err) {
     res.status(500).json({ error: "Failed to add item to cart." });
@@ -175,15 +356,196 @@ router.post("/", auth, async (req, res) => {
 
 /**
  * @swagger
- * /api/cart/{productId}:
+ * /api/cart/apply-coupon:
+ *   post:
+ *     summary: Apply a discount code to the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "SUMMER20"
+ *     responses:
+ *       200:
+ *         description: Cart with discount and price breakdown
+ *       400:
+ *         description: Coupon invalid, expired, used up or not applicable
+ *       404:
+ *         description: Cart not found
+ */
+// POST /cart/apply-coupon - apply a coupon to the cart
+router.post(
+  "/apply-coupon",
+  auth,
+  validate(cartSchemas.applyCoupon),
+  async (req, res) => {
+    try {
+      const cart = await Cart.findOne({ userId: req.user._id }).populate(
+        "items.productId"
+      );
+      if (!cart || cart.items.length === 0) {
+        return res.status(404).json({ error: "Cart not found" });
+      }
+
+      cart.couponCode = req.body.code;
+      const summary = await cartSummary(cart, req.user._id, req.query);
+      if (summary.couponError) {
+        return res.status(400).json({ error: summary.couponError });
+      }
+
+      await cart.save();
+      res.json(summary);
+    } catch (err) {
+      res.status(500).json({ error: "Failed to apply coupon." });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/cart/coupon:
+ *   delete:
+ *     summary: Remove the discount code from the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cart without a coupon
+ *       404:
+ *         description: Cart not found
+ */
+// DELETE /cart/coupon - remove the coupon from the cart
+router.delete("/coupon", auth, async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ userId: req.user._id });
+    if (!cart) {
+      return res.status(404).json({ error: "Cart not found" });
+    }
+
+    cart.couponCode = undefined;
+    await cart.save();
+
+    await cart.populate("items.productId");
+    res.json(await cartSummary(cart, req.user._id, req.query));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to remove coupon." });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cart/designs:
+ *   post:
+ *     summary: Add a custom print design to the cart
+ *     description: The design is printed on the shirt variant it was created for. Adding a design already in the cart increases its quantity.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - designId
+ *               - quantity
+ *             properties:
+ *               designId:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *                 minimum: 1
+ *                 maximum: 100
+ *     responses:
+ *       200:
+ *         description: Design added to cart
+ *       400:
+ *         description: Validation error, insufficient stock or base shirt no longer available
+ *       404:
+ *         description: Design not found
+ */
+// POST /cart/designs - add a custom print to the cart
+router.post(
+  "/designs",
+  auth,
+  validate(cartSchemas.addDesign),
+  async (req, res) => {
+    try {
+      const design = await findUserDesign(req.body.designId, req.user._id);
+
+      const product = await Product.findById(design.productId);
+      const variant =
+        isAvailable(product) && product.variants.id(design.variantId);
+      if (!variant || !product.customizable) {
+        return res.status(400).json({
+          error: "The shirt of this design is no longer available",
+        });
+      }
+
+      let cart = await Cart.findOne({ userId: req.user._id });
+      if (!cart) {
+        cart = new Cart({ userId: req.user._id, items: [] });
+      }
+
+      let item = cart.items.find((i) => design._id.equals(i.designId));
+      const quantity = (item ? item.quantity : 0) + req.body.quantity;
+      const available = availableForLine(cart, variant, item);
+      if (available < quantity) {
+        return res.status(400).json({
+          error: `Insufficient stock for ${variant.sku}. Available: ${available}`,
+        });
+      }
+
+      if (item) {
+        item.quantity = quantity;
+      } else {
+        cart.items.push({
+          productId: product._id,
+          variantId: variant._id,
+          sku: variant.sku,
+          size: variant.size,
+          color: variant.color,
+          fit: variant.fit,
+          designId: design._id,
+          quantity,
+        });
+      }
+
+      await cart.save();
+
+      await cart.populate("items.productId");
+      res.json(await cartSummary(cart, req.user._id, req.query));
+    } catch (err) {
+      if (err.isOperational) {
+        return res.status(err.statusCode).json({ error: err.message });
+      }
+      res.status(500).json({ error: "Failed to add design to cart." });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/cart/designs/{designId}:
  *   put:
- *     summary: Update item quantity in cart
+ *     summary: Update the quantity of a custom print in the cart
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: productId
+ *         name: designId
  *         required: true
  *         schema:
  *           type: string
@@ -199,108 +561,191 @@ router.post("/", auth, async (req, res) => {
  *               quantity:
  *                 type: number
  *                 minimum: 1
+ *                 maximum: 100
  *     responses:
  *       200:
  *         description: Cart updated successfully
  *       400:
- *         description: Invalid quantity or insufficient stock
+ *         description: Insufficient stock
  *       404:
- *         description: Cart or item not found
+ *         description: Cart or design not found
  */
-// PUT /cart/:productId - update item quantity
-router.put("/:productId", auth, async (req, res) => {
-  try {
-    const { productId } = req.params;
-    const { quantity } = req.body;
+// PUT /cart/designs/:designId - update custom print quantity
+router.put(
+  "/designs/:designId",
+  auth,
+  validate(cartSchemas.updateDesignQuantity),
+  async (req, res) => {
+    try {
+      const cart = await Cart.findOne({ userId: req.user._id });
+      if (!cart) {
+        return res.status(404).json({ error: "Cart not found" });
+      }
 
-    const product = await Product.findById(productId);
-    if (!product) {
-      return res.status(404).json({ error: "Product not found" });
-    }
+      const item = cart.items.find(
+        (i) => i.designId && i.designId.toString() === req.params.designId
+      );
+      if (!item) {
+        return res.status(404).json({ error: "Design not found in cart" });
+      }
 
-    if (product.stock < quantity) {
-      return res.status(400).json({ error: "Insufficient stock" });
+      const product = await Product.findById(item.productId);
+      const variant =
+        isAvailable(product) && product.variants.id(item.variantId);
+      if (!variant) {
+        return res.status(404).json({ error: "Product not found" });
+      }
+
+      if (availableForLine(cart, variant, item) < req.body.quantity) {
+        return res.status(400).json({ error: "Insufficient stock" });
+      }
+
+      item.quantity = req.body.quantity;
+      await cart.save();
+
+      await cart.populate("items.productId");
+      res.json(await cartSummary(cart, req.user._id, req.query));
+    } catch (err) {
+      res.status(500).json({ error: "Failed to update cart." });
     }
+  }
+);
 
+/**
+ * @swagger
+ * /api/cart/designs/{designId}:
+ *   delete:
+ *     summary: Remove a custom print from the cart
+ *     description: The design itself is kept; delete it with DELETE /api/designs/{id}.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: designId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Design removed from cart
+ *       404:
+ *         description: Cart not found
+ */
+// DELETE /cart/designs/:designId - remove a custom print from the cart
+router.delete("/designs/:designId", auth, async (req, res) => {
+  try {
     const cart = await Cart.findOne({ userId: req.user._id });
     if (!cart) {
       return res.status(404).json({ error: "Cart not found" });
     }
 
-    const itemIndex = cart.items.findIndex(
-      (item) => item.productId.toString() === productId
+    cart.items = cart.items.filter(
+      (item) =>
+        !item.designId || item.designId.toString() !== req.params.designId
     );
 
-    if (itemIndex === -1) {
-      return res.status(404).json({ error: "Item not found in cart" });
-    }
-
-    cart.items[itemIndex].quantity = quantity;
     await cart.save();
-
     await cart.populate("items.productId");
-    const totalAmount = cart.items.reduce((total, item) => {
-      return total + item.productId.price * item.quantity;
-    }, 0);
 
-    res.json({
-      ...cart.toObject(),
-      totalAmount: Math.round(totalAmount * 100) / 100,
-    });
+    res.json(await cartSummary(cart, req.user._id, req.query));
   } catch (err) {
-    res.status(500).json({ error: "Failed to update cart." });
+    res.status(500).json({ error: "Failed to remove design from cart." });
   }
 });
 
 /**
  * @swagger
  * /api/cart/{productId}:
- *   delete:
- *     summary: Remove item from cart
+ *   put:
+ *     summary: Update item quantity in cart
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *       - cartToken: []
  *     parameters:
  *       - in: path
  *         name: productId
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               variantId:
+ *                 type: string
+ *                 description: Variant to update, required when the cart holds several variants of the product
+ *               quantity:
+ *                 type: number
+ *                 minimum: 1
  *     responses:
  *       200:
- *         description: Item removed from cart
+ *         description: Cart updated successfully
+ *       400:
+ *         description: Invalid quantity, ambiguous variant or insufficient stock
  *       404:
  *         description: Cart or item not found
  */
-// DELETE /cart/:productId - remove item from cart
-router.delete("/:productId", auth, async (req, res) => {
-  try {
-    const { productId } = req.params;
+// PUT /cart/:productId - update item quantity
+router.put(
+  "/:productId",
+  cartOwner,
+  validate(cartSchemas.updateQuantity),
+  async (req, res) => {
+    try {
+      const { productId } = req.params;
+      const { variantId, quantity } = req.body;
+
+      const cart = await Cart.findOne(ownCart(req));
+      if (!cart) {
+        return res.status(404).json({ error: "Cart not found" });
+      }
 
-    const cart = await Cart.findOne({ userId: req.user._id });
-    if (!cart) {
-      return res.status(404).json({ error: "Cart not found" });
-    }
+      const matches = cart.items.filter(
+        (item) =>
+          !item.designId &&
+          item.productId.toString() === productId &&
+          (!variantId || item.variantId.toString() === variantId)
+      );
 
-    cart.items = cart.items.filter(
-      (item) => item.productId.toString() !== productId
-    );
+      if (matches.length === 0) {
+        return res.status(404).json({ error: "Item not found in cart" });
+      }
+      if (matches.length > 1) {
+        return res.status(400).json({
+          error:
+            "The cart holds several variants of this product, specify variantId",
+        });
+      }
+      const [item] = matches;
 
-    await cart.save();
-    await cart.populate("items.productId");
+      const product = await Product.findById(productId);
+      const variant =
+        isAvailable(product) && product.variants.id(item.variantId);
+      if (!variant) {
+        return res.status(404).json({ error: "Product not found" });
+      }
 
-    const totalAmount = cart.items.reduce((total, item) => {
-      return total + item.productId.price * item.quantity;
-    }, 0);
+      if (availableForLine(cart, variant, item) < quantity) {
+        return res.status(400).json({ error: "Insufficient stock" });
+      }
 
-    res.json({
-      ...cart.toObject(),
-      totalAmount: Math.round(totalAmount * 100) / 100,
-    });
-  } catch (err) {
-    res.status(500).json({ error: "Failed to remove item from cart." });
+      item.quantity = quantity;
+      await cart.save();
+
+      await cart.populate("items.productId");
+      res.json(await cartSummary(cart, req.user?._id, req.query));
+    } catch (err) {
+      res.status(500).json({ error: "Failed to update cart." });
+    }
   }
-});
+);
 
 /**
  * @swagger
@@ -310,6 +755,7 @@ router.delete("/:productId", auth, async (req, res) => {
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *       - cartToken: []
  *     responses:
  *       200:
  *         description: Cart cleared successfully
@@ -317,9 +763,10 @@ router.delete("/:productId", auth, async (req, res) => {
  *         description: Cart not found
  */
 // DELETE /cart/clear - clear entire cart
-router.delete("/clear", auth, async (req, res) => {
+// Registered before /:productId, which would otherwise take "clear" for an ID
+router.delete("/clear", cartOwner, async (req, res) => {
   try {
-    const cart = await Cart.findOne({ userId: req.user._id });
+    const cart = await Cart.findOne(ownCart(req));
     if (!cart) {
       return res.status(404).json({ error: "Cart not found" });
     }
@@ -327,10 +774,67 @@ router.delete("/clear", auth, async (req, res) => {
     cart.items = [];
     await cart.save();
 
-    res.json({ message: "Cart cleared successfully", cart });
+    res.json({
+      message: "Cart cleared successfully",
+      cart: await cartSummary(cart, req.user?._id, req.query),
+    });
   } catch (err) {
     res.status(500).json({ error: "Failed to clear cart." });
   }
 });
 
+/**
+ * @swagger
+ * /api/cart/{productId}:
+ *   delete:
+ *     summary: Remove item from cart
+ *     description: Custom prints of the product stay in the cart; remove them with DELETE /api/cart/designs/{designId}.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *       - cartToken: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: variantId
+ *         schema:
+ *           type: string
+ *         description: Only remove this variant (by default every variant of the product is removed)
+ *     responses:
+ *       200:
+ *         description: Item removed from cart
+ *       404:
+ *         description: Cart or item not found
+ */
+// DELETE /cart/:productId - remove item from cart
+router.delete("/:productId", cartOwner, async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    const cart = await Cart.findOne(ownCart(req));
+    if (!cart) {
+      return res.status(404).json({ error: "Cart not found" });
+    }
+
+    const { variantId } = req.query;
+    cart.items = cart.items.filter(
+      (item) =>
+        item.designId ||
+        item.productId.toString() !== productId ||
+        (variantId && item.variantId.toString() !== variantId)
+    );
+
+    await cart.save();
+    await cart.populate("items.productId");
+
+    res.json(await cartSummary(cart, req.user?._id, req.query));
+  } catch (err) {
+    res.status(500).json({ error: "Failed to remove item from cart." });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,43 @@
+const express = require("express");
+const router = express.Router();
+const Category = require("../models/Category");
+const catchAsync = require("../utils/catchAsync");
+const { buildTree } = require("../services/categoryService");
+
+/**
+ * @swagger
+ * /api/categories:
+ *   get:
+ *     summary: Get the category tree
+ *     description: Top-level categories in sort order, each with its nested subcategories as `children`.
+ *     tags: [Categories]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Category tree
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Category'
+ */
+// GET /categories - category tree
+router.get(
+  "/",
+  catchAsync(async (req, res) => {
+    const categories = await Category.find().lean();
+
+    res.json({
+      success: true,
+      data: buildTree(categories),
+    });
+  })
+);
+
+module.exports = router;
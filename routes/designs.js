@@ -0,0 +1,336 @@
+const express = require("express");
+const router = express.Router();
+const CustomDesign = require("../models/CustomDesign");
+const auth = require("../middleware/auth");
+const { validate, designSchemas } = require("../middleware/validation");
+const { uploadArtwork } = require("../middleware/upload");
+const catchAsync = require("../utils/catchAsync");
+const AppError = require("../utils/AppError");
+const {
+  quoteDesign,
+  createDesign,
+  findUserDesign,
+  readArtwork,
+  deleteDesign,
+} = require("../services/designService");
+
+// Multipart forms send placements as a JSON string
+const parsePlacements = (req, res, next) => {
+  if (typeof req.body.placements === "string") {
+    try {
+      req.body.placements = JSON.parse(req.body.placements);
+    } catch (err) {
+      return next(new AppError("placements must be a JSON array", 400));
+    }
+  }
+  next();
+};
+
+// Send a design's artwork file; never cached by shared caches
+const sendArtwork = (preview) =>
+  catchAsync(async (req, res) => {
+    const { file, contentType } = await readArtwork(req.params.id, req.user, {
+      preview,
+    });
+
+    res.set({ "Content-Type": contentType, "Cache-Control": "private" });
+    res.send(file);
+  });
+
+/**
+ * @swagger
+ * /api/designs/quote:
+ *   post:
+ *     summary: Price a custom print before uploading artwork
+ *     description: The price is the base shirt variant's price plus, per placement, a setup fee and a rate per square centimetre of the print area.
+ *     tags: [Designs]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *               - placements
+ *             properties:
+ *               productId:
+ *                 type: string
+ *                 description: A base shirt (product marked customizable)
+ *               variantId:
+ *                 type: string
+ *               size:
+ *                 type: string
+ *                 enum: [Small, Medium, Large, Extra Large]
+ *               color:
+ *                 type: string
+ *               fit:
+ *                 type: string
+ *                 enum: [regular, slim, oversized]
+ *               placements:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/PrintPlacement'
+ *     responses:
+ *       200:
+ *         description: Base, print and unit prices
+ *       400:
+ *         description: Validation error, print too large or variant not available
+ *       404:
+ *         description: Base shirt not found
+ */
+// POST /designs/quote - price a custom print
+router.post(
+  "/quote",
+  auth,
+  validate(designSchemas.quote),
+  catchAsync(async (req, res) => {
+    const quote = await quoteDesign(req.body);
+
+    res.json({
+      success: true,
+      data: {
+        productId: quote.product._id,
+        variantId: quote.variant._id,
+        basePrice: quote.basePrice,
+        printPrice: quote.printPrice,
+        unitPrice: quote.unitPrice,
+      },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/designs:
+ *   post:
+ *     summary: Upload artwork and save a custom print design
+ *     description: Artwork must be a JPEG, PNG or WebP image of at most MAX_ARTWORK_SIZE bytes, large enough to print at MIN_DPI at the requested size. The design can then be added to the cart.
+ *     tags: [Designs]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - artwork
+ *               - productId
+ *               - placements
+ *             properties:
+ *               artwork:
+ *                 type: string
+ *                 format: binary
+ *               productId:
+ *                 type: string
+ *               variantId:
+ *                 type: string
+ *               size:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *               fit:
+ *                 type: string
+ *               placements:
+ *                 type: string
+ *                 description: JSON array of placements
+ *                 example: '[{"position":"front","widthCm":25,"heightCm":30}]'
+ *               name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Design saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CustomDesign'
+ *       400:
+ *         description: Validation error, invalid image or resolution too low
+ *       404:
+ *         description: Base shirt not found
+ */
+// POST /designs - upload artwork for a design
+router.post(
+  "/",
+  auth,
+  uploadArtwork,
+  parsePlacements,
+  validate(designSchemas.create),
+  catchAsync(async (req, res) => {
+    const design = await createDesign({
+      ...req.body,
+      userId: req.user._id,
+      file: req.file,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Design saved successfully",
+      data: design,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/designs:
+ *   get:
+ *     summary: Get user's own designs
+ *     tags: [Designs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of the user's designs, newest first
+ */
+// GET /designs - list own designs
+router.get(
+  "/",
+  auth,
+  catchAsync(async (req, res) => {
+    const designs = await CustomDesign.find({ userId: req.user._id })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: designs.length,
+      data: designs,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/designs/{id}:
+ *   get:
+ *     summary: Get one of the user's designs
+ *     tags: [Designs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Design details
+ *       404:
+ *         description: Design not found
+ */
+// GET /designs/:id - get a single design
+router.get(
+  "/:id",
+  auth,
+  catchAsync(async (req, res) => {
+    const design = await findUserDesign(req.params.id, req.user._id);
+
+    res.json({
+      success: true,
+      data: design,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/designs/{id}/artwork:
+ *   get:
+ *     summary: Download the artwork of a design
+ *     description: Artwork is private; only the design's owner and admins (for production) can download it.
+ *     tags: [Designs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The uploaded artwork file
+ *         content:
+ *           image/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Design or artwork not found
+ */
+// GET /designs/:id/artwork - download the artwork
+router.get("/:id/artwork", auth, sendArtwork(false));
+
+/**
+ * @swagger
+ * /api/designs/{id}/preview:
+ *   get:
+ *     summary: Download the preview of a design's artwork
+ *     description: WebP, at most 400px. Only the design's owner and admins can download it.
+ *     tags: [Designs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The preview image
+ *         content:
+ *           image/webp:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Design or artwork not found
+ */
+// GET /designs/:id/preview - download the artwork preview
+router.get("/:id/preview", auth, sendArtwork(true));
+
+/**
+ * @swagger
+ * /api/designs/{id}:
+ *   delete:
+ *     summary: Delete a design that was never ordered
+ *     description: Also removes the design from the cart and deletes its artwork.
+ *     tags: [Designs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Design deleted
+ *       404:
+ *         description: Design not found
+ *       409:
+ *         description: Design has been ordered
+ */
+// DELETE /designs/:id - delete a design
+router.delete(
+  "/:id",
+  auth,
+  catchAsync(async (req, res) => {
+    await deleteDesign(req.params.id, req.user._id);
+
+    res.json({
+      success: true,
+      message: "Design deleted successfully",
+    });
+  })
+);
+
+module.exports = router;
@@ -1,11 +1,41 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
+const Cart = require("../models/Cart");
 const Order = require("../models/Order");
 const Product = require("../models/Product");
 const User = require("../models/User");
 const auth = require("../middleware/auth");
 const admin = require("../middleware/admin");
-const { sendOrderConfirmation } = require("../services/emailService");
+const { validate, orderSchemas } = require("../middleware/validation");
+const {
+  sendOrderConfirmation,
+  sendOrderCancellation,
+} = require("../services/emailService");
+const {
+  placeOrder,
+  payForOrder,
+  changeOrderStatus,
+} = require("../services/orderService");
+const { resolveShippingAddress } = require("../services/addressService");
+
+// Send the order confirmation email to the customer who placed the order
+const notifyOrderPlaced = async (userId, order, orderProducts) => {
+  const user = await User.findById(userId);
+  if (!user || !user.email) return;
+
+  const orderDetails = {
+    orderId: order._id,
+    totalAmount: order.totalAmount,
+    paymentMethod: order.paymentMethod,
+    address: order.address,
+    createdAt: order.createdAt,
+    products: orderProducts,
+    pricing: order.pricing,
+  };
+
+  await sendOrderConfirmation(user.email, user.name, orderDetails);
+};
 
 /**
  * @swagger
@@ -23,7 +53,6 @@ const { sendOrderConfirmation } = require("../services/emailService");
  *             type: object
  *             required:
  *               - products
- *               - address
  *             properties:
  *               products:
  *                 type: array
@@ -33,19 +62,45 @@ const { sendOrderConfirmation } = require("../services/emailService");
  *                     productId:
  *                       type: string
  *                       description: Product ID
+ *                     variantId:
+ *                       type: string
+ *                       description: Variant to order (or give size, plus color/fit if needed to pick one)
+ *                     size:
+ *                       type: string
+ *                       enum: [Small, Medium, Large, Extra Large]
+ *                     color:
+ *                       type: string
+ *                     fit:
+ *                       type: string
+ *                       enum: [regular, slim, oversized]
  *                     quantity:
  *                       type: number
  *                       minimum: 1
  *                       description: Quantity to order
  *                 example:
  *                   - productId: "60d5f484f8c8c8b8c8c8c8c8"
+ *                     size: "Large"
  *                     quantity: 2
  *                   - productId: "60d5f484f8c8c8b8c8c8c8c9"
+ *                     size: "Small"
  *                     quantity: 1
- *               address:
+ *               addressId:
  *                 type: string
- *                 description: Delivery address
- *                 example: "123 Main St, City, State 12345"
+ *                 description: Saved address to deliver to (defaults to the user's default address)
+ *               shippingAddress:
+ *                 $ref: '#/components/schemas/Address'
+ *               paymentMethod:
+ *                 type: string
+ *                 description: Payment provider (see GET /api/payments/methods)
+ *                 default: COD
+ *                 example: "COD"
+ *               paymentDetails:
+ *                 type: object
+ *                 description: Provider-specific details, e.g. a card token
+ *               couponCode:
+ *                 type: string
+ *                 description: Discount code to apply
+ *                 example: "SUMMER20"
  *     responses:
  *       201:
  *         description: Order created successfully (confirmation email sent)
@@ -54,107 +109,208 @@ const { sendOrderConfirmation } = require("../services/emailService");
  *             schema:
  *               $ref: '#/components/schemas/Order'
  *       400:
- *         description: Product unavailable or insufficient stock
+ *         description: Invalid order request, no delivery address, unsupported payment method or coupon not applicable
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       402:
+ *         description: Payment was declined (the order is cancelled and its stock released)
+ *       409:
+ *         description: One or more lines could not be fulfilled (nothing was ordered)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 lines:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       line:
+ *                         type: number
+ *                       productId:
+ *                         type: string
+ *                       variantId:
+ *                         type: string
+ *                       size:
+ *                         type: string
+ *                       requested:
+ *                         type: number
+ *                       available:
+ *                         type: number
+ *                       reason:
+ *                         type: string
  *       401:
  *         description: Unauthorized - JWT token required
  *       500:
  *         description: Server error
  */
 // POST /orders - create order
-router.post("/", auth, async (req, res) => {
+router.post("/", auth, validate(orderSchemas.create), async (req, res) => {
   try {
-    const { products, address } = req.body;
-    let totalAmount = 0;
-    const orderProducts = [];
-
-    // Validate stock for all products and sizes
-    for (const item of products) {
-      const product = await Product.findById(item.productId);
-      
-      if (!product) {
-        return res.status(400).json({ 
-          error: `Product not found: ${item.productId}` 
-        });
-      }
+    const { products, paymentMethod, paymentDetails, couponCode } = req.body;
 
-      // Find the size in the product's sizes array
-      const sizeData = product.sizes.find(s => s.size === item.size);
-      
-      if (!sizeData) {
-        return res.status(400).json({ 
-          error: `Size ${item.size} not available for ${product.name}` 
-        });
-      }
-
-      if (sizeData.stock < item.quantity) {
-        return res.status(400).json({ 
-          error: `Insufficient stock for ${product.name} (${item.size}). Available: ${sizeData.stock}` 
-        });
-      }
-
-      totalAmount += product.price * item.quantity;
-      orderProducts.push({
-        productId: item.productId,
-        productName: product.name,
-        size: item.size,
-        quantity: item.quantity,
-        price: product.price,
-      });
-    }
+    const shippingAddress = await resolveShippingAddress(
+      req.user._id,
+      req.body
+    );
 
-    const order = new Order({
+    // Reserve stock and save the order atomically
+    const placed = await placeOrder({
       userId: req.user._id,
       products,
-      totalAmount,
-      address,
-      paymentMethod: "COD",
+      shippingAddress,
+      paymentMethod,
+      couponCode,
     });
-    await order.save();
-
-    // Reduce stock for specific sizes and increment sales count
-    for (const item of products) {
-      await Product.findOneAndUpdate(
-        { 
-          _id: item.productId,
-          "sizes.size": item.size 
-        },
-        {
-          $inc: {
-            "sizes.$.stock": -item.quantity,
-            salesCount: item.quantity,
-          },
-        }
-      );
-    }
 
-    // Get user details for email
-    const user = await User.findById(req.user._id);
-
-    // Send order confirmation email
-    if (user && user.email) {
-      const orderDetails = {
-        orderId: order._id,
-        totalAmount: totalAmount,
-        paymentMethod: "COD",
-        address: address,
-        createdAt: order.createdAt,
-        products: orderProducts,
-      };
-
-      await sendOrderConfirmation(user.email, user.name, orderDetails);
+    const order = await payForOrder(placed.order, paymentDetails, req.user._id);
+    if (order.paymentStatus === "failed") {
+      return res.status(402).json({
+        error: "Payment failed.",
+        reason: order.payment.failureReason,
+        order,
+      });
     }
 
+    await notifyOrderPlaced(req.user._id, order, placed.orderProducts);
+
     res.status(201).json(order);
   } catch (err) {
+    if (err.statusCode === 409) {
+      return res.status(409).json({ error: err.message, lines: err.lines });
+    }
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
     console.error("Order creation error:", err);
     res.status(400).json({ error: "Order creation failed." });
   }
 });
 
+/**
+ * @swagger
+ * /api/orders/checkout:
+ *   post:
+ *     summary: Place an order from the user's cart
+ *     description: Converts the authenticated user's cart into an order at current prices (plus shipping and tax), reserving stock for each size. The ordered items are removed from the cart on success.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               addressId:
+ *                 type: string
+ *                 description: Saved address to deliver to (defaults to the user's default address)
+ *               shippingAddress:
+ *                 $ref: '#/components/schemas/Address'
+ *               paymentMethod:
+ *                 type: string
+ *                 description: Payment provider (see GET /api/payments/methods)
+ *                 default: COD
+ *                 example: "COD"
+ *               paymentDetails:
+ *                 type: object
+ *                 description: Provider-specific details, e.g. a card token
+ *               couponCode:
+ *                 type: string
+ *                 description: Discount code (defaults to the coupon applied to the cart)
+ *                 example: "SUMMER20"
+ *     responses:
+ *       201:
+ *         description: Order created successfully (confirmation email sent)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Cart is empty, no delivery address, unsupported payment method or coupon not applicable
+ *       401:
+ *         description: Unauthorized - JWT token required
+ *       402:
+ *         description: Payment was declined (the order is cancelled, its stock released and its items put back in the cart)
+ *       409:
+ *         description: Some cart items are no longer available (nothing was ordered, cart unchanged)
+ *       500:
+ *         description: Server error
+ */
+// POST /orders/checkout - create order from user's cart
+router.post(
+  "/checkout",
+  auth,
+  validate(orderSchemas.checkout),
+  async (req, res) => {
+    let cart;
+    try {
+      cart = await Cart.findOne({ userId: req.user._id });
+      if (!cart || cart.items.length === 0) {
+        return res.status(400).json({ error: "Cart is empty." });
+      }
+
+      const shippingAddress = await resolveShippingAddress(
+        req.user._id,
+        req.body
+      );
+
+      const products = cart.items.map((item) => ({
+        productId: item.productId,
+        variantId: item.variantId,
+        designId: item.designId,
+        quantity: item.quantity,
+      }));
+
+      const placed = await placeOrder({
+        userId: req.user._id,
+        products,
+        shippingAddress,
+        cart,
+        paymentMethod: req.body.paymentMethod,
+        couponCode: req.body.couponCode || cart.couponCode,
+      });
+
+      const order = await payForOrder(
+        placed.order,
+        req.body.paymentDetails,
+        req.user._id,
+        cart
+      );
+      if (order.paymentStatus === "failed") {
+        return res.status(402).json({
+          error: "Payment failed.",
+          reason: order.payment.failureReason,
+          order,
+        });
+      }
+
+      await notifyOrderPlaced(req.user._id, order, placed.orderProducts);
+
+      res.status(201).json(order);
+    } catch (err) {
+      if (err.statusCode === 409) {
+        // Point each failing line back at the cart item it came from
+        const lines = err.lines.map((failure) => ({
+          ...failure,
+          cartItemId: cart.items[failure.line]._id,
+        }));
+        return res.status(409).json({ error: err.message, lines });
+      }
+      if (err.isOperational) {
+        return res.status(err.statusCode).json({ error: err.message });
+      }
+      console.error("Checkout error:", err);
+      res.status(500).json({ error: "Checkout failed." });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/orders:
@@ -221,6 +377,225 @@ router.get("/admin/orders", auth, admin, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/orders/{id}:
+ *   get:
+ *     summary: Get a single order (owner or admin)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Order details with product snapshots
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       401:
+ *         description: Unauthorized - JWT token required
+ *       403:
+ *         description: Not allowed to view this order
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Server error
+ */
+// GET /orders/:id - get a single order (owner or admin)
+router.get("/:id", auth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).populate(
+      "products.productId",
+      "name price imageUrl category slug"
+    );
+    if (!order) return res.status(404).json({ error: "Order not found." });
+
+    if (order.userId.toString() !== req.user._id && !req.user.isAdmin) {
+      return res
+        .status(403)
+        .json({ error: "You are not authorized to view this order." });
+    }
+
+    res.json(order);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch order." });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/products/{productId}:
+ *   get:
+ *     summary: Get a T-shirt of an order (owner or admin)
+ *     description: Resolves the T-shirt of an order line even when it has since been hidden or archived, so order history can link to it. Use GET /api/products/{id} for the storefront.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product details (check `isLive` to see if it can still be bought)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       401:
+ *         description: Unauthorized - JWT token required
+ *       403:
+ *         description: Not allowed to view this order
+ *       404:
+ *         description: Order not found, or the product is not on it
+ *       500:
+ *         description: Server error
+ */
+// GET /orders/:id/products/:productId - a product of an order, in any state
+router.get("/:id/products/:productId", auth, async (req, res) => {
+  try {
+    const { id, productId } = req.params;
+    const order = mongoose.isValidObjectId(id)
+      ? await Order.findById(id)
+      : null;
+    if (!order) return res.status(404).json({ error: "Order not found." });
+
+    if (order.userId.toString() !== req.user._id && !req.user.isAdmin) {
+      return res
+        .status(403)
+        .json({ error: "You are not authorized to view this order." });
+    }
+
+    const ordered = order.products.some(
+      (line) => line.productId && line.productId.toString() === productId
+    );
+    const product = ordered ? await Product.findById(productId) : null;
+    if (!product) {
+      return res.status(404).json({ error: "Product not found." });
+    }
+
+    res.json(product);
+  } catch (err) {
+    res.status(500).json({ error: "Failed to fetch product." });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel own pending order
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the order is being cancelled
+ *                 example: "Ordered the wrong size"
+ *     responses:
+ *       200:
+ *         description: Order cancelled, stock restored (cancellation email sent)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Cancellation reason missing
+ *       401:
+ *         description: Unauthorized - JWT token required
+ *       403:
+ *         description: Not allowed to cancel this order
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order is no longer pending
+ *       500:
+ *         description: Server error
+ */
+// POST /orders/:id/cancel - customer cancels own pending order
+router.post(
+  "/:id/cancel",
+  auth,
+  validate(orderSchemas.cancel),
+  async (req, res) => {
+    try {
+      const { reason } = req.body;
+
+      const existing = await Order.findById(req.params.id);
+      if (!existing) return res.status(404).json({ error: "Order not found." });
+
+      if (existing.userId.toString() !== req.user._id) {
+        return res
+          .status(403)
+          .json({ error: "You are not authorized to cancel this order." });
+      }
+
+      if (existing.status !== "Pending") {
+        return res
+          .status(409)
+          .json({ error: "Only pending orders can be cancelled." });
+      }
+
+      const order = await changeOrderStatus({
+        orderId: existing._id,
+        status: "Cancelled",
+        changedBy: req.user._id,
+        note: reason,
+      });
+
+      const user = await User.findById(req.user._id);
+      if (user && user.email) {
+        await sendOrderCancellation(user.email, user.name, {
+          orderId: order._id,
+          totalAmount: order.totalAmount,
+          cancelledAt: new Date(),
+          reason,
+          products: order.products,
+        });
+      }
+
+      res.json(order);
+    } catch (err) {
+      if (err.isOperational) {
+        return res.status(err.statusCode).json({ error: err.message });
+      }
+      console.error("Order cancellation error:", err);
+      res.status(500).json({ error: "Failed to cancel order." });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/orders/{id}/status:
@@ -247,39 +622,47 @@ router.get("/admin/orders", auth, admin, async (req, res) => {
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [Pending, Shipped, Delivered]
- *                 description: New order status
+ *                 enum: [Pending, Shipped, Delivered, Cancelled]
+ *                 description: New order status (Pending → Shipped → Delivered, or Pending → Cancelled)
  *                 example: "Shipped"
+ *               note:
+ *                 type: string
+ *                 description: Optional note stored in the status history
  *     responses:
  *       200:
- *         description: Order status updated successfully
+ *         description: Order status updated successfully (stock restored when cancelled)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Order'
  *       400:
- *         description: Failed to update order status
+ *         description: Invalid status
  *       401:
  *         description: Unauthorized - JWT token required
  *       403:
  *         description: Forbidden - Admin access required
  *       404:
  *         description: Order not found
+ *       409:
+ *         description: Transition not allowed from the current status
  *       500:
  *         description: Server error
  */
 // PUT /orders/:id/status - admin updates status
 router.put("/:id/status", auth, admin, async (req, res) => {
   try {
-    const { status } = req.body;
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true }
-    );
-    if (!order) return res.status(404).json({ error: "Order not found." });
+    const { status, note } = req.body;
+    const order = await changeOrderStatus({
+      orderId: req.params.id,
+      status,
+      changedBy: req.user._id,
+      note,
+    });
     res.json(order);
   } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
     res.status(400).json({ error: "Failed to update order status." });
   }
 });
@@ -0,0 +1,110 @@
+const express = require("express");
+const router = express.Router();
+const catchAsync = require("../utils/catchAsync");
+const {
+  listPaymentMethods,
+  handlePaymentWebhook,
+} = require("../services/payments");
+
+/**
+ * @swagger
+ * /api/payments/methods:
+ *   get:
+ *     summary: List available payment methods
+ *     tags: [Payments]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Payment methods that can be used when placing an order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                     example: "COD"
+ *                   label:
+ *                     type: string
+ *                     example: "Cash on Delivery"
+ */
+// GET /payments/methods - list enabled payment providers
+router.get("/methods", (req, res) => {
+  res.json(listPaymentMethods());
+});
+
+/**
+ * @swagger
+ * /api/payments/webhooks/{provider}:
+ *   post:
+ *     summary: Receive a signed payment webhook
+ *     description: Updates the order's payment status. The body must be signed by the provider; events that were already applied, or that don't fit the order's payment lifecycle, are acknowledged without changes.
+ *     tags: [Payments]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payment provider name
+ *         example: "card"
+ *       - in: header
+ *         name: X-Printeez-Signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Hex HMAC-SHA256 of the raw body (fake card provider)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 example: "evt_123"
+ *               type:
+ *                 type: string
+ *                 enum: [payment.authorized, payment.captured, payment.refunded, payment.failed]
+ *               data:
+ *                 type: object
+ *                 properties:
+ *                   orderId:
+ *                     type: string
+ *                   transactionId:
+ *                     type: string
+ *                   reason:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Event received
+ *       400:
+ *         description: Invalid signature or malformed event
+ *       404:
+ *         description: Unknown provider or order
+ */
+// POST /payments/webhooks/:provider - provider callbacks
+router.post(
+  "/webhooks/:provider",
+  catchAsync(async (req, res) => {
+    const { order, duplicate, ignored } = await handlePaymentWebhook(
+      req.params.provider,
+      req
+    );
+
+    res.json({
+      success: true,
+      received: true,
+      duplicate: Boolean(duplicate),
+      ignored: Boolean(ignored),
+      orderId: order._id,
+      paymentStatus: order.paymentStatus,
+    });
+  })
+);
+
+module.exports = router;
@@ -1,14 +1,26 @@
 const express = require("express");
 const router = express.Router();
 const Product = require("../models/Product");
+const Review = require("../models/Review");
 const auth = require("../middleware/auth");
 const admin = require("../middleware/admin");
+const { validate, reviewSchemas } = require("../middleware/validation");
+const config = require("../config/config");
+const { submitReview } = require("../services/reviewService");
+const {
+  findSubtree,
+  findAncestors,
+  buildTree,
+} = require("../services/categoryService");
+const { listProducts } = require("../services/catalogService");
+const { searchProducts, suggest } = require("../services/searchService");
+const { archiveProduct } = require("../services/productService");
 
 /**
  * @swagger
  * /api/products/category/{category}:
  *   get:
- *     summary: Get T-shirts by category
+ *     summary: Browse T-shirts in a category and its subcategories
  *     tags: [Products]
  *     security: []
  *     parameters:
@@ -17,37 +29,68 @@ const admin = require("../middleware/admin");
  *         required: true
  *         schema:
  *           type: string
- *           enum: [urban, typography, abstract, anime]
- *         description: Product category
+ *         description: Category slug
  *     responses:
  *       200:
- *         description: List of T-shirts in category
+ *         description: The category, its parents and subcategories, and the T-shirts in any of them
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Product'
- *       400:
- *         description: Invalid category
+ *               type: object
+ *               properties:
+ *                 category:
+ *                   $ref: '#/components/schemas/Category'
+ *                 breadcrumbs:
+ *                   type: array
+ *                   description: Parent categories from the top level down
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       slug:
+ *                         type: string
+ *                 subcategories:
+ *                   type: array
+ *                   description: Nested subcategories, each with its own children
+ *                   items:
+ *                     $ref: '#/components/schemas/Category'
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Product'
+ *       404:
+ *         description: Category not found
  *       500:
  *         description: Server error
  */
-// GET /products/category/:category - get products by category
+// GET /products/category/:category - browse a category and its subcategories
 router.get("/category/:category", async (req, res) => {
   try {
-    const validCategories = ["urban", "typography", "abstract", "anime"];
-    const category = req.params.category.toLowerCase();
-
-    if (!validCategories.includes(category)) {
-      return res.status(400).json({
-        error:
-          "Invalid category. Must be one of: urban, typography, abstract, anime",
-      });
+    const subtree = await findSubtree(req.params.category);
+    if (!subtree) {
+      return res.status(404).json({ error: "Category not found." });
     }
 
-    const products = await Product.find({ category });
-    res.json(products);
+    const { category, descendants } = subtree;
+    const slugs = [category.slug, ...descendants.map((c) => c.slug)];
+
+    const [breadcrumbs, products] = await Promise.all([
+      findAncestors(category),
+      Product.find({
+        ...Product.storefrontFilter(),
+        category: { $in: slugs },
+      }),
+    ]);
+
+    res.json({
+      category,
+      breadcrumbs,
+      subcategories: buildTree(descendants, category._id),
+      products,
+    });
   } catch (err) {
     res.status(500).json({ error: "Failed to fetch products by category." });
   }
@@ -83,7 +126,9 @@ router.get("/category/:category", async (req, res) => {
 router.get("/top-selling", async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
-    const products = await Product.find().sort({ salesCount: -1 }).limit(limit);
+    const products = await Product.find(Product.storefrontFilter())
+      .sort({ salesCount: -1 })
+      .limit(limit);
     res.json(products);
   } catch (err) {
     res.status(500).json({ error: "Failed to fetch top selling products." });
@@ -109,10 +154,10 @@ router.get("/top-selling", async (req, res) => {
  *         schema:
  *           type: number
  *           default: 30
- *         description: Number of days to consider as "new"
+ *         description: Number of days since publishing to consider as "new"
  *     responses:
  *       200:
- *         description: List of new arrival T-shirts
+ *         description: List of new arrival T-shirts, most recently published first
  *         content:
  *           application/json:
  *             schema:
@@ -131,10 +176,12 @@ router.get("/new-arrivals", async (req, res) => {
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - days);
 
-    const products = await Product.find({
-      createdAt: { $gte: cutoffDate },
-    })
-      .sort({ createdAt: -1 })
+    // New means recently published, which can be long after it was created
+    const filter = Product.storefrontFilter();
+    filter.publishAt.$gte = cutoffDate;
+
+    const products = await Product.find(filter)
+      .sort({ publishAt: -1 })
       .limit(limit);
     res.json(products);
   } catch (err) {
@@ -146,7 +193,11 @@ router.get("/new-arrivals", async (req, res) => {
  * @swagger
  * /api/products/search:
  *   get:
- *     summary: Search T-shirts by name or description
+ *     summary: Search T-shirts by name, category or description
+ *     description: |
+ *       Tolerates typos and unfinished words. Results are ranked by how well they match,
+ *       with best sellers first among similar matches. Queries that find nothing (without
+ *       filters) are recorded for admins.
  *     tags: [Products]
  *     security: []
  *     parameters:
@@ -155,8 +206,9 @@ router.get("/new-arrivals", async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *         description: Search query for product name or description
- *         example: "shirt"
+ *           maxLength: 100
+ *         description: Search text, at most 8 words
+ *         example: "anime shrt"
  *       - in: query
  *         name: minPrice
  *         schema:
@@ -171,68 +223,127 @@ router.get("/new-arrivals", async (req, res) => {
  *         name: size
  *         schema:
  *           type: string
- *         description: Size filter (Small, Large, Extra Large)
+ *         description: Sizes, comma-separated; only products with one of them in stock
+ *       - in: query
+ *         name: color
+ *         schema:
+ *           type: string
+ *         description: Only products with this colour in stock (in the requested size, if any)
  *       - in: query
  *         name: category
  *         schema:
  *           type: string
- *           enum: [urban, typography, abstract, anime]
- *         description: Category filter
+ *         description: Category slug; includes its subcategories
+ *       - in: query
+ *         name: availability
+ *         schema:
+ *           type: string
+ *           enum: [in-stock, out-of-stock]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: number
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           default: 20
  *     responses:
  *       200:
- *         description: Search results
+ *         description: Search results, best match first
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Product'
+ *               type: object
+ *               properties:
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Product'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: number
+ *                     limit:
+ *                       type: number
+ *                     total:
+ *                       type: number
+ *                     pages:
+ *                       type: number
  *       400:
- *         description: Search query required
+ *         description: Search query missing or too long, or an invalid filter
  *       500:
  *         description: Server error
  */
 // GET /products/search - search products
 router.get("/search", async (req, res) => {
   try {
-    const { q, minPrice, maxPrice, size, category } = req.query;
-
-    if (!q) {
-      return res.status(400).json({ error: "Search query (q) is required" });
-    }
-
-    // Build search criteria
-    let searchCriteria = {
-      $or: [
-        { name: { $regex: q, $options: "i" } },
-        { description: { $regex: q, $options: "i" } },
-      ],
-    };
-
-    // Add price filters
-    if (minPrice || maxPrice) {
-      searchCriteria.price = {};
-      if (minPrice) searchCriteria.price.$gte = Number(minPrice);
-      if (maxPrice) searchCriteria.price.$lte = Number(maxPrice);
-    }
-
-    // Add size filter
-    if (size) {
-      searchCriteria.size = { $regex: size, $options: "i" };
-    }
-
-    // Add category filter
-    if (category) {
-      const validCategories = ["urban", "typography", "abstract", "anime"];
-      if (validCategories.includes(category.toLowerCase())) {
-        searchCriteria.category = category.toLowerCase();
-      }
+    res.json(await searchProducts(req.query));
+  } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
     }
+    res.status(500).json({ error: "Search failed." });
+  }
+});
 
-    const products = await Product.find(searchCriteria);
-    res.json(products);
+/**
+ * @swagger
+ * /api/products/suggest:
+ *   get:
+ *     summary: Autocomplete suggestions for the search box
+ *     description: Best-selling products whose name contains the typed words (the last one may be unfinished), and matching categories. Falls back to typo-tolerant matching when no name starts with the typed text.
+ *     tags: [Products]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         example: "urban st"
+ *     responses:
+ *       200:
+ *         description: Suggested products and categories
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       slug:
+ *                         type: string
+ *                       price:
+ *                         type: number
+ *                       imageUrl:
+ *                         type: string
+ *                 categories:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                       slug:
+ *                         type: string
+ *       500:
+ *         description: Server error
+ */
+// GET /products/suggest - search box autocomplete
+router.get("/suggest", async (req, res) => {
+  try {
+    res.json(await suggest(req.query.q));
   } catch (err) {
-    res.status(500).json({ error: "Search failed." });
+    res.status(500).json({ error: "Failed to fetch suggestions." });
   }
 });
 
@@ -240,27 +351,84 @@ router.get("/search", async (req, res) => {
  * @swagger
  * /api/products:
  *   get:
- *     summary: Get all T-shirts
+ *     summary: Browse T-shirts with filters, sorting and facet counts
+ *     description: |
+ *       Returns a page of products together with facet counts for the storefront's filters.
+ *       Each facet applies every filter except its own, e.g. the size counts ignore the `size` filter.
+ *       Pages are requested by `page`, or by passing the previous response's `nextCursor` as `cursor`.
  *     tags: [Products]
  *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category slugs, comma-separated; each includes its subcategories
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: string
+ *         description: Sizes, comma-separated; only products with one of them in stock
+ *         example: "Medium,Large"
+ *       - in: query
+ *         name: color
+ *         schema:
+ *           type: string
+ *         description: Colours, comma-separated; only products with one of them in stock (in a requested size, if any)
+ *       - in: query
+ *         name: availability
+ *         schema:
+ *           type: string
+ *           enum: [in-stock, out-of-stock]
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, price-asc, price-desc, best-selling, rating]
+ *           default: newest
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: number
+ *           default: 1
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: The `nextCursor` of the previous page; takes precedence over `page`
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           default: 20
  *     responses:
  *       200:
- *         description: List of all T-shirts
+ *         description: A page of T-shirts with facet counts
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Product'
+ *               $ref: '#/components/schemas/ProductListing'
+ *       400:
+ *         description: Invalid filter, sort or cursor
  *       500:
  *         description: Server error
  */
-// GET /products - list all T-shirts
+// GET /products - browse T-shirts
 router.get("/", async (req, res) => {
   try {
-    const products = await Product.find();
-    res.json(products);
+    res.json(await listProducts(req.query));
   } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
     res.status(500).json({ error: "Failed to fetch products." });
   }
 });
@@ -270,6 +438,7 @@ router.get("/", async (req, res) => {
  * /api/products/{id}:
  *   get:
  *     summary: Get single T-shirt by ID
+ *     description: Only T-shirts on the storefront are shown; drafts, hidden and archived T-shirts and scheduled ones not yet live are not found. Order history resolves its T-shirts with GET /api/orders/{id}/products/{productId}, and admins can preview any T-shirt with GET /api/admin/products/{id}/preview.
  *     tags: [Products]
  *     security: []
  *     parameters:
@@ -278,7 +447,7 @@ router.get("/", async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *         description: Product ID
+ *         description: Product ID or slug
  *     responses:
  *       200:
  *         description: Product details
@@ -286,6 +455,21 @@ router.get("/", async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Product'
+ *       301:
+ *         description: The slug has been replaced; the Location header and `location` field give the product's current URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "Product moved."
+ *                 slug:
+ *                   type: string
+ *                 location:
+ *                   type: string
+ *                   example: "/api/products/urban-street-vibes"
  *       404:
  *         description: Product not found
  *       500:
@@ -294,19 +478,22 @@ router.get("/", async (req, res) => {
 // GET /products/:id - get single T-shirt (supports both ID and slug)
 router.get("/:id", async (req, res) => {
   try {
-    const identifier = req.params.id;
-
-    // Try to find by slug first, then by ID
-    let product = await Product.findOne({ slug: identifier });
+    const { product, redirectTo } = await Product.findBySlugOrId(req.params.id);
+    // Only the storefront's products; order history finds hidden and
+    // archived ones through GET /orders/:id/products/:productId
+    if (!product || !product.isLive) {
+      return res.status(404).json({ error: "Product not found." });
+    }
 
-    if (!product) {
-      // Check if it's a valid MongoDB ObjectId before trying to find by ID
-      if (identifier.match(/^[0-9a-fA-F]{24}$/)) {
-        product = await Product.findById(identifier);
-      }
+    // An old slug still resolves, but points clients at the current URL
+    if (redirectTo) {
+      const location = `${req.baseUrl}/${redirectTo}`;
+      return res
+        .status(301)
+        .location(location)
+        .json({ error: "Product moved.", slug: redirectTo, location });
     }
 
-    if (!product) return res.status(404).json({ error: "Product not found." });
     res.json(product);
   } catch (err) {
     res.status(500).json({ error: "Failed to fetch product." });
@@ -318,6 +505,7 @@ router.get("/:id", async (req, res) => {
  * /api/products:
  *   post:
  *     summary: Add new T-shirt (Admin only)
+ *     description: New T-shirts are drafts unless a `status` is given.
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -330,21 +518,34 @@ router.get("/:id", async (req, res) => {
  *             required:
  *               - name
  *               - price
- *               - size
- *               - stock
+ *               - category
+ *               - variants
  *             properties:
  *               name:
  *                 type: string
+ *               slug:
+ *                 type: string
+ *                 description: Custom URL slug; generated from the name when omitted
  *               description:
  *                 type: string
  *               price:
  *                 type: number
- *               size:
+ *               category:
  *                 type: string
- *               stock:
- *                 type: number
+ *               variants:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Variant'
  *               imageUrl:
  *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [draft, scheduled, published, hidden]
+ *                 default: draft
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When a scheduled T-shirt goes live (required for scheduled)
  *     responses:
  *       201:
  *         description: Product created successfully
@@ -363,6 +564,7 @@ router.get("/:id", async (req, res) => {
 router.post("/", auth, admin, async (req, res) => {
   try {
     const product = new Product(req.body);
+    product.$locals.stockChange = { createdBy: req.user._id };
     await product.save();
     res.status(201).json(product);
   } catch (err) {
@@ -394,16 +596,27 @@ router.post("/", auth, admin, async (req, res) => {
  *             properties:
  *               name:
  *                 type: string
+ *                 description: Renaming regenerates the slug unless a new slug is also given
+ *               slug:
+ *                 type: string
+ *                 description: Custom URL slug; the old one keeps redirecting
  *               description:
  *                 type: string
  *               price:
  *                 type: number
- *               size:
- *                 type: string
- *               stock:
- *                 type: number
+ *               variants:
+ *                 type: array
+ *                 description: Replaces all variants; include each existing variant's _id to keep it
+ *                 items:
+ *                   $ref: '#/components/schemas/Variant'
  *               imageUrl:
  *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [draft, scheduled, published, hidden]
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
  *     responses:
  *       200:
  *         description: Product updated successfully
@@ -423,10 +636,13 @@ router.post("/", auth, admin, async (req, res) => {
 // PUT /products/:id - update product (admin only)
 router.put("/:id", auth, admin, async (req, res) => {
   try {
-    const product = await Product.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-    });
+    const product = await Product.findById(req.params.id);
     if (!product) return res.status(404).json({ error: "Product not found." });
+
+    // Saved as a document so new variants get their SKUs generated
+    product.set(req.body);
+    product.$locals.stockChange = { createdBy: req.user._id };
+    await product.save();
     res.json(product);
   } catch (err) {
     res.status(400).json({ error: "Failed to update product." });
@@ -438,6 +654,7 @@ router.put("/:id", auth, admin, async (req, res) => {
  * /api/products/{id}:
  *   delete:
  *     summary: Delete T-shirt (Admin only)
+ *     description: The T-shirt is archived rather than deleted. It disappears from listings, search, carts and wishlists, but still resolves for order history through GET /api/orders/{id}/products/{productId}. Restore it with POST /api/admin/products/{id}/restore.
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -450,7 +667,7 @@ router.put("/:id", auth, admin, async (req, res) => {
  *         description: Product ID
  *     responses:
  *       200:
- *         description: Product deleted successfully
+ *         description: Product archived successfully
  *         content:
  *           application/json:
  *             schema:
@@ -458,7 +675,7 @@ router.put("/:id", auth, admin, async (req, res) => {
  *               properties:
  *                 message:
  *                   type: string
- *                   example: "Product deleted."
+ *                   example: "Product archived."
  *       400:
  *         description: Failed to delete product
  *       401:
@@ -467,60 +684,264 @@ router.put("/:id", auth, admin, async (req, res) => {
  *         description: Admin access required
  *       404:
  *         description: Product not found
+ *       409:
+ *         description: Product is already archived
  */
-// DELETE /products/:id - delete product (admin only)
+// DELETE /products/:id - archive product (admin only)
 router.delete("/:id", auth, admin, async (req, res) => {
   try {
-    const product = await Product.findByIdAndDelete(req.params.id);
-    if (!product) return res.status(404).json({ error: "Product not found." });
-    res.json({ message: "Product deleted." });
+    await archiveProduct(req.params.id);
+    res.json({ message: "Product archived." });
   } catch (err) {
+    if (err.isOperational) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
     res.status(400).json({ error: "Failed to delete product." });
   }
 });
 
-// POST /products/:id/rate - rate a product (authenticated users only)
-router.post("/:id/rate", auth, async (req, res) => {
-  try {
-    const { rating } = req.body;
-
-    if (!rating || rating < 1 || rating > 5) {
-      return res.status(400).json({ error: "Rating must be between 1 and 5" });
-    }
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 },
+};
 
-    const product = await Product.findById(req.params.id);
-    if (!product) {
-      return res.status(404).json({ error: "Product not found" });
+/**
+ * @swagger
+ * /api/products/{id}/reviews:
+ *   get:
+ *     summary: Get approved reviews of a T-shirt
+ *     tags: [Reviews]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, helpful, highest, lowest]
+ *           default: newest
+ *       - in: query
+ *         name: verified
+ *         schema:
+ *           type: boolean
+ *         description: Only reviews from verified purchases
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: number
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Rating summary and a page of reviews
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 averageRating:
+ *                   type: number
+ *                 totalRatings:
+ *                   type: number
+ *                 page:
+ *                   type: number
+ *                 total:
+ *                   type: number
+ *                 reviews:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Review'
+ *       404:
+ *         description: Product not found
+ */
+// GET /products/:id/reviews - list approved reviews
+router.get("/:id/reviews", async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(404).json({ error: "Product not found." });
     }
-
-    // Check if user already rated this product
-    const existingRatingIndex = product.ratings.findIndex(
-      (r) => r.userId.toString() === req.user._id.toString()
+    const product = await Product.findById(req.params.id).select(
+      "averageRating totalRatings"
     );
+    if (!product) return res.status(404).json({ error: "Product not found." });
 
-    if (existingRatingIndex !== -1) {
-      // Update existing rating
-      product.ratings[existingRatingIndex].rating = rating;
-      product.ratings[existingRatingIndex].createdAt = Date.now();
-    } else {
-      // Add new rating
-      product.ratings.push({
-        userId: req.user._id,
-        rating: rating,
-      });
-    }
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(
+      parseInt(req.query.limit) || config.DEFAULT_PAGE_SIZE,
+      config.MAX_PAGE_SIZE
+    );
+    const filter = { productId: product._id, status: "approved" };
+    if (req.query.verified === "true") filter.verifiedPurchase = true;
 
-    await product.save();
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .sort(REVIEW_SORTS[req.query.sort] || REVIEW_SORTS.newest)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("userId", "name")
+        .lean(),
+      Review.countDocuments(filter),
+    ]);
 
     res.json({
-      message: "Rating submitted successfully",
       averageRating: product.averageRating,
       totalRatings: product.totalRatings,
+      page,
+      total,
+      reviews,
     });
   } catch (err) {
-    console.error("Rating error:", err);
-    res.status(500).json({ error: "Failed to submit rating" });
+    res.status(500).json({ error: "Failed to fetch reviews." });
   }
 });
 
+/**
+ * @swagger
+ * /api/products/{id}/reviews:
+ *   post:
+ *     summary: Review a T-shirt
+ *     description: Creates the user's review, or replaces it if they already reviewed this product. Reviews are marked as verified purchases when the user has a delivered order containing the product. With REVIEWS_REQUIRE_APPROVAL set, the review is hidden until an admin approves it.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: number
+ *                 minimum: 1
+ *                 maximum: 5
+ *               title:
+ *                 type: string
+ *                 example: "Great fit"
+ *               body:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Review saved, with the product's updated rating
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Product not found
+ */
+// POST /products/:id/reviews - write or replace own review
+router.post(
+  "/:id/reviews",
+  auth,
+  validate(reviewSchemas.create),
+  async (req, res) => {
+    try {
+      const { review, product } = await submitReview({
+        productId: req.params.id,
+        userId: req.user._id,
+        rating: req.body.rating,
+        title: req.body.title,
+        body: req.body.body,
+      });
+
+      res.status(201).json({
+        message:
+          review.status === "pending"
+            ? "Review submitted and awaiting approval"
+            : "Review submitted successfully",
+        review,
+        averageRating: product.averageRating,
+        totalRatings: product.totalRatings,
+      });
+    } catch (err) {
+      if (err.isOperational) {
+        return res.status(err.statusCode).json({ error: err.message });
+      }
+      console.error("Review error:", err);
+      res.status(500).json({ error: "Failed to submit review" });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/rate:
+ *   post:
+ *     summary: Rate a T-shirt without writing a review
+ *     description: Sets the star rating of the user's review, keeping any title and text already written.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: number
+ *                 minimum: 1
+ *                 maximum: 5
+ *     responses:
+ *       200:
+ *         description: Rating saved, with the product's updated rating
+ *       400:
+ *         description: Rating must be between 1 and 5
+ *       404:
+ *         description: Product not found
+ */
+// POST /products/:id/rate - rate a product (authenticated users only)
+router.post(
+  "/:id/rate",
+  auth,
+  validate(reviewSchemas.rate),
+  async (req, res) => {
+    try {
+      const { product } = await submitReview({
+        productId: req.params.id,
+        userId: req.user._id,
+        rating: req.body.rating,
+      });
+
+      res.json({
+        message: "Rating submitted successfully",
+        averageRating: product.averageRating,
+        totalRatings: product.totalRatings,
+      });
+    } catch (err) {
+      if (err.isOperational) {
+        return res.status(err.statusCode).json({ error: err.message });
+      }
+      console.error("Rating error:", err);
+      res.status(500).json({ error: "Failed to submit rating" });
+    }
+  }
+);
+
 module.exports = router;
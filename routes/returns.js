@@ -0,0 +1,145 @@
+const express = require("express");
+const router = express.Router();
+const Return = require("../models/Return");
+const auth = require("../middleware/auth");
+const { validate, returnSchemas } = require("../middleware/validation");
+const catchAsync = require("../utils/catchAsync");
+const AppError = require("../utils/AppError");
+const { requestReturn } = require("../services/returnService");
+
+/**
+ * @swagger
+ * /api/returns:
+ *   post:
+ *     summary: Request a return for lines of a delivered order
+ *     description: Must be requested within the return window (RETURN_WINDOW_DAYS after delivery). Each line can only be returned up to the quantity ordered.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *               - items
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - orderItemId
+ *                     - quantity
+ *                   properties:
+ *                     orderItemId:
+ *                       type: string
+ *                       description: _id of the line in the order's products
+ *                     quantity:
+ *                       type: number
+ *                       minimum: 1
+ *                     reason:
+ *                       type: string
+ *                       example: "Too small"
+ *     responses:
+ *       201:
+ *         description: Return requested
+ *       400:
+ *         description: Validation error or unknown order line
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order not delivered, return window closed or quantity already returned
+ */
+// POST /returns - request a return
+router.post(
+  "/",
+  auth,
+  validate(returnSchemas.request),
+  catchAsync(async (req, res) => {
+    const ret = await requestReturn({
+      userId: req.user._id,
+      orderId: req.body.orderId,
+      items: req.body.items,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Return requested successfully",
+      data: ret,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/returns:
+ *   get:
+ *     summary: Get user's own returns
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of the user's returns
+ */
+// GET /returns - list own returns
+router.get(
+  "/",
+  auth,
+  catchAsync(async (req, res) => {
+    const returns = await Return.find({ userId: req.user._id })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: returns.length,
+      data: returns,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/returns/{id}:
+ *   get:
+ *     summary: Get a single return (owner or admin)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Return details
+ *       404:
+ *         description: Return not found
+ */
+// GET /returns/:id - get a single return
+router.get(
+  "/:id",
+  auth,
+  catchAsync(async (req, res) => {
+    const ret = await Return.findById(req.params.id).lean();
+
+    if (!ret || (ret.userId.toString() !== req.user._id && !req.user.isAdmin)) {
+      throw new AppError("Return not found", 404);
+    }
+
+    res.json({
+      success: true,
+      data: ret,
+    });
+  })
+);
+
+module.exports = router;
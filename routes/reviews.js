@@ -0,0 +1,160 @@
+const express = require("express");
+const router = express.Router();
+const Review = require("../models/Review");
+const auth = require("../middleware/auth");
+const catchAsync = require("../utils/catchAsync");
+const {
+  voteHelpful,
+  removeHelpfulVote,
+  deleteReview,
+} = require("../services/reviewService");
+
+/**
+ * @swagger
+ * /api/reviews/mine:
+ *   get:
+ *     summary: Get the current user's reviews, including pending and rejected ones
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of the user's reviews
+ */
+// GET /reviews/mine - list own reviews
+router.get(
+  "/mine",
+  auth,
+  catchAsync(async (req, res) => {
+    const reviews = await Review.find({ userId: req.user._id })
+      .populate("productId", "name slug imageUrl")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: reviews.length,
+      data: reviews,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/reviews/{id}/helpful:
+ *   post:
+ *     summary: Mark a review as helpful
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Vote counted
+ *       400:
+ *         description: Users can't vote for their own review
+ *       404:
+ *         description: Review not found
+ *       409:
+ *         description: Already voted
+ */
+// POST /reviews/:id/helpful - vote a review helpful
+router.post(
+  "/:id/helpful",
+  auth,
+  catchAsync(async (req, res) => {
+    const review = await voteHelpful({
+      reviewId: req.params.id,
+      userId: req.user._id,
+    });
+
+    res.json({
+      success: true,
+      data: { _id: review._id, helpfulCount: review.helpfulCount },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/reviews/{id}/helpful:
+ *   delete:
+ *     summary: Take back a helpful vote
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Vote removed
+ *       404:
+ *         description: Review not found
+ *       409:
+ *         description: No vote to remove
+ */
+// DELETE /reviews/:id/helpful - remove own helpful vote
+router.delete(
+  "/:id/helpful",
+  auth,
+  catchAsync(async (req, res) => {
+    const review = await removeHelpfulVote({
+      reviewId: req.params.id,
+      userId: req.user._id,
+    });
+
+    res.json({
+      success: true,
+      data: { _id: review._id, helpfulCount: review.helpfulCount },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/reviews/{id}:
+ *   delete:
+ *     summary: Delete a review (own review, or any review as admin)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Review deleted and the product rating updated
+ *       404:
+ *         description: Review not found
+ */
+// DELETE /reviews/:id - delete a review
+router.delete(
+  "/:id",
+  auth,
+  catchAsync(async (req, res) => {
+    await deleteReview({
+      reviewId: req.params.id,
+      userId: req.user._id,
+      isAdmin: req.user.isAdmin,
+    });
+
+    res.json({
+      success: true,
+      message: "Review deleted successfully",
+    });
+  })
+);
+
+module.exports = router;
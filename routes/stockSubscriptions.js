@@ -0,0 +1,138 @@
+const express = require("express");
+const router = express.Router();
+const StockSubscription = require("../models/StockSubscription");
+const auth = require("../middleware/auth");
+const { validate, inventorySchemas } = require("../middleware/validation");
+const catchAsync = require("../utils/catchAsync");
+const { subscribe, unsubscribe } = require("../services/stockAlertService");
+
+/**
+ * @swagger
+ * /api/stock-subscriptions:
+ *   post:
+ *     summary: Get emailed when an out-of-stock size is back
+ *     description: Only sizes that are out of stock can be subscribed to. The email goes out once the size is restocked, after which the subscription is removed. Subscribing again to the same size returns the existing subscription.
+ *     tags: [Stock Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               variantId:
+ *                 type: string
+ *               sku:
+ *                 type: string
+ *               size:
+ *                 type: string
+ *                 enum: [Small, Medium, Large, Extra Large]
+ *               color:
+ *                 type: string
+ *               fit:
+ *                 type: string
+ *                 enum: [regular, slim, oversized]
+ *     responses:
+ *       201:
+ *         description: Subscribed
+ *       200:
+ *         description: Already subscribed to this size
+ *       400:
+ *         description: Validation error or variant not available
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: The size is in stock
+ */
+// POST /stock-subscriptions - subscribe to a size coming back in stock
+router.post(
+  "/",
+  auth,
+  validate(inventorySchemas.subscribe),
+  catchAsync(async (req, res) => {
+    const { subscription, created } = await subscribe({
+      ...req.body,
+      userId: req.user._id,
+    });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: "We'll email you when this size is back in stock",
+      data: subscription,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/stock-subscriptions:
+ *   get:
+ *     summary: Get user's back-in-stock subscriptions
+ *     tags: [Stock Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscriptions waiting for a restock, newest first, with product name, slug and image
+ */
+// GET /stock-subscriptions - list own subscriptions
+router.get(
+  "/",
+  auth,
+  catchAsync(async (req, res) => {
+    const subscriptions = await StockSubscription.find({
+      userId: req.user._id,
+    })
+      .populate("productId", "name slug imageUrl")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: subscriptions.length,
+      data: subscriptions,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/stock-subscriptions/{id}:
+ *   delete:
+ *     summary: Cancel a back-in-stock subscription
+ *     tags: [Stock Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subscription cancelled
+ *       404:
+ *         description: Subscription not found
+ */
+// DELETE /stock-subscriptions/:id - cancel a subscription
+router.delete(
+  "/:id",
+  auth,
+  catchAsync(async (req, res) => {
+    await unsubscribe(req.params.id, req.user._id);
+
+    res.json({
+      success: true,
+      message: "Subscription cancelled",
+    });
+  })
+);
+
+module.exports = router;
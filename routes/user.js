@@ -2,10 +2,19 @@ const express = require("express");
 const router = express.Router();
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
-const { validate, userSchemas } = require("../middleware/validation");
+const {
+  validate,
+  userSchemas,
+  addressSchemas,
+} = require("../middleware/validation");
 const catchAsync = require("../utils/catchAsync");
 const AppError = require("../utils/AppError");
 const auth = require("../middleware/auth");
+const { ensureDefault } = require("../services/addressService");
+const {
+  CART_TOKEN_HEADER,
+  mergeGuestCart,
+} = require("../services/guestCartService");
 
 /**
  * @swagger
@@ -92,8 +101,11 @@ router.post(
  * /api/users/login:
  *   post:
  *     summary: Login user
+ *     description: A guest cart sent in the X-Cart-Token header is merged into the user's cart. Quantities of a size in both carts are added up as far as there is stock; lines whose product is gone are dropped.
  *     tags: [Authentication]
- *     security: []
+ *     security:
+ *       - {}
+ *       - cartToken: []
  *     requestBody:
  *       required: true
  *       content:
@@ -126,6 +138,29 @@ router.post(
  *                   description: JWT token for authentication
  *                 data:
  *                   type: object
+ *                 cart:
+ *                   type: object
+ *                   description: Result of merging the guest cart, when one was sent
+ *                   properties:
+ *                     mergedItems:
+ *                       type: integer
+ *                       description: Guest cart lines added to the user's cart
+ *                     adjustedItems:
+ *                       type: array
+ *                       description: Lines merged only in part, or not at all, with the quantity that was merged and why
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           sku:
+ *                             type: string
+ *                           size:
+ *                             type: string
+ *                           requested:
+ *                             type: integer
+ *                           quantity:
+ *                             type: integer
+ *                           reason:
+ *                             type: string
  *       400:
  *         description: Invalid credentials
  *         content:
@@ -161,6 +196,16 @@ router.post(
       { expiresIn: process.env.JWT_EXPIRES_IN || "7d" }
     );
 
+    // A failed merge leaves the guest cart for the next login rather than
+    // failing this one
+    const cart = await mergeGuestCart(
+      user._id,
+      req.header(CART_TOKEN_HEADER)
+    ).catch((err) => {
+      console.error("Guest cart merge error:", err);
+      return null;
+    });
+
     res.json({
       success: true,
       token,
@@ -170,6 +215,7 @@ router.post(
         email: user.email,
         isAdmin: user.isAdmin,
       },
+      ...(cart && { cart }),
     });
   })
 );
@@ -201,6 +247,7 @@ router.get(
       name: user.name,
       email: user.email,
       address: user.address || "",
+      addresses: user.addresses,
       isAdmin: user.isAdmin || false,
     });
   })
@@ -257,7 +304,231 @@ router.put(
       name: user.name,
       email: user.email,
       address: user.address || "",
+      addresses: user.addresses,
       isAdmin: user.isAdmin || false,
     });
   })
 );
+
+/**
+ * @swagger
+ * /api/users/addresses:
+ *   get:
+ *     summary: List the current user's saved addresses
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved addresses, default first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SavedAddress'
+ */
+// GET /users/addresses - list saved addresses
+router.get(
+  "/addresses",
+  auth,
+  catchAsync(async (req, res) => {
+    const user = await User.findById(req.user._id).select("addresses");
+    if (!user) throw new AppError("User not found", 404);
+
+    const addresses = [...user.addresses].sort(
+      (a, b) => Number(b.isDefault) - Number(a.isDefault)
+    );
+
+    res.json({
+      success: true,
+      data: addresses,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/users/addresses:
+ *   post:
+ *     summary: Add an address to the address book
+ *     description: The first address saved becomes the default. Set isDefault to make a new address the default.
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedAddress'
+ *     responses:
+ *       201:
+ *         description: Address saved
+ *       400:
+ *         description: Validation error
+ */
+// POST /users/addresses - add a saved address
+router.post(
+  "/addresses",
+  auth,
+  validate(addressSchemas.create),
+  catchAsync(async (req, res) => {
+    const user = await User.findById(req.user._id);
+    if (!user) throw new AppError("User not found", 404);
+
+    const address = user.addresses.create(req.body);
+    user.addresses.push(address);
+    ensureDefault(user, req.body.isDefault ? address._id : undefined);
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Address saved successfully",
+      data: user.addresses.id(address._id),
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/users/addresses/{addressId}:
+ *   put:
+ *     summary: Update a saved address
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedAddress'
+ *     responses:
+ *       200:
+ *         description: Address updated
+ *       404:
+ *         description: Address not found
+ */
+// PUT /users/addresses/:addressId - update a saved address
+router.put(
+  "/addresses/:addressId",
+  auth,
+  validate(addressSchemas.update),
+  catchAsync(async (req, res) => {
+    const user = await User.findById(req.user._id);
+    if (!user) throw new AppError("User not found", 404);
+
+    const address = user.addresses.id(req.params.addressId);
+    if (!address) throw new AppError("Address not found", 404);
+
+    const { isDefault, ...fields } = req.body;
+    address.set(fields);
+    if (isDefault === true) {
+      ensureDefault(user, address._id);
+    }
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Address updated successfully",
+      data: address,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/users/addresses/{addressId}/default:
+ *   put:
+ *     summary: Make a saved address the default
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Default address changed
+ *       404:
+ *         description: Address not found
+ */
+// PUT /users/addresses/:addressId/default - set the default address
+router.put(
+  "/addresses/:addressId/default",
+  auth,
+  catchAsync(async (req, res) => {
+    const user = await User.findById(req.user._id);
+    if (!user) throw new AppError("User not found", 404);
+
+    const address = user.addresses.id(req.params.addressId);
+    if (!address) throw new AppError("Address not found", 404);
+
+    ensureDefault(user, address._id);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Default address updated",
+      data: address,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/users/addresses/{addressId}:
+ *   delete:
+ *     summary: Delete a saved address
+ *     description: Deleting the default address makes another saved address the default. Orders keep their own copy of the address.
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Address deleted
+ *       404:
+ *         description: Address not found
+ */
+// DELETE /users/addresses/:addressId - delete a saved address
+router.delete(
+  "/addresses/:addressId",
+  auth,
+  catchAsync(async (req, res) => {
+    const user = await User.findById(req.user._id);
+    if (!user) throw new AppError("User not found", 404);
+
+    const address = user.addresses.id(req.params.addressId);
+    if (!address) throw new AppError("Address not found", 404);
+
+    address.deleteOne();
+    ensureDefault(user);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Address deleted successfully",
+    });
+  })
+);
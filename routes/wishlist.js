@@ -3,6 +3,7 @@ const router = express.Router();
 const Wishlist = require("../models/Wishlist");
 const Product = require("../models/Product");
 const auth = require("../middleware/auth");
+const { isAvailable, isGone } = require("../services/productService");
 
 /**
  * @swagger
@@ -34,6 +35,9 @@ const auth = require("../middleware/auth");
  *                       addedAt:
  *                         type: string
  *                         format: date-time
+ *                       available:
+ *                         type: boolean
+ *                         description: False while the product is off the storefront (draft, hidden or scheduled)
  *       404:
  *         description: Wishlist not found
  *       500:
@@ -50,7 +54,22 @@ router.get("/", auth, async (req, res) => {
       return res.status(404).json({ error: "Wishlist not found" });
     }
 
-    res.json(wishlist);
+    // Drop products that were deleted or archived; the ones only off the
+    // storefront for now stay, marked unavailable
+    const gone = wishlist.products.filter((item) => isGone(item.productId));
+    if (gone.length > 0) {
+      gone.forEach((item) => wishlist.products.pull(item._id));
+      await wishlist.save();
+    }
+
+    const fields = wishlist.toObject();
+    res.json({
+      ...fields,
+      products: fields.products.map((item, i) => ({
+        ...item,
+        available: isAvailable(wishlist.products[i].productId),
+      })),
+    });
   } catch (err) {
     res.status(500).json({ error: "Failed to fetch wishlist." });
   }
@@ -93,7 +112,7 @@ router.post("/", auth, async (req, res) => {
 
     // Validate product exists
     const product = await Product.findById(productId);
-    if (!product) {
+    if (!isAvailable(product)) {
       return res.status(404).json({ error: "Product not found" });
     }
 
@@ -124,6 +143,40 @@ router.post("/", auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/wishlist/clear:
+ *   delete:
+ *     summary: Clear entire wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Wishlist cleared successfully
+ *       404:
+ *         description: Wishlist not found
+ *       500:
+ *         description: Server error
+ */
+// DELETE /wishlist/clear - clear entire wishlist
+// Registered before /:productId, which would otherwise take "clear" for an ID
+router.delete("/clear", auth, async (req, res) => {
+  try {
+    const wishlist = await Wishlist.findOne({ userId: req.user._id });
+    if (!wishlist) {
+      return res.status(404).json({ error: "Wishlist not found" });
+    }
+
+    wishlist.products = [];
+    await wishlist.save();
+
+    res.json({ message: "Wishlist cleared successfully", wishlist });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to clear wishlist." });
+  }
+});
+
 /**
  * @swagger
  * /api/wishlist/{productId}:
@@ -174,37 +227,4 @@ router.delete("/:productId", auth, async (req, res) => {
   }
 });
 
-/**
- * @swagger
- * /api/wishlist/clear:
- *   delete:
- *     summary: Clear entire wishlist
- *     tags: [Wishlist]
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200:
- *         description: Wishlist cleared successfully
- *       404:
- *         description: Wishlist not found
- *       500:
- *         description: Server error
- */
-// DELETE /wishlist/clear - clear entire wishlist
-router.delete("/clear", auth, async (req, res) => {
-  try {
-    const wishlist = await Wishlist.findOne({ userId: req.user._id });
-    if (!wishlist) {
-      return res.status(404).json({ error: "Wishlist not found" });
-    }
-
-    wishlist.products = [];
-    await wishlist.save();
-
-    res.json({ message: "Wishlist cleared successfully", wishlist });
-  } catch (err) {
-    res.status(500).json({ error: "Failed to clear wishlist." });
-  }
-});
-
 module.exports = router;
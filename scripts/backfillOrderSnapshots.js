@@ -0,0 +1,103 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+// Import models
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const { buildOrderLine } = require("../services/orderService");
+
+async function backfillOrderSnapshots() {
+  try {
+    // Connect to MongoDB
+    console.log("Connecting to MongoDB...");
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB successfully!");
+
+    // Find all orders with at least one line missing its price snapshot
+    const orders = await Order.find({
+      products: { $elemMatch: { price: { $exists: false } } },
+    });
+
+    console.log(`Found ${orders.length} orders without line snapshots`);
+
+    if (orders.length === 0) {
+      console.log("All orders already have line snapshots!");
+      await mongoose.disconnect();
+      return;
+    }
+
+    // Load every referenced product once
+    const productIds = [
+      ...new Set(
+        orders.flatMap((order) =>
+          order.products.map((item) => item.productId.toString())
+        )
+      ),
+    ];
+    const products = await Product.find({ _id: { $in: productIds } });
+    const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+    let updated = 0;
+    let skipped = 0;
+    let missingProducts = 0;
+
+    for (const order of orders) {
+      try {
+        for (const item of order.products) {
+          if (item.price !== undefined) continue;
+
+          const product = productMap.get(item.productId.toString());
+          if (!product) {
+            missingProducts++;
+            console.log(
+              `⚠️  Product ${item.productId} no longer exists (order ${order._id})`
+            );
+            continue;
+          }
+
+          // Lines predating variants are matched on their size
+          const variant = product.findVariant(item);
+          if (!variant) {
+            missingProducts++;
+            console.log(
+              `⚠️  No ${item.size} variant of ${item.productId} (order ${order._id})`
+            );
+            continue;
+          }
+
+          // Current catalog data is the best approximation we have
+          const snapshot = buildOrderLine(product, variant, item);
+          item.variantId = snapshot.variantId;
+          item.sku = snapshot.sku;
+          item.productName = snapshot.productName;
+          item.category = snapshot.category;
+          item.imageUrl = snapshot.imageUrl;
+          item.price = snapshot.price;
+          item.lineTotal = snapshot.lineTotal;
+        }
+
+        await order.save();
+        updated++;
+        console.log(`✅ Updated order ${order._id}`);
+      } catch (error) {
+        console.error(`❌ Failed to update order ${order._id}:`, error.message);
+        skipped++;
+      }
+    }
+
+    console.log("\n=== Migration Complete ===");
+    console.log(`✅ Successfully updated: ${updated} orders`);
+    console.log(`❌ Skipped: ${skipped} orders`);
+    console.log(`⚠️  Lines with missing products/variants: ${missingProducts}`);
+
+    // Disconnect from MongoDB
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  } catch (error) {
+    console.error("Migration failed:", error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+backfillOrderSnapshots();
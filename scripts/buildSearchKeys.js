@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+// Import Product model
+const Product = require("../models/Product");
+
+async function buildSearchKeys() {
+  try {
+    // Connect to MongoDB
+    console.log("Connecting to MongoDB...");
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB successfully!");
+
+    // Rebuild every product's keys, so changes to the tokenizer apply too
+    const products = await Product.find({}).select("name category").lean();
+
+    console.log(`Found ${products.length} products`);
+
+    let updated = 0;
+    let skipped = 0;
+
+    for (const product of products) {
+      try {
+        await Product.updateOne(
+          { _id: product._id },
+          { $set: Product.searchFields(product) }
+        );
+        updated++;
+        console.log(`✅ Updated: "${product.name}"`);
+      } catch (error) {
+        console.error(`❌ Failed to update "${product.name}":`, error.message);
+        skipped++;
+      }
+    }
+
+    console.log("\n=== Search Keys Built ===");
+    console.log(`✅ Successfully updated: ${updated} products`);
+    console.log(`❌ Skipped: ${skipped} products`);
+
+    // Disconnect from MongoDB
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  } catch (error) {
+    console.error("Building search keys failed:", error);
+    process.exit(1);
+  }
+}
+
+// Run the script
+buildSearchKeys();
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const { runStockAlerts } = require("../services/stockAlertService");
+
+// Runs the low-stock and back-in-stock checks once, for scheduling with cron
+// when the server's own checker is off (STOCK_ALERT_INTERVAL_MINUTES=0)
+async function checkStockAlerts() {
+  try {
+    // Connect to MongoDB
+    console.log("Connecting to MongoDB...");
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB successfully!");
+
+    const { alerted, notified } = await runStockAlerts();
+
+    console.log("\n=== Stock Alerts Checked ===");
+    console.log(`✅ Low stock sizes reported to admins: ${alerted}`);
+    console.log(`✅ Customers told a size is back: ${notified}`);
+
+    // Disconnect from MongoDB
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  } catch (error) {
+    console.error("❌ Stock alert check failed:", error);
+    process.exit(1);
+  }
+}
+
+// Run the script
+checkStockAlerts();
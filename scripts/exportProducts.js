@@ -0,0 +1,38 @@
+const fs = require("fs");
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const { exportProducts } = require("../services/productImportService");
+
+// Usage: node scripts/exportProducts.js [file.csv|file.json] [--include-archived]
+// The format follows the file extension; the default file is
+// products-<date>.csv
+async function runExport() {
+  const args = process.argv.slice(2);
+  const includeArchived = args.includes("--include-archived");
+  const filePath =
+    args.find((arg) => !arg.startsWith("--")) ||
+    `products-${new Date().toISOString().slice(0, 10)}.csv`;
+  const format = filePath.toLowerCase().endsWith(".json") ? "json" : "csv";
+
+  try {
+    // Connect to MongoDB
+    console.log("Connecting to MongoDB...");
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB successfully!");
+
+    const body = await exportProducts(format, { includeArchived });
+    fs.writeFileSync(filePath, body);
+    console.log(`✅ Exported the catalogue to ${filePath}`);
+
+    // Disconnect from MongoDB
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  } catch (error) {
+    console.error("Export failed:", error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+runExport();
@@ -3,16 +3,7 @@ require("dotenv").config();
 
 // Import Product model
 const Product = require("../models/Product");
-
-// Function to generate slug from name
-function generateSlug(name) {
-  return name
-    .toLowerCase()
-    .trim()
-    .replace(/[^\w\s-]/g, "") // Remove special characters
-    .replace(/\s+/g, "-") // Replace spaces with hyphens
-    .replace(/-+/g, "-"); // Replace multiple hyphens with single hyphen
-}
+const slugify = require("../utils/slugify");
 
 async function generateSlugsForProducts() {
   try {
@@ -39,38 +30,15 @@ async function generateSlugsForProducts() {
 
     for (const product of products) {
       try {
-        const slug = generateSlug(product.name);
-
-        // Check if slug already exists (to avoid duplicates)
-        const existingProduct = await Product.findOne({
-          slug,
-          _id: { $ne: product._id },
-        });
-
-        if (existingProduct) {
-          // Add a number suffix to make it unique
-          let counter = 1;
-          let uniqueSlug = `${slug}-${counter}`;
-
-          while (
-            await Product.findOne({
-              slug: uniqueSlug,
-              _id: { $ne: product._id },
-            })
-          ) {
-            counter++;
-            uniqueSlug = `${slug}-${counter}`;
-          }
+        // The model generates a unique slug when a product has none
+        product.slug = undefined;
+        await product.save();
 
-          product.slug = uniqueSlug;
+        if (product.slug !== slugify(product.name)) {
           console.log(
-            `⚠️  Duplicate slug found. Using: ${uniqueSlug} for "${product.name}"`
+            `⚠️  Duplicate slug found. Using: ${product.slug} for "${product.name}"`
           );
-        } else {
-          product.slug = slug;
         }
-
-        await product.save();
         updated++;
         console.log(`✅ Updated: "${product.name}" -> ${product.slug}`);
       } catch (error) {
@@ -0,0 +1,67 @@
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const {
+  parseProductFile,
+  importProducts,
+} = require("../services/productImportService");
+
+// Usage: node scripts/importProducts.js <file.csv|file.json> [--dry-run]
+async function runImport() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes("--dry-run");
+  const filePath = args.find((arg) => !arg.startsWith("--"));
+
+  if (!filePath) {
+    console.error(
+      "Usage: node scripts/importProducts.js <file.csv|file.json> [--dry-run]"
+    );
+    process.exit(1);
+  }
+
+  try {
+    const file = {
+      originalname: path.basename(filePath),
+      buffer: fs.readFileSync(filePath),
+    };
+    const entries = parseProductFile(file);
+
+    // Connect to MongoDB
+    console.log("Connecting to MongoDB...");
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB successfully!");
+
+    if (dryRun) console.log("Dry run: nothing will be saved\n");
+    const report = await importProducts(entries, { dryRun });
+
+    report.results.forEach((result) => {
+      if (result.action === "failed") {
+        console.log(`❌ Row ${result.row}: "${result.slug}" failed`);
+      } else {
+        console.log(`✅ Row ${result.row}: "${result.slug}" ${result.action}`);
+      }
+    });
+    report.errors.forEach((error) => {
+      console.log(`   Row ${error.row} (${error.slug}): ${error.message}`);
+    });
+
+    console.log(`\n=== Import ${dryRun ? "Checked" : "Complete"} ===`);
+    console.log(`✅ Created: ${report.summary.created} products`);
+    console.log(`✅ Updated: ${report.summary.updated} products`);
+    console.log(`❌ Failed: ${report.summary.failed} products`);
+
+    // Disconnect from MongoDB
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+
+    if (report.summary.failed > 0) process.exitCode = 1;
+  } catch (error) {
+    console.error("Import failed:", error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+runImport();
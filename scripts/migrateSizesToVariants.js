@@ -0,0 +1,164 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+// Import models
+const Product = require("../models/Product");
+const Cart = require("../models/Cart");
+const Order = require("../models/Order");
+const Return = require("../models/Return");
+
+// Point the size-only lines of a document at the matching product variant.
+// Returns the `$set` paths for an update, plus the indexes with no match.
+function linkVariants(lines, path, productMap, { withSku = true } = {}) {
+  const update = {};
+  const unmatched = [];
+
+  lines.forEach((line, index) => {
+    if (line.variantId) return;
+
+    const product = productMap.get(line.productId.toString());
+    const variant = product && product.findVariant({ size: line.size });
+    if (!variant) {
+      unmatched.push(index);
+      return;
+    }
+
+    update[`${path}.${index}.variantId`] = variant._id;
+    if (withSku) update[`${path}.${index}.sku`] = variant.sku;
+  });
+
+  return { update, unmatched };
+}
+
+async function migrateSizesToVariants() {
+  try {
+    // Connect to MongoDB
+    console.log("Connecting to MongoDB...");
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB successfully!");
+
+    // The `sizes` field is no longer in the schema, so read it raw
+    const legacy = await Product.collection
+      .find({ sizes: { $exists: true } })
+      .project({ sizes: 1, variants: 1, name: 1 })
+      .toArray();
+
+    console.log(`Found ${legacy.length} products with a sizes array`);
+
+    let productsUpdated = 0;
+    let productsSkipped = 0;
+
+    for (const raw of legacy) {
+      try {
+        if (!raw.variants || raw.variants.length === 0) {
+          const product = await Product.findById(raw._id);
+          product.variants = (raw.sizes || []).map(({ size, stock }) => ({
+            size,
+            stock: Number(stock) || 0,
+          }));
+          await product.save();
+        }
+
+        await Product.collection.updateOne(
+          { _id: raw._id },
+          { $unset: { sizes: "" } }
+        );
+        productsUpdated++;
+        console.log(`✅ Updated: "${raw.name}"`);
+      } catch (error) {
+        console.error(`❌ Failed to update "${raw.name}":`, error.message);
+        productsSkipped++;
+      }
+    }
+
+    // Link existing cart, order and return lines to their variants
+    const products = await Product.find({});
+    const productMap = new Map(products.map((p) => [p._id.toString(), p]));
+
+    let cartsUpdated = 0;
+    let cartItemsRemoved = 0;
+    const carts = await Cart.find({
+      items: { $elemMatch: { variantId: { $exists: false } } },
+    }).lean();
+    for (const cart of carts) {
+      const { update, unmatched } = linkVariants(
+        cart.items,
+        "items",
+        productMap
+      );
+      const removed = unmatched.map((index) => cart.items[index]._id);
+
+      if (Object.keys(update).length > 0) {
+        await Cart.updateOne({ _id: cart._id }, { $set: update });
+      }
+      if (removed.length > 0) {
+        // Items whose size no longer exists can't be bought anyway
+        await Cart.updateOne(
+          { _id: cart._id },
+          { $pull: { items: { _id: { $in: removed } } } }
+        );
+        cartItemsRemoved += removed.length;
+      }
+      cartsUpdated++;
+    }
+
+    let ordersUpdated = 0;
+    let unmatchedLines = 0;
+    const orders = await Order.find({
+      products: { $elemMatch: { variantId: { $exists: false } } },
+    }).lean();
+    for (const order of orders) {
+      const { update, unmatched } = linkVariants(
+        order.products,
+        "products",
+        productMap
+      );
+      unmatchedLines += unmatched.length;
+      if (Object.keys(update).length === 0) continue;
+
+      await Order.updateOne({ _id: order._id }, { $set: update });
+      ordersUpdated++;
+    }
+
+    let returnsUpdated = 0;
+    const returns = await Return.find({
+      items: { $elemMatch: { variantId: { $exists: false } } },
+    }).lean();
+    for (const ret of returns) {
+      const { update, unmatched } = linkVariants(
+        ret.items,
+        "items",
+        productMap,
+        { withSku: false }
+      );
+      unmatchedLines += unmatched.length;
+      if (Object.keys(update).length === 0) continue;
+
+      await Return.updateOne({ _id: ret._id }, { $set: update });
+      returnsUpdated++;
+    }
+
+    console.log("\n=== Migration Complete ===");
+    console.log(`✅ Products converted to variants: ${productsUpdated}`);
+    console.log(`❌ Products skipped: ${productsSkipped}`);
+    console.log(`✅ Carts updated: ${cartsUpdated}`);
+    console.log(
+      `⚠️  Cart items removed (no matching variant): ${cartItemsRemoved}`
+    );
+    console.log(`✅ Orders updated: ${ordersUpdated}`);
+    console.log(`✅ Returns updated: ${returnsUpdated}`);
+    console.log(
+      `⚠️  Order/return lines without a matching variant: ${unmatchedLines}`
+    );
+
+    // Disconnect from MongoDB
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  } catch (error) {
+    console.error("Migration failed:", error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrateSizesToVariants();
@@ -0,0 +1,100 @@
+const fs = require("fs/promises");
+const path = require("path");
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const config = require("../config/config");
+const CustomDesign = require("../models/CustomDesign");
+const Order = require("../models/Order");
+const storage = require("../services/storage");
+const { artworkKeys, artworkUrls } = require("../services/designService");
+
+// Moves artwork of designs saved while it was stored under the public
+// UPLOAD_DIR to PRIVATE_UPLOAD_DIR, and points designs and order lines at
+// the authenticated artwork routes. Works with the local storage driver.
+async function moveDesignArtwork() {
+  try {
+    // Connect to MongoDB
+    console.log("Connecting to MongoDB...");
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB successfully!");
+
+    const designs = await CustomDesign.find({
+      "artwork.url": { $not: /^\/api\/designs\// },
+    })
+      .select("artwork")
+      .lean();
+
+    console.log(`Found ${designs.length} designs with public artwork`);
+
+    let moved = 0;
+    let skipped = 0;
+
+    for (const design of designs) {
+      try {
+        const keys = Object.values(
+          artworkKeys(design._id, design.artwork.format)
+        );
+        const files = [];
+        for (const key of keys) {
+          const file = await fs
+            .readFile(path.resolve(config.UPLOAD_DIR, key))
+            .catch((err) =>
+              err.code === "ENOENT" ? null : Promise.reject(err)
+            );
+          if (file) files.push({ key, file });
+        }
+        for (const { key, file } of files) {
+          await storage.savePrivate(key, file);
+        }
+
+        const urls = artworkUrls(design._id);
+        await CustomDesign.updateOne(
+          { _id: design._id },
+          {
+            $set: {
+              "artwork.url": urls.url,
+              "artwork.previewUrl": urls.previewUrl,
+            },
+          }
+        );
+        await Order.updateMany(
+          { "products.design.designId": design._id },
+          {
+            $set: {
+              "products.$[line].design.artworkUrl": urls.url,
+              "products.$[line].design.previewUrl": urls.previewUrl,
+            },
+          },
+          { arrayFilters: [{ "line.design.designId": design._id }] }
+        );
+
+        // Only once nothing points at the public copies any more
+        for (const key of keys) {
+          await storage.remove(key);
+        }
+        moved++;
+        console.log(
+          `✅ Moved: ${design._id} (${files.length} of ${keys.length} files)`
+        );
+      } catch (error) {
+        console.error(`❌ Failed to move ${design._id}:`, error.message);
+        skipped++;
+      }
+    }
+
+    console.log("\n=== Migration Complete ===");
+    console.log(`✅ Successfully moved: ${moved} designs`);
+    console.log(`❌ Skipped: ${skipped} designs`);
+
+    // Disconnect from MongoDB
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  } catch (error) {
+    console.error("Moving design artwork failed:", error);
+    process.exit(1);
+  }
+}
+
+// Run the script
+moveDesignArtwork();
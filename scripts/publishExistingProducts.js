@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+// Import Product model
+const Product = require("../models/Product");
+
+async function publishExistingProducts() {
+  try {
+    // Connect to MongoDB
+    console.log("Connecting to MongoDB...");
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB successfully!");
+
+    // Products from before statuses existed were live, so they are published
+    // as of their creation date
+    const products = await Product.find({ status: { $exists: false } })
+      .select("name createdAt")
+      .lean();
+
+    console.log(`Found ${products.length} products without a status`);
+
+    let updated = 0;
+    let skipped = 0;
+
+    for (const product of products) {
+      try {
+        await Product.updateOne(
+          { _id: product._id },
+          {
+            $set: {
+              status: "published",
+              publishAt: product.createdAt || new Date(),
+            },
+          }
+        );
+        updated++;
+        console.log(`✅ Published: "${product.name}"`);
+      } catch (error) {
+        console.error(`❌ Failed to update "${product.name}":`, error.message);
+        skipped++;
+      }
+    }
+
+    console.log("\n=== Migration Complete ===");
+    console.log(`✅ Successfully updated: ${updated} products`);
+    console.log(`❌ Skipped: ${skipped} products`);
+
+    // Disconnect from MongoDB
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  } catch (error) {
+    console.error("Publishing existing products failed:", error);
+    process.exit(1);
+  }
+}
+
+// Run the script
+publishExistingProducts();
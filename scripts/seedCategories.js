@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+// Import models
+const Category = require("../models/Category");
+const Product = require("../models/Product");
+const slugify = require("../utils/slugify");
+
+// The categories that used to be hard-coded
+const DEFAULT_CATEGORIES = [
+  { name: "Urban", description: "Street style and city designs" },
+  { name: "Typography", description: "Text-based designs" },
+  { name: "Abstract", description: "Geometric and artistic patterns" },
+  { name: "Anime", description: "Japanese animation style" },
+];
+
+// "retro-anime" -> "Retro Anime"
+function nameFromSlug(slug) {
+  return slug
+    .split("-")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+}
+
+async function seedCategories() {
+  try {
+    // Connect to MongoDB
+    console.log("Connecting to MongoDB...");
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB successfully!");
+
+    // Every category products already use, plus the original four
+    const usedSlugs = await Product.distinct("category");
+    const wanted = new Map(DEFAULT_CATEGORIES.map((c) => [slugify(c.name), c]));
+    usedSlugs.forEach((slug) => {
+      if (!wanted.has(slug)) wanted.set(slug, { name: nameFromSlug(slug) });
+    });
+
+    let created = 0;
+    let existing = 0;
+    let sortOrder = 0;
+
+    for (const [slug, data] of wanted) {
+      sortOrder++;
+      if (await Category.exists({ slug })) {
+        existing++;
+        continue;
+      }
+
+      try {
+        await Category.create({ ...data, slug, sortOrder });
+        created++;
+        console.log(`✅ Created: "${data.name}" (${slug})`);
+      } catch (error) {
+        console.error(`❌ Failed to create "${slug}":`, error.message);
+      }
+    }
+
+    console.log("\n=== Seeding Complete ===");
+    console.log(`✅ Created: ${created} categories`);
+    console.log(`ℹ️  Already existed: ${existing} categories`);
+
+    // Disconnect from MongoDB
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  } catch (error) {
+    console.error("Seeding failed:", error);
+    process.exit(1);
+  }
+}
+
+// Run the seeding
+seedCategories();
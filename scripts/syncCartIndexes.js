@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+// Import Cart model
+const Cart = require("../models/Cart");
+
+async function syncCartIndexes() {
+  try {
+    // Connect to MongoDB
+    console.log("Connecting to MongoDB...");
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB successfully!");
+
+    // Guest carts have no userId, which the old unique userId index (not
+    // sparse) allows only once. Rebuilds indexes whose options changed and
+    // creates the guest token and guest cart expiry indexes.
+    const dropped = await Cart.syncIndexes();
+    const indexes = await Cart.listIndexes();
+
+    console.log("\n=== Migration Complete ===");
+    console.log(`🗑️  Dropped: ${dropped.length ? dropped.join(", ") : "none"}`);
+    console.log(`✅ Cart indexes: ${indexes.map((i) => i.name).join(", ")}`);
+
+    // Disconnect from MongoDB
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  } catch (error) {
+    console.error("Syncing cart indexes failed:", error);
+    process.exit(1);
+  }
+}
+
+// Run the script
+syncCartIndexes();
@@ -1,6 +1,8 @@
 require("dotenv").config();
 const mongoose = require("mongoose");
 const app = require("./app");
+const { startStockAlerts } = require("./services/stockAlertService");
+const { startReservationSweeper } = require("./services/reservationService");
 
 // Handle uncaught exceptions
 process.on("uncaughtException", (err) => {
@@ -34,6 +36,12 @@ const connectDB = async () => {
 
 connectDB();
 
+// Low-stock and back-in-stock emails; see services/stockAlertService.js
+startStockAlerts();
+
+// Gives back stock held for idle carts; see services/reservationService.js
+startReservationSweeper();
+
 // MongoDB connection event handlers
 mongoose.connection.on("connected", () => {
   console.log("📡 Mongoose connected to MongoDB");
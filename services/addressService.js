@@ -0,0 +1,84 @@
+const User = require("../models/User");
+const AppError = require("../utils/AppError");
+
+const SNAPSHOT_FIELDS = [
+  "recipientName",
+  "phone",
+  "line1",
+  "line2",
+  "city",
+  "province",
+  "postalCode",
+  "country",
+];
+
+// Plain copy of the address fields, without book-keeping like label or _id
+const toSnapshot = (address) =>
+  SNAPSHOT_FIELDS.reduce((snapshot, field) => {
+    if (address[field] !== undefined && address[field] !== "") {
+      snapshot[field] = address[field];
+    }
+    return snapshot;
+  }, {});
+
+// Keep exactly one default address when the book isn't empty
+const ensureDefault = (user, preferredId) => {
+  if (user.addresses.length === 0) return;
+
+  const preferred = preferredId && user.addresses.id(preferredId);
+  const current =
+    preferred || user.addresses.find((a) => a.isDefault) || user.addresses[0];
+
+  user.addresses.forEach((a) => {
+    a.isDefault = a._id.equals(current._id);
+  });
+};
+
+// Work out the address an order ships to: an explicit one-off address, a
+// saved address by id, or else the user's default saved address.
+// Returns a plain copy of it; throws a 400 AppError when none applies.
+const resolveShippingAddress = async (
+  userId,
+  { addressId, shippingAddress } = {}
+) => {
+  let address = shippingAddress;
+
+  if (!address) {
+    const user = await User.findById(userId).select("addresses").lean();
+    if (!user) throw new AppError("User not found", 404);
+
+    const addresses = user.addresses || [];
+    address = addressId
+      ? addresses.find((a) => a._id.toString() === addressId.toString())
+      : addresses.find((a) => a.isDefault) || addresses[0];
+
+    if (addressId && !address) {
+      throw new AppError("Saved address not found", 400);
+    }
+  }
+
+  if (!address) {
+    throw new AppError(
+      "Please provide a shipping address or save one to your address book",
+      400
+    );
+  }
+
+  return toSnapshot(address);
+};
+
+// City/province of the user's default saved address, for shipping estimates
+const defaultDestination = async (userId) => {
+  const user = await User.findById(userId).select("addresses").lean();
+  const addresses = (user && user.addresses) || [];
+  const address = addresses.find((a) => a.isDefault) || addresses[0];
+
+  return address ? { city: address.city, province: address.province } : {};
+};
+
+module.exports = {
+  toSnapshot,
+  ensureDefault,
+  resolveShippingAddress,
+  defaultDestination,
+};
@@ -0,0 +1,297 @@
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const Category = require("../models/Category");
+const AppError = require("../utils/AppError");
+const config = require("../config/config");
+const { SIZES, PRICE_BUCKETS } = require("../config/catalog");
+const { subtreeSlugs } = require("./categoryService");
+
+// Sort orders of the product listing. Ties are broken on _id so the order is
+// stable across pages.
+const SORTS = {
+  newest: { field: "publishAt", direction: -1 },
+  "price-asc": { field: "price", direction: 1 },
+  "price-desc": { field: "price", direction: -1 },
+  "best-selling": { field: "salesCount", direction: -1 },
+  rating: { field: "averageRating", direction: -1 },
+};
+
+const AVAILABILITY = ["in-stock", "out-of-stock"];
+
+// "a,b" -> ["a", "b"]; also accepts repeated query parameters
+const listParam = (value) =>
+  []
+    .concat(value)
+    .flatMap((v) => String(v).split(","))
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+const priceParam = (value, name) => {
+  if (value === undefined || value === "") return undefined;
+  const price = Number(value);
+  if (!Number.isFinite(price) || price < 0) {
+    throw new AppError(`${name} must be a non-negative number`, 400);
+  }
+  return price;
+};
+
+// Aggregation expression: whether a variant has stock that isn't held for a
+// cart
+const hasAvailableStock = (variant) => ({
+  $gt: [
+    {
+      $subtract: [`${variant}.stock`, { $ifNull: [`${variant}.reserved`, 0] }],
+    },
+    0,
+  ],
+});
+
+// Aggregation expression: whether any variant meeting all `conditions`
+// (expressions on "$$v") has available stock
+const anyVariantAvailable = (conditions = []) => ({
+  $anyElementTrue: [
+    {
+      $map: {
+        input: { $ifNull: ["$variants", []] },
+        as: "v",
+        in: { $and: [hasAvailableStock("$$v"), ...conditions] },
+      },
+    },
+  ],
+});
+
+// One query clause per filter, so facets can leave out their own filter
+const buildFilterClauses = async (query) => {
+  const clauses = {};
+
+  if (query.category) {
+    const slugs = await Promise.all(
+      listParam(query.category).map(subtreeSlugs)
+    );
+    // Unknown categories simply match nothing
+    clauses.category = { category: { $in: slugs.flat().filter(Boolean) } };
+  }
+
+  const minPrice = priceParam(query.minPrice, "minPrice");
+  const maxPrice = priceParam(query.maxPrice, "maxPrice");
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    clauses.price = { price: {} };
+    if (minPrice !== undefined) clauses.price.price.$gte = minPrice;
+    if (maxPrice !== undefined) clauses.price.price.$lte = maxPrice;
+  }
+
+  // Size and colour must be in stock on the same variant. The $elemMatch
+  // narrows the search using the index; stock held for carts needs $expr.
+  if (query.size || query.color) {
+    const variant = { stock: { $gt: 0 } };
+    const conditions = [];
+    if (query.size) {
+      const sizes = listParam(query.size);
+      const unknown = sizes.filter((size) => !SIZES.includes(size));
+      if (unknown.length > 0) {
+        throw new AppError(`Unknown size: ${unknown.join(", ")}`, 400);
+      }
+      variant.size = { $in: sizes };
+      conditions.push({ $in: ["$$v.size", sizes] });
+    }
+    if (query.color) {
+      const colors = listParam(query.color).map((color) => color.toLowerCase());
+      variant.color = { $in: colors };
+      conditions.push({ $in: [{ $ifNull: ["$$v.color", null] }, colors] });
+    }
+    clauses.variant = {
+      variants: { $elemMatch: variant },
+      $expr: anyVariantAvailable(conditions),
+    };
+  }
+
+  if (query.availability) {
+    if (!AVAILABILITY.includes(query.availability)) {
+      throw new AppError(
+        `availability must be one of: ${AVAILABILITY.join(", ")}`,
+        400
+      );
+    }
+    clauses.availability =
+      query.availability === "in-stock"
+        ? { "variants.stock": { $gt: 0 }, $expr: anyVariantAvailable() }
+        : { $expr: { $not: [anyVariantAvailable()] } };
+  }
+
+  return clauses;
+};
+
+// Storefront conditions plus all filter clauses, optionally without one of
+// them
+const combineClauses = (clauses, except) => {
+  const parts = Object.keys(clauses)
+    .filter((key) => key !== except)
+    .map((key) => clauses[key]);
+  return { $and: [Product.storefrontFilter(), ...parts] };
+};
+
+// Cursors carry the sort they belong to and the last product's sort value
+const encodeCursor = (sortKey, product) => {
+  const { field } = SORTS[sortKey];
+  const value = product[field] === undefined ? null : product[field];
+  return Buffer.from(
+    JSON.stringify([sortKey, value, product._id.toString()])
+  ).toString("base64url");
+};
+
+const decodeCursor = (cursor, sortKey) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch (err) {
+    throw new AppError("Invalid cursor", 400);
+  }
+
+  const [cursorSort, value, id] = Array.isArray(decoded) ? decoded : [];
+  if (cursorSort !== sortKey || !mongoose.isValidObjectId(id)) {
+    throw new AppError("Invalid cursor for this sort order", 400);
+  }
+
+  const { field } = SORTS[sortKey];
+  return {
+    value: field === "publishAt" && value !== null ? new Date(value) : value,
+    id: new mongoose.Types.ObjectId(id),
+  };
+};
+
+// Products that come after the cursor in the given sort. Missing values sort
+// below every other value, so they need their own conditions.
+const afterCursor = ({ field, direction }, { value, id }) => {
+  const op = direction === 1 ? "$gt" : "$lt";
+  const tie = { [field]: value, _id: { [op]: id } };
+
+  if (value === null) {
+    return direction === 1 ? { $or: [{ [field]: { $ne: null } }, tie] } : tie;
+  }
+  const after = [{ [field]: { [op]: value } }, tie];
+  if (direction === -1) after.push({ [field]: null });
+  return { $or: after };
+};
+
+// Product counts per category, in-stock size and price range. Each facet
+// applies every filter except its own, so the storefront can show how many
+// products picking another option would give.
+const productFacets = async (clauses) => {
+  const [categoryCounts, sizeCounts, priceCounts] = await Promise.all([
+    Product.aggregate([
+      { $match: combineClauses(clauses, "category") },
+      { $group: { _id: "$category", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+    ]),
+    Product.aggregate([
+      { $match: combineClauses(clauses, "variant") },
+      { $unwind: "$variants" },
+      { $match: { $expr: hasAvailableStock("$variants") } },
+      { $group: { _id: { size: "$variants.size", product: "$_id" } } },
+      { $group: { _id: "$_id.size", count: { $sum: 1 } } },
+    ]),
+    Product.aggregate([
+      { $match: combineClauses(clauses, "price") },
+      {
+        $bucket: {
+          groupBy: "$price",
+          boundaries: PRICE_BUCKETS,
+          default: "over",
+          output: { count: { $sum: 1 } },
+        },
+      },
+    ]),
+  ]);
+
+  const categories = await Category.find({
+    slug: { $in: categoryCounts.map((c) => c._id) },
+  })
+    .select("name slug")
+    .lean();
+  const names = new Map(categories.map((c) => [c.slug, c.name]));
+
+  const countOf = (counts, key) => {
+    const match = counts.find((c) => c._id === key);
+    return match ? match.count : 0;
+  };
+
+  return {
+    categories: categoryCounts.map((c) => ({
+      slug: c._id,
+      name: names.get(c._id) || c._id,
+      count: c.count,
+    })),
+    sizes: SIZES.map((size) => ({ size, count: countOf(sizeCounts, size) })),
+    prices: PRICE_BUCKETS.map((min, index) => {
+      const isLast = index === PRICE_BUCKETS.length - 1;
+      return {
+        min,
+        max: isLast ? null : PRICE_BUCKETS[index + 1],
+        count: countOf(priceCounts, isLast ? "over" : min),
+      };
+    }),
+  };
+};
+
+// A page of the filtered, sorted catalogue with its facet counts. Pages are
+// addressed by number, or by the `nextCursor` of the previous page, which
+// stays correct while products are being added.
+const listProducts = async (query) => {
+  const sortKey = query.sort || "newest";
+  const sort = SORTS[sortKey];
+  if (!sort) {
+    throw new AppError(
+      `sort must be one of: ${Object.keys(SORTS).join(", ")}`,
+      400
+    );
+  }
+
+  const limit = Math.min(
+    Math.max(parseInt(query.limit) || config.DEFAULT_PAGE_SIZE, 1),
+    config.MAX_PAGE_SIZE
+  );
+  const page = query.cursor ? null : Math.max(parseInt(query.page) || 1, 1);
+
+  const clauses = await buildFilterClauses(query);
+  const filter = combineClauses(clauses);
+  const pageFilter = query.cursor
+    ? {
+        $and: [filter, afterCursor(sort, decodeCursor(query.cursor, sortKey))],
+      }
+    : filter;
+
+  const [rows, total, facets] = await Promise.all([
+    Product.find(pageFilter)
+      .sort({ [sort.field]: sort.direction, _id: sort.direction })
+      .skip(page ? (page - 1) * limit : 0)
+      .limit(limit + 1),
+    Product.countDocuments(filter),
+    productFacets(clauses),
+  ]);
+
+  const hasMore = rows.length > limit;
+  const products = rows.slice(0, limit);
+
+  return {
+    products,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      hasMore,
+      nextCursor: hasMore
+        ? encodeCursor(sortKey, products[products.length - 1])
+        : null,
+    },
+    facets,
+  };
+};
+
+module.exports = {
+  SORTS,
+  buildFilterClauses,
+  combineClauses,
+  productFacets,
+  listProducts,
+};
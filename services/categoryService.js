@@ -0,0 +1,176 @@
+const mongoose = require("mongoose");
+const Category = require("../models/Category");
+const Product = require("../models/Product");
+const Coupon = require("../models/Coupon");
+const AppError = require("../utils/AppError");
+
+// A category with every category below it, or null if the slug is unknown
+const findSubtree = async (slug) => {
+  const [result] = await Category.aggregate([
+    { $match: { slug: String(slug).toLowerCase() } },
+    {
+      $graphLookup: {
+        from: Category.collection.name,
+        startWith: "$_id",
+        connectFromField: "_id",
+        connectToField: "parent",
+        as: "descendants",
+      },
+    },
+  ]);
+  if (!result) return null;
+
+  const { descendants, ...category } = result;
+  return { category, descendants };
+};
+
+// Slugs of a category and all its descendants, or null if it doesn't exist
+const subtreeSlugs = async (slug) => {
+  const subtree = await findSubtree(slug);
+  if (!subtree) return null;
+  return [subtree.category, ...subtree.descendants].map((c) => c.slug);
+};
+
+// Ancestors of a category from the top level down, for breadcrumbs
+const findAncestors = async (category) => {
+  if (!category.parent) return [];
+
+  const [result] = await Category.aggregate([
+    { $match: { _id: category._id } },
+    {
+      $graphLookup: {
+        from: Category.collection.name,
+        startWith: "$parent",
+        connectFromField: "parent",
+        connectToField: "_id",
+        as: "ancestors",
+        depthField: "depth",
+      },
+    },
+  ]);
+
+  return result.ancestors
+    .sort((a, b) => b.depth - a.depth)
+    .map(({ _id, name, slug }) => ({ _id, name, slug }));
+};
+
+const bySortOrder = (a, b) =>
+  a.sortOrder - b.sortOrder || a.name.localeCompare(b.name);
+
+// Nest a flat list of categories under their parents, siblings in sort order
+const buildTree = (categories, parentId = null) =>
+  categories
+    .filter((c) => String(c.parent || null) === String(parentId))
+    .sort(bySortOrder)
+    .map((c) => ({ ...c, children: buildTree(categories, c._id) }));
+
+// A parent must exist and must not sit inside the category's own subtree
+const assertValidParent = async (category, parentId) => {
+  if (!parentId) return;
+
+  const parent = await Category.findById(parentId).lean();
+  if (!parent) throw new AppError("Parent category not found", 400);
+
+  if (category) {
+    const subtree = await findSubtree(category.slug);
+    const inside = [subtree.category, ...subtree.descendants].some((c) =>
+      c._id.equals(parent._id)
+    );
+    if (inside) {
+      throw new AppError(
+        "A category can't be moved under itself or its subcategories",
+        400
+      );
+    }
+  }
+};
+
+const createCategory = async (data) => {
+  await assertValidParent(null, data.parent);
+  return Category.create(data);
+};
+
+// Update a category; a new slug is carried over to its products and coupons
+const updateCategory = async (categoryId, data) => {
+  const category = await Category.findById(categoryId);
+  if (!category) throw new AppError("Category not found", 404);
+
+  if (data.parent !== undefined) {
+    await assertValidParent(category, data.parent);
+  }
+
+  const oldSlug = category.slug;
+  category.set(data);
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await category.save({ session });
+
+      if (category.slug !== oldSlug) {
+        await Product.updateMany(
+          { category: oldSlug },
+          { $set: { category: category.slug } },
+          { session }
+        );
+        // Category words are part of the products' search keys
+        const products = await Product.find({ category: category.slug })
+          .select("name category")
+          .session(session)
+          .lean();
+        if (products.length > 0) {
+          await Product.bulkWrite(
+            products.map((product) => ({
+              updateOne: {
+                filter: { _id: product._id },
+                update: { $set: Product.searchFields(product) },
+              },
+            })),
+            { session }
+          );
+        }
+        await Coupon.updateMany(
+          { categories: oldSlug },
+          { $set: { "categories.$": category.slug } },
+          { session }
+        );
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return category;
+};
+
+// Only empty leaf categories can be deleted
+const deleteCategory = async (categoryId) => {
+  const category = await Category.findById(categoryId);
+  if (!category) throw new AppError("Category not found", 404);
+
+  if (await Category.exists({ parent: category._id })) {
+    throw new AppError("Move or delete the subcategories first", 409);
+  }
+  const productCount = await Product.countDocuments({
+    category: category.slug,
+  });
+  if (productCount > 0) {
+    throw new AppError(
+      `${productCount} products are still in this category`,
+      409
+    );
+  }
+
+  await category.deleteOne();
+  return category;
+};
+
+module.exports = {
+  findSubtree,
+  subtreeSlugs,
+  findAncestors,
+  buildTree,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+};
@@ -0,0 +1,116 @@
+const Coupon = require("../models/Coupon");
+const Order = require("../models/Order");
+const AppError = require("../utils/AppError");
+const { subtreeSlugs } = require("./categoryService");
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Slugs of the coupon's categories and all their subcategories. A category
+// that no longer exists still matches its own slug.
+const scopeCategories = async (coupon) => {
+  const subtrees = await Promise.all(coupon.categories.map(subtreeSlugs));
+  return new Set(coupon.categories.flatMap((slug, i) => subtrees[i] || [slug]));
+};
+
+// Whether a line falls inside the coupon's category/product scope, given the
+// categories from scopeCategories()
+const inScope = (coupon, categories, line) => {
+  const scoped = coupon.categories.length > 0 || coupon.products.length > 0;
+  if (!scoped) return true;
+
+  return (
+    categories.has(line.category) ||
+    coupon.products.some((id) => id.toString() === line.productId.toString())
+  );
+};
+
+// Validate a coupon code against a set of priced lines
+// (`{ productId, category, price, quantity }`) and work out the discount.
+// Throws a 400 AppError explaining why the coupon can't be used.
+const applyCoupon = async ({ code, lines, userId, session }) => {
+  const coupon = await Coupon.findOne({
+    code: String(code).trim().toUpperCase(),
+  }).session(session || null);
+
+  if (!coupon) {
+    throw new AppError("Invalid coupon code", 400);
+  }
+  if (!coupon.isRedeemable()) {
+    throw new AppError("This coupon is expired or no longer available", 400);
+  }
+
+  const subtotal = lines.reduce((sum, l) => sum + l.price * l.quantity, 0);
+  if (subtotal < coupon.minOrderValue) {
+    throw new AppError(
+      `This coupon requires a minimum order of PKR ${coupon.minOrderValue}`,
+      400
+    );
+  }
+
+  if (coupon.perUserLimit && userId) {
+    const used = await Order.countDocuments({
+      userId,
+      "coupon.couponId": coupon._id,
+      status: { $ne: "Cancelled" },
+    }).session(session || null);
+
+    if (used >= coupon.perUserLimit) {
+      throw new AppError("You have already used this coupon", 400);
+    }
+  }
+
+  const categories = await scopeCategories(coupon);
+  const eligible = lines.filter((line) => inScope(coupon, categories, line));
+  if (eligible.length === 0) {
+    throw new AppError("This coupon does not apply to any items", 400);
+  }
+
+  const eligibleSubtotal = eligible.reduce(
+    (sum, l) => sum + l.price * l.quantity,
+    0
+  );
+
+  let discount = 0;
+  if (coupon.type === "percentage") {
+    discount = (eligibleSubtotal * Math.min(coupon.value, 100)) / 100;
+  } else if (coupon.type === "fixed") {
+    discount = Math.min(coupon.value, eligibleSubtotal);
+  }
+
+  return {
+    coupon,
+    discount: roundMoney(discount),
+    freeShipping: coupon.type === "free_shipping",
+  };
+};
+
+// Count one redemption, failing if the global limit was reached meanwhile
+const redeemCoupon = async (coupon, session) => {
+  const filter = { _id: coupon._id };
+  if (coupon.usageLimit) {
+    filter.usedCount = { $lt: coupon.usageLimit };
+  }
+
+  const result = await Coupon.updateOne(
+    filter,
+    { $inc: { usedCount: 1 } },
+    { session }
+  );
+  if (result.modifiedCount === 0) {
+    throw new AppError("This coupon has reached its usage limit", 400);
+  }
+};
+
+// Give a redemption back, e.g. when the order is cancelled
+const releaseCoupon = (couponId, session) =>
+  Coupon.updateOne(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session }
+  );
+
+module.exports = {
+  applyCoupon,
+  redeemCoupon,
+  releaseCoupon,
+};
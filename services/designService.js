@@ -0,0 +1,249 @@
+const mongoose = require("mongoose");
+const Cart = require("../models/Cart");
+const CustomDesign = require("../models/CustomDesign");
+const Product = require("../models/Product");
+const AppError = require("../utils/AppError");
+const storage = require("./storage");
+const { inspectImage, resizeImage } = require("./imageService");
+const {
+  PLACEMENTS,
+  SETUP_FEE,
+  RATE_PER_CM2,
+  MIN_DPI,
+} = require("../config/printing");
+
+const PREVIEW_SIZE = 400;
+const CM_PER_INCH = 2.54;
+
+// Price of printing the placements, rounded to whole rupees
+const printPrice = (placements) =>
+  placements.reduce(
+    (total, p) =>
+      total + SETUP_FEE + Math.round(p.widthCm * p.heightCm * RATE_PER_CM2),
+    0
+  );
+
+// Each placement must fit the printable area of its position
+const assertPrintable = (placements) => {
+  for (const placement of placements) {
+    const area = PLACEMENTS[placement.position];
+    if (!area) {
+      throw new AppError(`Unknown print position: ${placement.position}`, 400);
+    }
+    if (
+      placement.widthCm > area.maxWidthCm ||
+      placement.heightCm > area.maxHeightCm
+    ) {
+      throw new AppError(
+        `The ${placement.position} print can be at most ${area.maxWidthCm} x ${area.maxHeightCm} cm`,
+        400
+      );
+    }
+  }
+};
+
+// Lowest resolution the artwork is printed at over all placements. The
+// artwork is scaled to fit each area, keeping its proportions.
+const printDpi = (artwork, placements) =>
+  Math.min(
+    ...placements.map((p) => {
+      const printedWidthCm = Math.min(
+        p.widthCm,
+        (p.heightCm * artwork.width) / artwork.height
+      );
+      return artwork.width / (printedWidthCm / CM_PER_INCH);
+    })
+  );
+
+// Price a design on a base shirt: the shirt variant's price plus printing
+const quoteDesign = async ({ productId, placements, ...variantRef }) => {
+  assertPrintable(placements);
+
+  const product = mongoose.isValidObjectId(productId)
+    ? await Product.findById(productId)
+    : null;
+  if (!product || !product.customizable || !product.isLive) {
+    throw new AppError("Base shirt not found", 404);
+  }
+
+  const variant = product.findVariant(variantRef);
+  if (!variant) {
+    throw new AppError("Variant not available for this shirt", 400);
+  }
+
+  const basePrice = product.priceFor(variant);
+  const print = printPrice(placements);
+  return {
+    product,
+    variant,
+    basePrice,
+    printPrice: print,
+    unitPrice: basePrice + print,
+  };
+};
+
+// Customer artwork is stored privately and only served through
+// GET /api/designs/:id/artwork and /preview, to its owner and admins
+const artworkKeys = (designId, format) => ({
+  original: `designs/${designId}/artwork.${format === "jpeg" ? "jpg" : format}`,
+  preview: `designs/${designId}/preview.webp`,
+});
+
+const artworkUrls = (designId) => ({
+  url: `/api/designs/${designId}/artwork`,
+  previewUrl: `/api/designs/${designId}/preview`,
+});
+
+const removeArtwork = (design) =>
+  Promise.all(
+    Object.values(artworkKeys(design._id, design.artwork.format)).map((key) =>
+      storage
+        .removePrivate(key)
+        .catch((err) => console.error("Remove artwork file error:", err))
+    )
+  );
+
+// Save a customer's design: the uploaded artwork (from multer) placed on a
+// base shirt. Artwork too small to print sharply at the requested size is
+// rejected.
+const createDesign = async ({ userId, file, name, ...specs }) => {
+  if (!file) {
+    throw new AppError("Upload the artwork in the artwork field", 400);
+  }
+
+  const quote = await quoteDesign(specs);
+  const metadata = await inspectImage(file);
+  const artwork = {
+    format: metadata.format,
+    width: metadata.width,
+    height: metadata.height,
+  };
+
+  const dpi = printDpi(artwork, specs.placements);
+  if (dpi < MIN_DPI) {
+    throw new AppError(
+      `The artwork would print at ${Math.floor(
+        dpi
+      )} DPI; upload a larger image or choose a smaller print size (at least ${MIN_DPI} DPI)`,
+      400
+    );
+  }
+
+  const design = new CustomDesign({
+    userId,
+    name,
+    productId: quote.product._id,
+    variantId: quote.variant._id,
+    size: quote.variant.size,
+    color: quote.variant.color,
+    fit: quote.variant.fit,
+    placements: specs.placements,
+    printPrice: quote.printPrice,
+    unitPrice: quote.unitPrice,
+  });
+
+  const keys = artworkKeys(design._id, artwork.format);
+  try {
+    await storage.savePrivate(
+      keys.original,
+      file.buffer,
+      `image/${artwork.format}`
+    );
+    await storage.savePrivate(
+      keys.preview,
+      await resizeImage(file.buffer, PREVIEW_SIZE),
+      "image/webp"
+    );
+    design.artwork = { ...artwork, ...artworkUrls(design._id) };
+    await design.save();
+  } catch (err) {
+    await removeArtwork({ _id: design._id, artwork });
+    throw err;
+  }
+  return design;
+};
+
+const findUserDesign = async (designId, userId) => {
+  const design = mongoose.isValidObjectId(designId)
+    ? await CustomDesign.findOne({ _id: designId, userId })
+    : null;
+  if (!design) throw new AppError("Design not found", 404);
+  return design;
+};
+
+// The artwork of a design, or its preview, with its content type. Only the
+// design's owner and admins (for production) can read it.
+const readArtwork = async (designId, user, { preview = false } = {}) => {
+  const design = mongoose.isValidObjectId(designId)
+    ? await CustomDesign.findById(designId)
+    : null;
+  if (!design || (!user.isAdmin && !design.userId.equals(user._id))) {
+    throw new AppError("Design not found", 404);
+  }
+
+  const keys = artworkKeys(design._id, design.artwork.format);
+  const file = await storage.readPrivate(
+    preview ? keys.preview : keys.original
+  );
+  if (!file) throw new AppError("Artwork not found", 404);
+  return {
+    file,
+    contentType: preview ? "image/webp" : `image/${design.artwork.format}`,
+  };
+};
+
+// Delete a design that was never ordered, with its artwork and cart lines.
+// Ordered designs are kept for production and order history.
+const deleteDesign = async (designId, userId) => {
+  const design = await findUserDesign(designId, userId);
+  if (design.orderedAt) {
+    throw new AppError("Ordered designs can't be deleted", 409);
+  }
+
+  await Cart.updateOne(
+    { userId },
+    {
+      $pull: { items: { designId: design._id } },
+      $set: { updatedAt: Date.now() },
+    }
+  );
+  await design.deleteOne();
+  await removeArtwork(design);
+  return design;
+};
+
+// Copy of a design for an order line, so production works from exactly
+// what was ordered
+const designSnapshot = (design) => ({
+  designId: design._id,
+  artworkUrl: design.artwork.url,
+  previewUrl: design.artwork.previewUrl,
+  artworkWidth: design.artwork.width,
+  artworkHeight: design.artwork.height,
+  placements: design.placements.map((p) => ({
+    position: p.position,
+    widthCm: p.widthCm,
+    heightCm: p.heightCm,
+    offsetTopCm: p.offsetTopCm,
+  })),
+  printPrice: printPrice(design.placements),
+});
+
+// "front 25 x 30 cm, back 10 x 10 cm"
+const describePlacements = (placements) =>
+  placements
+    .map((p) => `${p.position} ${p.widthCm} x ${p.heightCm} cm`)
+    .join(", ");
+
+module.exports = {
+  artworkKeys,
+  artworkUrls,
+  printPrice,
+  quoteDesign,
+  createDesign,
+  findUserDesign,
+  readArtwork,
+  deleteDesign,
+  designSnapshot,
+  describePlacements,
+};
@@ -1,4 +1,6 @@
 const nodemailer = require("nodemailer");
+const config = require("../config/config");
+const { describePlacements } = require("./designService");
 
 // Create transporter
 const transporter = nodemailer.createTransport({
@@ -9,6 +11,31 @@ const transporter = nodemailer.createTransport({
   },
 });
 
+// Subtotal, discount, shipping, tax and total rows for an order
+const renderPriceBreakdown = (pricing) => {
+  if (!pricing) return "";
+
+  const row = (label, value) => `<p><strong>${label}:</strong> ${value}</p>`;
+
+  return `
+          <div style="margin: 20px 0;">
+            <h3>Order Summary:</h3>
+            ${row("Subtotal", `PKR ${pricing.subtotal}`)}
+            ${
+              pricing.discount > 0
+                ? row("Discount", `- PKR ${pricing.discount}`)
+                : ""
+            }
+            ${row(
+              "Shipping",
+              pricing.shipping > 0 ? `PKR ${pricing.shipping}` : "Free"
+            )}
+            ${pricing.tax > 0 ? row("Tax", `PKR ${pricing.tax}`) : ""}
+            ${row("Total", `PKR ${pricing.total}`)}
+          </div>
+  `;
+};
+
 // Send order confirmation email
 const sendOrderConfirmation = async (
   customerEmail,
@@ -39,6 +66,8 @@ const sendOrderConfirmation = async (
             ).toLocaleDateString()}</p>
           </div>
 
+          ${renderPriceBreakdown(orderDetails.pricing)}
+
           <div style="margin: 20px 0;">
             <h3>Items Ordered:</h3>
             ${orderDetails.products
@@ -46,6 +75,13 @@ const sendOrderConfirmation = async (
                 (item) => `
               <div style="border-bottom: 1px solid #eee; padding: 10px 0;">
                 <p><strong>Product:</strong> ${item.productName}</p>
+                ${
+                  item.design
+                    ? `<p><strong>Custom print:</strong> ${describePlacements(
+                        item.design.placements
+                      )}</p>`
+                    : ""
+                }
                 <p><strong>Quantity:</strong> ${item.quantity}</p>
                 <p><strong>Price:</strong> PKR ${item.price}</p>
               </div>
@@ -54,7 +90,11 @@ const sendOrderConfirmation = async (
               .join("")}
           </div>
 
-          <p>Your order will be delivered via Cash on Delivery (COD). Please have the exact amount ready upon delivery.</p>
+          ${
+            orderDetails.paymentMethod === "COD"
+              ? "<p>Your order will be delivered via Cash on Delivery (COD). Please have the exact amount ready upon delivery.</p>"
+              : "<p>Your payment has been authorized and will be charged when your order ships.</p>"
+          }
           <p>We'll send you another email with tracking information once your order ships.</p>
           
           <p>Thank you for choosing Printeez!</p>
@@ -72,6 +112,158 @@ const sendOrderConfirmation = async (
   }
 };
 
+// Send order cancellation email
+const sendOrderCancellation = async (
+  customerEmail,
+  customerName,
+  orderDetails
+) => {
+  try {
+    const mailOptions = {
+      from: process.env.EMAIL_USER || "ahmadsaeed3220@gmail.com",
+      to: customerEmail,
+      subject: "Order Cancelled - Printeez",
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">Order Cancelled</h2>
+          <p>Dear ${customerName},</p>
+          <p>Your order has been cancelled as requested. No payment is due for this order.</p>
+
+          <div style="background-color: #f5f5f5; padding: 20px; margin: 20px 0; border-radius: 5px;">
+            <h3 style="margin-top: 0;">Order Details:</h3>
+            <p><strong>Order ID:</strong> ${orderDetails.orderId}</p>
+            <p><strong>Total Amount:</strong> PKR ${orderDetails.totalAmount}</p>
+            <p><strong>Cancelled On:</strong> ${new Date(
+              orderDetails.cancelledAt
+            ).toLocaleDateString()}</p>
+            <p><strong>Reason:</strong> ${orderDetails.reason}</p>
+          </div>
+
+          <div style="margin: 20px 0;">
+            <h3>Cancelled Items:</h3>
+            ${orderDetails.products
+              .map(
+                (item) => `
+              <div style="border-bottom: 1px solid #eee; padding: 10px 0;">
+                <p><strong>Product:</strong> ${item.productName}</p>
+                <p><strong>Variant:</strong> ${[item.size, item.color, item.fit]
+                  .filter(Boolean)
+                  .join(" / ")}</p>
+                <p><strong>Quantity:</strong> ${item.quantity}</p>
+              </div>
+            `
+              )
+              .join("")}
+          </div>
+
+          <p>If you didn't request this cancellation, please reply to this email.</p>
+
+          <p>Best regards,<br>The Printeez Team</p>
+        </div>
+      `,
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`Order cancellation email sent to ${customerEmail}`);
+    return true;
+  } catch (error) {
+    console.error("Error sending email:", error);
+    return false;
+  }
+};
+
+// Size / colour / fit of a variant, e.g. "Large / black / slim"
+const describeVariant = (variant) =>
+  [variant.size, variant.color, variant.fit].filter(Boolean).join(" / ");
+
+// Tell admins which variants have fallen to their low-stock threshold.
+// `products` are `{ name, slug, variants: [{ sku, size, color, fit, stock,
+// threshold }] }`.
+const sendLowStockAlert = async (adminEmails, products) => {
+  try {
+    const mailOptions = {
+      from: process.env.EMAIL_USER || "ahmadsaeed3220@gmail.com",
+      to: adminEmails.join(", "),
+      subject: "Low Stock Alert - Printeez",
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">Low Stock Alert</h2>
+          <p>These sizes have fallen to their low-stock threshold:</p>
+
+          ${products
+            .map(
+              (product) => `
+            <div style="border-bottom: 1px solid #eee; padding: 10px 0;">
+              <p><strong>${product.name}</strong> (${product.slug})</p>
+              ${product.variants
+                .map(
+                  (variant) =>
+                    `<p>${describeVariant(variant)} - SKU ${
+                      variant.sku
+                    }: <strong>${variant.stock} left</strong> (threshold ${
+                      variant.threshold
+                    })</p>`
+                )
+                .join("")}
+            </div>
+          `
+            )
+            .join("")}
+
+          <p>You won't be alerted again for a size until its stock goes back above the threshold.</p>
+        </div>
+      `,
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`Low stock alert sent to ${adminEmails.length} admin(s)`);
+    return true;
+  } catch (error) {
+    console.error("Error sending email:", error);
+    return false;
+  }
+};
+
+// Tell a customer that a size they asked about is back in stock
+const sendBackInStock = async (
+  customerEmail,
+  customerName,
+  product,
+  variant
+) => {
+  try {
+    const mailOptions = {
+      from: process.env.EMAIL_USER || "ahmadsaeed3220@gmail.com",
+      to: customerEmail,
+      subject: `${product.name} is back in stock - Printeez`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">Back in Stock</h2>
+          <p>Dear ${customerName},</p>
+          <p>Good news! <strong>${product.name}</strong> in ${describeVariant(
+        variant
+      )} is back in stock.</p>
+          <p><a href="${config.FRONTEND_URL}/products/${
+        product.slug
+      }">Get yours before it sells out again</a>.</p>
+
+          <p>Best regards,<br>The Printeez Team</p>
+        </div>
+      `,
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log(`Back in stock email sent to ${customerEmail}`);
+    return true;
+  } catch (error) {
+    console.error("Error sending email:", error);
+    return false;
+  }
+};
+
 module.exports = {
   sendOrderConfirmation,
+  sendOrderCancellation,
+  sendLowStockAlert,
+  sendBackInStock,
 };
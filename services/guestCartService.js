@@ -0,0 +1,130 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Cart = require("../models/Cart");
+const Product = require("../models/Product");
+const { isGone } = require("./productService");
+const {
+  availableForLine,
+  holdCartStock,
+  releaseCartStock,
+} = require("./reservationService");
+
+// Request header carrying a guest's cart token
+const CART_TOKEN_HEADER = "X-Cart-Token";
+
+// Only a hash of the token is stored, so the database can't be used to take
+// over guest carts
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Query for the guest cart of a token; matches nothing without one
+const guestCartFilter = (token) =>
+  token ? { guestToken: hashToken(token), userId: null } : { _id: null };
+
+// A new empty guest cart with the token that opens it. The token is only
+// ever handed out here.
+const newGuestCart = () => {
+  const token = crypto.randomBytes(24).toString("base64url");
+  return {
+    cart: new Cart({ guestToken: hashToken(token), items: [] }),
+    cartToken: token,
+  };
+};
+
+// Move the lines of a guest cart into the user's cart and delete the guest
+// cart, e.g. when the guest signs in. Quantities of a variant in both carts
+// are added up, as far as there is stock; lines whose product is gone are
+// dropped. Returns the number of lines merged and the lines that could not be
+// merged in full, or null when there is no guest cart for the token.
+const mergeGuestCart = async (userId, token) => {
+  const guest = await Cart.findOne(guestCartFilter(token));
+  if (!guest) return null;
+
+  const session = await mongoose.startSession();
+  let cart;
+  let result;
+
+  try {
+    await session.withTransaction(async () => {
+      // Reset on every attempt, withTransaction may retry transient errors
+      result = { mergedItems: 0, adjustedItems: [] };
+
+      // The guest's holds go back first so the merged lines can use them
+      await releaseCartStock(guest._id, session);
+
+      cart =
+        (await Cart.findOne({ userId }).session(session)) ||
+        new Cart({ userId, items: [] });
+
+      for (const item of guest.items) {
+        const adjusted = (quantity, reason) =>
+          result.adjustedItems.push({
+            sku: item.sku,
+            size: item.size,
+            color: item.color,
+            fit: item.fit,
+            requested: item.quantity,
+            quantity,
+            reason,
+          });
+
+        const product = await Product.findById(item.productId).session(session);
+        // Lines of products off the storefront for now come along, as they
+        // would stay in the cart
+        const variant = !isGone(product) && product.variants.id(item.variantId);
+        if (!variant) {
+          adjusted(0, "Product no longer available");
+          continue;
+        }
+
+        // Custom prints need a signed-in user, so guest lines are plain
+        const line = cart.items.find(
+          (i) => variant._id.equals(i.variantId) && !i.designId
+        );
+        const current = line ? line.quantity : 0;
+        const quantity = Math.max(
+          Math.min(
+            current + item.quantity,
+            availableForLine(cart, variant, line)
+          ),
+          current
+        );
+        if (quantity - current < item.quantity) {
+          adjusted(quantity - current, "Insufficient stock");
+        }
+        if (quantity === current) continue;
+
+        if (line) {
+          line.quantity = quantity;
+        } else {
+          cart.items.push({
+            productId: product._id,
+            variantId: variant._id,
+            sku: variant.sku,
+            size: variant.size,
+            color: variant.color,
+            fit: variant.fit,
+            quantity,
+          });
+        }
+        result.mergedItems++;
+      }
+
+      await cart.save({ session });
+      await Cart.deleteOne({ _id: guest._id }, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  // Hold the stock of the merged cart as any cart change does
+  await holdCartStock(cart._id);
+  return result;
+};
+
+module.exports = {
+  CART_TOKEN_HEADER,
+  guestCartFilter,
+  newGuestCart,
+  mergeGuestCart,
+};
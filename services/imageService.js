@@ -0,0 +1,178 @@
+const mongoose = require("mongoose");
+const sharp = require("sharp");
+const Product = require("../models/Product");
+const AppError = require("../utils/AppError");
+const config = require("../config/config");
+const storage = require("./storage");
+
+// Resized copies made of every upload, fitted inside a square of this size
+const RENDITIONS = { medium: 800, thumbnail: 200 };
+
+const EXTENSIONS = { jpeg: "jpg", png: "png", webp: "webp" };
+
+// Storage keys of an image's original and renditions, by rendition name
+const imageKeys = (productId, image) => {
+  const base = `products/${productId}/${image._id}`;
+  const keys = { original: `${base}.${EXTENSIONS[image.format]}` };
+  Object.keys(RENDITIONS).forEach((name) => {
+    keys[name] = `${base}-${name}.webp`;
+  });
+  return keys;
+};
+
+// Delete the files of images; failures are logged, not thrown, as the
+// images are already gone from the product
+const removeImageFiles = (productId, images) =>
+  Promise.all(
+    images
+      .flatMap((image) => Object.values(imageKeys(productId, image)))
+      .map((key) =>
+        storage
+          .remove(key)
+          .catch((err) => console.error("Remove image file error:", err))
+      )
+  );
+
+// Read an uploaded file's format and size from its contents, rejecting files
+// that aren't an allowed image whatever type the client claimed
+const inspectImage = async (file) => {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (err) {
+    throw new AppError(`${file.originalname} is not a valid image`, 400);
+  }
+  if (!config.ALLOWED_IMAGE_TYPES.includes(`image/${metadata.format}`)) {
+    throw new AppError(
+      `${file.originalname} is not an allowed image type`,
+      400
+    );
+  }
+  return metadata;
+};
+
+// Resized WebP copy fitted inside a square of `size` pixels
+const resizeImage = (buffer, size) =>
+  sharp(buffer)
+    .rotate()
+    .resize(size, size, { fit: "inside", withoutEnlargement: true })
+    .webp()
+    .toBuffer();
+
+// Store an uploaded image with its renditions. Resolves to the data of a
+// product image.
+const storeImage = async (productId, file) => {
+  const metadata = await inspectImage(file);
+
+  const image = {
+    _id: new mongoose.Types.ObjectId(),
+    format: metadata.format,
+    width: metadata.width,
+    height: metadata.height,
+  };
+  const keys = imageKeys(productId, image);
+
+  try {
+    image.url = await storage.save(
+      keys.original,
+      file.buffer,
+      `image/${image.format}`
+    );
+    for (const [name, size] of Object.entries(RENDITIONS)) {
+      image[`${name}Url`] = await storage.save(
+        keys[name],
+        await resizeImage(file.buffer, size),
+        "image/webp"
+      );
+    }
+  } catch (err) {
+    await removeImageFiles(productId, [image]);
+    throw err;
+  }
+  return image;
+};
+
+// Keep imageUrl pointing at the first image for code that shows one picture
+const syncImageUrl = (product, removed = []) => {
+  if (product.images.length > 0) {
+    product.imageUrl = product.images[0].mediumUrl;
+  } else if (removed.some((image) => image.mediumUrl === product.imageUrl)) {
+    product.imageUrl = undefined;
+  }
+};
+
+const findProduct = async (productId) => {
+  const product = mongoose.isValidObjectId(productId)
+    ? await Product.findById(productId)
+    : null;
+  if (!product) throw new AppError("Product not found", 404);
+  return product;
+};
+
+// Add uploaded files (from multer) after the product's existing images
+const addProductImages = async (productId, files = []) => {
+  if (files.length === 0) {
+    throw new AppError("Upload at least one image in the images field", 400);
+  }
+
+  const product = await findProduct(productId);
+  if (product.images.length + files.length > config.MAX_PRODUCT_IMAGES) {
+    throw new AppError(
+      `A product can have at most ${config.MAX_PRODUCT_IMAGES} images`,
+      400
+    );
+  }
+
+  const stored = [];
+  try {
+    for (const file of files) {
+      stored.push(await storeImage(product._id, file));
+    }
+    product.images.push(...stored);
+    syncImageUrl(product);
+    await product.save();
+  } catch (err) {
+    await removeImageFiles(product._id, stored);
+    throw err;
+  }
+  return product;
+};
+
+// Put the images in the given order; every image must be listed once
+const reorderProductImages = async (productId, imageIds) => {
+  const product = await findProduct(productId);
+
+  const current = product.images.map((image) => image._id.toString());
+  const sameImages =
+    imageIds.length === current.length &&
+    imageIds.every((id) => current.includes(id));
+  if (!sameImages) {
+    throw new AppError("imageIds must list each of the product's images", 400);
+  }
+
+  product.images = imageIds.map((id) => product.images.id(id));
+  syncImageUrl(product);
+  await product.save();
+  return product;
+};
+
+const removeProductImage = async (productId, imageId) => {
+  const product = await findProduct(productId);
+  const image = product.images.id(imageId);
+  if (!image) throw new AppError("Image not found", 404);
+
+  product.images.pull(image._id);
+  syncImageUrl(product, [image]);
+  await product.save();
+
+  await removeImageFiles(product._id, [image]);
+  return product;
+};
+
+module.exports = {
+  inspectImage,
+  resizeImage,
+  addProductImages,
+  reorderProductImages,
+  removeProductImage,
+};
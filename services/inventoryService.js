@@ -0,0 +1,164 @@
+const mongoose = require("mongoose");
+const InventoryMovement = require("../models/InventoryMovement");
+const Product = require("../models/Product");
+const AppError = require("../utils/AppError");
+
+// Movement for a variant as it is right after the change
+const variantMovement = (productId, variant, fields) => ({
+  productId,
+  variantId: variant._id,
+  sku: variant.sku,
+  size: variant.size,
+  color: variant.color,
+  fit: variant.fit,
+  stockAfter: variant.stock,
+  ...fields,
+});
+
+const recordMovements = async (movements, session) => {
+  if (movements.length === 0) return [];
+  return InventoryMovement.insertMany(movements, { session });
+};
+
+// Set the stock of one variant, recording the difference as a correction
+const setVariantStock = async ({
+  productId,
+  variantId,
+  sku,
+  stock,
+  note,
+  createdBy,
+}) => {
+  const session = await mongoose.startSession();
+  let product;
+
+  try {
+    await session.withTransaction(async () => {
+      const current = mongoose.isValidObjectId(productId)
+        ? await Product.findById(productId).session(session)
+        : null;
+      if (!current) throw new AppError("Product not found", 404);
+
+      const variant = current.findVariant({ variantId, sku });
+      if (!variant) throw new AppError("Variant not found", 404);
+
+      product = await Product.findOneAndUpdate(
+        { _id: current._id, "variants._id": variant._id },
+        { $set: { "variants.$.stock": stock } },
+        { new: true, session }
+      );
+
+      const quantity = stock - variant.stock;
+      if (quantity !== 0) {
+        await recordMovements(
+          [
+            variantMovement(product._id, product.variants.id(variant._id), {
+              reason: "correction",
+              quantity,
+              note,
+              createdBy,
+            }),
+          ],
+          session
+        );
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return product;
+};
+
+// Apply many stock changes at once, e.g. after a stock count or a delivery.
+// Each adjustment names a product, one of its variants (by variantId, SKU or
+// size plus optional colour/fit), a quantity to add (negative to take away)
+// and a reason. Everything is applied in one transaction: if any adjustment
+// fails nothing is written and a 409 AppError is thrown with the failures
+// attached as `err.lines`.
+const adjustStock = async ({ adjustments, note, createdBy }) => {
+  const session = await mongoose.startSession();
+  let movements;
+
+  try {
+    await session.withTransaction(async () => {
+      // Reset on every attempt, withTransaction may retry transient errors
+      const pending = [];
+      const failures = [];
+
+      for (const [line, adjustment] of adjustments.entries()) {
+        const {
+          productId,
+          quantity,
+          reason,
+          note: lineNote,
+          ...variantRef
+        } = adjustment;
+        const failure = { line, productId, quantity, reason };
+
+        const product = mongoose.isValidObjectId(productId)
+          ? await Product.findById(productId).session(session)
+          : null;
+        if (!product) {
+          failures.push({ ...failure, message: "Product not found" });
+          continue;
+        }
+
+        const variant = product.findVariant(variantRef);
+        if (!variant) {
+          failures.push({ ...failure, message: "Variant not found" });
+          continue;
+        }
+
+        // Taking stock away must leave none below zero
+        const updated = await Product.findOneAndUpdate(
+          {
+            _id: product._id,
+            variants: {
+              $elemMatch: { _id: variant._id, stock: { $gte: -quantity } },
+            },
+          },
+          { $inc: { "variants.$.stock": quantity } },
+          { new: true, session }
+        );
+        if (!updated) {
+          failures.push({
+            ...failure,
+            variantId: variant._id,
+            available: variant.stock,
+            message: "Not enough stock to remove",
+          });
+          continue;
+        }
+
+        pending.push(
+          variantMovement(updated._id, updated.variants.id(variant._id), {
+            reason,
+            quantity,
+            note: lineNote || note,
+            createdBy,
+          })
+        );
+      }
+
+      if (failures.length > 0) {
+        const err = new AppError("Some adjustments could not be applied", 409);
+        err.lines = failures;
+        throw err;
+      }
+
+      movements = await recordMovements(pending, session);
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return movements;
+};
+
+module.exports = {
+  variantMovement,
+  recordMovements,
+  setVariantStock,
+  adjustStock,
+};
@@ -0,0 +1,430 @@
+const mongoose = require("mongoose");
+const Cart = require("../models/Cart");
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const CustomDesign = require("../models/CustomDesign");
+const AppError = require("../utils/AppError");
+const {
+  getProvider,
+  authorizeOrderPayment,
+  settleOrderPayment,
+} = require("./payments");
+const { redeemCoupon, releaseCoupon } = require("./couponService");
+const { priceLines } = require("./pricingService");
+const { formatAddress } = require("../models/addressSchema");
+const { printPrice, designSnapshot } = require("./designService");
+const { variantMovement, recordMovements } = require("./inventoryService");
+const {
+  availableStockFilter,
+  holdCartStock,
+  releaseCartStock,
+} = require("./reservationService");
+
+// Decrement stock for the variant an order line refers to, but only if it
+// has enough left that isn't held for a cart. Returns `{ product, variant }`
+// after the update, or null when the line cannot be fulfilled. Only products
+// on the storefront can be ordered, and custom prints only on products that
+// are still customizable.
+const reserveLine = async (item, session) => {
+  const product = await Product.findById(item.productId).session(session);
+  const variant =
+    product &&
+    product.isLive &&
+    (!item.designId || product.customizable) &&
+    product.findVariant(item);
+  if (!variant) return null;
+
+  const updated = await Product.findOneAndUpdate(
+    availableStockFilter(product._id, variant._id, item.quantity),
+    {
+      $inc: {
+        "variants.$.stock": -item.quantity,
+        salesCount: item.quantity,
+      },
+    },
+    { new: true, session }
+  );
+
+  return (
+    updated && { product: updated, variant: updated.variants.id(variant._id) }
+  );
+};
+
+// Snapshot of a product variant as an order line, priced at the current price.
+// Custom print lines add the printing price and a copy of the design.
+const buildOrderLine = (product, variant, item, design) => {
+  const price =
+    product.priceFor(variant) + (design ? printPrice(design.placements) : 0);
+
+  return {
+    productId: product._id,
+    variantId: variant._id,
+    sku: variant.sku,
+    size: variant.size,
+    color: variant.color,
+    fit: variant.fit,
+    quantity: item.quantity,
+    productName: product.name,
+    category: product.category,
+    imageUrl: variant.images[0] || product.imageUrl,
+    price,
+    lineTotal: price * item.quantity,
+    ...(design && { design: designSnapshot(design) }),
+  };
+};
+
+// Work out why a line could not be reserved so the client can fix its cart
+const describeFailure = async (item, line, session) => {
+  const product = await Product.findById(item.productId).session(session);
+
+  const failure = {
+    line,
+    productId: item.productId,
+    variantId: item.variantId,
+    size: item.size,
+    requested: item.quantity,
+    available: 0,
+    ...(item.designId && { designId: item.designId }),
+  };
+
+  if (!product) {
+    return { ...failure, reason: "Product not found" };
+  }
+  if (!product.isLive) {
+    return {
+      ...failure,
+      productName: product.name,
+      reason: "Product no longer available",
+    };
+  }
+  if (item.designId && !product.customizable) {
+    return {
+      ...failure,
+      productName: product.name,
+      reason: "Custom prints are no longer offered on this shirt",
+    };
+  }
+
+  const variant = product.findVariant(item);
+  if (!variant) {
+    return {
+      ...failure,
+      productName: product.name,
+      reason: "Variant not available",
+    };
+  }
+
+  return {
+    ...failure,
+    productName: product.name,
+    variantId: variant._id,
+    size: variant.size,
+    available: variant.available,
+    reason: "Insufficient stock",
+  };
+};
+
+// Create an order and reserve stock for every line in a single transaction.
+// If any line cannot be fulfilled nothing is written and a 409 AppError is
+// thrown with the offending lines attached as `err.lines`. When `cart` is
+// given, the stock held for it is released and the ordered cart lines are
+// removed as part of the same transaction.
+// A `couponCode` is validated and redeemed together with the stock, and
+// shipping is priced for the city/province of `shippingAddress`, which is
+// copied onto the order as is.
+const placeOrder = async ({
+  userId,
+  products,
+  shippingAddress,
+  cart,
+  paymentMethod = "COD",
+  couponCode,
+}) => {
+  // Reject unknown payment methods before touching any stock
+  getProvider(paymentMethod);
+
+  const session = await mongoose.startSession();
+
+  try {
+    let order;
+    let orderProducts;
+
+    await session.withTransaction(async () => {
+      // Reset on every attempt, withTransaction may retry transient errors
+      orderProducts = [];
+      const pricingLines = [];
+      const failures = [];
+      const movements = [];
+
+      // The cart's own holds don't count against its order
+      if (cart) await releaseCartStock(cart._id, session);
+
+      for (const [line, requested] of products.entries()) {
+        // A custom print is made on the shirt its design was created for
+        let item = requested;
+        let design;
+        if (requested.designId) {
+          design = await CustomDesign.findOne({
+            _id: requested.designId,
+            userId,
+          }).session(session);
+          if (!design) {
+            failures.push({
+              line,
+              designId: requested.designId,
+              requested: requested.quantity,
+              available: 0,
+              reason: "Design not found",
+            });
+            continue;
+          }
+          item = {
+            ...requested,
+            productId: design.productId,
+            variantId: design.variantId,
+          };
+        }
+
+        const reserved = await reserveLine(item, session);
+
+        if (!reserved) {
+          failures.push(await describeFailure(item, line, session));
+          continue;
+        }
+
+        const { product, variant } = reserved;
+        const orderLine = buildOrderLine(product, variant, item, design);
+        orderProducts.push(orderLine);
+        movements.push(
+          variantMovement(product._id, variant, {
+            reason: "sale",
+            quantity: -item.quantity,
+          })
+        );
+        pricingLines.push({ ...orderLine, weightKg: product.weightKg });
+      }
+
+      if (failures.length > 0) {
+        const err = new AppError("Some items could not be fulfilled", 409);
+        err.lines = failures;
+        throw err;
+      }
+
+      // Price the order from the amounts just reserved
+      const { coupon: applied, breakdown } = await priceLines({
+        lines: pricingLines,
+        destination: {
+          city: shippingAddress.city,
+          province: shippingAddress.province,
+        },
+        couponCode,
+        userId,
+        session,
+      });
+
+      let coupon;
+      if (applied) {
+        await redeemCoupon(applied.coupon, session);
+        coupon = {
+          couponId: applied.coupon._id,
+          code: applied.coupon.code,
+          discount: applied.discount,
+          freeShipping: applied.freeShipping,
+        };
+      }
+
+      [order] = await Order.create(
+        [
+          {
+            userId,
+            products: orderProducts,
+            totalAmount: breakdown.total,
+            discountAmount: breakdown.discount,
+            pricing: breakdown,
+            coupon,
+            address: formatAddress(shippingAddress),
+            shippingAddress,
+            paymentMethod,
+            statusHistory: [{ to: "Pending", changedBy: userId }],
+          },
+        ],
+        { session }
+      );
+
+      await recordMovements(
+        movements.map((movement) => ({
+          ...movement,
+          orderId: order._id,
+          createdBy: userId,
+        })),
+        session
+      );
+
+      // Ordered designs are kept for production
+      const designIds = orderProducts
+        .filter((orderLine) => orderLine.design)
+        .map((orderLine) => orderLine.design.designId);
+      if (designIds.length > 0) {
+        await CustomDesign.updateMany(
+          { _id: { $in: designIds }, orderedAt: { $exists: false } },
+          { $set: { orderedAt: new Date() } },
+          { session }
+        );
+      }
+
+      if (cart) {
+        await Cart.updateOne(
+          { _id: cart._id },
+          {
+            $pull: { items: { _id: { $in: cart.items.map((i) => i._id) } } },
+            $set: { updatedAt: Date.now() },
+            $unset: { couponCode: "" },
+          },
+          { session }
+        );
+      }
+    });
+
+    return { order, orderProducts };
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Put checked-out lines back into the cart they were ordered from, with its
+// coupon unless another one was applied since, and hold their stock again
+const restoreCartLines = async (cart) => {
+  await Cart.updateOne(
+    { _id: cart._id },
+    {
+      $push: { items: { $each: cart.items.map((item) => item.toObject()) } },
+      $set: { updatedAt: Date.now() },
+    }
+  );
+  if (cart.couponCode) {
+    await Cart.updateOne(
+      { _id: cart._id, couponCode: { $exists: false } },
+      { $set: { couponCode: cart.couponCode } }
+    );
+  }
+  await holdCartStock(cart._id);
+};
+
+// Authorize payment for a newly placed order. A failed payment cancels the
+// order straight away so its stock goes back on sale; an order checked out
+// from `cart` also goes back into the cart, so the customer can try again.
+const payForOrder = async (order, paymentDetails, userId, cart) => {
+  const paid = await authorizeOrderPayment(order, paymentDetails);
+  if (paid.paymentStatus !== "failed") return paid;
+
+  const cancelled = await changeOrderStatus({
+    orderId: paid._id,
+    status: "Cancelled",
+    changedBy: userId,
+    note: `Payment failed: ${paid.payment.failureReason || "unknown error"}`,
+  });
+  if (cart) await restoreCartLines(cart);
+  return cancelled;
+};
+
+// Put the stock of every order line back and undo its sales count, recording
+// the cancellation in the inventory ledger. Variants removed since the order
+// was placed are skipped.
+const restoreOrderStock = async (order, session, changedBy) => {
+  const movements = [];
+  for (const item of order.products) {
+    const product = await Product.findOneAndUpdate(
+      { _id: item.productId, "variants._id": item.variantId },
+      {
+        $inc: {
+          "variants.$.stock": item.quantity,
+          salesCount: -item.quantity,
+        },
+      },
+      { new: true, session }
+    );
+    if (!product) continue;
+
+    movements.push(
+      variantMovement(product._id, product.variants.id(item.variantId), {
+        reason: "cancellation",
+        quantity: item.quantity,
+        orderId: order._id,
+        createdBy: changedBy,
+      })
+    );
+  }
+  await recordMovements(movements, session);
+};
+
+// Move an order to a new status if the transition graph allows it, recording
+// who made the change. Cancelling restores stock and gives back the coupon
+// redemption in the same transaction; once committed the payment is captured
+// or refunded to match.
+const changeOrderStatus = async ({ orderId, status, changedBy, note }) => {
+  if (!Order.STATUSES.includes(status)) {
+    throw new AppError(
+      `Invalid status. Must be one of: ${Order.STATUSES.join(", ")}`,
+      400
+    );
+  }
+
+  const session = await mongoose.startSession();
+
+  let order;
+
+  try {
+    await session.withTransaction(async () => {
+      const current = await Order.findById(orderId).session(session);
+      if (!current) {
+        throw new AppError("Order not found", 404);
+      }
+
+      if (!Order.canTransition(current.status, status)) {
+        throw new AppError(
+          `Cannot change order status from ${current.status} to ${status}`,
+          409
+        );
+      }
+
+      // Only apply the change if nobody else moved the order meanwhile
+      order = await Order.findOneAndUpdate(
+        { _id: orderId, status: current.status },
+        {
+          $set: { status },
+          $push: {
+            statusHistory: {
+              from: current.status,
+              to: status,
+              changedBy,
+              note,
+            },
+          },
+        },
+        { new: true, session }
+      );
+      if (!order) {
+        throw new AppError("Order status was changed by another request", 409);
+      }
+
+      if (status === "Cancelled") {
+        await restoreOrderStock(order, session, changedBy);
+        if (order.coupon && order.coupon.couponId) {
+          await releaseCoupon(order.coupon.couponId, session);
+        }
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return settleOrderPayment(order);
+};
+
+module.exports = {
+  buildOrderLine,
+  placeOrder,
+  payForOrder,
+  restoreOrderStock,
+  changeOrderStatus,
+};
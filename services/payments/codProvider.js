@@ -0,0 +1,35 @@
+// Cash on Delivery: nothing is charged up front, the courier collects the
+// full amount when the order is delivered.
+//
+// Every provider implements the same interface. Each method resolves to
+// `{ status, transactionId?, failureReason? }`, where status is the payment
+// status the order should move to:
+//   authorize({ order, details }) - called right after the order is placed
+//   capture({ order })            - called when the order reaches `captureOn`
+//   refund({ order, amount? })    - called when a paid/authorized order is
+//                                   cancelled, or with an amount for returns
+//   verifyWebhook(req)            - returns a normalized event, or null if the
+//                                   signature is invalid (optional)
+const codProvider = {
+  name: "COD",
+  label: "Cash on Delivery",
+  captureOn: "Delivered",
+
+  async authorize() {
+    return { status: "unpaid" };
+  },
+
+  async capture() {
+    return { status: "paid" };
+  },
+
+  // Cash refunds are handed back by support, we only record them
+  async refund() {
+    return { status: "refunded" };
+  },
+
+  // COD has no payment gateway, so there are no webhooks to accept
+  verifyWebhook: null,
+};
+
+module.exports = codProvider;
@@ -0,0 +1,77 @@
+const crypto = require("crypto");
+const config = require("../../config/config");
+
+// Card provider that never talks to a real gateway. Use it in development
+// and tests: the token decides the outcome of an authorization.
+const DECLINED_TOKEN = "tok_declined";
+
+// Webhook event types and the payment status each one moves the order to
+const EVENT_STATUSES = {
+  "payment.authorized": "authorized",
+  "payment.captured": "paid",
+  "payment.refunded": "refunded",
+  "payment.failed": "failed",
+};
+
+const SIGNATURE_HEADER = "x-printeez-signature";
+
+// HMAC-SHA256 of the raw request body, hex encoded
+const signWebhookPayload = (rawBody) =>
+  crypto
+    .createHmac("sha256", config.FAKE_CARD_WEBHOOK_SECRET)
+    .update(rawBody)
+    .digest("hex");
+
+const fakeCardProvider = {
+  name: "card",
+  label: "Card (test mode)",
+  captureOn: "Shipped",
+
+  async authorize({ details = {} }) {
+    if (!details.token) {
+      return { status: "failed", failureReason: "Card token is required" };
+    }
+    if (details.token === DECLINED_TOKEN) {
+      return { status: "failed", failureReason: "Card declined" };
+    }
+    return {
+      status: "authorized",
+      transactionId: `fake_${crypto.randomBytes(8).toString("hex")}`,
+    };
+  },
+
+  async capture({ order }) {
+    return { status: "paid", transactionId: order.payment.transactionId };
+  },
+
+  async refund({ order }) {
+    return { status: "refunded", transactionId: order.payment.transactionId };
+  },
+
+  verifyWebhook(req) {
+    const signature = req.get(SIGNATURE_HEADER);
+    if (!signature || !req.rawBody) return null;
+
+    const expected = Buffer.from(signWebhookPayload(req.rawBody));
+    const received = Buffer.from(signature);
+    if (
+      expected.length !== received.length ||
+      !crypto.timingSafeEqual(expected, received)
+    ) {
+      return null;
+    }
+
+    const { id, type, data = {} } = req.body;
+    return {
+      id,
+      status: EVENT_STATUSES[type],
+      orderId: data.orderId,
+      transactionId: data.transactionId,
+      failureReason: data.reason,
+    };
+  },
+
+  signWebhookPayload,
+};
+
+module.exports = fakeCardProvider;
@@ -0,0 +1,175 @@
+const Order = require("../../models/Order");
+const AppError = require("../../utils/AppError");
+const config = require("../../config/config");
+const codProvider = require("./codProvider");
+const fakeCardProvider = require("./fakeCardProvider");
+
+// Registered providers, keyed by the order's paymentMethod
+const providers = { [codProvider.name]: codProvider };
+// Anyone could sign webhooks without a secret of the deployment's own, so
+// the fake card provider needs one
+if (config.ENABLE_FAKE_CARD_PAYMENTS && !config.FAKE_CARD_WEBHOOK_SECRET) {
+  console.warn(
+    "Fake card payments are off: FAKE_CARD_WEBHOOK_SECRET is not set"
+  );
+} else if (config.ENABLE_FAKE_CARD_PAYMENTS) {
+  providers[fakeCardProvider.name] = fakeCardProvider;
+}
+
+// Timestamp recorded in `order.payment` when entering each status
+const STATUS_TIMESTAMPS = {
+  authorized: "authorizedAt",
+  paid: "paidAt",
+  refunded: "refundedAt",
+  failed: "failedAt",
+};
+
+const getProvider = (method) => {
+  const provider = providers[method];
+  if (!provider) {
+    throw new AppError(`Unsupported payment method: ${method}`, 400);
+  }
+  return provider;
+};
+
+const listPaymentMethods = () =>
+  Object.values(providers).map(({ name, label }) => ({ name, label }));
+
+// Apply a provider result to the order, but only if the payment lifecycle
+// allows it from the order's current status. With `eventId` the update is
+// also skipped when that event was already applied. Resolves to the updated
+// order, or null when nothing changed.
+const updatePaymentStatus = (orderId, result, eventId) => {
+  const filter = {
+    _id: orderId,
+    paymentStatus: { $in: Order.paymentStatusesLeadingTo(result.status) },
+  };
+  const update = {
+    $set: {
+      paymentStatus: result.status,
+      [`payment.${STATUS_TIMESTAMPS[result.status]}`]: new Date(),
+    },
+  };
+
+  if (result.transactionId) {
+    update.$set["payment.transactionId"] = result.transactionId;
+  }
+  if (result.failureReason) {
+    update.$set["payment.failureReason"] = result.failureReason;
+  }
+  if (eventId) {
+    filter.processedPaymentEvents = { $ne: eventId };
+    update.$push = { processedPaymentEvents: eventId };
+  }
+
+  return Order.findOneAndUpdate(filter, update, { new: true });
+};
+
+// Run a provider action, turning thrown errors into a failed result
+const runProvider = async (provider, action, args) => {
+  try {
+    return await provider[action](args);
+  } catch (err) {
+    console.error(`Payment ${action} error (${provider.name}):`, err);
+    return { status: "failed", failureReason: err.message };
+  }
+};
+
+// Authorize payment for a freshly placed order
+const authorizeOrderPayment = async (order, details) => {
+  const provider = getProvider(order.paymentMethod);
+  const result = await runProvider(provider, "authorize", { order, details });
+
+  if (result.status === order.paymentStatus) return order;
+  return (await updatePaymentStatus(order._id, result)) || order;
+};
+
+// Keep the payment in step with the order status: capture once the order
+// reaches the provider's capture point, refund when it is cancelled.
+const settleOrderPayment = async (order) => {
+  const provider = providers[order.paymentMethod];
+  if (!provider) return order;
+
+  let action;
+  if (
+    order.status === "Cancelled" &&
+    ["authorized", "paid"].includes(order.paymentStatus)
+  ) {
+    action = "refund";
+  } else if (
+    order.status === provider.captureOn &&
+    ["unpaid", "authorized"].includes(order.paymentStatus)
+  ) {
+    action = "capture";
+  } else {
+    return order;
+  }
+
+  const result = await runProvider(provider, action, { order });
+  return (await updatePaymentStatus(order._id, result)) || order;
+};
+
+// Refund part of a paid order, e.g. for returned items. The payment only
+// moves to "refunded" once everything the customer paid has been given back.
+const refundOrderPayment = async (order, amount) => {
+  const provider = providers[order.paymentMethod];
+  if (!provider || order.paymentStatus !== "paid") return order;
+
+  const result = await runProvider(provider, "refund", { order, amount });
+  if (result.status === "failed" || order.refundedAmount < order.totalAmount) {
+    return order;
+  }
+  return (await updatePaymentStatus(order._id, result)) || order;
+};
+
+// Verify and apply a provider webhook. Redelivered and out-of-order events
+// are acknowledged without changing the order. Money authorized or captured
+// for an order that was cancelled is refunded right away.
+const handlePaymentWebhook = async (providerName, req) => {
+  const provider = providers[providerName];
+  if (!provider || !provider.verifyWebhook) {
+    throw new AppError("Unknown payment provider", 404);
+  }
+
+  const event = provider.verifyWebhook(req);
+  if (!event) {
+    throw new AppError("Invalid webhook signature", 400);
+  }
+  if (!event.id || !event.orderId) {
+    throw new AppError("Webhook event is missing id or orderId", 400);
+  }
+
+  const order = await Order.findById(event.orderId).select(
+    "+processedPaymentEvents"
+  );
+  if (!order || order.paymentMethod !== providerName) {
+    throw new AppError("Order not found", 404);
+  }
+
+  if (order.processedPaymentEvents.includes(event.id)) {
+    return { duplicate: true, order };
+  }
+  if (!event.status) {
+    return { ignored: true, order };
+  }
+
+  const updated = await updatePaymentStatus(order._id, event, event.id);
+  if (!updated) {
+    return { ignored: true, order };
+  }
+  // Checked after the update, so a cancellation racing with the event is
+  // refunded either here or by the cancellation
+  if (updated.status === "Cancelled") {
+    return { order: await settleOrderPayment(updated) };
+  }
+  return { order: updated };
+};
+
+module.exports = {
+  getProvider,
+  listPaymentMethods,
+  authorizeOrderPayment,
+  settleOrderPayment,
+  refundOrderPayment,
+  handlePaymentWebhook,
+};
@@ -0,0 +1,81 @@
+const {
+  SHIPPING_ZONES,
+  DEFAULT_ITEM_WEIGHT_KG,
+  TAX_RATE,
+} = require("../config/pricing");
+const { applyCoupon } = require("./couponService");
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const normalize = (value) => (value || "").toString().trim().toLowerCase();
+
+// First shipping zone matching the destination city or province
+const findShippingZone = ({ city, province } = {}) =>
+  SHIPPING_ZONES.find((zone) => {
+    if (!zone.cities && !zone.provinces) return true;
+    return (
+      (zone.cities || []).includes(normalize(city)) ||
+      (zone.provinces || []).includes(normalize(province))
+    );
+  });
+
+// Shipping cost for the given lines within a zone
+const shippingFor = (zone, lines, discountedSubtotal) => {
+  if (!zone || lines.length === 0) return 0;
+  if (zone.freeOver && discountedSubtotal >= zone.freeOver) return 0;
+
+  if (zone.method === "weight") {
+    const weightKg = lines.reduce(
+      (sum, l) => sum + (l.weightKg || DEFAULT_ITEM_WEIGHT_KG) * l.quantity,
+      0
+    );
+    return zone.baseRate + zone.perKg * Math.ceil(weightKg);
+  }
+
+  return zone.rate;
+};
+
+// Price a set of lines (`{ productId, category, price, quantity, weightKg? }`)
+// for delivery to `destination`. Shared by the cart summary and order
+// creation so both always agree. Coupon errors are thrown as AppErrors.
+const priceLines = async ({
+  lines,
+  destination,
+  couponCode,
+  userId,
+  session,
+}) => {
+  const subtotal = lines.reduce((sum, l) => sum + l.price * l.quantity, 0);
+
+  let coupon;
+  if (couponCode) {
+    coupon = await applyCoupon({ code: couponCode, lines, userId, session });
+  }
+  const discount = coupon ? coupon.discount : 0;
+  const discountedSubtotal = subtotal - discount;
+
+  const zone = findShippingZone(destination);
+  const shipping =
+    coupon && coupon.freeShipping
+      ? 0
+      : shippingFor(zone, lines, discountedSubtotal);
+
+  const tax = discountedSubtotal * TAX_RATE;
+
+  return {
+    coupon,
+    breakdown: {
+      subtotal: roundMoney(subtotal),
+      discount: roundMoney(discount),
+      shipping: roundMoney(shipping),
+      shippingZone: zone ? zone.name : undefined,
+      tax: roundMoney(tax),
+      total: roundMoney(discountedSubtotal + shipping + tax),
+    },
+  };
+};
+
+module.exports = {
+  findShippingZone,
+  priceLines,
+};
@@ -0,0 +1,301 @@
+const Product = require("../models/Product");
+const AppError = require("../utils/AppError");
+const slugify = require("../utils/slugify");
+const { parseCsv, toCsv } = require("../utils/csv");
+const { productSchemas } = require("../middleware/validation");
+
+// CSV layout shared by import and export: one row per variant, with the
+// product's own fields repeated on each row of the product
+const PRODUCT_COLUMNS = [
+  "slug",
+  "name",
+  "description",
+  "category",
+  "price",
+  "status",
+  "publishAt",
+  "customizable",
+  "weightKg",
+  "imageUrl",
+  "lowStockThreshold",
+];
+const VARIANT_COLUMNS = {
+  sku: "sku",
+  size: "size",
+  color: "color",
+  fit: "fit",
+  stock: "stock",
+  variantPrice: "price",
+  // Space-separated URLs
+  variantImages: "images",
+  variantLowStockThreshold: "lowStockThreshold",
+};
+const CSV_COLUMNS = [...PRODUCT_COLUMNS, ...Object.keys(VARIANT_COLUMNS)];
+
+const FORMATS = ["csv", "json"];
+
+// Products read from a CSV file, each with the row numbers it came from.
+// Rows belong together when they have the same slug, or the same name when
+// the slug is left empty. The header is row 1.
+const entriesFromCsv = (text) => {
+  let records;
+  try {
+    records = parseCsv(text);
+  } catch (err) {
+    throw new AppError(`Invalid CSV: ${err.message}`, 400);
+  }
+  if (records.length === 0) throw new AppError("The file is empty", 400);
+
+  const [header, ...rows] = records.map((r) => r.map((field) => field.trim()));
+  const unknown = header.filter((column) => !CSV_COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    throw new AppError(`Unknown CSV columns: ${unknown.join(", ")}`, 400);
+  }
+
+  const entries = new Map();
+  rows.forEach((record, index) => {
+    const row = index + 2;
+    const cells = {};
+    header.forEach((column, i) => {
+      if (record[i]) cells[column] = record[i];
+    });
+
+    const key = slugify(cells.slug || cells.name || "");
+    if (!entries.has(key)) {
+      const product = {};
+      PRODUCT_COLUMNS.forEach((column) => {
+        if (cells[column] !== undefined) product[column] = cells[column];
+      });
+      entries.set(key, { row, variantRows: [], product });
+    }
+
+    const entry = entries.get(key);
+    const variant = {};
+    Object.entries(VARIANT_COLUMNS).forEach(([column, field]) => {
+      if (cells[column] !== undefined) variant[field] = cells[column];
+    });
+    if (variant.images) variant.images = variant.images.split(/\s+/);
+    entry.product.variants = [...(entry.product.variants || []), variant];
+    entry.variantRows.push(row);
+  });
+
+  return [...entries.values()];
+};
+
+// Products read from a JSON array; the row is the position in the array,
+// starting at 1
+const entriesFromJson = (data) => {
+  if (!Array.isArray(data)) {
+    throw new AppError("JSON imports must be an array of products", 400);
+  }
+  return data.map((product, index) => ({
+    row: index + 1,
+    variantRows: [],
+    product,
+  }));
+};
+
+// Parse an uploaded catalog file (from multer). The format is taken from
+// `format` or else the file extension.
+const parseProductFile = (file, format) => {
+  if (!file) {
+    throw new AppError("Upload a CSV or JSON file in the file field", 400);
+  }
+
+  const extension = (file.originalname.match(/\.(\w+)$/) || [])[1];
+  const type = String(format || extension || "").toLowerCase();
+  if (!FORMATS.includes(type)) {
+    throw new AppError(`format must be one of: ${FORMATS.join(", ")}`, 400);
+  }
+
+  const text = file.buffer.toString("utf8");
+  if (type === "csv") return entriesFromCsv(text);
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new AppError(`Invalid JSON: ${err.message}`, 400);
+  }
+  return entriesFromJson(data);
+};
+
+// Row an error belongs to: a variant's own row when the path points into the
+// variants of a CSV product
+const errorRow = (entry, path) => {
+  const [field, index] = path;
+  return field === "variants" && entry.variantRows[index]
+    ? entry.variantRows[index]
+    : entry.row;
+};
+
+// Imported variants keep the _id of the existing variant with the same SKU,
+// or else the same size/colour/fit, so carts pointing at them stay valid
+const mergeVariants = (existing, incoming) =>
+  incoming.map((variant) => {
+    const key = [variant.size, variant.color || "", variant.fit || ""]
+      .join("|")
+      .toLowerCase();
+    const match = existing.find(
+      (v) =>
+        (variant.sku && v.sku === variant.sku.toUpperCase()) ||
+        [v.size, v.color || "", v.fit || ""].join("|").toLowerCase() === key
+    );
+    return match
+      ? { ...variant, _id: match._id, sku: variant.sku || match.sku }
+      : variant;
+  });
+
+// Create or update products by slug. Each product is checked against
+// productSchemas.create and the model; products with errors are skipped and
+// reported by row, the rest are saved unless `dryRun` is set. A product's
+// variants are replaced by the imported ones, stock included; stock changes
+// are recorded as made by `createdBy`.
+const importProducts = async (entries, { dryRun = false, createdBy } = {}) => {
+  const results = [];
+  const errors = [];
+  const seen = new Map();
+
+  for (const entry of entries) {
+    const slug = slugify(entry.product.slug || entry.product.name || "");
+    const fail = (messages) => {
+      messages.forEach(({ row, message }) =>
+        errors.push({ row: row || entry.row, slug, message })
+      );
+      results.push({ row: entry.row, slug, action: "failed" });
+    };
+
+    if (!slug) {
+      fail([{ message: "A slug or name is required" }]);
+      continue;
+    }
+    if (seen.has(slug)) {
+      fail([{ message: `Same slug as row ${seen.get(slug)}` }]);
+      continue;
+    }
+    seen.set(slug, entry.row);
+
+    const { error, value } = productSchemas.create.validate(entry.product, {
+      abortEarly: false,
+    });
+    if (error) {
+      fail(
+        error.details.map((detail) => ({
+          row: errorRow(entry, detail.path),
+          message: detail.message,
+        }))
+      );
+      continue;
+    }
+
+    let product = await Product.findOne({ slug });
+    const action = product ? "updated" : "created";
+    if (product) {
+      product.set({
+        ...value,
+        variants: mergeVariants(product.variants, value.variants),
+      });
+    } else {
+      product = new Product(value);
+    }
+    product.$locals.stockChange = { note: "Product import", createdBy };
+
+    try {
+      if (dryRun) await product.validate();
+      else await product.save();
+    } catch (err) {
+      if (err.name === "ValidationError") {
+        fail(
+          Object.values(err.errors).map((e) => ({
+            row: errorRow(entry, e.path.split(".")),
+            message: e.message,
+          }))
+        );
+        continue;
+      }
+      if (err.code === 11000) {
+        fail([{ message: "Slug or SKU already used by another product" }]);
+        continue;
+      }
+      throw err;
+    }
+
+    results.push({ row: entry.row, slug: product.slug, action });
+  }
+
+  const count = (action) => results.filter((r) => r.action === action).length;
+  return {
+    dryRun,
+    summary: {
+      total: results.length,
+      created: count("created"),
+      updated: count("updated"),
+      failed: count("failed"),
+    },
+    results,
+    errors,
+  };
+};
+
+const exportValue = (value) =>
+  value instanceof Date ? value.toISOString() : value;
+
+// Product as accepted by productSchemas.create
+const productRecord = (product) => {
+  const record = {};
+  PRODUCT_COLUMNS.forEach((column) => {
+    if (product[column] !== undefined && product[column] !== null) {
+      record[column] = exportValue(product[column]);
+    }
+  });
+  record.variants = product.variants.map((variant) => {
+    const exported = {};
+    Object.values(VARIANT_COLUMNS).forEach((field) => {
+      const value = variant[field];
+      const empty = Array.isArray(value) ? value.length === 0 : value == null;
+      if (!empty) exported[field] = value;
+    });
+    return exported;
+  });
+  return record;
+};
+
+// The catalogue in the import format: products that aren't archived, in any
+// status, unless `includeArchived` is set
+const exportProducts = async (format, { includeArchived = false } = {}) => {
+  if (!FORMATS.includes(format)) {
+    throw new AppError(`format must be one of: ${FORMATS.join(", ")}`, 400);
+  }
+
+  const products = await Product.find(
+    includeArchived ? {} : { archivedAt: null }
+  )
+    .sort({ createdAt: 1 })
+    .lean();
+  const records = products.map(productRecord);
+
+  if (format === "json") return JSON.stringify(records, null, 2);
+
+  const rows = records.flatMap((record) => {
+    const productCells = PRODUCT_COLUMNS.map((column) => record[column]);
+    const variants = record.variants.length > 0 ? record.variants : [{}];
+    return variants.map((variant) => [
+      ...productCells,
+      ...Object.values(VARIANT_COLUMNS).map((field) =>
+        field === "images" && variant.images
+          ? variant.images.join(" ")
+          : variant[field]
+      ),
+    ]);
+  });
+  return toCsv([CSV_COLUMNS, ...rows]);
+};
+
+module.exports = {
+  FORMATS,
+  parseProductFile,
+  entriesFromCsv,
+  entriesFromJson,
+  importProducts,
+  exportProducts,
+};
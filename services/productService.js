@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+const Cart = require("../models/Cart");
+const Product = require("../models/Product");
+const Wishlist = require("../models/Wishlist");
+const AppError = require("../utils/AppError");
+
+// Whether a populated cart or wishlist product can still be bought. Lines can
+// point at products that were archived or taken off the storefront, or at
+// products deleted before archiving existed.
+const isAvailable = (product) => Boolean(product && product.isLive);
+
+// Whether a populated cart or wishlist product is gone for good, i.e. deleted
+// or archived. Drafts and hidden or scheduled products may come back, so
+// their lines are kept.
+const isGone = (product) => !product || Boolean(product.archivedAt);
+
+// Archive a product instead of deleting it: it disappears from the storefront
+// and from every cart and wishlist, but orders keep resolving it.
+const archiveProduct = async (productId) => {
+  const product = mongoose.isValidObjectId(productId)
+    ? await Product.findOneAndUpdate(
+        { _id: productId, archivedAt: null },
+        { $set: { archivedAt: new Date() } },
+        { new: true }
+      )
+    : null;
+  if (!product) {
+    const exists = mongoose.isValidObjectId(productId)
+      ? await Product.exists({ _id: productId })
+      : null;
+    if (!exists) throw new AppError("Product not found", 404);
+    throw new AppError("Product is already archived", 409);
+  }
+
+  await Promise.all([
+    Cart.updateMany(
+      { "items.productId": product._id },
+      {
+        $pull: { items: { productId: product._id } },
+        $set: { updatedAt: Date.now() },
+      }
+    ),
+    Wishlist.updateMany(
+      { "products.productId": product._id },
+      {
+        $pull: { products: { productId: product._id } },
+        $set: { updatedAt: Date.now() },
+      }
+    ),
+  ]);
+  return product;
+};
+
+// Put an archived product back on the storefront. Carts and wishlists it was
+// removed from are not restored.
+const restoreProduct = async (productId) => {
+  const product = mongoose.isValidObjectId(productId)
+    ? await Product.findOneAndUpdate(
+        { _id: productId, archivedAt: { $ne: null } },
+        { $set: { archivedAt: null } },
+        { new: true }
+      )
+    : null;
+  if (!product) {
+    const exists = mongoose.isValidObjectId(productId)
+      ? await Product.exists({ _id: productId })
+      : null;
+    if (!exists) throw new AppError("Product not found", 404);
+    throw new AppError("Product is not archived", 409);
+  }
+  return product;
+};
+
+module.exports = {
+  isAvailable,
+  isGone,
+  archiveProduct,
+  restoreProduct,
+};
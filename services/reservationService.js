@@ -0,0 +1,239 @@
+const mongoose = require("mongoose");
+const Cart = require("../models/Cart");
+const Product = require("../models/Product");
+const config = require("../config/config");
+const runEvery = require("../utils/runEvery");
+
+// How often expired holds are looked for
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Quantity of a variant held for the cart
+const heldBy = (cart, variantId) => {
+  const hold = (cart.reservations || []).find((r) =>
+    r.variantId.equals(variantId)
+  );
+  return hold ? hold.quantity : 0;
+};
+
+// How many of a variant a cart line may have: the stock nobody holds plus
+// what this cart holds, less what its other lines of the variant take. Leave
+// out `line` for a line that isn't in the cart yet.
+const availableForLine = (cart, variant, line) => {
+  if (!cart) return variant.available;
+
+  let available = variant.available + heldBy(cart, variant._id);
+  for (const item of cart.items) {
+    if (item !== line && variant._id.equals(item.variantId)) {
+      available -= item.quantity;
+    }
+  }
+  return Math.max(available, 0);
+};
+
+// Filter matching a product only while `quantity` of its variant is not held
+// for a cart, so an update can't take stock that was taken meanwhile. Keeps
+// "variants._id" in the filter for positional updates.
+const availableStockFilter = (productId, variantId, quantity) => ({
+  _id: productId,
+  "variants._id": variantId,
+  $expr: {
+    $anyElementTrue: [
+      {
+        $map: {
+          input: "$variants",
+          as: "v",
+          in: {
+            $and: [
+              { $eq: ["$$v._id", variantId] },
+              {
+                $gte: [
+                  {
+                    $subtract: ["$$v.stock", { $ifNull: ["$$v.reserved", 0] }],
+                  },
+                  quantity,
+                ],
+              },
+            ],
+          },
+        },
+      },
+    ],
+  },
+});
+
+// Give back held stock of a variant. Never takes `reserved` below zero, e.g.
+// after an admin edit raced with a hold.
+const releaseHold = async ({ productId, variantId, quantity }, session) => {
+  const released = await Product.updateOne(
+    {
+      _id: productId,
+      variants: {
+        $elemMatch: { _id: variantId, reserved: { $gte: quantity } },
+      },
+    },
+    { $inc: { "variants.$.reserved": -quantity } },
+    { session, timestamps: false }
+  );
+  if (released.modifiedCount === 0) {
+    await Product.updateOne(
+      { _id: productId, "variants._id": variantId },
+      { $set: { "variants.$.reserved": 0 } },
+      { session, timestamps: false }
+    );
+  }
+};
+
+// Bring the stock held for a cart in line with its items and hold it for
+// another CART_RESERVATION_MINUTES. Quantities that went up are held as far
+// as there is free stock; holds no longer needed are given back. Called on
+// every cart change and view, so carts in use keep their stock. Returns the
+// cart's holds and when they run out.
+const holdCartStock = async (cartId) => {
+  const session = await mongoose.startSession();
+  let result;
+
+  try {
+    await session.withTransaction(async () => {
+      const cart = await Cart.findById(cartId).session(session);
+      if (!cart) {
+        result = { reservations: [], reservedUntil: null };
+        return;
+      }
+
+      // Quantity wanted per variant; custom prints count too
+      const wanted = new Map();
+      if (config.CART_RESERVATION_MINUTES > 0) {
+        for (const item of cart.items) {
+          const key = item.variantId.toString();
+          const entry = wanted.get(key) || {
+            productId: item.productId,
+            variantId: item.variantId,
+            quantity: 0,
+          };
+          entry.quantity += item.quantity;
+          wanted.set(key, entry);
+        }
+      }
+
+      // Reset on every attempt, withTransaction may retry transient errors
+      const reservations = [];
+      for (const hold of cart.reservations) {
+        const want = wanted.get(hold.variantId.toString());
+        const keep = Math.min(hold.quantity, want ? want.quantity : 0);
+        if (keep < hold.quantity) {
+          await releaseHold(
+            {
+              productId: hold.productId,
+              variantId: hold.variantId,
+              quantity: hold.quantity - keep,
+            },
+            session
+          );
+        }
+        if (keep > 0) {
+          reservations.push({
+            productId: hold.productId,
+            variantId: hold.variantId,
+            quantity: keep,
+          });
+        }
+      }
+
+      for (const want of wanted.values()) {
+        const held = reservations.find((r) =>
+          r.variantId.equals(want.variantId)
+        );
+        const missing = want.quantity - (held ? held.quantity : 0);
+        if (missing <= 0) continue;
+
+        const product = await Product.findById(want.productId).session(session);
+        const variant = product && product.variants.id(want.variantId);
+        const quantity = variant ? Math.min(missing, variant.available) : 0;
+        if (quantity <= 0) continue;
+
+        const hold = await Product.updateOne(
+          availableStockFilter(product._id, variant._id, quantity),
+          { $inc: { "variants.$.reserved": quantity } },
+          { session, timestamps: false }
+        );
+        if (hold.modifiedCount === 0) continue;
+        if (held) held.quantity += quantity;
+        else reservations.push({ ...want, quantity });
+      }
+
+      const reservedUntil =
+        reservations.length > 0
+          ? new Date(Date.now() + config.CART_RESERVATION_MINUTES * 60 * 1000)
+          : null;
+      await Cart.updateOne(
+        { _id: cart._id },
+        reservedUntil
+          ? { $set: { reservations, reservedUntil } }
+          : { $set: { reservations: [] }, $unset: { reservedUntil: "" } },
+        { session }
+      );
+      result = { reservations, reservedUntil };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return result;
+};
+
+// Give back all stock held for a cart, within the caller's transaction. With
+// `expiredBy`, only if its holds ran out by then.
+const releaseCartStock = async (cartId, session, expiredBy) => {
+  const filter = { _id: cartId, "reservations.0": { $exists: true } };
+  if (expiredBy) filter.reservedUntil = { $lte: expiredBy };
+
+  // Returns the cart as it was, with the holds to give back
+  const cart = await Cart.findOneAndUpdate(
+    filter,
+    { $set: { reservations: [] }, $unset: { reservedUntil: "" } },
+    { session }
+  );
+  if (!cart) return 0;
+
+  for (const hold of cart.reservations) {
+    await releaseHold(hold, session);
+  }
+  return cart.reservations.length;
+};
+
+// Give back the stock of carts left idle past their reservedUntil. Returns
+// the number of carts released.
+const releaseExpiredReservations = async (now = new Date()) => {
+  const carts = await Cart.find({ reservedUntil: { $lte: now } })
+    .select("_id")
+    .lean();
+
+  let released = 0;
+  for (const { _id } of carts) {
+    const session = await mongoose.startSession();
+    let holds;
+    try {
+      await session.withTransaction(async () => {
+        holds = await releaseCartStock(_id, session, now);
+      });
+    } finally {
+      await session.endSession();
+    }
+    if (holds > 0) released++;
+  }
+  return released;
+};
+
+// Release expired holds every minute in this process. Runs even with
+// reservations off, so holds taken before they were turned off run out.
+const startReservationSweeper = () =>
+  runEvery(SWEEP_INTERVAL_MS, "Reservation sweep", releaseExpiredReservations);
+
+module.exports = {
+  availableStockFilter,
+  availableForLine,
+  holdCartStock,
+  releaseCartStock,
+  releaseExpiredReservations,
+  startReservationSweeper,
+};
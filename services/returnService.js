@@ -0,0 +1,343 @@
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const Return = require("../models/Return");
+const AppError = require("../utils/AppError");
+const config = require("../config/config");
+const { refundOrderPayment } = require("./payments");
+const { variantMovement, recordMovements } = require("./inventoryService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Part of the item prices the customer paid after the order's discount. The
+// discount is spread over the lines in proportion to their value.
+const paidShare = (order) => {
+  const subtotal =
+    (order.pricing && order.pricing.subtotal) ||
+    order.products.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  if (!order.discountAmount || !subtotal) return 1;
+  return Math.max(subtotal - order.discountAmount, 0) / subtotal;
+};
+
+// When the order was delivered, from its status history
+const deliveredAt = (order) => {
+  const entry = order.statusHistory.find((h) => h.to === "Delivered");
+  return entry ? entry.changedAt : order.updatedAt;
+};
+
+// Quantity per order line and refund already claimed by returns that are
+// still open or were accepted; rejected returns free them up again
+const returnedQuantities = async (orderId, session) => {
+  const returns = await Return.find({
+    orderId,
+    status: { $ne: "Rejected" },
+  })
+    .session(session)
+    .lean();
+
+  const quantities = new Map();
+  let refunds = 0;
+  for (const ret of returns) {
+    refunds += ret.refundAmount;
+    for (const item of ret.items) {
+      const key = item.orderItemId.toString();
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    }
+  }
+  return { quantities, refunds };
+};
+
+// Lines of orders from before returned quantities were counted get their
+// count from the order's returns
+const countReturnedQuantities = async (order, quantities, session) => {
+  for (const line of order.products) {
+    if (line.returnedQuantity != null) continue;
+    line.returnedQuantity = quantities.get(line._id.toString()) || 0;
+    await Order.updateOne(
+      {
+        _id: order._id,
+        products: {
+          $elemMatch: { _id: line._id, returnedQuantity: { $exists: false } },
+        },
+      },
+      { $set: { "products.$.returnedQuantity": line.returnedQuantity } },
+      { session, timestamps: false }
+    );
+  }
+};
+
+const lineLabel = (line) =>
+  `${line.productName || line.productId} (${line.size})`;
+
+// Open a return for some lines of a delivered order. The quantities are
+// claimed on the order lines with guarded updates in the same transaction,
+// so concurrent requests can't return more than was bought.
+const requestReturn = async ({ userId, orderId, items }) => {
+  const session = await mongoose.startSession();
+  let ret;
+
+  try {
+    await session.withTransaction(async () => {
+      const order = await Order.findById(orderId).session(session);
+      if (!order || order.userId.toString() !== userId.toString()) {
+        throw new AppError("Order not found", 404);
+      }
+
+      if (order.status !== "Delivered") {
+        throw new AppError("Only delivered orders can be returned", 409);
+      }
+
+      const windowEnds =
+        deliveredAt(order).getTime() + config.RETURN_WINDOW_DAYS * DAY_MS;
+      if (Date.now() > windowEnds) {
+        throw new AppError(
+          `Returns must be requested within ${config.RETURN_WINDOW_DAYS} days of delivery`,
+          409
+        );
+      }
+
+      const { quantities, refunds } = await returnedQuantities(
+        order._id,
+        session
+      );
+      await countReturnedQuantities(order, quantities, session);
+
+      // Reset on every attempt, withTransaction may retry transient errors
+      const claimed = new Map();
+      const returnItems = [];
+
+      for (const item of items) {
+        const line = order.products.id(item.orderItemId);
+        if (!line) {
+          throw new AppError(`Order line ${item.orderItemId} not found`, 400);
+        }
+        // Prints are made to order for the customer
+        if (line.design) {
+          throw new AppError("Custom printed items can't be returned", 400);
+        }
+
+        const key = line._id.toString();
+        const returnable =
+          line.quantity - line.returnedQuantity - (claimed.get(key) || 0);
+        if (item.quantity > returnable) {
+          throw new AppError(
+            `Only ${returnable} of ${lineLabel(line)} can still be returned`,
+            409
+          );
+        }
+        claimed.set(key, (claimed.get(key) || 0) + item.quantity);
+
+        returnItems.push({
+          orderItemId: line._id,
+          productId: line.productId,
+          variantId: line.variantId,
+          size: line.size,
+          quantity: item.quantity,
+          unitPrice: line.price || 0,
+          reason: item.reason,
+        });
+      }
+
+      // Fails when another return claimed the units since the order was read
+      for (const [lineId, quantity] of claimed) {
+        const line = order.products.id(lineId);
+        const claim = await Order.updateOne(
+          {
+            _id: order._id,
+            products: {
+              $elemMatch: {
+                _id: line._id,
+                returnedQuantity: { $lte: line.quantity - quantity },
+              },
+            },
+          },
+          { $inc: { "products.$.returnedQuantity": quantity } },
+          { session, timestamps: false }
+        );
+        if (claim.modifiedCount === 0) {
+          throw new AppError(
+            `${lineLabel(line)} was returned in another request meanwhile`,
+            409
+          );
+        }
+      }
+
+      // What was paid for the items, never more than is left of the order
+      // total
+      const itemsValue = returnItems.reduce(
+        (sum, item) => sum + item.unitPrice * item.quantity,
+        0
+      );
+      const refundAmount = roundMoney(
+        Math.min(
+          itemsValue * paidShare(order),
+          Math.max(order.totalAmount - refunds, 0)
+        )
+      );
+
+      [ret] = await Return.create(
+        [{ orderId: order._id, userId, items: returnItems, refundAmount }],
+        { session }
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return ret;
+};
+
+// Give the units of a rejected return back to its order lines
+const releaseReturnedQuantities = async (ret, session) => {
+  for (const item of ret.items) {
+    await Order.updateOne(
+      {
+        _id: ret.orderId,
+        products: {
+          $elemMatch: {
+            _id: item.orderItemId,
+            returnedQuantity: { $gte: item.quantity },
+          },
+        },
+      },
+      { $inc: { "products.$.returnedQuantity": -item.quantity } },
+      { session, timestamps: false }
+    );
+  }
+};
+
+// Approve or reject a requested return. Rejected items can be returned
+// again.
+const reviewReturn = async ({ returnId, decision, reviewedBy, note }) => {
+  const status = decision === "approve" ? "Approved" : "Rejected";
+  const session = await mongoose.startSession();
+  let ret;
+
+  try {
+    await session.withTransaction(async () => {
+      ret = await Return.findOneAndUpdate(
+        { _id: returnId, status: "Requested" },
+        {
+          $set: {
+            status,
+            reviewedBy,
+            reviewedAt: new Date(),
+            adminNote: note,
+          },
+        },
+        { new: true, session }
+      );
+
+      if (!ret) {
+        const exists = await Return.exists({ _id: returnId }).session(session);
+        if (!exists) throw new AppError("Return not found", 404);
+        throw new AppError("Only requested returns can be reviewed", 409);
+      }
+
+      if (status === "Rejected") {
+        await releaseReturnedQuantities(ret, session);
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return ret;
+};
+
+// Mark an approved return as received: restock each size, record the refund
+// on the order, then hand the money back through the payment provider
+const receiveReturn = async ({ returnId, note, receivedBy }) => {
+  const session = await mongoose.startSession();
+  let ret;
+  let order;
+
+  try {
+    await session.withTransaction(async () => {
+      const update = { status: "Received", receivedAt: new Date() };
+      if (note) update.adminNote = note;
+
+      ret = await Return.findOneAndUpdate(
+        { _id: returnId, status: "Approved" },
+        { $set: update },
+        { new: true, session }
+      );
+
+      if (!ret) {
+        const exists = await Return.exists({ _id: returnId }).session(session);
+        if (!exists) throw new AppError("Return not found", 404);
+        throw new AppError("Only approved returns can be received", 409);
+      }
+
+      // Refunds already made may leave less of the order total to refund
+      const current = await Order.findById(ret.orderId).session(session);
+      const refundable = Math.max(
+        current.totalAmount - (current.refundedAmount || 0),
+        0
+      );
+      if (ret.refundAmount > refundable) {
+        ret.refundAmount = roundMoney(refundable);
+        await Return.updateOne(
+          { _id: ret._id },
+          { $set: { refundAmount: ret.refundAmount } },
+          { session }
+        );
+      }
+
+      const movements = [];
+      for (const item of ret.items) {
+        const product = await Product.findOneAndUpdate(
+          { _id: item.productId, "variants._id": item.variantId },
+          {
+            $inc: {
+              "variants.$.stock": item.quantity,
+              salesCount: -item.quantity,
+            },
+          },
+          { new: true, session }
+        );
+        if (!product) continue;
+
+        movements.push(
+          variantMovement(product._id, product.variants.id(item.variantId), {
+            reason: "return",
+            quantity: item.quantity,
+            orderId: ret.orderId,
+            returnId: ret._id,
+            createdBy: receivedBy,
+          })
+        );
+      }
+      await recordMovements(movements, session);
+
+      order = await Order.findByIdAndUpdate(
+        ret.orderId,
+        {
+          $push: {
+            refunds: {
+              amount: ret.refundAmount,
+              returnId: ret._id,
+              reason: "Returned items",
+            },
+          },
+          $inc: { refundedAmount: ret.refundAmount },
+        },
+        { new: true, session }
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  await refundOrderPayment(order, ret.refundAmount);
+
+  return ret;
+};
+
+module.exports = {
+  requestReturn,
+  reviewReturn,
+  receiveReturn,
+};
@@ -0,0 +1,160 @@
+const mongoose = require("mongoose");
+const Review = require("../models/Review");
+const Product = require("../models/Product");
+const Order = require("../models/Order");
+const AppError = require("../utils/AppError");
+const config = require("../config/config");
+
+// Recompute a product's average rating and count from its approved reviews
+const refreshProductRating = async (productId) => {
+  const [stats] = await Review.aggregate([
+    {
+      $match: {
+        productId: new mongoose.Types.ObjectId(productId),
+        status: "approved",
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        average: { $avg: "$rating" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const averageRating = stats ? Math.round(stats.average * 10) / 10 : 0;
+  const totalRatings = stats ? stats.count : 0;
+
+  await Product.updateOne(
+    { _id: productId },
+    { $set: { averageRating, totalRatings } }
+  );
+  return { averageRating, totalRatings };
+};
+
+// Whether the user has received the product in a delivered order
+const hasPurchased = async (userId, productId) =>
+  Boolean(
+    await Order.exists({
+      userId,
+      status: "Delivered",
+      "products.productId": productId,
+    })
+  );
+
+// Create the user's review of a product, or replace it if they already wrote
+// one. Edited reviews go back to moderation when approval is required, and
+// a rating without title/body keeps any text already written. A rejected
+// review stays hidden when edited: it goes back to moderation either way.
+const submitReview = async ({ productId, userId, rating, title, body }) => {
+  if (
+    !mongoose.isValidObjectId(productId) ||
+    !(await Product.exists({ _id: productId }))
+  ) {
+    throw new AppError("Product not found", 404);
+  }
+
+  const rejected = await Review.exists({
+    productId,
+    userId,
+    status: "rejected",
+  });
+  const update = {
+    rating,
+    verifiedPurchase: await hasPurchased(userId, productId),
+    status:
+      config.REVIEWS_REQUIRE_APPROVAL || rejected ? "pending" : "approved",
+  };
+  if (title !== undefined) update.title = title;
+  if (body !== undefined) update.body = body;
+
+  const review = await Review.findOneAndUpdate(
+    { productId, userId },
+    { $set: update },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  const product = await refreshProductRating(productId);
+  return { review, product };
+};
+
+// Record a helpful vote; each user can vote once and not for their own review
+const voteHelpful = async ({ reviewId, userId }) => {
+  const review = await Review.findOneAndUpdate(
+    {
+      _id: reviewId,
+      status: "approved",
+      userId: { $ne: userId },
+      helpfulVoters: { $ne: userId },
+    },
+    { $addToSet: { helpfulVoters: userId }, $inc: { helpfulCount: 1 } },
+    { new: true }
+  );
+  if (review) return review;
+
+  const existing = await Review.findById(reviewId).select("+helpfulVoters");
+  if (!existing || existing.status !== "approved") {
+    throw new AppError("Review not found", 404);
+  }
+  if (existing.userId.equals(userId)) {
+    throw new AppError("You can't vote for your own review", 400);
+  }
+  throw new AppError("You already marked this review as helpful", 409);
+};
+
+// Take a helpful vote back
+const removeHelpfulVote = async ({ reviewId, userId }) => {
+  const review = await Review.findOneAndUpdate(
+    { _id: reviewId, helpfulVoters: userId },
+    { $pull: { helpfulVoters: userId }, $inc: { helpfulCount: -1 } },
+    { new: true }
+  );
+  if (review) return review;
+
+  if (!(await Review.exists({ _id: reviewId }))) {
+    throw new AppError("Review not found", 404);
+  }
+  throw new AppError("You haven't marked this review as helpful", 409);
+};
+
+// Approve or reject a review (`decision` is "approve" or "reject")
+const moderateReview = async ({ reviewId, decision, moderatedBy, note }) => {
+  const review = await Review.findByIdAndUpdate(
+    reviewId,
+    {
+      $set: {
+        status: decision === "approve" ? "approved" : "rejected",
+        moderationNote: note,
+        moderatedBy,
+        moderatedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!review) throw new AppError("Review not found", 404);
+
+  await refreshProductRating(review.productId);
+  return review;
+};
+
+// Delete a review; users may only delete their own
+const deleteReview = async ({ reviewId, userId, isAdmin }) => {
+  const review = await Review.findById(reviewId);
+  if (!review || (!isAdmin && !review.userId.equals(userId))) {
+    throw new AppError("Review not found", 404);
+  }
+
+  await review.deleteOne();
+  await refreshProductRating(review.productId);
+  return review;
+};
+
+module.exports = {
+  refreshProductRating,
+  submitReview,
+  voteHelpful,
+  removeHelpfulVote,
+  moderateReview,
+  deleteReview,
+};
@@ -0,0 +1,215 @@
+const Product = require("../models/Product");
+const Category = require("../models/Category");
+const ZeroResultSearch = require("../models/ZeroResultSearch");
+const AppError = require("../utils/AppError");
+const config = require("../config/config");
+const {
+  searchWords,
+  searchGrams,
+  bestMatch,
+  escapeRegex,
+} = require("../utils/search");
+const { buildFilterClauses, combineClauses } = require("./catalogService");
+
+// How much a match in each field is worth
+const FIELD_WEIGHTS = { name: 1, category: 0.8, description: 0.6 };
+// Words matching less closely than this don't count
+const MIN_WORD_SIMILARITY = 0.7;
+// Products must match the typed words at least this well on average
+const MIN_RELEVANCE = 0.5;
+// Share of the ranking that comes from sales rather than relevance
+const SALES_WEIGHT = 0.2;
+// Most products ranked per search, picked by trigram overlap
+const MAX_CANDIDATES = 200;
+const SUGGESTION_LIMIT = 8;
+// Longest search text accepted, in characters and in words
+const MAX_QUERY_LENGTH = 100;
+const MAX_QUERY_WORDS = 8;
+
+// How well a product matches the typed words, from 0 to 1
+const relevance = (typed, product) => {
+  const fields = {
+    name: searchWords(product.name),
+    category: searchWords(product.category),
+    description: searchWords(product.description),
+  };
+
+  const total = typed.reduce((sum, word) => {
+    const scores = Object.keys(FIELD_WEIGHTS).map((field) => {
+      const similarity = bestMatch(word, fields[field]);
+      return similarity >= MIN_WORD_SIMILARITY
+        ? similarity * FIELD_WEIGHTS[field]
+        : 0;
+    });
+    return sum + Math.max(...scores);
+  }, 0);
+  return total / typed.length;
+};
+
+// Search text cut down to MAX_QUERY_WORDS words
+const capWords = (text) =>
+  text.trim().split(/\s+/).slice(0, MAX_QUERY_WORDS).join(" ");
+
+// Count a query that found nothing; never fails the search itself. Stored
+// queries are cut to MAX_QUERY_LENGTH characters.
+const recordZeroResults = (query) =>
+  ZeroResultSearch.updateOne(
+    { query: query.slice(0, MAX_QUERY_LENGTH) },
+    { $inc: { count: 1 }, $set: { lastSearchedAt: new Date() } },
+    { upsert: true }
+  ).catch((err) => console.error("Record zero-result search error:", err));
+
+// Products matching `q` despite typos, best first. Relevance is blended with
+// sales so popular products win between similar matches. Takes the listing
+// filters of catalogService; queries that find nothing without filters are
+// recorded for admins.
+const searchProducts = async (query, { record = true } = {}) => {
+  const text = String(query.q || "").trim();
+  if (text.length > MAX_QUERY_LENGTH) {
+    throw new AppError(
+      `Search query cannot exceed ${MAX_QUERY_LENGTH} characters`,
+      400
+    );
+  }
+  if (text.split(/\s+/).length > MAX_QUERY_WORDS) {
+    throw new AppError(
+      `Search query cannot exceed ${MAX_QUERY_WORDS} words`,
+      400
+    );
+  }
+
+  const typed = searchWords(text);
+  if (typed.length === 0) {
+    throw new AppError("Search query (q) is required", 400);
+  }
+
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit) || config.DEFAULT_PAGE_SIZE, 1),
+    config.MAX_PAGE_SIZE
+  );
+  const clauses = await buildFilterClauses(query);
+  const grams = searchGrams(typed);
+
+  // Narrow down in the database, then rank the closest candidates here
+  const candidates = await Product.aggregate([
+    {
+      $match: {
+        $and: [
+          {
+            $or: [
+              { searchGrams: { $in: grams } },
+              {
+                description: {
+                  $regex: typed.map(escapeRegex).join("|"),
+                  $options: "i",
+                },
+              },
+            ],
+          },
+          combineClauses(clauses),
+        ],
+      },
+    },
+    {
+      $addFields: {
+        overlap: {
+          $size: {
+            $setIntersection: [{ $ifNull: ["$searchGrams", []] }, grams],
+          },
+        },
+      },
+    },
+    { $sort: { overlap: -1, salesCount: -1 } },
+    { $limit: MAX_CANDIDATES },
+    { $project: { name: 1, category: 1, description: 1, salesCount: 1 } },
+  ]);
+
+  const matches = candidates
+    .map((product) => ({ product, relevance: relevance(typed, product) }))
+    .filter((match) => match.relevance >= MIN_RELEVANCE);
+
+  const maxSales = Math.max(0, ...matches.map((m) => m.product.salesCount));
+  const ranked = matches
+    .map((match) => {
+      const sales = maxSales
+        ? Math.log1p(match.product.salesCount) / Math.log1p(maxSales)
+        : 0;
+      return {
+        ...match,
+        score: (1 - SALES_WEIGHT) * match.relevance + SALES_WEIGHT * sales,
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  if (ranked.length === 0 && record && Object.keys(clauses).length === 0) {
+    recordZeroResults(typed.join(" "));
+  }
+
+  const ids = ranked
+    .slice((page - 1) * limit, page * limit)
+    .map((match) => match.product._id);
+  const products = await Product.find({ _id: { $in: ids } });
+  products.sort(
+    (a, b) =>
+      ids.findIndex((id) => id.equals(a._id)) -
+      ids.findIndex((id) => id.equals(b._id))
+  );
+
+  return {
+    products,
+    pagination: {
+      page,
+      limit,
+      total: ranked.length,
+      pages: Math.ceil(ranked.length / limit),
+    },
+  };
+};
+
+// Autocomplete for the search box: best-selling products whose name has
+// every typed word, the last one possibly unfinished, and categories whose
+// name starts a word with the typed text. Falls back to typo-tolerant search
+// when nothing starts with what was typed. Overlong text is cut down to the
+// search limits rather than refused, as it's sent while typing.
+const suggest = async (q, limit = SUGGESTION_LIMIT) => {
+  const text = capWords(String(q || "").slice(0, MAX_QUERY_LENGTH));
+  const lastSpace = text.search(/\s\S*$/);
+  const complete =
+    lastSpace === -1 ? [] : searchWords(text.slice(0, lastSpace));
+  const prefix = searchWords(text.slice(lastSpace + 1)).pop();
+  if (!prefix) return { products: [], categories: [] };
+
+  const wordFilters = [{ searchWords: { $regex: `^${escapeRegex(prefix)}` } }];
+  if (complete.length > 0)
+    wordFilters.push({ searchWords: { $all: complete } });
+
+  const [products, categories] = await Promise.all([
+    Product.find({ $and: [Product.storefrontFilter(), ...wordFilters] })
+      .sort({ salesCount: -1 })
+      .limit(limit)
+      .select("name slug price imageUrl")
+      .lean(),
+    Category.find({
+      name: { $regex: `(^|\\s)${escapeRegex(text)}`, $options: "i" },
+    })
+      .sort({ sortOrder: 1, name: 1 })
+      .limit(limit)
+      .select("name slug")
+      .lean(),
+  ]);
+
+  if (products.length === 0 && text.length >= 3) {
+    const fuzzy = await searchProducts({ q: text, limit }, { record: false });
+    fuzzy.products.forEach(({ _id, name, slug, price, imageUrl }) =>
+      products.push({ _id, name, slug, price, imageUrl })
+    );
+  }
+
+  return { products, categories };
+};
+
+module.exports = {
+  searchProducts,
+  suggest,
+};
@@ -0,0 +1,264 @@
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const StockSubscription = require("../models/StockSubscription");
+const User = require("../models/User");
+const AppError = require("../utils/AppError");
+const config = require("../config/config");
+const runEvery = require("../utils/runEvery");
+const { sendLowStockAlert, sendBackInStock } = require("./emailService");
+
+// Products whose stock is watched: drafts are still being prepared and
+// archived products are gone for good
+const WATCHED = { archivedAt: null, status: { $ne: "draft" } };
+
+// Stock level at or below which a variant counts as low: its own threshold,
+// else its product's, else LOW_STOCK_THRESHOLD
+const lowStockThreshold = (product, variant) => {
+  if (variant.lowStockThreshold != null) return variant.lowStockThreshold;
+  if (product.lowStockThreshold != null) return product.lowStockThreshold;
+  return config.LOW_STOCK_THRESHOLD;
+};
+
+const lowVariant = (product, variant) => ({
+  variantId: variant._id,
+  sku: variant.sku,
+  size: variant.size,
+  color: variant.color,
+  fit: variant.fit,
+  stock: variant.stock,
+  threshold: lowStockThreshold(product, variant),
+  alertedAt: variant.lowStockAlertedAt,
+});
+
+// Watched products with their variants at or below threshold, the product
+// with the lowest stock first
+const findLowStock = async ({ limit } = {}) => {
+  const products = await Product.find(WATCHED)
+    .select("name slug status lowStockThreshold variants")
+    .lean();
+
+  const low = products
+    .map((product) => ({
+      productId: product._id,
+      name: product.name,
+      slug: product.slug,
+      status: product.status,
+      variants: product.variants
+        .filter((v) => v.stock <= lowStockThreshold(product, v))
+        .map((v) => lowVariant(product, v)),
+    }))
+    .filter((product) => product.variants.length > 0);
+
+  const lowest = (product) => Math.min(...product.variants.map((v) => v.stock));
+  low.sort((a, b) => lowest(a) - lowest(b));
+  return limit ? low.slice(0, limit) : low;
+};
+
+// Set or clear the low-stock alert time of some variants of a product,
+// leaving updatedAt alone
+const setAlertedAt = (productId, variantIds, alertedAt) =>
+  Product.updateOne(
+    { _id: productId },
+    alertedAt
+      ? { $set: { "variants.$[v].lowStockAlertedAt": alertedAt } }
+      : { $unset: { "variants.$[v].lowStockAlertedAt": "" } },
+    { arrayFilters: [{ "v._id": { $in: variantIds } }], timestamps: false }
+  );
+
+// Email admins about variants that fell to their threshold since the last
+// check. Each variant is reported once, until its stock goes back above the
+// threshold. Returns the number of variants reported.
+const checkLowStock = async () => {
+  const products = await Product.find(WATCHED)
+    .select("name slug lowStockThreshold variants")
+    .lean();
+
+  const alerts = [];
+  for (const product of products) {
+    const newlyLow = [];
+    const recovered = [];
+    for (const variant of product.variants) {
+      const low = variant.stock <= lowStockThreshold(product, variant);
+      if (low && !variant.lowStockAlertedAt) newlyLow.push(variant);
+      if (!low && variant.lowStockAlertedAt) recovered.push(variant._id);
+    }
+
+    if (recovered.length > 0) {
+      await setAlertedAt(product._id, recovered, null);
+    }
+    if (newlyLow.length > 0) {
+      alerts.push({
+        productId: product._id,
+        name: product.name,
+        slug: product.slug,
+        variants: newlyLow.map((v) => lowVariant(product, v)),
+      });
+    }
+  }
+  if (alerts.length === 0) return 0;
+
+  const admins = await User.find({ isAdmin: true }).select("email").lean();
+  if (admins.length === 0) {
+    console.warn("Low stock alert skipped: no admin users to email");
+    return 0;
+  }
+
+  // Left unmarked when the email fails, so the next check tries again
+  const sent = await sendLowStockAlert(
+    admins.map((a) => a.email),
+    alerts
+  );
+  if (!sent) return 0;
+
+  const now = new Date();
+  for (const alert of alerts) {
+    await setAlertedAt(
+      alert.productId,
+      alert.variants.map((v) => v.variantId),
+      now
+    );
+  }
+  return alerts.reduce((total, alert) => total + alert.variants.length, 0);
+};
+
+// Email customers whose size is back in stock and drop their subscription.
+// Subscriptions for archived products, removed variants or deleted users
+// are dropped too; those for products off the storefront wait until it's
+// back. Returns the number of customers emailed.
+const notifyBackInStock = async () => {
+  const productIds = await StockSubscription.distinct("productId");
+  let notified = 0;
+
+  for (const productId of productIds) {
+    const product = await Product.findById(productId);
+    if (!product || product.archivedAt) {
+      await StockSubscription.deleteMany({ productId });
+      continue;
+    }
+    if (!product.isLive) continue;
+
+    const subscriptions = await StockSubscription.find({ productId }).populate(
+      "userId",
+      "name email"
+    );
+    for (const subscription of subscriptions) {
+      const variant = product.variants.id(subscription.variantId);
+      if (!variant || !subscription.userId) {
+        await subscription.deleteOne();
+        continue;
+      }
+      if (variant.available === 0) continue;
+
+      const { email, name } = subscription.userId;
+      if (await sendBackInStock(email, name, product, variant)) {
+        await subscription.deleteOne();
+        notified++;
+      }
+    }
+  }
+  return notified;
+};
+
+// One round of both checks
+const runStockAlerts = async () => {
+  const alerted = await checkLowStock();
+  const notified = await notifyBackInStock();
+  return { alerted, notified };
+};
+
+// Run the checks every STOCK_ALERT_INTERVAL_MINUTES in this process while
+// the database is connected. Returns the timer, or null when turned off.
+const startStockAlerts = () => {
+  const minutes = config.STOCK_ALERT_INTERVAL_MINUTES;
+  if (!(minutes > 0)) return null;
+
+  return runEvery(minutes * 60 * 1000, "Stock alert check", runStockAlerts);
+};
+
+// Ask to be emailed when an out-of-stock variant of a product on the
+// storefront is back. Subscribing twice to the same variant returns the
+// existing subscription.
+const subscribe = async ({ userId, productId, ...variantRef }) => {
+  const product = mongoose.isValidObjectId(productId)
+    ? await Product.findById(productId)
+    : null;
+  if (!product || !product.isLive) {
+    throw new AppError("Product not found", 404);
+  }
+
+  const variant = product.findVariant(variantRef);
+  if (!variant) {
+    throw new AppError("Variant not available for this product", 400);
+  }
+  if (variant.available > 0) {
+    throw new AppError("This size is in stock", 409);
+  }
+
+  const existing = await StockSubscription.findOne({
+    userId,
+    variantId: variant._id,
+  });
+  if (existing) return { subscription: existing, created: false };
+
+  const subscription = await StockSubscription.create({
+    userId,
+    productId: product._id,
+    variantId: variant._id,
+    size: variant.size,
+    color: variant.color,
+    fit: variant.fit,
+  });
+  return { subscription, created: true };
+};
+
+const unsubscribe = async (subscriptionId, userId) => {
+  const subscription = mongoose.isValidObjectId(subscriptionId)
+    ? await StockSubscription.findOneAndDelete({ _id: subscriptionId, userId })
+    : null;
+  if (!subscription) throw new AppError("Subscription not found", 404);
+  return subscription;
+};
+
+// Set the low-stock threshold of a product and/or of some of its variants
+// (by variantId, SKU or size plus colour/fit). null goes back to the default.
+const setStockThresholds = async ({
+  productId,
+  lowStockThreshold,
+  variants = [],
+}) => {
+  const product = mongoose.isValidObjectId(productId)
+    ? await Product.findById(productId)
+    : null;
+  if (!product) throw new AppError("Product not found", 404);
+
+  if (lowStockThreshold !== undefined) {
+    product.lowStockThreshold = lowStockThreshold ?? undefined;
+  }
+  for (const { lowStockThreshold: threshold, ...variantRef } of variants) {
+    const variant = product.findVariant(variantRef);
+    if (!variant) {
+      throw new AppError(
+        `Variant not found: ${
+          variantRef.variantId || variantRef.sku || variantRef.size
+        }`,
+        404
+      );
+    }
+    variant.lowStockThreshold = threshold ?? undefined;
+  }
+
+  await product.save();
+  return product;
+};
+
+module.exports = {
+  lowStockThreshold,
+  findLowStock,
+  checkLowStock,
+  notifyBackInStock,
+  runStockAlerts,
+  startStockAlerts,
+  subscribe,
+  unsubscribe,
+  setStockThresholds,
+};
@@ -0,0 +1,12 @@
+const config = require("../../config/config");
+const localStorage = require("./localStorage");
+
+// Registered drivers, chosen with STORAGE_DRIVER
+const drivers = { [localStorage.name]: localStorage };
+
+const storage = drivers[config.STORAGE_DRIVER];
+if (!storage) {
+  throw new Error(`Unknown STORAGE_DRIVER: ${config.STORAGE_DRIVER}`);
+}
+
+module.exports = storage;
@@ -0,0 +1,70 @@
+const fs = require("fs/promises");
+const path = require("path");
+const config = require("../../config/config");
+
+// Keeps files on the server's disk under UPLOAD_DIR, which app.js serves at
+// UPLOAD_URL. Private files go under PRIVATE_UPLOAD_DIR, which isn't served.
+//
+// Every storage driver implements the same interface. Keys are relative
+// paths such as "products/<productId>/<imageId>-thumbnail.webp":
+//   save(key, buffer, contentType) - stores a file, resolves to its public URL
+//   remove(key)                    - deletes a file; missing files are ignored
+// and the same for private files, which get no public URL:
+//   savePrivate(key, buffer, contentType)
+//   readPrivate(key)               - resolves to its contents, null if missing
+//   removePrivate(key)
+const publicRoot = path.resolve(config.UPLOAD_DIR);
+const privateRoot = path.resolve(config.PRIVATE_UPLOAD_DIR);
+
+const resolveKey = (root, key) => {
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const writeFile = async (filePath, buffer) => {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+};
+
+const removeFile = async (filePath) => {
+  try {
+    await fs.unlink(filePath);
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+};
+
+const localStorage = {
+  name: "local",
+
+  async save(key, buffer) {
+    await writeFile(resolveKey(publicRoot, key), buffer);
+    return `${config.UPLOAD_URL}/${key}`;
+  },
+
+  remove(key) {
+    return removeFile(resolveKey(publicRoot, key));
+  },
+
+  savePrivate(key, buffer) {
+    return writeFile(resolveKey(privateRoot, key), buffer);
+  },
+
+  async readPrivate(key) {
+    try {
+      return await fs.readFile(resolveKey(privateRoot, key));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  },
+
+  removePrivate(key) {
+    return removeFile(resolveKey(privateRoot, key));
+  },
+};
+
+module.exports = localStorage;
@@ -0,0 +1,130 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const User = require("../models/User");
+const {
+  resolveShippingAddress,
+  defaultDestination,
+} = require("../services/addressService");
+const memoryDb = require("./helpers/memoryDb");
+const { listen, tokenFor } = require("./helpers/http");
+const { address } = require("./helpers/fixtures");
+
+let db;
+let server;
+let user;
+let token;
+
+before(async () => {
+  db = await memoryDb.connect();
+  server = await listen();
+});
+
+after(() => server.close());
+
+beforeEach(async () => {
+  memoryDb.clear(db);
+  user = await User.create({
+    name: "Ayesha Khan",
+    email: "ayesha@example.com",
+    password: "secret123",
+  });
+  token = tokenFor(user._id);
+});
+
+const karachi = {
+  ...address,
+  line1: "5 Clifton Road",
+  city: "Karachi",
+  province: "Sindh",
+};
+
+const saveAddress = async (fields) =>
+  (
+    await server.request("POST", "/api/users/addresses", {
+      token,
+      body: fields,
+    })
+  ).body.data;
+
+const listAddresses = async () =>
+  (await server.request("GET", "/api/users/addresses", { token })).body.data;
+
+describe("address book", () => {
+  it("makes the first saved address the default", async () => {
+    const saved = await saveAddress({ ...address, label: "Home" });
+
+    assert.equal(saved.isDefault, true);
+    assert.equal(saved.label, "Home");
+    assert.equal(saved.country, "Pakistan");
+  });
+
+  it("keeps one default, listed first", async () => {
+    await saveAddress(address);
+    const office = await saveAddress({ ...karachi, isDefault: true });
+
+    const addresses = await listAddresses();
+
+    assert.deepEqual(
+      addresses.map((a) => [a._id, a.isDefault]),
+      [
+        [office._id, true],
+        [addresses[1]._id, false],
+      ]
+    );
+  });
+
+  it("moves the default on when the default address is deleted", async () => {
+    const home = await saveAddress(address);
+    await saveAddress(karachi);
+
+    await server.request("DELETE", `/api/users/addresses/${home._id}`, {
+      token,
+    });
+
+    const addresses = await listAddresses();
+    assert.equal(addresses.length, 1);
+    assert.equal(addresses[0].city, "Karachi");
+    assert.equal(addresses[0].isDefault, true);
+  });
+});
+
+describe("shipping addresses of orders", () => {
+  it("default to the user's default saved address", async () => {
+    await saveAddress({ ...address, label: "Home" });
+
+    const shipping = await resolveShippingAddress(user._id);
+
+    assert.deepEqual(shipping, { ...address, country: "Pakistan" });
+    assert.deepEqual(await defaultDestination(user._id), {
+      city: "Lahore",
+      province: "Punjab",
+    });
+  });
+
+  it("can be a saved address picked by id or a one-off address", async () => {
+    await saveAddress(address);
+    const office = await saveAddress(karachi);
+
+    const saved = await resolveShippingAddress(user._id, {
+      addressId: office._id,
+    });
+    const oneOff = await resolveShippingAddress(user._id, {
+      shippingAddress: { ...address, city: "Multan", label: "Gift" },
+    });
+
+    assert.equal(saved.city, "Karachi");
+    assert.equal(oneOff.city, "Multan");
+    assert.equal(oneOff.label, undefined);
+  });
+
+  it("are required when nothing is saved", async () => {
+    await assert.rejects(resolveShippingAddress(user._id), {
+      statusCode: 400,
+    });
+    await assert.rejects(
+      resolveShippingAddress(user._id, { addressId: user._id }),
+      { statusCode: 400, message: "Saved address not found" }
+    );
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const mongoose = require("mongoose");
+const Cart = require("../models/Cart");
+const Product = require("../models/Product");
+const Wishlist = require("../models/Wishlist");
+const {
+  archiveProduct,
+  restoreProduct,
+} = require("../services/productService");
+const { holdCartStock } = require("../services/reservationService");
+const memoryDb = require("./helpers/memoryDb");
+const { createProduct } = require("./helpers/fixtures");
+
+let db;
+let product;
+let other;
+
+before(async () => {
+  db = await memoryDb.connect();
+});
+
+beforeEach(async () => {
+  memoryDb.clear(db);
+  product = await createProduct({ name: "Old Tee" });
+  other = await createProduct({ name: "New Tee" });
+});
+
+const line = (shirt) => ({
+  productId: shirt._id,
+  variantId: shirt.variants[0]._id,
+  size: "Medium",
+  quantity: 2,
+});
+
+const onStorefront = async () =>
+  (await Product.find(Product.storefrontFilter())).map((p) => p.name);
+
+describe("archiving products", () => {
+  it("takes them off the storefront, out of carts and wishlists", async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const cart = await Cart.create({
+      userId,
+      items: [line(product), line(other)],
+    });
+    await Wishlist.create({
+      userId,
+      products: [{ productId: product._id }, { productId: other._id }],
+    });
+
+    await archiveProduct(product._id);
+
+    assert.deepEqual(await onStorefront(), ["New Tee"]);
+    const { items } = await Cart.findById(cart._id);
+    assert.deepEqual(
+      items.map((item) => item.productId),
+      [other._id]
+    );
+    const { products } = await Wishlist.findOne({ userId });
+    assert.deepEqual(
+      products.map((item) => item.productId),
+      [other._id]
+    );
+  });
+
+  it("gives back stock the cart held for them on the cart's next use", async () => {
+    const cart = await Cart.create({ items: [line(product)] });
+    await holdCartStock(cart._id);
+
+    await archiveProduct(product._id);
+    await holdCartStock(cart._id);
+
+    const archived = await Product.findById(product._id);
+    assert.equal(archived.variants[0].reserved, 0);
+    assert.deepEqual([...(await Cart.findById(cart._id)).reservations], []);
+  });
+
+  it("keeps the product for order history", async () => {
+    await archiveProduct(product._id);
+
+    const archived = await Product.findById(product._id);
+    assert.ok(archived.archivedAt instanceof Date);
+    assert.equal(archived.isLive, false);
+  });
+
+  it("refuses unknown or already archived products", async () => {
+    await archiveProduct(product._id);
+
+    await assert.rejects(archiveProduct(product._id), {
+      statusCode: 409,
+      message: "Product is already archived",
+    });
+    await assert.rejects(archiveProduct("not-an-id"), { statusCode: 404 });
+  });
+});
+
+describe("restoring products", () => {
+  it("puts them back on the storefront", async () => {
+    await archiveProduct(product._id);
+
+    const restored = await restoreProduct(product._id);
+
+    assert.equal(restored.archivedAt, null);
+    assert.deepEqual((await onStorefront()).sort(), ["New Tee", "Old Tee"]);
+  });
+
+  it("refuses products that aren't archived", async () => {
+    await assert.rejects(restoreProduct(product._id), {
+      statusCode: 409,
+      message: "Product is not archived",
+    });
+    await assert.rejects(restoreProduct(new mongoose.Types.ObjectId()), {
+      statusCode: 404,
+    });
+  });
+});
@@ -0,0 +1,190 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const Cart = require("../models/Cart");
+const Product = require("../models/Product");
+const Wishlist = require("../models/Wishlist");
+const memoryDb = require("./helpers/memoryDb");
+const { listen, tokenFor } = require("./helpers/http");
+const { createProduct } = require("./helpers/fixtures");
+
+let db;
+let server;
+let userId;
+let token;
+let tee;
+let hoodie;
+
+before(async () => {
+  db = await memoryDb.connect();
+  server = await listen();
+});
+
+after(() => server.close());
+
+beforeEach(async () => {
+  memoryDb.clear(db);
+  userId = new mongoose.Types.ObjectId();
+  token = tokenFor(userId);
+  tee = await createProduct({ name: "Basic Tee", price: 1000 });
+  hoodie = await createProduct({ name: "Hoodie", price: 3000 });
+});
+
+const addToCart = (product, quantity = 1, auth = { token }) =>
+  server.request("POST", "/api/cart", {
+    ...auth,
+    body: {
+      productId: product._id,
+      variantId: product.variants[0]._id,
+      quantity,
+    },
+  });
+
+describe("cart lines of unavailable products", () => {
+  it("keeps lines of hidden products but leaves them out of the totals", async () => {
+    await addToCart(tee);
+    await addToCart(hoodie);
+    await Product.updateOne({ _id: hoodie._id }, { status: "hidden" });
+
+    const { status, body } = await server.request("GET", "/api/cart", {
+      token,
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.items.map((item) => [item.productId.name, item.available]),
+      [
+        ["Basic Tee", true],
+        ["Hoodie", false],
+      ]
+    );
+    assert.equal(body.totalAmount, 1000);
+    assert.equal(body.removedItems, undefined);
+  });
+
+  it("puts lines back in the totals once the product is published again", async () => {
+    await addToCart(tee);
+    await addToCart(hoodie);
+    await Product.updateOne({ _id: hoodie._id }, { status: "draft" });
+    await server.request("GET", "/api/cart", { token });
+    await Product.updateOne({ _id: hoodie._id }, { status: "published" });
+
+    const { body } = await server.request("GET", "/api/cart", { token });
+
+    assert.equal(body.items.length, 2);
+    assert.equal(body.totalAmount, 4000);
+  });
+
+  it("removes lines of archived and deleted products", async () => {
+    await addToCart(tee);
+    await addToCart(hoodie);
+    await Product.updateOne({ _id: tee._id }, { archivedAt: new Date() });
+    await Product.deleteOne({ _id: hoodie._id });
+
+    const { body } = await server.request("GET", "/api/cart", { token });
+
+    assert.deepEqual(body.items, []);
+    assert.equal(body.removedItems.length, 2);
+    const cart = await Cart.findOne({ userId });
+    assert.equal(cart.items.length, 0);
+  });
+});
+
+describe("wishlist products that are unavailable", () => {
+  beforeEach(() =>
+    Wishlist.create({
+      userId,
+      products: [{ productId: tee._id }, { productId: hoodie._id }],
+    })
+  );
+
+  it("keeps scheduled products, marked unavailable", async () => {
+    await Product.updateOne(
+      { _id: hoodie._id },
+      { status: "scheduled", publishAt: new Date(Date.now() + 60 * 60 * 1000) }
+    );
+
+    const { status, body } = await server.request("GET", "/api/wishlist", {
+      token,
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.products.map((item) => [item.productId.name, item.available]),
+      [
+        ["Basic Tee", true],
+        ["Hoodie", false],
+      ]
+    );
+  });
+
+  it("removes archived products", async () => {
+    await Product.updateOne({ _id: hoodie._id }, { archivedAt: new Date() });
+
+    const { body } = await server.request("GET", "/api/wishlist", { token });
+
+    assert.deepEqual(
+      body.products.map((item) => item.productId.name),
+      ["Basic Tee"]
+    );
+    const wishlist = await Wishlist.findOne({ userId });
+    assert.equal(wishlist.products.length, 1);
+  });
+});
+
+describe("clearing the cart", () => {
+  it("clears a guest cart opened by its cart token", async () => {
+    const { body: added } = await addToCart(tee, 2, {});
+    const { cartToken } = added;
+    await addToCart(hoodie, 1, { cartToken });
+
+    const { status, body } = await server.request("DELETE", "/api/cart/clear", {
+      cartToken,
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.message, "Cart cleared successfully");
+    assert.deepEqual(body.cart.items, []);
+    assert.equal(body.cart.totalAmount, 0);
+    assert.equal(body.cart.guestToken, undefined);
+    const cart = await Cart.findById(body.cart._id);
+    assert.equal(cart.items.length, 0);
+    const stock = await Product.findById(tee._id);
+    assert.equal(stock.variants[0].reserved, 0);
+  });
+
+  it("clears the cart of a signed-in user", async () => {
+    await addToCart(tee);
+
+    const { status, body } = await server.request("DELETE", "/api/cart/clear", {
+      token,
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.cart.items, []);
+  });
+
+  it("finds no cart for an unknown cart token", async () => {
+    const { status } = await server.request("DELETE", "/api/cart/clear", {
+      cartToken: "unknown",
+    });
+
+    assert.equal(status, 404);
+  });
+});
+
+describe("clearing the wishlist", () => {
+  it("removes every product", async () => {
+    await Wishlist.create({ userId, products: [{ productId: tee._id }] });
+
+    const { status, body } = await server.request(
+      "DELETE",
+      "/api/wishlist/clear",
+      { token }
+    );
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.wishlist.products, []);
+  });
+});
@@ -0,0 +1,185 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { listProducts } = require("../services/catalogService");
+const memoryDb = require("./helpers/memoryDb");
+const { createCategory, createProduct } = require("./helpers/fixtures");
+
+let db;
+
+before(async () => {
+  db = await memoryDb.connect();
+});
+
+beforeEach(async () => {
+  memoryDb.clear(db);
+  const tops = await createCategory({ name: "Tops", slug: "tops" });
+  await createCategory({ name: "Tees", slug: "tees", parent: tops._id });
+  await createCategory({ name: "Hoodies", slug: "hoodies" });
+
+  await createProduct({
+    name: "Basic Tee",
+    category: "tees",
+    price: 900,
+    salesCount: 5,
+    variants: [
+      { size: "Medium", color: "Black", stock: 3 },
+      { size: "Large", color: "White", stock: 2 },
+    ],
+  });
+  await createProduct({
+    name: "Band Tee",
+    category: "tees",
+    price: 1500,
+    salesCount: 20,
+    // Large is only in stock in black, and all of it is held for carts
+    variants: [
+      { size: "Large", color: "Black", stock: 1, reserved: 1 },
+      { size: "Large", color: "White", stock: 0 },
+      { size: "Small", color: "White", stock: 4 },
+    ],
+  });
+  await createProduct({
+    name: "Zip Hoodie",
+    category: "hoodies",
+    price: 3500,
+    salesCount: 10,
+    variants: [{ size: "Large", color: "Grey", stock: 0 }],
+  });
+  await createProduct({ name: "Unreleased Tee", status: "draft" });
+});
+
+const names = ({ products }) => products.map((p) => p.name);
+
+describe("product listing", () => {
+  it("lists storefront products, newest first", async () => {
+    const listing = await listProducts({});
+
+    assert.deepEqual(names(listing), ["Zip Hoodie", "Band Tee", "Basic Tee"]);
+  });
+
+  it("filters by category including subcategories, and by price", async () => {
+    assert.deepEqual(names(await listProducts({ category: "tops" })), [
+      "Band Tee",
+      "Basic Tee",
+    ]);
+    assert.deepEqual(
+      names(await listProducts({ minPrice: "1000", maxPrice: "4000" })),
+      ["Zip Hoodie", "Band Tee"]
+    );
+  });
+
+  it("matches size and colour on the same available variant", async () => {
+    const large = await listProducts({ size: "Large" });
+    const largeBlack = await listProducts({ size: "Large", color: "BLACK" });
+
+    assert.deepEqual(names(large), ["Basic Tee"]);
+    assert.deepEqual(names(largeBlack), []);
+  });
+
+  it("filters by availability", async () => {
+    assert.deepEqual(
+      names(await listProducts({ availability: "out-of-stock" })),
+      ["Zip Hoodie"]
+    );
+  });
+
+  it("sorts by price or sales", async () => {
+    assert.deepEqual(names(await listProducts({ sort: "price-asc" })), [
+      "Basic Tee",
+      "Band Tee",
+      "Zip Hoodie",
+    ]);
+    assert.deepEqual(names(await listProducts({ sort: "best-selling" })), [
+      "Band Tee",
+      "Zip Hoodie",
+      "Basic Tee",
+    ]);
+  });
+
+  it("refuses unknown sorts, sizes and availability", async () => {
+    await assert.rejects(listProducts({ sort: "cheapest" }), {
+      statusCode: 400,
+    });
+    await assert.rejects(listProducts({ size: "Huge" }), {
+      statusCode: 400,
+      message: "Unknown size: Huge",
+    });
+    await assert.rejects(listProducts({ availability: "soon" }), {
+      statusCode: 400,
+    });
+  });
+});
+
+describe("pagination", () => {
+  it("pages by number", async () => {
+    const listing = await listProducts({
+      sort: "price-asc",
+      limit: 2,
+      page: 2,
+    });
+
+    assert.deepEqual(names(listing), ["Zip Hoodie"]);
+    assert.equal(listing.pagination.total, 3);
+    assert.equal(listing.pagination.pages, 2);
+    assert.equal(listing.pagination.hasMore, false);
+  });
+
+  it("pages by cursor, unaffected by products added meanwhile", async () => {
+    const first = await listProducts({ sort: "price-asc", limit: 2 });
+    await createProduct({ name: "Cheap Tee", price: 500 });
+
+    const second = await listProducts({
+      sort: "price-asc",
+      limit: 2,
+      cursor: first.pagination.nextCursor,
+    });
+
+    assert.deepEqual(names(first), ["Basic Tee", "Band Tee"]);
+    assert.deepEqual(names(second), ["Zip Hoodie"]);
+    assert.equal(second.pagination.nextCursor, null);
+  });
+
+  it("refuses a cursor of another sort order", async () => {
+    const { pagination } = await listProducts({ limit: 1 });
+
+    await assert.rejects(
+      listProducts({ sort: "price-asc", cursor: pagination.nextCursor }),
+      { statusCode: 400, message: "Invalid cursor for this sort order" }
+    );
+  });
+});
+
+describe("facets", () => {
+  it("count products per category, available size and price range", async () => {
+    const { facets } = await listProducts({});
+
+    assert.deepEqual(facets.categories, [
+      { slug: "tees", name: "Tees", count: 2 },
+      { slug: "hoodies", name: "Hoodies", count: 1 },
+    ]);
+    assert.deepEqual(facets.sizes, [
+      { size: "Small", count: 1 },
+      { size: "Medium", count: 1 },
+      { size: "Large", count: 1 },
+      { size: "Extra Large", count: 0 },
+    ]);
+    assert.deepEqual(
+      facets.prices.map((p) => p.count),
+      [1, 1, 0, 1, 0]
+    );
+  });
+
+  it("leave out their own filter", async () => {
+    const { facets } = await listProducts({
+      category: "hoodies",
+      size: "Small",
+    });
+
+    // Other categories count with the size filter, sizes with the category
+    assert.deepEqual(facets.categories, [
+      { slug: "tees", name: "Tees", count: 1 },
+    ]);
+    assert.equal(facets.sizes.find((s) => s.size === "Small").count, 0);
+  });
+});
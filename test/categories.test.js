@@ -0,0 +1,125 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const mongoose = require("mongoose");
+const Category = require("../models/Category");
+const Coupon = require("../models/Coupon");
+const Product = require("../models/Product");
+const {
+  subtreeSlugs,
+  findAncestors,
+  buildTree,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} = require("../services/categoryService");
+const memoryDb = require("./helpers/memoryDb");
+const { createProduct } = require("./helpers/fixtures");
+
+let db;
+let apparel;
+let tops;
+let tees;
+
+before(async () => {
+  db = await memoryDb.connect();
+});
+
+beforeEach(async () => {
+  memoryDb.clear(db);
+  apparel = await createCategory({ name: "Apparel" });
+  tops = await createCategory({ name: "Tops", parent: apparel._id });
+  tees = await createCategory({
+    name: "Graphic Tees",
+    parent: tops._id,
+    sortOrder: 1,
+  });
+  await createCategory({ name: "Polos", parent: tops._id, sortOrder: 1 });
+  await createCategory({ name: "Tanks", parent: tops._id });
+});
+
+describe("category tree", () => {
+  it("derives slugs from names", () => {
+    assert.equal(tees.slug, "graphic-tees");
+  });
+
+  it("finds a category with everything below it", async () => {
+    const slugs = await subtreeSlugs("TOPS");
+
+    assert.deepEqual(slugs.sort(), ["graphic-tees", "polos", "tanks", "tops"]);
+    assert.equal(await subtreeSlugs("shoes"), null);
+  });
+
+  it("lists ancestors from the top down", async () => {
+    const ancestors = await findAncestors(tees);
+
+    assert.deepEqual(
+      ancestors.map((c) => c.slug),
+      ["apparel", "tops"]
+    );
+  });
+
+  it("nests children in sort order, then by name", async () => {
+    const tree = buildTree(await Category.find().lean());
+
+    assert.deepEqual(
+      tree[0].children[0].children.map((c) => c.name),
+      ["Tanks", "Graphic Tees", "Polos"]
+    );
+  });
+});
+
+describe("changing categories", () => {
+  it("refuses unknown parents and moves under its own subtree", async () => {
+    await assert.rejects(
+      createCategory({ name: "Caps", parent: new mongoose.Types.ObjectId() }),
+      { statusCode: 400 }
+    );
+    await assert.rejects(updateCategory(apparel._id, { parent: tees._id }), {
+      statusCode: 400,
+      message: "A category can't be moved under itself or its subcategories",
+    });
+  });
+
+  it("carries a new slug over to products and coupons", async () => {
+    const product = await createProduct({
+      name: "Anime Tee",
+      category: "graphic-tees",
+    });
+    const coupon = await Coupon.create({
+      code: "TEES",
+      type: "fixed",
+      value: 100,
+      categories: ["polos", "graphic-tees"],
+    });
+
+    await updateCategory(tees._id, { name: "Printed Tees", slug: "printed" });
+
+    const moved = await Product.findById(product._id).select("+searchGrams");
+    assert.equal(moved.category, "printed");
+    assert.deepEqual(
+      [...moved.searchGrams],
+      Product.searchFields({ name: "Anime Tee", category: "printed" })
+        .searchGrams
+    );
+    assert.deepEqual(
+      [...(await Coupon.findById(coupon._id)).categories],
+      ["polos", "printed"]
+    );
+  });
+
+  it("deletes only empty leaf categories", async () => {
+    await createProduct({ category: "graphic-tees" });
+
+    await assert.rejects(deleteCategory(tops._id), {
+      statusCode: 409,
+      message: "Move or delete the subcategories first",
+    });
+    await assert.rejects(deleteCategory(tees._id), {
+      statusCode: 409,
+      message: "1 products are still in this category",
+    });
+    await deleteCategory((await Category.findOne({ slug: "polos" }))._id);
+    assert.equal(await Category.exists({ slug: "polos" }), null);
+  });
+});
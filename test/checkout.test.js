@@ -0,0 +1,146 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Set before the config is loaded
+process.env.ENABLE_FAKE_CARD_PAYMENTS = "true";
+process.env.FAKE_CARD_WEBHOOK_SECRET = "test-webhook-secret";
+
+const mongoose = require("mongoose");
+const Cart = require("../models/Cart");
+const Coupon = require("../models/Coupon");
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const memoryDb = require("./helpers/memoryDb");
+const { listen, tokenFor } = require("./helpers/http");
+const { address, createProduct } = require("./helpers/fixtures");
+
+let db;
+let server;
+let userId;
+let token;
+let tee;
+let hoodie;
+
+before(async () => {
+  db = await memoryDb.connect();
+  server = await listen();
+});
+
+after(() => server.close());
+
+beforeEach(async () => {
+  memoryDb.clear(db);
+  userId = new mongoose.Types.ObjectId();
+  token = tokenFor(userId);
+  tee = await createProduct({ name: "Basic Tee", price: 1000 });
+  hoodie = await createProduct({ name: "Hoodie", price: 2500 });
+});
+
+const addToCart = (product, quantity = 1) =>
+  server.request("POST", "/api/cart", {
+    token,
+    body: {
+      productId: product._id,
+      variantId: product.variants[0]._id,
+      quantity,
+    },
+  });
+
+const checkout = (body = {}) =>
+  server.request("POST", "/api/orders/checkout", {
+    token,
+    body: { shippingAddress: address, ...body },
+  });
+
+const variantOf = async (product) =>
+  (await Product.findById(product._id)).variants[0];
+
+describe("checkout", () => {
+  it("orders the cart at current prices and empties it", async () => {
+    await addToCart(tee, 2);
+    await addToCart(hoodie);
+    await Product.updateOne({ _id: tee._id }, { price: 1200 });
+
+    const { status, body } = await checkout();
+
+    assert.equal(status, 201);
+    assert.deepEqual(
+      body.products.map((line) => [
+        line.productName,
+        line.quantity,
+        line.price,
+      ]),
+      [
+        ["Basic Tee", 2, 1200],
+        ["Hoodie", 1, 2500],
+      ]
+    );
+    assert.equal(body.pricing.subtotal, 4900);
+    const cart = await Cart.findOne({ userId });
+    assert.equal(cart.items.length, 0);
+    const variant = await variantOf(tee);
+    assert.equal(variant.stock, 8);
+    assert.equal(variant.reserved, 0);
+  });
+
+  it("uses the coupon applied to the cart", async () => {
+    await Coupon.create({ code: "SAVE10", type: "percentage", value: 10 });
+    await addToCart(hoodie, 2);
+    await server.request("POST", "/api/cart/apply-coupon", {
+      token,
+      body: { code: "SAVE10" },
+    });
+
+    const { body } = await checkout();
+
+    assert.equal(body.coupon.code, "SAVE10");
+    assert.equal(body.pricing.discount, 500);
+    assert.equal((await Cart.findOne({ userId })).couponCode, undefined);
+  });
+
+  it("refuses an empty cart", async () => {
+    const { status, body } = await checkout();
+
+    assert.equal(status, 400);
+    assert.equal(body.error, "Cart is empty.");
+  });
+
+  it("points lines that can't be ordered at their cart item", async () => {
+    await addToCart(tee);
+    await addToCart(hoodie);
+    await Product.updateOne({ _id: hoodie._id }, { status: "hidden" });
+    const cart = await Cart.findOne({ userId });
+
+    const { status, body } = await checkout();
+
+    assert.equal(status, 409);
+    assert.deepEqual(
+      body.lines.map(({ cartItemId, reason }) => ({ cartItemId, reason })),
+      [
+        {
+          cartItemId: String(cart.items[1]._id),
+          reason: "Product no longer available",
+        },
+      ]
+    );
+    assert.equal((await Cart.findOne({ userId })).items.length, 2);
+    assert.equal(await Order.countDocuments(), 0);
+  });
+
+  it("puts the lines back in the cart when the payment is declined", async () => {
+    await addToCart(tee, 2);
+
+    const { status, body } = await checkout({
+      paymentMethod: "card",
+      paymentDetails: { token: "tok_declined" },
+    });
+
+    assert.equal(status, 402);
+    assert.equal(body.order.status, "Cancelled");
+    const cart = await Cart.findOne({ userId });
+    assert.equal(cart.items[0].quantity, 2);
+    const variant = await variantOf(tee);
+    assert.equal(variant.stock, 10);
+    assert.equal(variant.reserved, 2);
+  });
+});
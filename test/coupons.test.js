@@ -0,0 +1,164 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const Coupon = require("../models/Coupon");
+const {
+  applyCoupon,
+  redeemCoupon,
+  releaseCoupon,
+} = require("../services/couponService");
+const memoryDb = require("./helpers/memoryDb");
+const {
+  createCategory,
+  createDeliveredOrder,
+  createProduct,
+} = require("./helpers/fixtures");
+
+let db;
+let userId;
+
+before(async () => {
+  db = await memoryDb.connect();
+});
+
+beforeEach(async () => {
+  memoryDb.clear(db);
+  userId = new mongoose.Types.ObjectId();
+  const apparel = await createCategory({ name: "Apparel", slug: "apparel" });
+  const tops = await createCategory({
+    name: "Tops",
+    slug: "tops",
+    parent: apparel._id,
+  });
+  await createCategory({
+    name: "T-Shirts",
+    slug: "t-shirts",
+    parent: tops._id,
+  });
+  await createCategory({ name: "Mugs", slug: "mugs" });
+});
+
+const line = (fields) => ({
+  productId: new mongoose.Types.ObjectId(),
+  category: "t-shirts",
+  price: 1000,
+  quantity: 1,
+  ...fields,
+});
+
+const createCoupon = (fields) =>
+  Coupon.create({ code: "SAVE10", type: "percentage", value: 10, ...fields });
+
+describe("applying coupons", () => {
+  it("takes a percentage off the subtotal", async () => {
+    await createCoupon();
+
+    const { discount } = await applyCoupon({
+      code: " save10 ",
+      lines: [line({ quantity: 3 })],
+    });
+
+    assert.equal(discount, 300);
+  });
+
+  it("takes no more than the subtotal off with a fixed amount", async () => {
+    await createCoupon({ type: "fixed", value: 5000 });
+
+    const { discount } = await applyCoupon({ code: "SAVE10", lines: [line()] });
+
+    assert.equal(discount, 1000);
+  });
+
+  it("covers subcategories of the categories it is scoped to", async () => {
+    await createCoupon({ categories: ["apparel"] });
+
+    const { discount } = await applyCoupon({
+      code: "SAVE10",
+      lines: [line(), line({ category: "mugs", price: 500 })],
+    });
+
+    assert.equal(discount, 100);
+  });
+
+  it("covers products it is scoped to in other categories", async () => {
+    const mug = line({ category: "mugs", price: 500 });
+    await createCoupon({ categories: ["tops"], products: [mug.productId] });
+
+    const { discount } = await applyCoupon({
+      code: "SAVE10",
+      lines: [line(), mug],
+    });
+
+    assert.equal(discount, 150);
+  });
+
+  it("still matches a scoped category that was deleted", async () => {
+    await createCoupon({ categories: ["caps"] });
+
+    const { discount } = await applyCoupon({
+      code: "SAVE10",
+      lines: [line({ category: "caps" })],
+    });
+
+    assert.equal(discount, 100);
+  });
+
+  it("refuses carts with nothing in scope", async () => {
+    await createCoupon({ categories: ["mugs"] });
+
+    await assert.rejects(applyCoupon({ code: "SAVE10", lines: [line()] }), {
+      statusCode: 400,
+      message: "This coupon does not apply to any items",
+    });
+  });
+
+  it("refuses unknown, inactive and expired codes", async () => {
+    await createCoupon({ code: "OFF", isActive: false });
+    await createCoupon({ code: "OLD", validUntil: new Date(Date.now() - 1) });
+
+    for (const code of ["NOPE", "OFF", "OLD"]) {
+      await assert.rejects(applyCoupon({ code, lines: [line()] }), {
+        statusCode: 400,
+      });
+    }
+  });
+
+  it("requires the minimum order value", async () => {
+    await createCoupon({ minOrderValue: 2000 });
+
+    await assert.rejects(applyCoupon({ code: "SAVE10", lines: [line()] }), {
+      message: "This coupon requires a minimum order of PKR 2000",
+    });
+  });
+
+  it("counts a user's orders against the per-user limit", async () => {
+    const coupon = await createCoupon({ perUserLimit: 1 });
+    const product = await createProduct();
+    await createDeliveredOrder({
+      userId,
+      products: [product],
+      coupon: { couponId: coupon._id, code: coupon.code, discount: 100 },
+    });
+
+    await assert.rejects(
+      applyCoupon({ code: "SAVE10", lines: [line()], userId }),
+      { message: "You have already used this coupon" }
+    );
+  });
+});
+
+describe("redeeming coupons", () => {
+  it("stops at the usage limit and counts released redemptions again", async () => {
+    const coupon = await createCoupon({ usageLimit: 1 });
+
+    await redeemCoupon(coupon);
+    await assert.rejects(redeemCoupon(coupon), {
+      message: "This coupon has reached its usage limit",
+    });
+    await releaseCoupon(coupon._id);
+    await redeemCoupon(coupon);
+
+    assert.equal((await Coupon.findById(coupon._id)).usedCount, 1);
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const Cart = require("../models/Cart");
+const Product = require("../models/Product");
+const {
+  guestCartFilter,
+  newGuestCart,
+  mergeGuestCart,
+} = require("../services/guestCartService");
+const memoryDb = require("./helpers/memoryDb");
+const { createProduct } = require("./helpers/fixtures");
+
+let db;
+let userId;
+let tee;
+
+before(async () => {
+  db = await memoryDb.connect();
+});
+
+beforeEach(async () => {
+  memoryDb.clear(db);
+  userId = new mongoose.Types.ObjectId();
+  tee = await createProduct({ variants: [{ size: "Medium", stock: 5 }] });
+});
+
+const line = (product, quantity) => ({
+  productId: product._id,
+  variantId: product.variants[0]._id,
+  sku: product.variants[0].sku,
+  size: product.variants[0].size,
+  quantity,
+});
+
+// A saved guest cart with `items`, and the token that opens it
+const guestCart = async (items) => {
+  const { cart, cartToken } = newGuestCart();
+  cart.items = items;
+  await cart.save();
+  return cartToken;
+};
+
+describe("guest cart tokens", () => {
+  it("stores only a hash of the token", async () => {
+    const token = await guestCart([line(tee, 1)]);
+
+    const cart = await Cart.findOne(guestCartFilter(token));
+    assert.ok(cart);
+    assert.notEqual(cart.guestToken, token);
+  });
+
+  it("matches no cart without a token", async () => {
+    await guestCart([line(tee, 1)]);
+
+    assert.equal(await Cart.findOne(guestCartFilter(undefined)), null);
+  });
+});
+
+describe("merging a guest cart on login", () => {
+  it("moves the lines into a new user cart and deletes the guest cart", async () => {
+    const token = await guestCart([line(tee, 2)]);
+
+    const result = await mergeGuestCart(userId, token);
+
+    assert.deepEqual(result, { mergedItems: 1, adjustedItems: [] });
+    const cart = await Cart.findOne({ userId });
+    assert.equal(cart.items[0].quantity, 2);
+    assert.equal(await Cart.countDocuments({ userId: null }), 0);
+  });
+
+  it("adds up quantities of a size in both carts as far as there is stock", async () => {
+    await Cart.create({ userId, items: [line(tee, 3)] });
+    const token = await guestCart([line(tee, 4)]);
+
+    const result = await mergeGuestCart(userId, token);
+
+    const cart = await Cart.findOne({ userId });
+    assert.equal(cart.items.length, 1);
+    assert.equal(cart.items[0].quantity, 5);
+    assert.deepEqual(
+      result.adjustedItems.map(({ requested, quantity, reason }) => ({
+        requested,
+        quantity,
+        reason,
+      })),
+      [{ requested: 4, quantity: 2, reason: "Insufficient stock" }]
+    );
+  });
+
+  it("drops lines of archived products and keeps hidden ones", async () => {
+    const hoodie = await createProduct({ name: "Hoodie" });
+    const token = await guestCart([line(tee, 1), line(hoodie, 1)]);
+    await Product.updateOne({ _id: tee._id }, { archivedAt: new Date() });
+    await Product.updateOne({ _id: hoodie._id }, { status: "hidden" });
+
+    const result = await mergeGuestCart(userId, token);
+
+    const cart = await Cart.findOne({ userId });
+    assert.deepEqual(
+      cart.items.map((item) => String(item.productId)),
+      [String(hoodie._id)]
+    );
+    assert.equal(result.adjustedItems[0].reason, "Product no longer available");
+  });
+
+  it("holds the stock of the merged cart", async () => {
+    const token = await guestCart([line(tee, 2)]);
+
+    await mergeGuestCart(userId, token);
+
+    const product = await Product.findById(tee._id);
+    assert.equal(product.variants[0].reserved, 2);
+  });
+
+  it("does nothing for an unknown token", async () => {
+    assert.equal(await mergeGuestCart(userId, "unknown"), null);
+    assert.equal(await Cart.countDocuments({ userId }), 0);
+  });
+});
@@ -0,0 +1,94 @@
+const mongoose = require("mongoose");
+const Category = require("../../models/Category");
+const Product = require("../../models/Product");
+const Order = require("../../models/Order");
+const CustomDesign = require("../../models/CustomDesign");
+
+// Documents for tests, with whatever the schemas require filled in
+
+const createCategory = (fields) =>
+  Category.create({ name: "T-Shirts", slug: "t-shirts", ...fields });
+
+// A published product with one Medium variant unless variants are given
+const createProduct = async (fields = {}) => {
+  const category = fields.category || "t-shirts";
+  if (!(await Category.exists({ slug: category }))) {
+    await createCategory({ name: category, slug: category });
+  }
+  return Product.create({
+    name: "Basic Tee",
+    price: 1000,
+    status: "published",
+    publishAt: new Date(Date.now() - 60 * 1000),
+    variants: [{ size: "Medium", stock: 10 }],
+    ...fields,
+    category,
+  });
+};
+
+// A delivered order of `quantity` units of each product's first variant
+const createDeliveredOrder = ({
+  userId,
+  products,
+  quantity = 1,
+  ...fields
+}) => {
+  const lines = products.map((product) => ({
+    productId: product._id,
+    variantId: product.variants[0]._id,
+    sku: product.variants[0].sku,
+    size: product.variants[0].size,
+    quantity,
+    productName: product.name,
+    price: product.price,
+    lineTotal: product.price * quantity,
+  }));
+  const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+  return Order.create({
+    userId: userId || new mongoose.Types.ObjectId(),
+    products: lines,
+    totalAmount: subtotal,
+    pricing: { subtotal, discount: 0, shipping: 0, tax: 0, total: subtotal },
+    address: "1 Mall Road, Lahore",
+    status: "Delivered",
+    statusHistory: [{ from: "Shipped", to: "Delivered" }],
+    ...fields,
+  });
+};
+
+// A front print on the first variant of `product`
+const createDesign = ({ userId, product, ...fields }) =>
+  CustomDesign.create({
+    userId,
+    artwork: {
+      url: "/api/designs/artwork",
+      previewUrl: "/api/designs/preview",
+      format: "png",
+      width: 3000,
+      height: 3000,
+    },
+    productId: product._id,
+    variantId: product.variants[0]._id,
+    size: product.variants[0].size,
+    placements: [{ position: "front", widthCm: 20, heightCm: 20 }],
+    printPrice: 490,
+    unitPrice: product.price + 490,
+    ...fields,
+  });
+
+// A delivery address in Lahore
+const address = {
+  recipientName: "Ayesha Khan",
+  phone: "03001234567",
+  line1: "1 Mall Road",
+  city: "Lahore",
+  province: "Punjab",
+};
+
+module.exports = {
+  address,
+  createCategory,
+  createProduct,
+  createDesign,
+  createDeliveredOrder,
+};
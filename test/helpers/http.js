@@ -0,0 +1,42 @@
+const jwt = require("jsonwebtoken");
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+const app = require("../../app");
+
+// Serves the app on a free port for route tests; call close() when done
+const listen = () =>
+  new Promise((resolve) => {
+    const server = app.listen(0, () => {
+      const base = `http://127.0.0.1:${server.address().port}`;
+
+      // Sends a request and resolves `{ status, body }`
+      const request = async (method, path, { token, cartToken, body } = {}) => {
+        const res = await fetch(base + path, {
+          method,
+          headers: {
+            ...(body && { "Content-Type": "application/json" }),
+            ...(token && { Authorization: `Bearer ${token}` }),
+            ...(cartToken && { "X-Cart-Token": cartToken }),
+          },
+          body: body && JSON.stringify(body),
+        });
+        const text = await res.text();
+        return { status: res.status, body: text ? JSON.parse(text) : null };
+      };
+
+      resolve({
+        request,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+
+// Login token for a user, as issued by POST /api/users/login
+const tokenFor = (userId, isAdmin = false) =>
+  jwt.sign({ _id: userId.toString(), isAdmin }, process.env.JWT_SECRET);
+
+module.exports = {
+  listen,
+  tokenFor,
+};
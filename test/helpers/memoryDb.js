@@ -0,0 +1,537 @@
+const mongoose = require("mongoose");
+const mingo = require("mingo");
+const { ObjectId } = require("mongodb");
+
+// In-memory stand-in for the MongoDB server, so tests run the real models
+// and services. It sits below Mongoose as its driver: queries, updates and
+// aggregations are evaluated by mingo, unique indexes are enforced and
+// aborted transactions are rolled back. Transactions are not isolated from
+// each other, like concurrent requests without retries.
+
+// Copy of a stored value; ObjectIds and other BSON values are immutable
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (value && typeof value === "object") {
+    const proto = Object.getPrototypeOf(value);
+    if (proto !== Object.prototype && proto !== null) return value;
+    const copy = {};
+    for (const [key, field] of Object.entries(value)) {
+      if (field !== undefined) copy[key] = clone(field);
+    }
+    return copy;
+  }
+  return value;
+};
+
+const getPath = (doc, path) =>
+  path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+// Every value at a path, looking into arrays as multikey indexes do
+const pathValues = (doc, path) =>
+  path.split(".").reduce(
+    (values, key) =>
+      values.flatMap((value) => {
+        const field = value == null ? undefined : value[key];
+        return Array.isArray(field) ? field : [field];
+      }),
+    [doc]
+  );
+
+const setPath = (doc, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  let target = doc;
+  for (const key of keys) {
+    if (target[key] == null || typeof target[key] !== "object") {
+      target[key] = {};
+    }
+    target = target[key];
+  }
+  target[last] = value;
+};
+
+const isOperatorObject = (value) =>
+  value &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  Object.getPrototypeOf(value) === Object.prototype &&
+  Object.keys(value).some((key) => key.startsWith("$"));
+
+const matches = (filter) => {
+  const query = new mingo.Query(filter || {});
+  return (doc) => query.test(doc);
+};
+
+const duplicateKeyError = (collection, keyValue) =>
+  Object.assign(
+    new Error(
+      `E11000 duplicate key error collection: test.${collection} dup key: ${JSON.stringify(
+        keyValue
+      )}`
+    ),
+    { name: "MongoServerError", code: 11000, keyValue }
+  );
+
+const inTransaction = (options) =>
+  options && options.session && options.session.inTransaction();
+
+const cursorOf = (docs) => {
+  let position = 0;
+  return {
+    toArray: async () => docs,
+    next: async () => (position < docs.length ? docs[position++] : null),
+    close: async () => {},
+    async *[Symbol.asyncIterator]() {
+      yield* docs;
+    },
+  };
+};
+
+class MemoryCollection {
+  constructor(db, name) {
+    this.db = db;
+    this.collectionName = name;
+    this.docs = [];
+    this.indexes = [];
+  }
+
+  // Undo a write when the transaction it was part of aborts
+  journal(options, undo) {
+    if (inTransaction(options)) options.session.undo.push(undo);
+  }
+
+  indexOf(id) {
+    return this.docs.findIndex((doc) => String(doc._id) === String(id));
+  }
+
+  assertUnique(candidate) {
+    for (const { key, options } of this.indexes) {
+      if (!options.unique) continue;
+      const paths = Object.keys(key);
+      const applies = (doc) => {
+        if (
+          options.partialFilterExpression &&
+          !matches(options.partialFilterExpression)(doc)
+        ) {
+          return false;
+        }
+        return !(
+          options.sparse &&
+          paths.every((p) =>
+            pathValues(doc, p).every((value) => value === undefined)
+          )
+        );
+      };
+      if (!applies(candidate)) continue;
+
+      // Values of a one-field index each take their own key
+      const keysOf = (doc) =>
+        paths.length === 1
+          ? pathValues(doc, paths[0]).map((v) => JSON.stringify([v ?? null]))
+          : [JSON.stringify(paths.map((p) => getPath(doc, p) ?? null))];
+      const keys = new Set(keysOf(candidate));
+      const taken = this.docs.some(
+        (doc) =>
+          String(doc._id) !== String(candidate._id) &&
+          applies(doc) &&
+          keysOf(doc).some((key) => keys.has(key))
+      );
+      if (taken) {
+        throw duplicateKeyError(
+          this.collectionName,
+          Object.fromEntries(paths.map((p) => [p, getPath(candidate, p)]))
+        );
+      }
+    }
+  }
+
+  insert(doc, options) {
+    const stored = clone(doc);
+    if (stored._id === undefined) stored._id = new ObjectId();
+    this.assertUnique(stored);
+    this.docs.push(stored);
+    this.journal(options, () => {
+      const index = this.indexOf(stored._id);
+      if (index !== -1) this.docs.splice(index, 1);
+    });
+    return stored;
+  }
+
+  replace(index, updated, options) {
+    const previous = this.docs[index];
+    this.assertUnique(updated);
+    this.docs[index] = updated;
+    this.journal(options, () => {
+      const at = this.indexOf(previous._id);
+      if (at !== -1) this.docs[at] = previous;
+    });
+  }
+
+  remove(index, options) {
+    const [removed] = this.docs.splice(index, 1);
+    this.journal(options, () => this.docs.push(removed));
+    return removed;
+  }
+
+  // Apply an update to the document at `index`, or insert one for an upsert.
+  // Returns the document before and after, and whether anything changed.
+  applyUpdate(index, filter, update, options) {
+    const modifier = { ...update };
+    const onInsert = modifier.$setOnInsert;
+    delete modifier.$setOnInsert;
+
+    if (index === -1) {
+      const doc = {};
+      for (const [path, value] of Object.entries(filter || {})) {
+        if (path.startsWith("$")) continue;
+        if (isOperatorObject(value)) {
+          if ("$eq" in value) setPath(doc, path, clone(value.$eq));
+          continue;
+        }
+        setPath(doc, path, clone(value));
+      }
+      if (onInsert) modifier.$set = { ...onInsert, ...modifier.$set };
+      if (Object.keys(modifier).length > 0) {
+        mingo.update(doc, modifier, options.arrayFilters, undefined, {
+          cloneMode: "deep",
+        });
+      }
+      return { before: null, after: this.insert(doc, options), changed: true };
+    }
+
+    const before = this.docs[index];
+    const after = clone(before);
+    const changed =
+      Object.keys(modifier).length > 0 &&
+      mingo.update(after, modifier, options.arrayFilters, filter, {
+        cloneMode: "deep",
+      }).length > 0;
+    if (changed) this.replace(index, after, options);
+    return { before, after: changed ? after : before, changed };
+  }
+
+  select(filter, options = {}) {
+    let cursor = mingo.find(
+      this.docs,
+      filter || {},
+      options.projection && Object.keys(options.projection).length > 0
+        ? options.projection
+        : undefined
+    );
+    if (options.sort) cursor = cursor.sort(options.sort);
+    if (options.skip) cursor = cursor.skip(options.skip);
+    if (options.limit) cursor = cursor.limit(options.limit);
+    return cursor.all().map(clone);
+  }
+
+  firstIndex(filter, options = {}) {
+    if (!options.sort) return this.docs.findIndex(matches(filter));
+    const [first] = mingo
+      .find(this.docs, filter || {}, { _id: 1 })
+      .sort(options.sort)
+      .limit(1)
+      .all();
+    return first ? this.indexOf(first._id) : -1;
+  }
+
+  find(filter, options) {
+    return cursorOf(this.select(filter, options));
+  }
+
+  async findOne(filter, options = {}) {
+    return this.select(filter, { ...options, limit: 1 })[0] || null;
+  }
+
+  async countDocuments(filter) {
+    return this.docs.filter(matches(filter)).length;
+  }
+
+  async estimatedDocumentCount() {
+    return this.docs.length;
+  }
+
+  async distinct(path, filter) {
+    const values = new Map();
+    for (const doc of this.docs.filter(matches(filter))) {
+      const value = getPath(doc, path);
+      for (const v of Array.isArray(value) ? value : [value]) {
+        if (v !== undefined) values.set(JSON.stringify(v), v);
+      }
+    }
+    return [...values.values()].map(clone);
+  }
+
+  async insertOne(doc, options) {
+    const stored = this.insert(doc, options);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs, options) {
+    const insertedIds = {};
+    docs.forEach((doc, i) => {
+      insertedIds[i] = this.insert(doc, options)._id;
+    });
+    return {
+      acknowledged: true,
+      insertedCount: docs.length,
+      insertedIds,
+    };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const index = this.firstIndex(filter, options);
+    if (index === -1 && !options.upsert) {
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0 };
+    }
+    const { before, after, changed } = this.applyUpdate(
+      index,
+      filter,
+      update,
+      options
+    );
+    return {
+      acknowledged: true,
+      matchedCount: before ? 1 : 0,
+      modifiedCount: before && changed ? 1 : 0,
+      upsertedCount: before ? 0 : 1,
+      upsertedId: before ? null : after._id,
+    };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const ids = this.docs.filter(matches(filter)).map((doc) => doc._id);
+    if (ids.length === 0 && options.upsert) {
+      return this.updateOne(filter, update, options);
+    }
+    let modifiedCount = 0;
+    for (const id of ids) {
+      const { changed } = this.applyUpdate(
+        this.indexOf(id),
+        filter,
+        update,
+        options
+      );
+      if (changed) modifiedCount++;
+    }
+    return { acknowledged: true, matchedCount: ids.length, modifiedCount };
+  }
+
+  async replaceOne(filter, replacement, options = {}) {
+    const index = this.firstIndex(filter, options);
+    if (index === -1) {
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0 };
+    }
+    this.replace(
+      index,
+      { ...clone(replacement), _id: this.docs[index]._id },
+      options
+    );
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const index = this.firstIndex(filter, options);
+    let value = null;
+    if (index !== -1 || options.upsert) {
+      const { before, after } = this.applyUpdate(
+        index,
+        filter,
+        update,
+        options
+      );
+      const returnAfter =
+        options.returnDocument === "after" || options.returnOriginal === false;
+      value = returnAfter ? after : before;
+    }
+    if (value && options.projection) {
+      value = mingo.find([value], {}, options.projection).all()[0];
+    }
+    value = value && clone(value);
+    return options.includeResultMetadata === false ? value : { value, ok: 1 };
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const index = this.firstIndex(filter, options);
+    const value = index === -1 ? null : clone(this.remove(index, options));
+    return options.includeResultMetadata === false ? value : { value, ok: 1 };
+  }
+
+  async deleteOne(filter, options) {
+    const index = this.firstIndex(filter);
+    if (index !== -1) this.remove(index, options);
+    return { acknowledged: true, deletedCount: index === -1 ? 0 : 1 };
+  }
+
+  async deleteMany(filter, options) {
+    const ids = this.docs.filter(matches(filter)).map((doc) => doc._id);
+    ids.forEach((id) => this.remove(this.indexOf(id), options));
+    return { acknowledged: true, deletedCount: ids.length };
+  }
+
+  async bulkWrite(operations, options) {
+    const result = {
+      insertedCount: 0,
+      matchedCount: 0,
+      modifiedCount: 0,
+      deletedCount: 0,
+      upsertedCount: 0,
+    };
+    for (const operation of operations) {
+      const [type, op] = Object.entries(operation)[0];
+      const opOptions = { ...options, ...op };
+      if (type === "insertOne") {
+        await this.insertOne(op.document, options);
+        result.insertedCount++;
+      } else if (type === "updateOne" || type === "updateMany") {
+        const res = await this[type](op.filter, op.update, opOptions);
+        result.matchedCount += res.matchedCount;
+        result.modifiedCount += res.modifiedCount;
+        result.upsertedCount += res.upsertedCount || 0;
+      } else if (type === "replaceOne") {
+        const res = await this.replaceOne(op.filter, op.replacement, opOptions);
+        result.matchedCount += res.matchedCount;
+        result.modifiedCount += res.modifiedCount;
+      } else if (type === "deleteOne" || type === "deleteMany") {
+        result.deletedCount += (
+          await this[type](op.filter, options)
+        ).deletedCount;
+      }
+    }
+    return result;
+  }
+
+  aggregate(pipeline) {
+    const docs = mingo.aggregate(this.docs, pipeline, {
+      collectionResolver: (name) => this.db.collection(name).docs,
+    });
+    return cursorOf(docs.map(clone));
+  }
+
+  async createIndex(key, options = {}) {
+    const name =
+      options.name ||
+      Object.entries(key)
+        .map(([path, dir]) => `${path}_${dir}`)
+        .join("_");
+    this.indexes = this.indexes.filter((index) => index.name !== name);
+    this.indexes.push({ name, key, options });
+    return name;
+  }
+
+  async createIndexes(specs) {
+    return Promise.all(
+      specs.map(({ key, ...options }) => this.createIndex(key, options))
+    );
+  }
+
+  listIndexes() {
+    return cursorOf(
+      this.indexes.map(({ name, key, options }) => ({ name, key, ...options }))
+    );
+  }
+
+  async indexes() {
+    return this.listIndexes().toArray();
+  }
+
+  async dropIndex(name) {
+    this.indexes = this.indexes.filter((index) => index.name !== name);
+  }
+}
+
+class MemorySession {
+  constructor() {
+    this.id = { id: new ObjectId() };
+    this.hasEnded = false;
+    this.undo = null;
+  }
+
+  inTransaction() {
+    return this.undo !== null;
+  }
+
+  get transaction() {
+    return { isActive: this.inTransaction() };
+  }
+
+  startTransaction() {
+    this.undo = [];
+  }
+
+  async commitTransaction() {
+    this.undo = null;
+  }
+
+  async abortTransaction() {
+    const undo = this.undo || [];
+    this.undo = null;
+    undo.reverse().forEach((fn) => fn());
+  }
+
+  async withTransaction(fn) {
+    this.startTransaction();
+    try {
+      const result = await fn(this);
+      await this.commitTransaction();
+      return result;
+    } catch (err) {
+      await this.abortTransaction();
+      throw err;
+    }
+  }
+
+  async endSession() {
+    if (this.inTransaction()) await this.abortTransaction();
+    this.hasEnded = true;
+  }
+}
+
+class MemoryDb {
+  constructor() {
+    this.databaseName = "test";
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new MemoryCollection(this, name));
+    }
+    return this.collections.get(name);
+  }
+
+  async createCollection(name) {
+    return this.collection(name);
+  }
+
+  listCollections() {
+    return cursorOf([...this.collections.keys()].map((name) => ({ name })));
+  }
+}
+
+// Open Mongoose's default connection on a new, empty in-memory database and
+// build the indexes of every model. Returns the database.
+const connect = async () => {
+  const db = new MemoryDb();
+  const conn = mongoose.connection;
+  conn.db = db;
+  conn.client = { startSession: () => new MemorySession(), db: () => db };
+  conn.onOpen();
+  await Promise.all(
+    mongoose.modelNames().map((name) => mongoose.model(name).init())
+  );
+  return db;
+};
+
+// Empty every collection, keeping the indexes
+const clear = (db) => {
+  for (const collection of db.collections.values()) collection.docs = [];
+};
+
+module.exports = {
+  connect,
+  clear,
+};
@@ -0,0 +1,122 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Set before the storage driver is loaded
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), "uploads-"));
+process.env.UPLOAD_DIR = uploadDir;
+
+const sharp = require("sharp");
+const {
+  addProductImages,
+  reorderProductImages,
+  removeProductImage,
+} = require("../services/imageService");
+const memoryDb = require("./helpers/memoryDb");
+const { createProduct } = require("./helpers/fixtures");
+
+let db;
+let product;
+
+before(async () => {
+  db = await memoryDb.connect();
+});
+
+after(() => fs.rmSync(uploadDir, { recursive: true, force: true }));
+
+beforeEach(async () => {
+  memoryDb.clear(db);
+  product = await createProduct();
+});
+
+// An upload as multer hands it over
+const upload = async (format, width = 1200, height = 600) => ({
+  originalname: `shirt.${format}`,
+  buffer: await sharp({
+    create: { width, height, channels: 3, background: "#336699" },
+  })
+    .toFormat(format)
+    .toBuffer(),
+});
+
+// Path on disk of a public URL
+const fileOf = (url) => path.join(uploadDir, url.replace("/uploads/", ""));
+
+describe("product images", () => {
+  it("are stored with resized WebP renditions", async () => {
+    const { images, imageUrl } = await addProductImages(product._id, [
+      await upload("png"),
+    ]);
+
+    const [image] = images;
+    assert.equal(image.format, "png");
+    assert.equal(image.width, 1200);
+    assert.equal(imageUrl, image.mediumUrl);
+    const medium = await sharp(fileOf(image.mediumUrl)).metadata();
+    const thumbnail = await sharp(fileOf(image.thumbnailUrl)).metadata();
+    assert.deepEqual(
+      [medium.format, medium.width, medium.height],
+      ["webp", 800, 400]
+    );
+    assert.equal(thumbnail.width, 200);
+    assert.ok(fs.existsSync(fileOf(image.url)));
+  });
+
+  it("refuses files that aren't images whatever their name", async () => {
+    const fake = { originalname: "shirt.png", buffer: Buffer.from("hello") };
+
+    await assert.rejects(addProductImages(product._id, [fake]), {
+      statusCode: 400,
+      message: "shirt.png is not a valid image",
+    });
+    await assert.rejects(addProductImages(product._id, [await upload("gif")]), {
+      statusCode: 400,
+      message: "shirt.gif is not an allowed image type",
+    });
+  });
+
+  it("stores nothing when one upload of several is refused", async () => {
+    const fake = { originalname: "notes.jpg", buffer: Buffer.from("hello") };
+
+    await assert.rejects(
+      addProductImages(product._id, [await upload("jpeg"), fake])
+    );
+
+    assert.deepEqual(
+      fs.readdirSync(path.join(uploadDir, "products", product.id)),
+      []
+    );
+  });
+
+  it("can be reordered, which moves the main image", async () => {
+    const { images } = await addProductImages(product._id, [
+      await upload("jpeg"),
+      await upload("webp"),
+    ]);
+    const ids = images.map((image) => image.id);
+
+    await assert.rejects(reorderProductImages(product._id, [ids[0]]), {
+      statusCode: 400,
+    });
+    const reordered = await reorderProductImages(product._id, ids.reverse());
+
+    assert.equal(reordered.images[0].format, "webp");
+    assert.equal(reordered.imageUrl, reordered.images[0].mediumUrl);
+  });
+
+  it("are removed with their files", async () => {
+    const { images } = await addProductImages(product._id, [
+      await upload("jpeg"),
+    ]);
+    const [image] = images;
+
+    const updated = await removeProductImage(product._id, image._id);
+
+    assert.equal(updated.images.length, 0);
+    assert.equal(updated.imageUrl, undefined);
+    assert.equal(fs.existsSync(fileOf(image.url)), false);
+    assert.equal(fs.existsSync(fileOf(image.thumbnailUrl)), false);
+  });
+});
@@ -0,0 +1,153 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const InventoryMovement = require("../models/InventoryMovement");
+const Product = require("../models/Product");
+const {
+  setVariantStock,
+  adjustStock,
+} = require("../services/inventoryService");
+const memoryDb = require("./helpers/memoryDb");
+const { createProduct } = require("./helpers/fixtures");
+
+let db;
+let product;
+
+before(async () => {
+  db = await memoryDb.connect();
+});
+
+beforeEach(async () => {
+  memoryDb.clear(db);
+  product = await createProduct({
+    variants: [
+      { size: "Medium", color: "Black", stock: 5 },
+      { sku: "TEE-L", size: "Large", color: "Black", stock: 2 },
+    ],
+  });
+});
+
+// Movements after the two restocks recording the variants' first stock
+const laterMovements = async () => (await InventoryMovement.find()).slice(2);
+
+const stockOf = async () =>
+  (await Product.findById(product._id)).variants.map((v) => v.stock);
+
+describe("new products", () => {
+  it("record their first stock as restocks", async () => {
+    const movements = await InventoryMovement.find();
+
+    assert.deepEqual(
+      movements.map((m) => [m.reason, m.quantity, m.stockAfter]),
+      [
+        ["restock", 5, 5],
+        ["restock", 2, 2],
+      ]
+    );
+  });
+});
+
+describe("setting a variant's stock", () => {
+  it("records the difference as a correction", async () => {
+    await setVariantStock({
+      productId: product._id,
+      sku: "tee-l",
+      stock: 7,
+      note: "Stock count",
+    });
+
+    assert.deepEqual(await stockOf(), [5, 7]);
+    const [movement] = await laterMovements();
+    assert.equal(movement.reason, "correction");
+    assert.equal(movement.quantity, 5);
+    assert.equal(movement.stockAfter, 7);
+    assert.equal(movement.size, "Large");
+    assert.equal(movement.note, "Stock count");
+  });
+
+  it("records nothing when the stock doesn't change", async () => {
+    await setVariantStock({ productId: product._id, sku: "TEE-L", stock: 2 });
+
+    assert.deepEqual(await laterMovements(), []);
+  });
+
+  it("refuses unknown products and variants", async () => {
+    await assert.rejects(
+      setVariantStock({ productId: "nope", sku: "TEE-L", stock: 1 }),
+      { statusCode: 404, message: "Product not found" }
+    );
+    await assert.rejects(
+      setVariantStock({ productId: product._id, sku: "TEE-XL", stock: 1 }),
+      { statusCode: 404, message: "Variant not found" }
+    );
+  });
+});
+
+describe("adjusting stock", () => {
+  it("applies every adjustment with its own movement", async () => {
+    const movements = await adjustStock({
+      note: "Delivery",
+      adjustments: [
+        {
+          productId: product._id,
+          size: "Medium",
+          quantity: 10,
+          reason: "restock",
+        },
+        {
+          productId: product._id,
+          sku: "TEE-L",
+          quantity: -1,
+          reason: "damaged",
+          note: "Torn seam",
+        },
+      ],
+    });
+
+    assert.deepEqual(await stockOf(), [15, 1]);
+    assert.deepEqual(
+      movements.map((m) => [m.reason, m.quantity, m.stockAfter, m.note]),
+      [
+        ["restock", 10, 15, "Delivery"],
+        ["damaged", -1, 1, "Torn seam"],
+      ]
+    );
+  });
+
+  it("applies nothing when any adjustment fails, listing the failures", async () => {
+    const err = await adjustStock({
+      adjustments: [
+        {
+          productId: product._id,
+          size: "Medium",
+          quantity: 3,
+          reason: "restock",
+        },
+        {
+          productId: product._id,
+          sku: "TEE-L",
+          quantity: -3,
+          reason: "damaged",
+        },
+        {
+          productId: product._id,
+          size: "Small",
+          quantity: 1,
+          reason: "restock",
+        },
+      ],
+    }).catch((error) => error);
+
+    assert.equal(err.statusCode, 409);
+    assert.deepEqual(
+      err.lines.map((l) => [l.line, l.message]),
+      [
+        [1, "Not enough stock to remove"],
+        [2, "Variant not found"],
+      ]
+    );
+    assert.equal(err.lines[0].available, 2);
+    assert.deepEqual(await stockOf(), [5, 2]);
+    assert.deepEqual(await laterMovements(), []);
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const { placeOrder, changeOrderStatus } = require("../services/orderService");
+const memoryDb = require("./helpers/memoryDb");
+const { listen, tokenFor } = require("./helpers/http");
+const { address, createProduct } = require("./helpers/fixtures");
+
+let db;
+let server;
+let userId;
+let token;
+let tee;
+
+before(async () => {
+  db = await memoryDb.connect();
+  server = await listen();
+});
+
+after(() => server.close());
+
+beforeEach(async () => {
+  memoryDb.clear(db);
+  userId = new mongoose.Types.ObjectId();
+  token = tokenFor(userId);
+  tee = await createProduct();
+});
+
+const stockOf = async (product) =>
+  (await Product.findById(product._id)).variants[0].stock;
+
+const pendingOrder = async () =>
+  (
+    await placeOrder({
+      userId,
+      products: [
+        { productId: tee._id, variantId: tee.variants[0]._id, quantity: 2 },
+      ],
+      shippingAddress: address,
+    })
+  ).order;
+
+describe("customers cancelling orders", () => {
+  const cancel = (order, auth = token, reason = "Ordered the wrong size") =>
+    server.request("POST", `/api/orders/${order._id}/cancel`, {
+      token: auth,
+      body: { reason },
+    });
+
+  it("cancels a pending order and puts its stock back", async () => {
+    const order = await pendingOrder();
+
+    const { status, body } = await cancel(order);
+
+    assert.equal(status, 200);
+    assert.equal(body.status, "Cancelled");
+    assert.equal(body.statusHistory.at(-1).note, "Ordered the wrong size");
+    assert.equal(await stockOf(tee), 10);
+  });
+
+  it("requires a reason", async () => {
+    const order = await pendingOrder();
+
+    const { status } = await server.request(
+      "POST",
+      `/api/orders/${order._id}/cancel`,
+      { token, body: {} }
+    );
+
+    assert.equal(status, 400);
+  });
+
+  it("refuses orders of other customers", async () => {
+    const order = await pendingOrder();
+
+    const { status } = await cancel(
+      order,
+      tokenFor(new mongoose.Types.ObjectId())
+    );
+
+    assert.equal(status, 403);
+    assert.equal((await Order.findById(order._id)).status, "Pending");
+  });
+
+  it("refuses orders that have shipped", async () => {
+    const order = await pendingOrder();
+    await changeOrderStatus({ orderId: order._id, status: "Shipped" });
+
+    const { status, body } = await cancel(order);
+
+    assert.equal(status, 409);
+    assert.equal(body.error, "Only pending orders can be cancelled.");
+    assert.equal(await stockOf(tee), 8);
+  });
+});
+
+describe("order details", () => {
+  it("are shown to the customer who placed the order", async () => {
+    const order = await pendingOrder();
+
+    const { status, body } = await server.request(
+      "GET",
+      `/api/orders/${order._id}`,
+      { token }
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.products[0].productId.name, "Basic Tee");
+    assert.equal(body.pricing.total, order.pricing.total);
+  });
+
+  it("are shown to admins but not to other customers", async () => {
+    const order = await pendingOrder();
+    const someone = new mongoose.Types.ObjectId();
+    const path = `/api/orders/${order._id}`;
+
+    const other = await server.request("GET", path, {
+      token: tokenFor(someone),
+    });
+    const admin = await server.request("GET", path, {
+      token: tokenFor(someone, true),
+    });
+
+    assert.equal(other.status, 403);
+    assert.equal(admin.status, 200);
+  });
+});
@@ -0,0 +1,337 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const Cart = require("../models/Cart");
+const Coupon = require("../models/Coupon");
+const InventoryMovement = require("../models/InventoryMovement");
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const { placeOrder, changeOrderStatus } = require("../services/orderService");
+const { holdCartStock } = require("../services/reservationService");
+const memoryDb = require("./helpers/memoryDb");
+const { address, createProduct, createDesign } = require("./helpers/fixtures");
+
+let db;
+let userId;
+let tee;
+
+before(async () => {
+  db = await memoryDb.connect();
+});
+
+beforeEach(async () => {
+  memoryDb.clear(db);
+  userId = new mongoose.Types.ObjectId();
+  tee = await createProduct({ customizable: true });
+});
+
+const stockOf = async (product) =>
+  (await Product.findById(product._id)).variants[0].stock;
+
+const line = (product, quantity = 1) => ({
+  productId: product._id,
+  variantId: product.variants[0]._id,
+  quantity,
+});
+
+describe("placing orders", () => {
+  it("takes the ordered stock and records the sales", async () => {
+    const { order } = await placeOrder({
+      userId,
+      products: [line(tee, 2)],
+      shippingAddress: address,
+    });
+
+    assert.equal(order.status, "Pending");
+    assert.equal(order.totalAmount, 2150);
+    assert.equal(await stockOf(tee), 8);
+    const movements = await InventoryMovement.find({ orderId: order._id });
+    assert.deepEqual(
+      movements.map((m) => [m.reason, m.quantity, m.stockAfter]),
+      [["sale", -2, 8]]
+    );
+  });
+
+  it("orders nothing when a line can't be fulfilled", async () => {
+    const hoodie = await createProduct({
+      name: "Hoodie",
+      variants: [{ size: "Large", stock: 1 }],
+    });
+
+    await assert.rejects(
+      placeOrder({
+        userId,
+        products: [line(tee, 2), line(hoodie, 2)],
+        shippingAddress: address,
+      }),
+      (err) => {
+        assert.equal(err.statusCode, 409);
+        assert.deepEqual(
+          err.lines.map(({ line, reason, available }) => ({
+            line,
+            reason,
+            available,
+          })),
+          [{ line: 1, reason: "Insufficient stock", available: 1 }]
+        );
+        return true;
+      }
+    );
+    assert.equal(await stockOf(tee), 10);
+    assert.equal(await stockOf(hoodie), 1);
+    assert.equal(await Order.countDocuments(), 0);
+    assert.equal(await InventoryMovement.countDocuments({ reason: "sale" }), 0);
+  });
+
+  it("sells the last unit to only one of two concurrent orders", async () => {
+    await Product.updateOne({ _id: tee._id }, { "variants.0.stock": 1 });
+
+    const results = await Promise.allSettled(
+      [1, 2].map(() =>
+        placeOrder({ userId, products: [line(tee)], shippingAddress: address })
+      )
+    );
+
+    assert.deepEqual(results.map((r) => r.status).sort(), [
+      "fulfilled",
+      "rejected",
+    ]);
+    assert.equal(await stockOf(tee), 0);
+    assert.equal(await Order.countDocuments(), 1);
+  });
+
+  it("doesn't sell stock held for another cart", async () => {
+    const cart = await Cart.create({
+      userId: new mongoose.Types.ObjectId(),
+      items: [{ ...line(tee, 9), sku: tee.variants[0].sku, size: "Medium" }],
+    });
+    await holdCartStock(cart._id);
+
+    await assert.rejects(
+      placeOrder({
+        userId,
+        products: [line(tee, 2)],
+        shippingAddress: address,
+      }),
+      (err) => err.lines[0].available === 1
+    );
+  });
+
+  it("refuses products that aren't on the storefront", async () => {
+    await Product.updateOne({ _id: tee._id }, { status: "draft" });
+
+    await assert.rejects(
+      placeOrder({ userId, products: [line(tee)], shippingAddress: address }),
+      (err) => err.lines[0].reason === "Product no longer available"
+    );
+  });
+
+  it("refuses unknown payment methods before taking stock", async () => {
+    await assert.rejects(
+      placeOrder({
+        userId,
+        products: [line(tee)],
+        shippingAddress: address,
+        paymentMethod: "barter",
+      }),
+      { statusCode: 400 }
+    );
+    assert.equal(await stockOf(tee), 10);
+  });
+});
+
+describe("order line snapshots", () => {
+  it("copy the product and variant as they were when ordered", async () => {
+    const hoodie = await createProduct({
+      name: "Hoodie",
+      category: "hoodies",
+      imageUrl: "/uploads/products/hoodie.jpg",
+      variants: [
+        {
+          size: "Large",
+          color: "Black",
+          fit: "oversized",
+          stock: 5,
+          price: 2500,
+        },
+      ],
+    });
+
+    const { order } = await placeOrder({
+      userId,
+      products: [line(hoodie, 2)],
+      shippingAddress: address,
+    });
+    await Product.updateOne(
+      { _id: hoodie._id },
+      { name: "Zip Hoodie", "variants.0.price": 3000 }
+    );
+
+    const saved = await Order.findById(order._id).lean();
+    const { _id, ...snapshot } = saved.products[0];
+    assert.deepEqual(snapshot, {
+      productId: hoodie._id,
+      variantId: hoodie.variants[0]._id,
+      sku: hoodie.variants[0].sku,
+      size: "Large",
+      color: "black",
+      fit: "oversized",
+      quantity: 2,
+      productName: "Hoodie",
+      category: "hoodies",
+      imageUrl: "/uploads/products/hoodie.jpg",
+      price: 2500,
+      lineTotal: 5000,
+    });
+    assert.equal(saved.pricing.subtotal, 5000);
+  });
+});
+
+describe("order status changes", () => {
+  const pendingOrder = async (fields) =>
+    (
+      await placeOrder({
+        userId,
+        products: [line(tee, 2)],
+        shippingAddress: address,
+        ...fields,
+      })
+    ).order;
+
+  it("move an order along and record each change", async () => {
+    const order = await pendingOrder();
+    const adminId = new mongoose.Types.ObjectId();
+
+    await changeOrderStatus({
+      orderId: order._id,
+      status: "Shipped",
+      changedBy: adminId,
+    });
+    const delivered = await changeOrderStatus({
+      orderId: order._id,
+      status: "Delivered",
+      changedBy: adminId,
+      note: "Left at the door",
+    });
+
+    assert.equal(delivered.status, "Delivered");
+    assert.deepEqual(
+      delivered.statusHistory.map(({ from, to, note }) => ({ from, to, note })),
+      [
+        { from: undefined, to: "Pending", note: undefined },
+        { from: "Pending", to: "Shipped", note: undefined },
+        { from: "Shipped", to: "Delivered", note: "Left at the door" },
+      ]
+    );
+  });
+
+  it("refuse changes the transition graph doesn't allow", async () => {
+    const order = await pendingOrder();
+
+    await assert.rejects(
+      changeOrderStatus({ orderId: order._id, status: "Delivered" }),
+      {
+        statusCode: 409,
+        message: "Cannot change order status from Pending to Delivered",
+      }
+    );
+    await assert.rejects(
+      changeOrderStatus({ orderId: order._id, status: "Lost" }),
+      { statusCode: 400 }
+    );
+    assert.equal((await Order.findById(order._id)).status, "Pending");
+  });
+
+  it("put the stock back and release the coupon when cancelling", async () => {
+    const coupon = await Coupon.create({
+      code: "SAVE10",
+      type: "percentage",
+      value: 10,
+    });
+    const order = await pendingOrder({ couponCode: "SAVE10" });
+    assert.equal((await Coupon.findById(coupon._id)).usedCount, 1);
+
+    const cancelled = await changeOrderStatus({
+      orderId: order._id,
+      status: "Cancelled",
+      changedBy: userId,
+    });
+
+    assert.equal(cancelled.status, "Cancelled");
+    assert.equal(await stockOf(tee), 10);
+    assert.equal((await Product.findById(tee._id)).salesCount, 0);
+    assert.equal((await Coupon.findById(coupon._id)).usedCount, 0);
+    const movements = await InventoryMovement.find({ orderId: order._id });
+    assert.deepEqual(movements.map((m) => [m.reason, m.quantity]).sort(), [
+      ["cancellation", 2],
+      ["sale", -2],
+    ]);
+  });
+
+  it("cancel an order only once", async () => {
+    const order = await pendingOrder();
+    await changeOrderStatus({ orderId: order._id, status: "Cancelled" });
+
+    await assert.rejects(
+      changeOrderStatus({ orderId: order._id, status: "Cancelled" }),
+      { statusCode: 409 }
+    );
+    assert.equal(await stockOf(tee), 10);
+  });
+});
+
+describe("ordering custom prints", () => {
+  it("orders a design on its shirt at the shirt and print price", async () => {
+    const design = await createDesign({ userId, product: tee });
+
+    const { order } = await placeOrder({
+      userId,
+      products: [{ designId: design._id, quantity: 2 }],
+      shippingAddress: address,
+    });
+
+    assert.equal(order.products[0].price, 1490);
+    assert.equal(String(order.products[0].design.designId), String(design._id));
+    assert.equal(await stockOf(tee), 8);
+  });
+
+  it("refuses designs on shirts no longer offered for custom prints", async () => {
+    const design = await createDesign({ userId, product: tee });
+    await Product.updateOne({ _id: tee._id }, { customizable: false });
+
+    await assert.rejects(
+      placeOrder({
+        userId,
+        products: [{ designId: design._id, quantity: 1 }],
+        shippingAddress: address,
+      }),
+      (err) => {
+        assert.equal(err.statusCode, 409);
+        assert.equal(
+          err.lines[0].reason,
+          "Custom prints are no longer offered on this shirt"
+        );
+        return true;
+      }
+    );
+    assert.equal(await Order.countDocuments(), 0);
+    assert.equal(await stockOf(tee), 10);
+  });
+
+  it("refuses designs of other users", async () => {
+    const design = await createDesign({
+      userId: new mongoose.Types.ObjectId(),
+      product: tee,
+    });
+
+    await assert.rejects(
+      placeOrder({
+        userId,
+        products: [{ designId: design._id, quantity: 1 }],
+        shippingAddress: address,
+      }),
+      (err) => err.lines[0].reason === "Design not found"
+    );
+  });
+});
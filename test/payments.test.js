@@ -0,0 +1,174 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+// Set before the config is loaded
+process.env.ENABLE_FAKE_CARD_PAYMENTS = "true";
+process.env.FAKE_CARD_WEBHOOK_SECRET = "test-webhook-secret";
+
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const fakeCardProvider = require("../services/payments/fakeCardProvider");
+const {
+  authorizeOrderPayment,
+  handlePaymentWebhook,
+} = require("../services/payments");
+const memoryDb = require("./helpers/memoryDb");
+
+let db;
+
+const newOrder = (fields) =>
+  Order.create({
+    userId: new mongoose.Types.ObjectId(),
+    totalAmount: 1000,
+    address: "1 Mall Road, Lahore",
+    paymentMethod: "card",
+    ...fields,
+  });
+
+const reload = (order) =>
+  Order.findById(order._id).select("+processedPaymentEvents");
+
+// A webhook request as express delivers it, signed with `secret`
+const webhookRequest = (event, secret = "test-webhook-secret") => {
+  const rawBody = Buffer.from(JSON.stringify(event));
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(rawBody)
+    .digest("hex");
+  return {
+    rawBody,
+    body: event,
+    get: (header) =>
+      header.toLowerCase() === "x-printeez-signature" ? signature : undefined,
+  };
+};
+
+before(async () => {
+  db = await memoryDb.connect();
+});
+
+beforeEach(() => memoryDb.clear(db));
+
+describe("fake card provider", () => {
+  it("authorizes a card token", async () => {
+    const order = await newOrder();
+
+    const updated = await authorizeOrderPayment(order, { token: "tok_visa" });
+
+    assert.equal(updated.paymentStatus, "authorized");
+    assert.match(updated.payment.transactionId, /^fake_/);
+    assert.ok(updated.payment.authorizedAt instanceof Date);
+  });
+
+  it("fails a declined card", async () => {
+    const order = await newOrder();
+
+    const updated = await authorizeOrderPayment(order, {
+      token: "tok_declined",
+    });
+
+    assert.equal(updated.paymentStatus, "failed");
+    assert.equal(updated.payment.failureReason, "Card declined");
+  });
+
+  it("fails without a card token", async () => {
+    const result = await fakeCardProvider.authorize({ order: {} });
+
+    assert.deepEqual(result, {
+      status: "failed",
+      failureReason: "Card token is required",
+    });
+  });
+});
+
+describe("payment webhooks", () => {
+  it("applies an event once and acknowledges its redelivery", async () => {
+    const order = await newOrder({ paymentStatus: "authorized" });
+    const event = {
+      id: "evt_1",
+      type: "payment.captured",
+      data: { orderId: order._id.toString() },
+    };
+
+    const first = await handlePaymentWebhook("card", webhookRequest(event));
+    assert.equal(first.order.paymentStatus, "paid");
+    const paid = await reload(order);
+    assert.deepEqual([...paid.processedPaymentEvents], ["evt_1"]);
+
+    const again = await handlePaymentWebhook("card", webhookRequest(event));
+    assert.equal(again.duplicate, true);
+    const after = await reload(order);
+    assert.deepEqual(after.payment.paidAt, paid.payment.paidAt);
+    assert.deepEqual([...after.processedPaymentEvents], ["evt_1"]);
+  });
+
+  it("ignores an event the payment can't move to", async () => {
+    const order = await newOrder({ paymentStatus: "refunded" });
+    const event = {
+      id: "evt_2",
+      type: "payment.captured",
+      data: { orderId: order._id.toString() },
+    };
+
+    const result = await handlePaymentWebhook("card", webhookRequest(event));
+
+    assert.equal(result.ignored, true);
+    assert.equal((await reload(order)).paymentStatus, "refunded");
+  });
+
+  it("rejects a bad signature", async () => {
+    const order = await newOrder({ paymentStatus: "authorized" });
+    const event = {
+      id: "evt_3",
+      type: "payment.captured",
+      data: { orderId: order._id.toString() },
+    };
+
+    await assert.rejects(
+      handlePaymentWebhook("card", webhookRequest(event, "wrong-secret")),
+      { statusCode: 400, message: "Invalid webhook signature" }
+    );
+    assert.equal((await reload(order)).paymentStatus, "authorized");
+  });
+
+  it("refunds a capture for an order that was cancelled", async () => {
+    const order = await newOrder({
+      status: "Cancelled",
+      paymentStatus: "authorized",
+    });
+    const event = {
+      id: "evt_5",
+      type: "payment.captured",
+      data: { orderId: order._id.toString() },
+    };
+
+    const result = await handlePaymentWebhook("card", webhookRequest(event));
+
+    assert.equal(result.order.paymentStatus, "refunded");
+    const after = await reload(order);
+    assert.equal(after.paymentStatus, "refunded");
+    assert.ok(after.payment.refundedAt instanceof Date);
+    assert.deepEqual([...after.processedPaymentEvents], ["evt_5"]);
+  });
+
+  it("refunds an authorization for an order that was cancelled", async () => {
+    const order = await newOrder({ status: "Cancelled" });
+    const event = {
+      id: "evt_6",
+      type: "payment.authorized",
+      data: { orderId: order._id.toString() },
+    };
+
+    const result = await handlePaymentWebhook("card", webhookRequest(event));
+
+    assert.equal(result.order.paymentStatus, "refunded");
+  });
+
+  it("rejects a request without a signature", async () => {
+    const req = webhookRequest({ id: "evt_4", type: "payment.captured" });
+    req.get = () => undefined;
+
+    assert.equal(fakeCardProvider.verifyWebhook(req), null);
+  });
+});
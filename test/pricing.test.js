@@ -0,0 +1,108 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Set before the pricing config is loaded
+process.env.TAX_RATE = "0.1";
+
+const mongoose = require("mongoose");
+const Coupon = require("../models/Coupon");
+const { findShippingZone, priceLines } = require("../services/pricingService");
+const memoryDb = require("./helpers/memoryDb");
+
+let db;
+
+before(async () => {
+  db = await memoryDb.connect();
+});
+
+beforeEach(() => memoryDb.clear(db));
+
+const line = (fields) => ({
+  productId: new mongoose.Types.ObjectId(),
+  category: "t-shirts",
+  price: 1000,
+  quantity: 1,
+  ...fields,
+});
+
+describe("shipping zones", () => {
+  it("match by city, then province, then fall back to the rest", () => {
+    assert.equal(findShippingZone({ city: " LAHORE " }).name, "Lahore");
+    assert.equal(findShippingZone({ city: "Karachi" }).name, "Major cities");
+    assert.equal(
+      findShippingZone({ city: "Multan", province: "Punjab" }).name,
+      "Punjab"
+    );
+    assert.equal(findShippingZone({}).name, "Rest of Pakistan");
+  });
+});
+
+describe("price breakdown", () => {
+  it("discounts, then adds shipping and tax on the discounted subtotal", async () => {
+    await Coupon.create({ code: "SAVE10", type: "percentage", value: 10 });
+
+    const { breakdown } = await priceLines({
+      lines: [line({ quantity: 2 })],
+      destination: { city: "Lahore" },
+      couponCode: "SAVE10",
+    });
+
+    assert.deepEqual(breakdown, {
+      subtotal: 2000,
+      discount: 200,
+      shipping: 150,
+      shippingZone: "Lahore",
+      tax: 180,
+      total: 2130,
+    });
+  });
+
+  it("ships free once the discounted subtotal reaches the threshold", async () => {
+    await Coupon.create({ code: "FIXED", type: "fixed", value: 500 });
+
+    const free = await priceLines({
+      lines: [line({ price: 3000 })],
+      destination: { city: "Lahore" },
+    });
+    const discounted = await priceLines({
+      lines: [line({ price: 3000 })],
+      destination: { city: "Lahore" },
+      couponCode: "FIXED",
+    });
+
+    assert.equal(free.breakdown.shipping, 0);
+    assert.equal(discounted.breakdown.shipping, 150);
+  });
+
+  it("prices weight-based zones per started kilogram", async () => {
+    const { breakdown } = await priceLines({
+      lines: [line({ weightKg: 0.6, quantity: 2 }), line()],
+      destination: { city: "Multan", province: "Punjab" },
+    });
+
+    // 1.45 kg with the default weight of 0.25 kg, so two kilograms
+    assert.equal(breakdown.shipping, 300);
+  });
+
+  it("drops shipping for free-shipping coupons", async () => {
+    await Coupon.create({ code: "SHIPFREE", type: "free_shipping" });
+
+    const { breakdown } = await priceLines({
+      lines: [line()],
+      destination: { city: "Quetta" },
+      couponCode: "SHIPFREE",
+    });
+
+    assert.equal(breakdown.shipping, 0);
+    assert.equal(breakdown.total, 1100);
+  });
+
+  it("charges nothing for no lines", async () => {
+    const { breakdown } = await priceLines({
+      lines: [],
+      destination: { city: "Lahore" },
+    });
+
+    assert.equal(breakdown.total, 0);
+  });
+});
@@ -0,0 +1,110 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const Product = require("../models/Product");
+const {
+  parseProductFile,
+  importProducts,
+  exportProducts,
+} = require("../services/productImportService");
+const memoryDb = require("./helpers/memoryDb");
+const { createCategory, createProduct } = require("./helpers/fixtures");
+
+let db;
+
+before(async () => {
+  db = await memoryDb.connect();
+});
+
+beforeEach(async () => {
+  memoryDb.clear(db);
+  await createProduct({
+    name: "Basic Tee",
+    slug: "basic-tee",
+    description: "Soft cotton tee",
+    imageUrl: "/uploads/products/basic-tee.jpg",
+    customizable: true,
+    weightKg: 0.2,
+    variants: [
+      {
+        size: "Medium",
+        color: "Black",
+        fit: "slim",
+        stock: 7,
+        images: [
+          "/uploads/products/basic-tee-black.jpg",
+          "https://cdn.example.com/basic-tee-black-back.jpg",
+        ],
+      },
+      { size: "Large", color: "White", stock: 3, price: 1200 },
+    ],
+  });
+});
+
+// Exported file as multer hands over an upload
+const upload = (format, text) => ({
+  originalname: `products.${format}`,
+  buffer: Buffer.from(text),
+});
+
+// What an export says about the catalogue, for comparing two of them
+const snapshot = async () => JSON.parse(await exportProducts("json"));
+
+for (const format of ["csv", "json"]) {
+  describe(`${format} export and import`, () => {
+    it("imports its own export into an empty catalogue", async () => {
+      const original = await snapshot();
+      const file = await exportProducts(format);
+      memoryDb.clear(db);
+      await createCategory();
+
+      const report = await importProducts(
+        parseProductFile(upload(format, file))
+      );
+
+      assert.deepEqual(report.errors, []);
+      assert.equal(report.summary.created, 1);
+      const imported = await snapshot();
+      assert.deepEqual(imported, original);
+    });
+
+    it("leaves the catalogue unchanged when imported over it", async () => {
+      const original = await Product.findOne({ slug: "basic-tee" }).lean();
+      const file = await exportProducts(format);
+
+      const report = await importProducts(
+        parseProductFile(upload(format, file))
+      );
+
+      assert.deepEqual(report.errors, []);
+      assert.equal(report.summary.updated, 1);
+      const imported = await Product.findOne({ slug: "basic-tee" }).lean();
+      assert.equal(imported.imageUrl, "/uploads/products/basic-tee.jpg");
+      assert.deepEqual(
+        imported.variants.map((v) => [String(v._id), v.sku, v.stock, v.images]),
+        original.variants.map((v) => [String(v._id), v.sku, v.stock, v.images])
+      );
+    });
+  });
+}
+
+describe("product import validation", () => {
+  it("rejects image URLs that aren't URLs", async () => {
+    const report = await importProducts([
+      {
+        row: 1,
+        variantRows: [],
+        product: {
+          name: "Broken Tee",
+          category: "t-shirts",
+          price: 1000,
+          imageUrl: "not a url",
+          variants: [{ size: "Medium", stock: 1 }],
+        },
+      },
+    ]);
+
+    assert.equal(report.summary.failed, 1);
+    assert.match(report.errors[0].message, /imageUrl/);
+  });
+});
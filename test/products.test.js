@@ -0,0 +1,150 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const Product = require("../models/Product");
+const memoryDb = require("./helpers/memoryDb");
+const { createProduct } = require("./helpers/fixtures");
+
+let db;
+
+before(async () => {
+  db = await memoryDb.connect();
+});
+
+beforeEach(() => memoryDb.clear(db));
+
+// Product renamed from "Basic Tee" to "Classic Tee"
+const renamedTee = async () => {
+  const product = await createProduct({ name: "Basic Tee" });
+  product.name = "Classic Tee";
+  return product.save();
+};
+
+describe("product slugs", () => {
+  it("are made from the name, numbered when taken", async () => {
+    const first = await createProduct({ name: "Basic Tee" });
+    const second = await createProduct({ name: "Basic Tee" });
+
+    assert.equal(first.slug, "basic-tee");
+    assert.equal(second.slug, "basic-tee-1");
+  });
+
+  it("keep former slugs so old URLs redirect", async () => {
+    const product = await renamedTee();
+
+    assert.equal(product.slug, "classic-tee");
+    assert.deepEqual([...product.slugHistory], ["basic-tee"]);
+    const found = await Product.findBySlugOrId("basic-tee");
+    assert.equal(found.redirectTo, "classic-tee");
+  });
+
+  it("aren't generated from another product's former slug", async () => {
+    await renamedTee();
+
+    const product = await createProduct({ name: "Basic Tee" });
+
+    assert.equal(product.slug, "basic-tee-1");
+  });
+
+  it("can't be set to another product's slug", async () => {
+    await createProduct({ name: "Basic Tee" });
+
+    await assert.rejects(createProduct({ name: "Tee", slug: "Basic Tee" }), {
+      name: "ValidationError",
+      message: /This slug is already used by another product/,
+    });
+  });
+
+  it("can't be set to another product's former slug", async () => {
+    await renamedTee();
+
+    await assert.rejects(createProduct({ name: "Tee", slug: "basic-tee" }), {
+      name: "ValidationError",
+      message: /This slug is already used by another product/,
+    });
+  });
+
+  it("can be set back to the product's own former slug", async () => {
+    const product = await renamedTee();
+
+    product.slug = "basic-tee";
+    await product.save();
+
+    assert.equal(product.slug, "basic-tee");
+    assert.deepEqual([...product.slugHistory], ["classic-tee"]);
+  });
+});
+
+describe("product variants", () => {
+  const shirt = () =>
+    createProduct({
+      variants: [
+        { size: "Medium", color: "Black", stock: 4, reserved: 1 },
+        { size: "Medium", color: "White", fit: "slim", stock: 0 },
+        { sku: "tee-xl", size: "Extra Large", stock: 2, price: 1300 },
+      ],
+    });
+
+  it("get a SKU from the product and their options unless given one", async () => {
+    const product = await shirt();
+    const base = product._id.toString().slice(-6).toUpperCase();
+
+    assert.deepEqual(
+      product.variants.map((v) => v.sku),
+      [`${base}-M-BLACK`, `${base}-M-WHITE-SLIM`, "TEE-XL"]
+    );
+  });
+
+  it("must differ in SKU and in size, colour and fit", async () => {
+    await assert.rejects(
+      createProduct({
+        variants: [
+          { size: "Large", color: "Red", stock: 1 },
+          { size: "Large", color: "red", stock: 2 },
+        ],
+      }),
+      { message: /Variants must have distinct SKUs and size\/colour\/fit/ }
+    );
+  });
+
+  it("can't share a SKU with another product", async () => {
+    await shirt();
+
+    await assert.rejects(
+      createProduct({
+        name: "Other Tee",
+        variants: [{ sku: "TEE-XL", size: "Small", stock: 1 }],
+      }),
+      { code: 11000 }
+    );
+  });
+
+  it("are found by id, SKU or options", async () => {
+    const product = await shirt();
+    const [black, white, xl] = product.variants;
+
+    assert.equal(product.findVariant({ variantId: white._id }), white);
+    assert.equal(product.findVariant({ sku: " tee-xl " }), xl);
+    assert.equal(
+      product.findVariant({ size: "Medium", color: "BLACK" }),
+      black
+    );
+    // Two Medium variants, so the size alone is ambiguous
+    assert.equal(product.findVariant({ size: "Medium" }), null);
+  });
+
+  it("override the product price when they have their own", async () => {
+    const product = await shirt();
+
+    assert.equal(product.priceFor(product.variants[0]), 1000);
+    assert.equal(product.priceFor(product.variants[2]), 1300);
+  });
+
+  it("count stock held for carts as unavailable", async () => {
+    const product = await shirt();
+
+    assert.equal(product.variants[0].available, 3);
+    assert.equal(product.totalStock, 6);
+    assert.equal(product.inStock, true);
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const Cart = require("../models/Cart");
+const Product = require("../models/Product");
+const {
+  availableForLine,
+  holdCartStock,
+  releaseExpiredReservations,
+} = require("../services/reservationService");
+const memoryDb = require("./helpers/memoryDb");
+const { createProduct } = require("./helpers/fixtures");
+
+let db;
+let product;
+
+before(async () => {
+  db = await memoryDb.connect();
+});
+
+beforeEach(async () => {
+  memoryDb.clear(db);
+  product = await createProduct({ variants: [{ size: "Medium", stock: 5 }] });
+});
+
+const cartOf = (quantity) =>
+  Cart.create({
+    items: [
+      {
+        productId: product._id,
+        variantId: product.variants[0]._id,
+        size: "Medium",
+        quantity,
+      },
+    ],
+  });
+
+const setQuantity = (cart, quantity) =>
+  Cart.updateOne({ _id: cart._id }, { $set: { "items.0.quantity": quantity } });
+
+const reserved = async () =>
+  (await Product.findById(product._id)).variants[0].reserved;
+
+describe("holding cart stock", () => {
+  it("holds what the cart needs for CART_RESERVATION_MINUTES", async () => {
+    const cart = await cartOf(3);
+
+    const { reservations, reservedUntil } = await holdCartStock(cart._id);
+
+    assert.equal(reservations[0].quantity, 3);
+    assert.equal(await reserved(), 3);
+    const minutes = (reservedUntil - Date.now()) / 60000;
+    assert.ok(minutes > 14 && minutes <= 15);
+  });
+
+  it("holds only the free stock, leaving other carts' holds alone", async () => {
+    const first = await cartOf(3);
+    const second = await cartOf(4);
+    await holdCartStock(first._id);
+
+    const { reservations } = await holdCartStock(second._id);
+
+    assert.equal(reservations[0].quantity, 2);
+    assert.equal(await reserved(), 5);
+  });
+
+  it("follows the cart's quantities up and down", async () => {
+    const cart = await cartOf(2);
+    await holdCartStock(cart._id);
+
+    await setQuantity(cart, 4);
+    await holdCartStock(cart._id);
+    const raised = await reserved();
+    await setQuantity(cart, 1);
+    await holdCartStock(cart._id);
+
+    assert.equal(raised, 4);
+    assert.equal(await reserved(), 1);
+  });
+
+  it("lets a cart's lines use the stock it holds", async () => {
+    const cart = await cartOf(3);
+    await holdCartStock(cart._id);
+    const held = await Cart.findById(cart._id);
+    const variant = (await Product.findById(product._id)).variants[0];
+
+    assert.equal(variant.available, 2);
+    assert.equal(availableForLine(held, variant, held.items[0]), 5);
+    assert.equal(availableForLine(held, variant), 2);
+    assert.equal(availableForLine(null, variant), 2);
+  });
+});
+
+describe("expired holds", () => {
+  it("are given back, and only those that ran out", async () => {
+    const idle = await cartOf(2);
+    const active = await cartOf(1);
+    await holdCartStock(idle._id);
+    await holdCartStock(active._id);
+    await Cart.updateOne(
+      { _id: idle._id },
+      { $set: { reservedUntil: new Date(Date.now() - 1000) } }
+    );
+
+    const released = await releaseExpiredReservations();
+
+    assert.equal(released, 1);
+    assert.equal(await reserved(), 1);
+    const cart = await Cart.findById(idle._id);
+    assert.deepEqual([...cart.reservations], []);
+    assert.equal(cart.reservedUntil, undefined);
+  });
+
+  it("never take reserved stock below zero", async () => {
+    const cart = await cartOf(2);
+    await holdCartStock(cart._id);
+    // E.g. an admin edit that raced with the hold
+    await Product.updateOne(
+      { _id: product._id },
+      { $set: { "variants.0.reserved": 1 } }
+    );
+
+    await releaseExpiredReservations(new Date(Date.now() + 60 * 60 * 1000));
+
+    assert.equal(await reserved(), 0);
+  });
+});
@@ -0,0 +1,269 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const Return = require("../models/Return");
+const {
+  requestReturn,
+  reviewReturn,
+  receiveReturn,
+} = require("../services/returnService");
+const memoryDb = require("./helpers/memoryDb");
+const { createProduct, createDeliveredOrder } = require("./helpers/fixtures");
+
+let db;
+let userId;
+let product;
+
+before(async () => {
+  db = await memoryDb.connect();
+});
+
+beforeEach(async () => {
+  memoryDb.clear(db);
+  userId = new mongoose.Types.ObjectId();
+  product = await createProduct({ price: 500 });
+});
+
+const lineOf = (order) => order.products[0]._id;
+
+describe("return requests", () => {
+  it("returns part of a line and refunds what was paid", async () => {
+    const order = await createDeliveredOrder({
+      userId,
+      products: [product],
+      quantity: 3,
+    });
+
+    const ret = await requestReturn({
+      userId,
+      orderId: order._id,
+      items: [{ orderItemId: lineOf(order), quantity: 2 }],
+    });
+
+    assert.equal(ret.status, "Requested");
+    assert.equal(ret.refundAmount, 1000);
+    const after = await Order.findById(order._id);
+    assert.equal(after.products[0].returnedQuantity, 2);
+  });
+
+  it("refuses more than is left of a line after a partial return", async () => {
+    const order = await createDeliveredOrder({
+      userId,
+      products: [product],
+      quantity: 3,
+    });
+    const items = [{ orderItemId: lineOf(order), quantity: 2 }];
+    await requestReturn({ userId, orderId: order._id, items });
+
+    await assert.rejects(requestReturn({ userId, orderId: order._id, items }), {
+      statusCode: 409,
+      message: "Only 1 of Basic Tee (Medium) can still be returned",
+    });
+    assert.equal(await Return.countDocuments(), 1);
+  });
+
+  it("lets only one of two concurrent requests return a line", async () => {
+    const order = await createDeliveredOrder({
+      userId,
+      products: [product],
+      quantity: 2,
+    });
+    const items = [{ orderItemId: lineOf(order), quantity: 2 }];
+
+    const results = await Promise.allSettled([
+      requestReturn({ userId, orderId: order._id, items }),
+      requestReturn({ userId, orderId: order._id, items }),
+    ]);
+
+    assert.deepEqual(results.map((r) => r.status).sort(), [
+      "fulfilled",
+      "rejected",
+    ]);
+    assert.equal(
+      results.find((r) => r.status === "rejected").reason.statusCode,
+      409
+    );
+    assert.equal(await Return.countDocuments(), 1);
+    const after = await Order.findById(order._id);
+    assert.equal(after.products[0].returnedQuantity, 2);
+  });
+
+  it("counts returns made before lines kept a count", async () => {
+    const order = await createDeliveredOrder({
+      userId,
+      products: [product],
+      quantity: 3,
+    });
+    await Return.create({
+      orderId: order._id,
+      userId,
+      items: [
+        {
+          orderItemId: lineOf(order),
+          productId: product._id,
+          size: "Medium",
+          quantity: 2,
+          unitPrice: 500,
+        },
+      ],
+      refundAmount: 1000,
+    });
+    const items = [{ orderItemId: lineOf(order), quantity: 1 }];
+
+    await requestReturn({ userId, orderId: order._id, items });
+
+    const after = await Order.findById(order._id);
+    assert.equal(after.products[0].returnedQuantity, 3);
+    await assert.rejects(requestReturn({ userId, orderId: order._id, items }), {
+      statusCode: 409,
+    });
+  });
+
+  it("frees the units of a rejected return", async () => {
+    const order = await createDeliveredOrder({
+      userId,
+      products: [product],
+      quantity: 1,
+    });
+    const items = [{ orderItemId: lineOf(order), quantity: 1 }];
+    const ret = await requestReturn({ userId, orderId: order._id, items });
+
+    await reviewReturn({ returnId: ret._id, decision: "reject" });
+
+    const again = await requestReturn({ userId, orderId: order._id, items });
+    assert.equal(again.items[0].quantity, 1);
+  });
+
+  it("spreads the order discount over the returned items", async () => {
+    const order = await createDeliveredOrder({
+      userId,
+      products: [product],
+      quantity: 4,
+      discountAmount: 400,
+      totalAmount: 1600,
+    });
+
+    const ret = await requestReturn({
+      userId,
+      orderId: order._id,
+      items: [{ orderItemId: lineOf(order), quantity: 2 }],
+    });
+
+    assert.equal(ret.refundAmount, 800);
+  });
+
+  it("caps refunds at what is left of the order total", async () => {
+    const order = await createDeliveredOrder({
+      userId,
+      products: [product],
+      quantity: 4,
+      totalAmount: 1700,
+    });
+    await Return.create({
+      orderId: order._id,
+      userId,
+      items: [
+        {
+          orderItemId: lineOf(order),
+          productId: product._id,
+          size: "Medium",
+          quantity: 1,
+          unitPrice: 500,
+        },
+      ],
+      refundAmount: 1500,
+    });
+
+    const ret = await requestReturn({
+      userId,
+      orderId: order._id,
+      items: [{ orderItemId: lineOf(order), quantity: 1 }],
+    });
+
+    assert.equal(ret.refundAmount, 200);
+  });
+
+  it("refuses returns after the return window", async () => {
+    const order = await createDeliveredOrder({
+      userId,
+      products: [product],
+      statusHistory: [
+        { from: "Shipped", to: "Delivered", changedAt: new Date(0) },
+      ],
+    });
+
+    await assert.rejects(
+      requestReturn({
+        userId,
+        orderId: order._id,
+        items: [{ orderItemId: lineOf(order), quantity: 1 }],
+      }),
+      { statusCode: 409 }
+    );
+  });
+});
+
+describe("receiving returns", () => {
+  it("restocks the items and refunds the order", async () => {
+    const order = await createDeliveredOrder({
+      userId,
+      products: [product],
+      quantity: 2,
+      paymentStatus: "paid",
+    });
+    const ret = await requestReturn({
+      userId,
+      orderId: order._id,
+      items: [{ orderItemId: lineOf(order), quantity: 2 }],
+    });
+    await reviewReturn({ returnId: ret._id, decision: "approve" });
+
+    await receiveReturn({ returnId: ret._id });
+
+    const restocked = await Product.findById(product._id);
+    assert.equal(restocked.variants[0].stock, 12);
+    const refunded = await Order.findById(order._id);
+    assert.equal(refunded.refundedAmount, 1000);
+    assert.equal(refunded.refunds.length, 1);
+    assert.equal(refunded.paymentStatus, "refunded");
+  });
+
+  it("refunds no more than is left when other refunds came first", async () => {
+    const order = await createDeliveredOrder({
+      userId,
+      products: [product],
+      quantity: 2,
+      refundedAmount: 800,
+    });
+    const ret = await requestReturn({
+      userId,
+      orderId: order._id,
+      items: [{ orderItemId: lineOf(order), quantity: 1 }],
+    });
+    await reviewReturn({ returnId: ret._id, decision: "approve" });
+
+    const received = await receiveReturn({ returnId: ret._id });
+
+    assert.equal(received.refundAmount, 200);
+    const refunded = await Order.findById(order._id);
+    assert.equal(refunded.refundedAmount, 1000);
+  });
+
+  it("only receives approved returns", async () => {
+    const order = await createDeliveredOrder({ userId, products: [product] });
+    const ret = await requestReturn({
+      userId,
+      orderId: order._id,
+      items: [{ orderItemId: lineOf(order), quantity: 1 }],
+    });
+
+    await assert.rejects(receiveReturn({ returnId: ret._id }), {
+      statusCode: 409,
+    });
+    const unchanged = await Product.findById(product._id);
+    assert.equal(unchanged.variants[0].stock, 10);
+  });
+});
@@ -0,0 +1,146 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const Product = require("../models/Product");
+const Review = require("../models/Review");
+const {
+  submitReview,
+  voteHelpful,
+  removeHelpfulVote,
+  moderateReview,
+  deleteReview,
+} = require("../services/reviewService");
+const memoryDb = require("./helpers/memoryDb");
+const { createProduct, createDeliveredOrder } = require("./helpers/fixtures");
+
+let db;
+let product;
+
+before(async () => {
+  db = await memoryDb.connect();
+});
+
+beforeEach(async () => {
+  memoryDb.clear(db);
+  product = await createProduct();
+});
+
+const newUser = () => new mongoose.Types.ObjectId();
+
+const review = (userId, rating, fields) =>
+  submitReview({ productId: product._id, userId, rating, ...fields });
+
+describe("writing reviews", () => {
+  it("rates the product with the average of its reviews", async () => {
+    await review(newUser(), 5);
+    await review(newUser(), 4);
+    const { product: rated } = await review(newUser(), 4);
+
+    assert.deepEqual(rated, { averageRating: 4.3, totalRatings: 3 });
+  });
+
+  it("replaces a user's earlier review, keeping its text", async () => {
+    const userId = newUser();
+    await review(userId, 2, { title: "Shrank", body: "Shrank in the wash" });
+
+    const { review: edited, product: rated } = await review(userId, 3);
+
+    assert.equal(await Review.countDocuments(), 1);
+    assert.equal(edited.rating, 3);
+    assert.equal(edited.body, "Shrank in the wash");
+    assert.deepEqual(rated, { averageRating: 3, totalRatings: 1 });
+  });
+
+  it("marks reviews of delivered purchases as verified", async () => {
+    const buyer = newUser();
+    await createDeliveredOrder({ userId: buyer, products: [product] });
+
+    const { review: verified } = await review(buyer, 5);
+    const { review: unverified } = await review(newUser(), 5);
+
+    assert.equal(verified.verifiedPurchase, true);
+    assert.equal(unverified.verifiedPurchase, false);
+  });
+
+  it("refuses unknown products", async () => {
+    await assert.rejects(
+      submitReview({ productId: newUser(), userId: newUser(), rating: 5 }),
+      { statusCode: 404 }
+    );
+  });
+});
+
+describe("moderating reviews", () => {
+  it("leaves rejected reviews out of the rating", async () => {
+    const { review: bad } = await review(newUser(), 1);
+    await review(newUser(), 5);
+
+    await moderateReview({ reviewId: bad._id, decision: "reject" });
+
+    const rated = await Product.findById(product._id);
+    assert.equal(rated.averageRating, 5);
+    assert.equal(rated.totalRatings, 1);
+  });
+
+  it("sends an edited rejected review back to moderation", async () => {
+    const userId = newUser();
+    const { review: bad } = await review(userId, 1);
+    await moderateReview({ reviewId: bad._id, decision: "reject" });
+
+    const { review: edited, product: rated } = await review(userId, 2);
+
+    assert.equal(edited.status, "pending");
+    assert.equal(rated.totalRatings, 0);
+  });
+
+  it("lets users delete only their own reviews", async () => {
+    const userId = newUser();
+    const { review: own } = await review(userId, 4);
+
+    await assert.rejects(
+      deleteReview({ reviewId: own._id, userId: newUser() }),
+      { statusCode: 404 }
+    );
+    await deleteReview({ reviewId: own._id, userId });
+
+    assert.equal(await Review.countDocuments(), 0);
+  });
+});
+
+describe("helpful votes", () => {
+  it("counts one vote per user and never the author's", async () => {
+    const author = newUser();
+    const voter = newUser();
+    const { review: written } = await review(author, 4);
+
+    const voted = await voteHelpful({ reviewId: written._id, userId: voter });
+    await assert.rejects(
+      voteHelpful({ reviewId: written._id, userId: voter }),
+      { statusCode: 409 }
+    );
+    await assert.rejects(
+      voteHelpful({ reviewId: written._id, userId: author }),
+      { statusCode: 400 }
+    );
+
+    assert.equal(voted.helpfulCount, 1);
+  });
+
+  it("can be taken back", async () => {
+    const voter = newUser();
+    const { review: written } = await review(newUser(), 4);
+    await voteHelpful({ reviewId: written._id, userId: voter });
+
+    const unvoted = await removeHelpfulVote({
+      reviewId: written._id,
+      userId: voter,
+    });
+
+    assert.equal(unvoted.helpfulCount, 0);
+    await assert.rejects(
+      removeHelpfulVote({ reviewId: written._id, userId: voter }),
+      { statusCode: 409 }
+    );
+  });
+});
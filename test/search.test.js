@@ -0,0 +1,116 @@
+const { describe, it, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const ZeroResultSearch = require("../models/ZeroResultSearch");
+const { searchProducts, suggest } = require("../services/searchService");
+const memoryDb = require("./helpers/memoryDb");
+const { createProduct } = require("./helpers/fixtures");
+
+let db;
+
+before(async () => {
+  db = await memoryDb.connect();
+});
+
+beforeEach(async () => {
+  memoryDb.clear(db);
+  await createProduct({ name: "Anime Hero Tee", category: "anime" });
+  await createProduct({
+    name: "Plain Tee",
+    description: "Goes with anime prints",
+    salesCount: 50,
+  });
+  await createProduct({ name: "Mountain Hoodie", category: "hoodies" });
+});
+
+const names = (result) => result.products.map((product) => product.name);
+
+// Zero-result queries are recorded without holding up the search, so wait
+// a little for `searches` of them
+const recorded = async (searches = 1) => {
+  let queries = [];
+  for (let i = 0; i < 50; i++) {
+    queries = await ZeroResultSearch.find().lean();
+    const total = queries.reduce((sum, query) => sum + query.count, 0);
+    if (total >= searches) break;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  return queries;
+};
+
+describe("product search", () => {
+  it("finds misspelt words", async () => {
+    const result = await searchProducts({ q: "anmie" });
+
+    assert.ok(names(result).includes("Anime Hero Tee"));
+  });
+
+  it("ranks name matches above description matches", async () => {
+    const result = await searchProducts({ q: "anime" });
+
+    assert.deepEqual(names(result), ["Anime Hero Tee", "Plain Tee"]);
+  });
+
+  it("refuses queries over 100 characters", async () => {
+    await assert.rejects(searchProducts({ q: "a".repeat(101) }), {
+      statusCode: 400,
+      message: "Search query cannot exceed 100 characters",
+    });
+  });
+
+  it("refuses queries over 8 words", async () => {
+    await assert.rejects(searchProducts({ q: "tee ".repeat(9) }), {
+      statusCode: 400,
+      message: "Search query cannot exceed 8 words",
+    });
+  });
+});
+
+describe("zero-result searches", () => {
+  it("counts repeats of a query that found nothing", async () => {
+    await searchProducts({ q: "Spaceship" });
+    await recorded();
+    await searchProducts({ q: "spaceship" });
+
+    const queries = await recorded(2);
+    assert.deepEqual(
+      queries.map(({ query, count }) => ({ query, count })),
+      [{ query: "spaceship", count: 2 }]
+    );
+  });
+
+  it("doesn't record filtered searches or autocomplete", async () => {
+    await searchProducts({ q: "spaceship", category: "anime" });
+    await suggest("spaceshi");
+
+    assert.deepEqual(await recorded(), []);
+  });
+
+  it("expires queries nobody searched for ZERO_RESULT_SEARCH_DAYS", async () => {
+    const indexes = await ZeroResultSearch.listIndexes();
+
+    const ttl = indexes.find((index) => index.expireAfterSeconds);
+    assert.deepEqual(ttl.key, { lastSearchedAt: 1 });
+    assert.equal(ttl.expireAfterSeconds, 90 * 24 * 60 * 60);
+  });
+});
+
+describe("autocomplete", () => {
+  it("completes the last word typed", async () => {
+    const { products } = await suggest("anime he");
+
+    assert.deepEqual(
+      products.map((product) => product.name),
+      ["Anime Hero Tee"]
+    );
+  });
+
+  it("suggests categories starting with the text", async () => {
+    const { categories } = await suggest("hood");
+
+    assert.deepEqual(
+      categories.map((category) => category.slug),
+      ["hoodies"]
+    );
+  });
+});
@@ -0,0 +1,166 @@
+const { describe, it, before, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Capture emails instead of sending them; set before the email service
+// creates its transporter
+const nodemailer = require("nodemailer");
+const sent = [];
+mock.method(nodemailer, "createTransport", () => ({
+  sendMail: async (mail) => sent.push(mail),
+}));
+
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const StockSubscription = require("../models/StockSubscription");
+const User = require("../models/User");
+const {
+  findLowStock,
+  checkLowStock,
+  notifyBackInStock,
+  subscribe,
+  setStockThresholds,
+} = require("../services/stockAlertService");
+const { archiveProduct } = require("../services/productService");
+const memoryDb = require("./helpers/memoryDb");
+const { createProduct } = require("./helpers/fixtures");
+
+let db;
+let product;
+let customer;
+
+before(async () => {
+  db = await memoryDb.connect();
+});
+
+beforeEach(async () => {
+  memoryDb.clear(db);
+  sent.length = 0;
+  await User.create({
+    name: "Admin",
+    email: "admin@example.com",
+    password: "secret123",
+    isAdmin: true,
+  });
+  customer = await User.create({
+    name: "Ayesha Khan",
+    email: "ayesha@example.com",
+    password: "secret123",
+  });
+  product = await createProduct({
+    variants: [
+      { sku: "TEE-S", size: "Small", stock: 0 },
+      { sku: "TEE-M", size: "Medium", stock: 4 },
+      { sku: "TEE-L", size: "Large", stock: 20 },
+    ],
+  });
+});
+
+const setStock = (sku, stock) =>
+  Product.updateOne(
+    { _id: product._id, "variants.sku": sku },
+    { $set: { "variants.$.stock": stock } }
+  );
+
+describe("low stock", () => {
+  it("uses the variant's threshold, else the product's, else the default", async () => {
+    await setStockThresholds({
+      productId: product._id,
+      lowStockThreshold: 20,
+      variants: [{ sku: "TEE-M", lowStockThreshold: 2 }],
+    });
+
+    const [low] = await findLowStock();
+
+    assert.deepEqual(
+      low.variants.map((v) => [v.sku, v.threshold]),
+      [
+        ["TEE-S", 20],
+        ["TEE-L", 20],
+      ]
+    );
+  });
+
+  it("emails admins once per variant until it's restocked", async () => {
+    const first = await checkLowStock();
+    const again = await checkLowStock();
+    await setStock("TEE-M", 10);
+    await checkLowStock();
+    await setStock("TEE-M", 1);
+    const relapsed = await checkLowStock();
+
+    assert.equal(first, 2);
+    assert.equal(again, 0);
+    assert.equal(relapsed, 1);
+    assert.equal(sent.length, 2);
+    assert.equal(sent[0].to, "admin@example.com");
+  });
+
+  it("ignores drafts and archived products", async () => {
+    await Product.updateOne({ _id: product._id }, { status: "draft" });
+    const draft = await findLowStock();
+    await Product.updateOne({ _id: product._id }, { status: "published" });
+    await archiveProduct(product._id);
+
+    assert.deepEqual(draft, []);
+    assert.deepEqual(await findLowStock(), []);
+    assert.equal(await checkLowStock(), 0);
+  });
+});
+
+describe("back-in-stock emails", () => {
+  const subscribeToSmall = () =>
+    subscribe({ userId: customer._id, productId: product._id, sku: "TEE-S" });
+
+  it("can only be asked for sizes that are out of stock", async () => {
+    const { created } = await subscribeToSmall();
+    const { created: again } = await subscribeToSmall();
+
+    assert.equal(created, true);
+    assert.equal(again, false);
+    await assert.rejects(
+      subscribe({ userId: customer._id, productId: product._id, sku: "TEE-M" }),
+      { statusCode: 409, message: "This size is in stock" }
+    );
+  });
+
+  it("go out once the size is back, ending the subscription", async () => {
+    await subscribeToSmall();
+    const waiting = await notifyBackInStock();
+    await setStock("TEE-S", 3);
+
+    const notified = await notifyBackInStock();
+
+    assert.equal(waiting, 0);
+    assert.equal(notified, 1);
+    assert.equal(sent[0].to, "ayesha@example.com");
+    assert.equal(await StockSubscription.countDocuments(), 0);
+  });
+
+  it("wait while the product is off the storefront", async () => {
+    await subscribeToSmall();
+    await setStock("TEE-S", 3);
+    await Product.updateOne({ _id: product._id }, { status: "hidden" });
+
+    assert.equal(await notifyBackInStock(), 0);
+    assert.equal(await StockSubscription.countDocuments(), 1);
+  });
+
+  it("are dropped for archived products", async () => {
+    await subscribeToSmall();
+    await archiveProduct(product._id);
+
+    assert.equal(await notifyBackInStock(), 0);
+    assert.equal(await StockSubscription.countDocuments(), 0);
+  });
+
+  it("can't be asked for products off the storefront", async () => {
+    await assert.rejects(
+      subscribe({
+        userId: customer._id,
+        productId: new mongoose.Types.ObjectId(),
+        sku: "TEE-S",
+      }),
+      { statusCode: 404 }
+    );
+  });
+});
@@ -0,0 +1,58 @@
+// Minimal CSV reading and writing (RFC 4180): comma separated, fields with
+// commas, quotes or line breaks wrapped in double quotes
+
+// Records of a CSV text as arrays of strings. Blank lines are skipped.
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, "");
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0] !== "") records.push(record);
+    record = [];
+    field = "";
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new Error("Unterminated quoted field");
+  if (field !== "" || record.length > 0) endRecord();
+
+  return records;
+};
+
+const escapeField = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV text of records given as arrays of values
+const toCsv = (records) =>
+  records.map((record) => record.map(escapeField).join(",")).join("\r\n") +
+  "\r\n";
+
+module.exports = { parseCsv, toCsv };
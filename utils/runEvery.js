@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// Run a background task every `ms` milliseconds while the database is
+// connected, skipping a round while the previous one is still going. Errors
+// are logged under `name`. The timer doesn't keep the process alive.
+const runEvery = (ms, name, task) => {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running || mongoose.connection.readyState !== 1) return;
+    running = true;
+    try {
+      await task();
+    } catch (err) {
+      console.error(`${name} error:`, err);
+    } finally {
+      running = false;
+    }
+  }, ms);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = runEvery;
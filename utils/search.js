@@ -0,0 +1,75 @@
+// Text helpers for product search: normalising, trigrams and fuzzy matching
+
+// Lowercase words without accents or punctuation. Hyphenated words are also
+// kept joined, so "T-Shirt" matches both "t shirt" and "tshirt".
+const searchWords = (text) => {
+  const words = String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .split(/\s+/)
+    .flatMap((token) => {
+      const parts = token.split(/[^a-z0-9]+/).filter(Boolean);
+      return parts.length > 1 ? [...parts, parts.join("")] : parts;
+    });
+  return [...new Set(words)];
+};
+
+// Three-letter pieces of a word, padded so short words and word starts count
+const trigrams = (word) => {
+  const padded = `  ${word} `;
+  const grams = [];
+  for (let i = 0; i < padded.length - 2; i++)
+    grams.push(padded.slice(i, i + 3));
+  return grams;
+};
+
+const searchGrams = (words) => [...new Set(words.flatMap(trigrams))];
+
+// Edit distance counting a swap of neighbouring letters as one edit
+const editDistance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+};
+
+// How well a typed word matches a word of the product, from 0 to 1. Prefixes
+// count as good matches so partly typed words already find something.
+const wordSimilarity = (typed, word) => {
+  if (typed === word) return 1;
+  if (typed.length >= 2 && word.startsWith(typed)) return 0.9;
+  // Very short words have to match exactly
+  if (typed.length < 4) return 0;
+  return 1 - editDistance(typed, word) / Math.max(typed.length, word.length);
+};
+
+// Best match of a typed word among a list of words
+const bestMatch = (typed, words) =>
+  words.reduce((best, word) => Math.max(best, wordSimilarity(typed, word)), 0);
+
+// Text usable inside a RegExp as a literal
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+module.exports = {
+  searchWords,
+  searchGrams,
+  editDistance,
+  wordSimilarity,
+  bestMatch,
+  escapeRegex,
+};
@@ -0,0 +1,11 @@
+// URL-friendly form of a name, e.g. "Urban Street Vibes" -> "urban-street-vibes"
+const slugify = (name) =>
+  String(name)
+    .toLowerCase()
+    .trim()
+    .replace(/[^\w\s-]/g, "") // Remove special characters
+    .replace(/[\s_]+/g, "-") // Replace spaces with hyphens
+    .replace(/-+/g, "-") // Replace multiple hyphens with single hyphen
+    .replace(/^-|-$/g, "");
+
+module.exports = slugify;